@@ -76,4 +76,37 @@ function getDatabase() {
   return pool;
 }
 
-export { initDatabase, getDatabase };
+/**
+ * Run callback in a transaction on one dedicated connection
+ * Commits when callback resolves, rolls back when it throws (error is re-thrown)
+ * Queries inside callback must use the given connection, not the pool
+ * @param {Function} callback - async (connection) => result
+ * @returns {Promise<*>} Result of callback
+ *
+ * Example:
+ * const result = await withTransaction(async (connection) => {
+ *   await connection.execute('INSERT ...', [...]);
+ *   return { id };
+ * });
+ */
+async function withTransaction(callback) {
+  const connection = await getDatabase().getConnection();
+
+  try {
+    await connection.beginTransaction();
+    const result = await callback(connection);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    try {
+      await connection.rollback();
+    } catch (rollbackError) {
+      logger.error('Transaction rollback failed:', rollbackError);
+    }
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+export { initDatabase, getDatabase, withTransaction };
@@ -56,4 +56,15 @@ export function getFirestore() {
   return admin.firestore();
 }
 
+/**
+ * Get Firebase Auth instance
+ * @returns {admin.auth.Auth}
+ */
+export function getFirebaseAuth() {
+  if (!firebaseInitialized) {
+    initializeFirebase();
+  }
+  return admin.auth();
+}
+
 export default initializeFirebase;
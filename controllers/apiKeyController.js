@@ -0,0 +1,423 @@
+import { getDatabase } from '../config/database.js';
+import logger from '../utils/logger.js';
+import { getActorId } from '../utils/requestContext.js';
+import { addFormattedDates } from '../utils/dateFormatter.js';
+import { logSecurityEvent } from '../utils/securityLogger.js';
+import { API_KEY_SCOPES, parseScopes, getScopePermissions, generateApiKey } from '../utils/apiKeys.js';
+import { getAuditSnapshot, writeAuditLog } from '../utils/auditLog.js';
+
+const TABLE_API_KEY = 'api_key_information';
+
+const SELECT_FIELDS = `id, name, key_prefix, scopes, expire_date, last_used_date, last_used_ip, status, customer_id,
+  create_date, create_by, update_date, update_by, delete_date, delete_by`;
+
+/**
+ * Helper function to validate scopes against known scopes and issuer's own permissions
+ * (ออก key ที่มีสิทธิ์มากกว่าตัวเองไม่ได้)
+ * @param {Array<string>} scopes
+ * @param {Array<string>} userPermissions - req.user.permissions
+ * @returns {Object|null} Error response body, or null if valid
+ */
+function validateScopes(scopes, userPermissions) {
+  if (scopes.length === 0) {
+    return {
+      success: false,
+      error: 'Invalid scopes',
+      message: `กรุณาระบุ scopes อย่างน้อย 1 รายการ (${Object.keys(API_KEY_SCOPES).join(', ')})`
+    };
+  }
+
+  const invalidScopes = scopes.filter(scope => !API_KEY_SCOPES[scope]);
+  if (invalidScopes.length > 0) {
+    return {
+      success: false,
+      error: 'Invalid scopes',
+      message: `ไม่พบ scope ${invalidScopes.join(', ')} ในระบบ`,
+      invalid_scopes: invalidScopes
+    };
+  }
+
+  const missing = getScopePermissions(scopes).filter(permission => !(userPermissions || []).includes(permission));
+  if (missing.length > 0) {
+    return {
+      success: false,
+      error: 'Forbidden',
+      message: 'ไม่สามารถออก API key ที่มีสิทธิ์เกินสิทธิ์ของตัวเองได้',
+      required_permissions: missing
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Helper function to parse expire_date (YYYY-MM-DD or YYYY-MM-DD HH:mm:ss, must be in the future)
+ * @param {string} expireDate
+ * @returns {Object} { value, error }
+ */
+function parseExpireDate(expireDate) {
+  if (expireDate === undefined || expireDate === null || expireDate === '') {
+    return { value: null, error: null };
+  }
+
+  const match = /^(\d{4}-\d{2}-\d{2})(?:[ T](\d{2}:\d{2}(?::\d{2})?))?$/.exec(String(expireDate).trim());
+  if (!match) {
+    return { value: null, error: 'expire_date ต้องอยู่ในรูปแบบ YYYY-MM-DD หรือ YYYY-MM-DD HH:mm:ss' };
+  }
+
+  const time = match[2] ? (match[2].length === 5 ? `${match[2]}:00` : match[2]) : '23:59:59';
+  const value = `${match[1]} ${time}`;
+  const date = new Date(`${match[1]}T${time}+07:00`);
+
+  if (isNaN(date.getTime())) {
+    return { value: null, error: 'expire_date ไม่ถูกต้อง' };
+  }
+
+  if (date.getTime() <= Date.now()) {
+    return { value: null, error: 'expire_date ต้องเป็นวันในอนาคต' };
+  }
+
+  return { value, error: null };
+}
+
+/**
+ * Helper function to format API key row (never returns key hash)
+ */
+function formatApiKey(row) {
+  const scopes = parseScopes(row.scopes);
+
+  return {
+    ...addFormattedDates(row, ['create_date', 'update_date', 'delete_date', 'expire_date', 'last_used_date']),
+    key_prefix: `kc_${row.key_prefix}_...`,
+    scopes,
+    permissions: getScopePermissions(scopes)
+  };
+}
+
+/**
+ * Get available API key scopes
+ * GET /api/api_key/scopes?customer_id=xxx
+ */
+export const getApiKeyScopes = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: Object.entries(API_KEY_SCOPES).map(([scope, permissions]) => ({ scope, permissions })),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Get API key scopes error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch API key scopes',
+      message: 'เกิดข้อผิดพลาดในการดึงข้อมูล scope',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Get API key list of customer
+ * GET /api/api_key/list?customer_id=xxx&page=1&limit=20&status=1
+ */
+export const getApiKeyList = async (req, res) => {
+  try {
+    const { customer_id, page = 1, limit = 20, status } = req.query;
+
+    const pageNum = parseInt(page) || 1;
+    const limitNum = parseInt(limit) || 20;
+    const offset = (pageNum - 1) * limitNum;
+
+    let whereClause = 'WHERE customer_id = ?';
+    const queryParams = [customer_id];
+
+    if (status !== undefined && status !== '') {
+      whereClause += ' AND status = ?';
+      queryParams.push(parseInt(status));
+    } else {
+      whereClause += ' AND status != 2';
+    }
+
+    const db = getDatabase();
+
+    const [countRows] = await db.execute(
+      `SELECT COUNT(*) as total FROM ${TABLE_API_KEY} ${whereClause}`,
+      queryParams
+    );
+    const total = countRows[0].total;
+
+    const [rows] = await db.execute(
+      `SELECT ${SELECT_FIELDS}
+       FROM ${TABLE_API_KEY}
+       ${whereClause}
+       ORDER BY create_date DESC, id DESC
+       LIMIT ${limitNum} OFFSET ${offset}`,
+      queryParams
+    );
+
+    const totalPages = Math.ceil(total / limitNum);
+
+    res.json({
+      success: true,
+      data: rows.map(formatApiKey),
+      pagination: {
+        current_page: pageNum,
+        per_page: limitNum,
+        total: total,
+        total_pages: totalPages,
+        has_next: pageNum < totalPages,
+        has_prev: pageNum > 1
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Get API key list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch API key list',
+      message: 'เกิดข้อผิดพลาดในการดึงข้อมูล API key',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Issue new API key (raw key is returned only once)
+ * POST /api/api_key/insert
+ * Body: { name, scopes (array / JSON / comma-separated), expire_date?, customer_id }
+ */
+export const insertApiKey = async (req, res) => {
+  try {
+    const { name, scopes, expire_date, customer_id } = req.body;
+    const uid = getActorId(req);
+
+    const scopeList = parseScopes(scopes);
+    const scopeError = validateScopes(scopeList, req.user.permissions);
+    if (scopeError) {
+      return res.status(scopeError.error === 'Forbidden' ? 403 : 400).json(scopeError);
+    }
+
+    const expire = parseExpireDate(expire_date);
+    if (expire.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid expire_date',
+        message: expire.error
+      });
+    }
+
+    const { key, prefix, hash } = generateApiKey();
+    const db = getDatabase();
+
+    const [result] = await db.execute(
+      `INSERT INTO ${TABLE_API_KEY} (name, key_prefix, key_hash, scopes, expire_date, status, customer_id, create_by)
+       VALUES (?, ?, ?, ?, ?, 1, ?, ?)`,
+      [String(name).trim(), prefix, hash, JSON.stringify(scopeList), expire.value, customer_id, parseInt(uid)]
+    );
+
+    logger.info(`API key issued: ID ${result.insertId} (${name}) for customer ${customer_id} by user ${uid}`);
+    logSecurityEvent('api_key_issued', req, { api_key_id: result.insertId, customer_id, scopes: scopeList });
+    await writeAuditLog(db, req, {
+      entity: 'api_key',
+      entityId: result.insertId,
+      action: 'create',
+      after: await getAuditSnapshot(db, TABLE_API_KEY, result.insertId),
+      customerId: customer_id
+    });
+
+    res.json({
+      success: true,
+      message: 'สร้าง API key สำเร็จ กรุณาเก็บ key ไว้ ระบบจะแสดงเพียงครั้งเดียว',
+      data: {
+        id: result.insertId,
+        name: String(name).trim(),
+        api_key: key,
+        key_prefix: `kc_${prefix}_...`,
+        scopes: scopeList,
+        permissions: getScopePermissions(scopeList),
+        expire_date: expire.value,
+        customer_id
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Insert API key error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to insert API key',
+      message: 'เกิดข้อผิดพลาดในการสร้าง API key',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Update API key name / scopes / expire_date
+ * PUT /api/api_key/update
+ * Body: { id, name?, scopes?, expire_date?, customer_id }
+ */
+export const updateApiKey = async (req, res) => {
+  try {
+    const { id, name, scopes, expire_date, customer_id } = req.body;
+    const uid = getActorId(req);
+
+    const db = getDatabase();
+
+    const [existing] = await db.execute(
+      `SELECT id FROM ${TABLE_API_KEY} WHERE id = ? AND customer_id = ? AND status != 2`,
+      [parseInt(id), customer_id]
+    );
+
+    if (existing.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found',
+        message: 'ไม่พบ API key ที่ต้องการแก้ไข'
+      });
+    }
+
+    const updateFields = [];
+    const updateParams = [];
+
+    if (name !== undefined && name !== '') {
+      updateFields.push('name = ?');
+      updateParams.push(String(name).trim());
+    }
+
+    if (scopes !== undefined) {
+      const scopeList = parseScopes(scopes);
+      const scopeError = validateScopes(scopeList, req.user.permissions);
+      if (scopeError) {
+        return res.status(scopeError.error === 'Forbidden' ? 403 : 400).json(scopeError);
+      }
+
+      updateFields.push('scopes = ?');
+      updateParams.push(JSON.stringify(scopeList));
+    }
+
+    if (expire_date !== undefined) {
+      const expire = parseExpireDate(expire_date);
+      if (expire.error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid expire_date',
+          message: expire.error
+        });
+      }
+
+      updateFields.push('expire_date = ?');
+      updateParams.push(expire.value);
+    }
+
+    if (updateFields.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No fields to update',
+        message: 'กรุณาระบุข้อมูลที่ต้องการแก้ไข: name, scopes, expire_date'
+      });
+    }
+
+    updateFields.push('update_date = NOW()', 'update_by = ?');
+    updateParams.push(parseInt(uid), parseInt(id));
+
+    const before = await getAuditSnapshot(db, TABLE_API_KEY, parseInt(id));
+
+    await db.execute(
+      `UPDATE ${TABLE_API_KEY} SET ${updateFields.join(', ')} WHERE id = ?`,
+      updateParams
+    );
+
+    const [rows] = await db.execute(`SELECT ${SELECT_FIELDS} FROM ${TABLE_API_KEY} WHERE id = ?`, [parseInt(id)]);
+
+    logger.info(`API key updated: ID ${id} by user ${uid}`);
+    logSecurityEvent('api_key_updated', req, { api_key_id: parseInt(id), customer_id });
+    await writeAuditLog(db, req, {
+      entity: 'api_key',
+      entityId: parseInt(id),
+      action: 'update',
+      before,
+      after: await getAuditSnapshot(db, TABLE_API_KEY, parseInt(id)),
+      customerId: customer_id
+    });
+
+    res.json({
+      success: true,
+      message: 'แก้ไข API key สำเร็จ',
+      data: formatApiKey(rows[0]),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Update API key error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update API key',
+      message: 'เกิดข้อผิดพลาดในการแก้ไข API key',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Revoke API key (soft delete)
+ * DELETE /api/api_key/delete
+ * Body: { id, customer_id }
+ */
+export const deleteApiKey = async (req, res) => {
+  try {
+    const { id, customer_id } = req.body;
+    const uid = getActorId(req);
+
+    const db = getDatabase();
+
+    const before = await getAuditSnapshot(db, TABLE_API_KEY, parseInt(id));
+
+    const [result] = await db.execute(
+      `UPDATE ${TABLE_API_KEY}
+       SET status = 2, delete_date = NOW(), delete_by = ?
+       WHERE id = ? AND customer_id = ? AND status != 2`,
+      [parseInt(uid), parseInt(id), customer_id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found',
+        message: 'ไม่พบ API key ที่ต้องการยกเลิก'
+      });
+    }
+
+    logger.info(`API key revoked: ID ${id} by user ${uid}`);
+    logSecurityEvent('api_key_revoked', req, { api_key_id: parseInt(id), customer_id });
+    await writeAuditLog(db, req, {
+      entity: 'api_key',
+      entityId: parseInt(id),
+      action: 'delete',
+      before,
+      after: await getAuditSnapshot(db, TABLE_API_KEY, parseInt(id)),
+      customerId: customer_id
+    });
+
+    res.json({
+      success: true,
+      message: 'ยกเลิก API key สำเร็จ',
+      data: {
+        id: parseInt(id),
+        delete_by: uid
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Delete API key error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete API key',
+      message: 'เกิดข้อผิดพลาดในการยกเลิก API key',
+      details: error.message
+    });
+  }
+};
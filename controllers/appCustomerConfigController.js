@@ -1,5 +1,7 @@
 import { getDatabase } from '../config/database.js';
 import logger from '../utils/logger.js';
+import { getActorId } from '../utils/requestContext.js';
+import { getAuditSnapshot, writeAuditLog } from '../utils/auditLog.js';
 
 /**
  * Initialize app customer config with default values
@@ -9,16 +11,6 @@ export const initAppCustomerConfig = async (req, res) => {
   try {
     const { customer_id } = req.body;
 
-    // Validate required fields
-    if (!customer_id || customer_id.trim() === '') {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields',
-        message: 'กรุณาระบุ customer_id',
-        required: ['customer_id']
-      });
-    }
-
     const db = getDatabase();
 
     const defaultConfigs = [
@@ -72,6 +64,14 @@ export const initAppCustomerConfig = async (req, res) => {
       ]);
 
       if (result.affectedRows > 0) {
+        await writeAuditLog(db, req, {
+          entity: 'app_customer_config',
+          entityId: result.insertId,
+          action: 'create',
+          after: await getAuditSnapshot(db, 'app_customer_config', result.insertId),
+          customerId: customer_id.trim()
+        });
+
         insertedConfigs.push({
           id: result.insertId,
           config_key: config.key,
@@ -115,28 +115,14 @@ export const initAppCustomerConfig = async (req, res) => {
  */
 export const updateAppCustomerConfig = async (req, res) => {
   try {
-    const { id, uid, config_value } = req.body;
-
-    // Validate required fields
-    const requiredFields = [];
-    if (!id) requiredFields.push('id');
-    if (!uid) requiredFields.push('uid');
-    if (config_value === undefined || config_value === null) requiredFields.push('config_value');
-
-    if (requiredFields.length > 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields',
-        message: `กรุณากรอกข้อมูลที่จำเป็น: ${requiredFields.join(', ')}`,
-        required: requiredFields
-      });
-    }
+    const { id, config_value } = req.body;
+    const uid = getActorId(req);
 
     const db = getDatabase();
 
     // Check if config exists and get old value
-    const checkQuery = `SELECT id, config_key, config_value, data_type FROM app_customer_config WHERE id = ?`;
-    const [rows] = await db.execute(checkQuery, [parseInt(id)]);
+    const checkQuery = `SELECT * FROM app_customer_config WHERE id = ? AND customer_id = ?`;
+    const [rows] = await db.execute(checkQuery, [parseInt(id), req.customer_id]);
 
     if (rows.length === 0) {
       return res.status(404).json({
@@ -191,13 +177,21 @@ export const updateAppCustomerConfig = async (req, res) => {
       SET config_value = ?,
           update_date = NOW(),
           update_by = ?
-      WHERE id = ?
+      WHERE id = ? AND customer_id = ?
     `;
 
-    await db.execute(updateQuery, [valueToStore, parseInt(uid), parseInt(id)]);
+    await db.execute(updateQuery, [valueToStore, parseInt(uid), parseInt(id), req.customer_id]);
 
     logger.info(`Config updated: [${configKey}] ID ${id} by user ${uid} | Old: "${oldValue}" → New: "${valueToStore}"`);
 
+    await writeAuditLog(db, req, {
+      entity: 'app_customer_config',
+      entityId: parseInt(id),
+      action: 'update',
+      before: rows[0],
+      after: await getAuditSnapshot(db, 'app_customer_config', parseInt(id))
+    });
+
     res.json({
       success: true,
       message: 'อัปเดตข้อมูล config สำเร็จ',
@@ -0,0 +1,200 @@
+import { getDatabase } from '../config/database.js';
+import logger from '../utils/logger.js';
+import { addFormattedDatesToList } from '../utils/dateFormatter.js';
+import { AUDIT_ACTIONS, AUDIT_ENTITIES } from '../utils/auditLog.js';
+import ExcelJS from 'exceljs';
+
+const TABLE_AUDIT_LOG = 'audit_log';
+
+/**
+ * Parse JSON column (mysql2 returns JSON as object, older drivers as string)
+ */
+function parseJsonColumn(value) {
+  if (value === null || value === undefined || typeof value === 'object') {
+    return value ?? null;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Changes as readable text for Excel: "field: old → new"
+ */
+function formatChanges(changes) {
+  if (!changes) {
+    return '-';
+  }
+
+  return Object.entries(changes)
+    .map(([field, { from, to }]) => `${field}: ${from ?? '-'} → ${to ?? '-'}`)
+    .join('\n');
+}
+
+/**
+ * Get audit log list (filter by entity / action / actor / date range)
+ * GET /api/audit?customer_id=xxx&entity=payment&entity_id=1&action=approve&actor_id=1&date_from=2025-01-01&date_to=2025-01-31&page=1&limit=10
+ * type=excel - export all matching rows as Excel (no pagination)
+ */
+export const getAuditList = async (req, res) => {
+  try {
+    const { page, limit, customer_id, entity, entity_id, action, actor_id, date_from, date_to, type } = req.query;
+
+    const pageNum = page;
+    const limitNum = limit;
+    const offset = (pageNum - 1) * limitNum;
+
+    const db = getDatabase();
+
+    let whereClause = 'WHERE customer_id = ?';
+    const queryParams = [customer_id];
+
+    if (entity) {
+      whereClause += ' AND entity = ?';
+      queryParams.push(entity);
+    }
+
+    if (entity_id) {
+      whereClause += ' AND entity_id = ?';
+      queryParams.push(entity_id);
+    }
+
+    if (action) {
+      whereClause += ' AND action = ?';
+      queryParams.push(action);
+    }
+
+    if (actor_id) {
+      whereClause += ' AND actor_id = ?';
+      queryParams.push(actor_id);
+    }
+
+    if (date_from) {
+      whereClause += ' AND create_date >= ?';
+      queryParams.push(`${date_from} 00:00:00`);
+    }
+
+    if (date_to) {
+      whereClause += ' AND create_date <= ?';
+      queryParams.push(`${date_to} 23:59:59`);
+    }
+
+    const dataQuery = `
+      SELECT id, entity, entity_id, action, actor_id, actor_name, actor_type, ip_address, user_agent,
+             before_data, after_data, changes, customer_id, create_date
+      FROM ${TABLE_AUDIT_LOG}
+      ${whereClause}
+      ORDER BY create_date DESC, id DESC
+      ${type === 'excel' ? '' : `LIMIT ${limitNum} OFFSET ${offset}`}
+    `;
+
+    const [rows] = await db.execute(dataQuery, queryParams);
+
+    const formattedRows = addFormattedDatesToList(rows, ['create_date']).map(row => ({
+      ...row,
+      entity_text: AUDIT_ENTITIES[row.entity] || row.entity,
+      action_text: AUDIT_ACTIONS[row.action] || row.action,
+      before_data: parseJsonColumn(row.before_data),
+      after_data: parseJsonColumn(row.after_data),
+      changes: parseJsonColumn(row.changes)
+    }));
+
+    if (type === 'excel') {
+      const workbook = new ExcelJS.Workbook();
+      const worksheet = workbook.addWorksheet('Audit Log');
+
+      worksheet.columns = [
+        { header: 'วันที่', key: 'create_date', width: 22 },
+        { header: 'ข้อมูล', key: 'entity', width: 20 },
+        { header: 'รหัสข้อมูล', key: 'entity_id', width: 14 },
+        { header: 'การกระทำ', key: 'action', width: 16 },
+        { header: 'ผู้ดำเนินการ', key: 'actor', width: 22 },
+        { header: 'IP', key: 'ip_address', width: 18 },
+        { header: 'รายการที่เปลี่ยนแปลง', key: 'changes', width: 60 }
+      ];
+
+      const headerRow = worksheet.getRow(1);
+      headerRow.height = 25;
+
+      headerRow.eachCell({ includeEmpty: false }, (cell) => {
+        cell.font = { bold: true, color: { argb: 'FFFFFFFF' }, size: 12 };
+        cell.fill = {
+          type: 'pattern',
+          pattern: 'solid',
+          fgColor: { argb: 'FF4472C4' }
+        };
+        cell.alignment = { horizontal: 'center', vertical: 'middle' };
+        cell.border = {
+          top: { style: 'thin', color: { argb: 'FF000000' } },
+          left: { style: 'thin', color: { argb: 'FF000000' } },
+          bottom: { style: 'thin', color: { argb: 'FF000000' } },
+          right: { style: 'thin', color: { argb: 'FF000000' } }
+        };
+      });
+
+      formattedRows.forEach(row => {
+        const excelRow = worksheet.addRow({
+          create_date: row.create_date_formatted || '-',
+          entity: row.entity_text,
+          entity_id: row.entity_id || '-',
+          action: row.action_text,
+          actor: row.actor_name || (row.actor_id ? `ID ${row.actor_id}` : '-'),
+          ip_address: row.ip_address || '-',
+          changes: formatChanges(row.changes)
+        });
+
+        excelRow.eachCell((cell) => {
+          cell.border = {
+            top: { style: 'thin', color: { argb: 'FFD3D3D3' } },
+            left: { style: 'thin', color: { argb: 'FFD3D3D3' } },
+            bottom: { style: 'thin', color: { argb: 'FFD3D3D3' } },
+            right: { style: 'thin', color: { argb: 'FFD3D3D3' } }
+          };
+          cell.alignment = { vertical: 'top', wrapText: true };
+        });
+      });
+
+      const excelBuffer = await workbook.xlsx.writeBuffer();
+
+      const timestamp = new Date().toISOString().split('T')[0].replace(/-/g, '');
+      const fileName = `audit_log_${customer_id}_${timestamp}.xlsx`;
+
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      res.setHeader('Content-Length', excelBuffer.length);
+
+      return res.send(excelBuffer);
+    }
+
+    const [countResult] = await db.execute(
+      `SELECT COUNT(*) as total FROM ${TABLE_AUDIT_LOG} ${whereClause}`,
+      queryParams
+    );
+    const total = countResult[0].total;
+
+    res.json({
+      success: true,
+      data: formattedRows,
+      pagination: {
+        current_page: pageNum,
+        per_page: limitNum,
+        total: total,
+        total_pages: Math.ceil(total / limitNum),
+        has_next: pageNum * limitNum < total,
+        has_prev: pageNum > 1
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('List audit log error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch audit log',
+      message: error.message
+    });
+  }
+};
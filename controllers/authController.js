@@ -1,12 +1,52 @@
 import logger from '../utils/logger.js';
-import { getFirestore } from '../config/firebase.js';
 import jwt from 'jsonwebtoken';
+import { getDatabase } from '../config/database.js';
+import { verifyPortalToken, getBackendTokenOptions } from '../utils/jwtVerifier.js';
+import { getAllowedCustomers, clearAllowedSitesCache } from '../utils/allowedSites.js';
+import { createSession, refreshSession, revokeToken, revokeSession, revokeAllForUser } from '../utils/sessionStore.js';
+import { getActorId, getClientIp } from '../utils/requestContext.js';
+import { logSecurityEvent } from '../utils/securityLogger.js';
+import { checkLoginAllowed, recordLoginAttempt, recordLoginFailure, recordLoginSuccess } from '../utils/loginThrottle.js';
+import { addFormattedDatesToList } from '../utils/dateFormatter.js';
+
+const TABLE_LOGIN_AUDIT = 'login_audit';
+
+/**
+ * Helper function to insert login audit record
+ * Audit failure must never block login - errors are logged only
+ * @param {Object} req - Express request (ip, user-agent)
+ * @param {Object} data - { username, userid, status: 'success'|'failure'|'blocked', reason }
+ * @returns {Promise<number|null>} Inserted ID
+ */
+async function insertLoginAudit(req, { username, userid = null, status, reason = null }) {
+  try {
+    const db = getDatabase();
+    const [result] = await db.execute(
+      `INSERT INTO ${TABLE_LOGIN_AUDIT} (username, userid, ip_address, user_agent, status, reason)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        String(username).trim().substring(0, 255),
+        userid,
+        getClientIp(req),
+        (req.headers['user-agent'] || '').substring(0, 500) || null,
+        status,
+        reason
+      ]
+    );
+    return result.insertId;
+  } catch (error) {
+    logger.error('Insert login audit error:', error);
+    return null;
+  }
+}
 
 /**
  * Login endpoint - Forwards credentials to Portal API and returns JWT
+ * When BACKEND_JWT_SECRET is set, returns a short-lived backend access token + refresh token
+ * (Portal token is kept server side in auth_session), otherwise returns the Portal token
  * @route POST /api/auth/login
  * @body { username, password }
- * @returns { success, data: { token, user }, message }
+ * @returns { success, data: { token, refresh_token?, expires_in?, user }, message }
  */
 export async function login(req, res) {
   try {
@@ -22,13 +62,34 @@ export async function login(req, res) {
       });
     }
 
-    // 2. Get Portal API URL from environment
+    // 2. Throttling / lockout (per IP and per username)
+    const ip = getClientIp(req);
+    const throttle = checkLoginAllowed(username, ip);
+
+    if (!throttle.allowed) {
+      logger.warn(`Login blocked for user ${username} from ${ip}: ${throttle.reason}`);
+      await insertLoginAudit(req, { username, status: 'blocked', reason: throttle.reason });
+
+      res.set('Retry-After', String(throttle.retry_after));
+      return res.status(429).json({
+        success: false,
+        error: throttle.reason === 'locked' ? 'Account temporarily locked' : 'Too many login attempts',
+        message: throttle.reason === 'locked'
+          ? `บัญชีถูกล็อกชั่วคราวเนื่องจากเข้าสู่ระบบผิดหลายครั้ง กรุณาลองใหม่ใน ${Math.ceil(throttle.retry_after / 60)} นาที`
+          : `มีการพยายามเข้าสู่ระบบมากเกินไป กรุณาลองใหม่ใน ${Math.ceil(throttle.retry_after / 60)} นาที`,
+        retry_after: throttle.retry_after
+      });
+    }
+
+    recordLoginAttempt(ip);
+
+    // 3. Get Portal API URL from environment
     const portalApiUrl = process.env.PORTAL_API_URL || 'https://portal-api.example.com';
     const loginEndpoint = `${portalApiUrl}/api/login`;
 
-    logger.info(`Login attempt for user: ${username}`);
+    logger.info(`Login attempt for user: ${username} from ${ip}`);
 
-    // 3. Call Portal login API
+    // 4. Call Portal login API
     try {
       // Portal API requires application/x-www-form-urlencoded format
       const formData = new URLSearchParams();
@@ -49,13 +110,25 @@ export async function login(req, res) {
 
       const portalData = await portalResponse.json();
 
-      // Log Portal response for debugging
+      // Log Portal response for debugging (body contains JWT - log field names only)
       logger.info(`Portal API response status: ${portalResponse.status}`);
-      logger.info(`Portal API response body: ${JSON.stringify(portalData)}`);
+      logger.debug(`Portal API response fields: ${Object.keys(portalData || {}).join(', ')}`);
 
-      // 4. Handle Portal API response
+      // 5. Handle Portal API response
       if (!portalResponse.ok) {
         logger.warn(`Portal login failed for user ${username}: ${portalData.message || 'Unknown error'}`);
+
+        // นับเฉพาะ credential ผิด (4xx) - Portal ล่ม (5xx) ไม่นับเป็น failure
+        let locked = false;
+        if (portalResponse.status >= 400 && portalResponse.status < 500) {
+          locked = recordLoginFailure(username);
+        }
+        await insertLoginAudit(req, {
+          username,
+          status: 'failure',
+          reason: locked ? `portal_${portalResponse.status}_locked` : `portal_${portalResponse.status}`
+        });
+
         return res.status(portalResponse.status).json({
           success: false,
           error: portalData.error || 'Login failed',
@@ -63,14 +136,15 @@ export async function login(req, res) {
         });
       }
 
-      // 5. Extract JWT token and user info from Portal response
+      // 6. Extract JWT token and user info from Portal response
       // Portal API returns token in "JWT" field (uppercase)
       const token = portalData.JWT || portalData.data?.token || portalData.token || portalData.data?.access_token || portalData.access_token;
       const userInfo = portalData.data?.user || portalData.user || portalData.data;
 
       if (!token) {
         logger.error('Portal API did not return a token');
-        logger.error(`Portal response structure: ${JSON.stringify(portalData)}`);
+        logger.error(`Portal response fields: ${Object.keys(portalData || {}).join(', ')}`);
+        await insertLoginAudit(req, { username, status: 'failure', reason: 'portal_no_token' });
         return res.status(500).json({
           success: false,
           error: 'Invalid response from Portal',
@@ -78,17 +152,70 @@ export async function login(req, res) {
         });
       }
 
-      // 6. Decode JWT to extract user info from values object
-      const decoded = jwt.decode(token);
+      // 7. Verify JWT before handing it to frontend, then extract user info from values object
+      let decoded;
+      try {
+        decoded = verifyPortalToken(token);
+      } catch (verifyError) {
+        logger.error(`Portal returned a token that failed verification for user ${username}: ${verifyError.message}`);
+        await insertLoginAudit(req, { username, status: 'failure', reason: 'invalid_portal_token' });
+        return res.status(502).json({
+          success: false,
+          error: 'Invalid token from Portal',
+          message: 'เกิดข้อผิดพลาดในการเข้าสู่ระบบ'
+        });
+      }
+
       const userValues = decoded?.values || {};
 
       logger.info(`Login successful for user: ${username} (userid: ${userValues.userid}, userlevel: ${userValues.userlevel})`);
 
-      // 7. Return JWT and user info to frontend
+      recordLoginSuccess(username);
+      const auditId = await insertLoginAudit(req, { username, userid: userValues.userid || null, status: 'success' });
+
+      // เก็บ customer ที่ user เข้าถึงได้ไว้ใน audit (ใช้กรอง failed login ตาม customer) - ไม่รอผล
+      if (auditId && userValues.userid) {
+        getAllowedCustomers({
+          userid: userValues.userid,
+          userlevel: userValues.userlevel,
+          username: userValues.username || username,
+          token
+        })
+          .then(customers => getDatabase().execute(
+            `UPDATE ${TABLE_LOGIN_AUDIT} SET customer_ids = ? WHERE id = ?`,
+            [JSON.stringify(customers.map(customer => String(customer.customer_id))), auditId]
+          ))
+          .catch(error => logger.warn(`Could not record customers for login audit ${auditId}: ${error.message}`));
+      }
+
+      // 8. Wrap Portal token in backend session (short-lived access token + refresh token)
+      let tokenData = { token: token };
+      if (getBackendTokenOptions().secret) {
+        const session = await createSession(
+          {
+            userid: userValues.userid,
+            userlevel: userValues.userlevel,
+            username: userValues.username || username,
+            userprimarykey: userValues.userprimarykey
+          },
+          token,
+          decoded,
+          req
+        );
+
+        tokenData = {
+          token: session.access_token,
+          token_type: 'Bearer',
+          expires_in: session.expires_in,
+          refresh_token: session.refresh_token
+        };
+      }
+
+      // 9. Return JWT and user info to frontend
       return res.status(200).json({
         success: true,
         data: {
-          token: token,
+          ...tokenData,
           user: {
             userid: userValues.userid || null,
             username: userValues.username || username,
@@ -128,16 +255,30 @@ export async function login(req, res) {
  */
 export async function verifyToken(req, res) {
   try {
-    // Token already verified by authenticateJWT middleware
-    // Just return user info from req.user
+    // Token already verified (and checked for revocation) by authenticateJWT middleware
+    const decoded = req.auth.payload;
+
+    // ไม่ส่ง Portal token กลับไป (กรณีใช้ backend access token)
+    const { token, ...user } = req.user;
+
     return res.status(200).json({
       success: true,
       data: {
-        user: req.user
+        user: user,
+        expires_at: decoded.exp ? new Date(decoded.exp * 1000).toISOString() : null
       },
       message: 'Token ถูกต้อง'
     });
   } catch (error) {
+    if (error instanceof jwt.JsonWebTokenError) {
+      logger.warn(`Verify token failed: ${error.message}`);
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid token',
+        message: 'Token ไม่ถูกต้อง กรุณา Login ใหม่'
+      });
+    }
+
     logger.error('Verify token error:', error);
     return res.status(500).json({
       success: false,
@@ -148,106 +289,160 @@ export async function verifyToken(req, res) {
 }
 
 /**
- * Get allowed sites endpoint - Returns list of customers user can access
- * @route GET /api/auth/customer_list
+ * Logout endpoint - Revokes the current token (and its backend session)
+ * @route POST /api/auth/logout
  * @header Authorization: Bearer <token>
- * @returns { success, data: { customers }, message }
+ * @returns { success, message }
  */
-export async function getAllowedSites(req, res) {
+export async function logout(req, res) {
   try {
-    // 1. Get Portal API URL from environment
-    const portalApiUrl = process.env.PORTAL_API_URL || 'https://dev-portal.koder3.com';
-    const allowSitesEndpoint = `${portalApiUrl}/api/user/${req.user.userid}/${req.user.userlevel}/allow_sites`;
+    const actorId = getActorId(req);
 
-    logger.debug(`Getting allowed sites for user ${req.user.username} (userid: ${req.user.userid}, userlevel: ${req.user.userlevel})`);
+    await revokeToken(req.auth.token, req.auth.payload, actorId, 'logout');
 
-    // 2. Call Portal allow_sites API
-    try {
-      const allowSitesResponse = await fetch(allowSitesEndpoint, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${req.user.token}`,
-          'Content-Type': 'application/json'
-        }
+    if (req.auth.session_id) {
+      await revokeSession(req.auth.session_id, actorId);
+    }
+
+    clearAllowedSitesCache(req.user);
+
+    logger.info(`User logged out: ${req.user.username} (userid: ${req.user.userid})`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'ออกจากระบบสำเร็จ'
+    });
+  } catch (error) {
+    logger.error('Logout error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'เกิดข้อผิดพลาดในการออกจากระบบ'
+    });
+  }
+}
+
+/**
+ * Refresh endpoint - Rotates refresh token and issues new backend access token
+ * @route POST /api/auth/refresh
+ * @body { refresh_token }
+ * @returns { success, data: { token, token_type, expires_in, refresh_token }, message }
+ */
+export async function refreshToken(req, res) {
+  try {
+    const { refresh_token } = req.body;
+
+    if (!getBackendTokenOptions().secret) {
+      return res.status(400).json({
+        success: false,
+        error: 'Refresh token not supported',
+        message: 'ระบบไม่รองรับการต่ออายุ token กรุณา Login ใหม่'
       });
+    }
 
-      if (!allowSitesResponse.ok) {
-        logger.error(`Portal API returned status ${allowSitesResponse.status}`);
+    const session = await refreshSession(refresh_token);
 
-        // If 401/403, token might be expired
-        if (allowSitesResponse.status === 401 || allowSitesResponse.status === 403) {
-          return res.status(401).json({
-            success: false,
-            error: 'Token expired or invalid',
-            message: 'Token หมดอายุ กรุณา Login ใหม่'
-          });
-        }
+    if (!session) {
+      logSecurityEvent('invalid_refresh_token', req);
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid refresh token',
+        message: 'Refresh token ไม่ถูกต้องหรือหมดอายุ กรุณา Login ใหม่'
+      });
+    }
 
-        return res.status(allowSitesResponse.status).json({
-          success: false,
-          error: 'Failed to get allowed sites',
-          message: 'ไม่สามารถดึงข้อมูลสิทธิ์การเข้าถึงได้'
-        });
-      }
+    return res.status(200).json({
+      success: true,
+      data: {
+        token: session.access_token,
+        token_type: 'Bearer',
+        expires_in: session.expires_in,
+        refresh_token: session.refresh_token
+      },
+      message: 'ต่ออายุ token สำเร็จ'
+    });
+  } catch (error) {
+    logger.error('Refresh token error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'เกิดข้อผิดพลาดในการต่ออายุ token'
+    });
+  }
+}
 
-      const allowSitesData = await allowSitesResponse.json();
-
-      // 3. Query Firebase to convert k_product_customer_name → customer_code
-      const customers = [];
-      const db = getFirestore();
-
-      if (allowSitesData.data && allowSitesData.data.sites && Array.isArray(allowSitesData.data.sites)) {
-        for (const site of allowSitesData.data.sites) {
-          if (site.k_product_customer_name) {
-            try {
-              // Query Firebase: customer WHERE name = k_product_customer_name
-              const customerSnapshot = await db.collection('customer')
-                .where('name', '==', site.k_product_customer_name)
-                .limit(1)
-                .get();
-
-              if (!customerSnapshot.empty) {
-                const customerDoc = customerSnapshot.docs[0];
-                const customerData = customerDoc.data();
-
-                customers.push({
-                  customer_id: customerData.customer_code || null,
-                  customer_name: site.k_product_customer_name,
-                  site_name: site.site_name || null,
-                  site_code: site.site_code || null
-                });
-
-                logger.debug(`Mapped customer "${site.k_product_customer_name}" to code "${customerData.customer_code}"`);
-              } else {
-                logger.warn(`No customer found in Firebase for name: ${site.k_product_customer_name}`);
-                // Still add to list but with null customer_id
-                customers.push({
-                  customer_id: null,
-                  customer_name: site.k_product_customer_name,
-                  site_name: site.site_name || null,
-                  site_code: site.site_code || null
-                });
-              }
-            } catch (firebaseError) {
-              logger.error(`Error querying Firebase for customer ${site.k_product_customer_name}:`, firebaseError);
-              // Still add to list but with null customer_id
-              customers.push({
-                customer_id: null,
-                customer_name: site.k_product_customer_name,
-                site_name: site.site_name || null,
-                site_code: site.site_code || null
-              });
-            }
-          }
-        }
-      }
+/**
+ * Revoke all sessions of a user (admin)
+ * Target user must have logged in with access to this customer
+ * @route POST /api/auth/revoke_user_sessions
+ * @body { customer_id, userid, reason? }
+ * @returns { success, data: { userid, revoked_sessions }, message }
+ */
+export async function revokeUserSessions(req, res) {
+  try {
+    const { customer_id, userid, reason } = req.body;
 
-      // 4. Filter out customers with null customer_id
-      const validCustomers = customers.filter(customer => customer.customer_id !== null);
+    const targetUserId = parseInt(userid);
+    const db = getDatabase();
 
-      logger.info(`User ${req.user.username} has access to ${validCustomers.length} customers (${customers.length - validCustomers.length} filtered out due to missing customer_id)`);
+    // จำกัดให้ revoke ได้เฉพาะ user ของโครงการนี้
+    const [userRows] = await db.execute(
+      `SELECT id FROM ${TABLE_LOGIN_AUDIT}
+       WHERE userid = ? AND status = 'success' AND JSON_CONTAINS(customer_ids, JSON_QUOTE(?))
+       LIMIT 1`,
+      [targetUserId, String(customer_id)]
+    );
+
+    if (userRows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+        message: 'ไม่พบผู้ใช้งานนี้ในโครงการ'
+      });
+    }
+
+    const actorId = getActorId(req);
+    const revokedSessions = await revokeAllForUser(targetUserId, actorId, reason ? String(reason).substring(0, 100) : 'revoke_all');
+
+    logSecurityEvent('revoke_user_sessions', req, {
+      customer_id: customer_id,
+      target_userid: targetUserId,
+      revoked_sessions: revokedSessions
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        userid: targetUserId,
+        revoked_sessions: revokedSessions,
+        revoke_by: actorId
+      },
+      message: 'ยกเลิก Session ทั้งหมดของผู้ใช้งานสำเร็จ',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Revoke user sessions error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'เกิดข้อผิดพลาดในการยกเลิก Session'
+    });
+  }
+}
 
-      // 5. Return customer list (only valid customers)
+/**
+ * Get allowed sites endpoint - Returns list of customers user can access
+ * @route GET /api/auth/customer_list
+ * @header Authorization: Bearer <token>
+ * @returns { success, data: { customers }, message }
+ */
+export async function getAllowedSites(req, res) {
+  try {
+    // 1. Call Portal allow_sites API (always refresh - also warms the cache used by verifyCustomerAccess)
+    try {
+      const validCustomers = await getAllowedCustomers(req.user, { forceRefresh: true });
+
+      // 2. Return customer list (only valid customers)
       return res.status(200).json({
         success: true,
         data: {
@@ -258,6 +453,23 @@ export async function getAllowedSites(req, res) {
       });
 
     } catch (fetchError) {
+      // If 401/403, token might be expired
+      if (fetchError.status === 401 || fetchError.status === 403) {
+        return res.status(401).json({
+          success: false,
+          error: 'Token expired or invalid',
+          message: 'Token หมดอายุ กรุณา Login ใหม่'
+        });
+      }
+
+      if (fetchError.status) {
+        return res.status(fetchError.status).json({
+          success: false,
+          error: 'Failed to get allowed sites',
+          message: 'ไม่สามารถดึงข้อมูลสิทธิ์การเข้าถึงได้'
+        });
+      }
+
       logger.error('Error calling Portal allow_sites API:', fetchError);
       return res.status(500).json({
         success: false,
@@ -275,3 +487,72 @@ export async function getAllowedSites(req, res) {
     });
   }
 }
+
+/**
+ * Get recent failed logins of a customer's staff
+ * Staff = usernames that have logged in successfully with access to this customer
+ * @route GET /api/auth/failed_logins?customer_id=xxx&page=1&limit=20&days=7
+ * @header Authorization: Bearer <token>
+ * @returns { success, data: [...], pagination }
+ */
+export async function getFailedLogins(req, res) {
+  try {
+    const { customer_id, page = 1, limit = 20, days = 7 } = req.query;
+
+    const pageNum = parseInt(page) || 1;
+    const limitNum = parseInt(limit) || 20;
+    const offset = (pageNum - 1) * limitNum;
+    const daysNum = parseInt(days) || 7;
+
+    const db = getDatabase();
+
+    const whereClause = `
+      WHERE la.status IN ('failure', 'blocked')
+        AND la.create_date >= DATE_SUB(NOW(), INTERVAL ? DAY)
+        AND la.username IN (
+          SELECT DISTINCT s.username FROM ${TABLE_LOGIN_AUDIT} s
+          WHERE s.status = 'success' AND JSON_CONTAINS(s.customer_ids, JSON_QUOTE(?))
+        )
+    `;
+    const queryParams = [daysNum, String(customer_id)];
+
+    const [countRows] = await db.execute(
+      `SELECT COUNT(*) as total FROM ${TABLE_LOGIN_AUDIT} la ${whereClause}`,
+      queryParams
+    );
+    const total = countRows[0].total;
+
+    const [rows] = await db.execute(
+      `SELECT la.id, la.username, la.userid, la.ip_address, la.user_agent, la.status, la.reason, la.create_date
+       FROM ${TABLE_LOGIN_AUDIT} la
+       ${whereClause}
+       ORDER BY la.create_date DESC, la.id DESC
+       LIMIT ${limitNum} OFFSET ${offset}`,
+      queryParams
+    );
+
+    const totalPages = Math.ceil(total / limitNum);
+
+    return res.json({
+      success: true,
+      data: addFormattedDatesToList(rows, ['create_date']),
+      pagination: {
+        current_page: pageNum,
+        per_page: limitNum,
+        total: total,
+        total_pages: totalPages,
+        has_next: pageNum < totalPages,
+        has_prev: pageNum > 1
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Get failed logins error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'เกิดข้อผิดพลาดในการดึงข้อมูลการเข้าสู่ระบบที่ล้มเหลว'
+    });
+  }
+}
@@ -1,8 +1,10 @@
 import { getDatabase } from '../config/database.js';
 import logger from '../utils/logger.js';
+import { getActorId } from '../utils/requestContext.js';
 import { addFormattedDatesToList, addFormattedDates } from '../utils/dateFormatter.js';
 import { getFileUrl } from '../utils/storageManager.js';
 import { getFirestore } from '../config/firebase.js';
+import { getAuditSnapshot, writeAuditLog } from '../utils/auditLog.js';
 
 const MENU = 'bank';
 const TABLE_INFORMATION = `${MENU}_information`;
@@ -61,23 +63,8 @@ function enrichBankWithMasterData(bank, masterBankList) {
  */
 export const insertBank = async (req, res) => {
   try {
-    const { upload_key, bank_account, bank_id, bank_no, type, status, customer_id, uid } = req.body;
-
-    // Validate required fields
-    const requiredFields = [];
-    if (!upload_key) requiredFields.push('upload_key');
-    if (!customer_id) requiredFields.push('customer_id');
-    if (!status) requiredFields.push('status');
-    if (!uid) requiredFields.push('uid');
-
-    if (requiredFields.length > 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields',
-        message: `กรุณากรอกข้อมูลที่จำเป็น: ${requiredFields.join(', ')}`,
-        required: requiredFields
-      });
-    }
+    const { upload_key, bank_account, bank_id, bank_no, type, status, customer_id } = req.body;
+    const uid = getActorId(req);
 
     const db = getDatabase();
 
@@ -115,6 +102,13 @@ export const insertBank = async (req, res) => {
 
     logger.info(`Bank inserted: ID ${result.insertId} by user ${uid}`);
 
+    await writeAuditLog(db, req, {
+      entity: 'bank',
+      entityId: result.insertId,
+      action: 'create',
+      after: await getAuditSnapshot(db, TABLE_INFORMATION, result.insertId)
+    });
+
     res.json({
       success: true,
       message: 'เพิ่มข้อมูลธนาคารสำเร็จ',
@@ -149,16 +143,6 @@ export const getBankList = async (req, res) => {
   try {
     const { page = 1, limit = 10, keyword, customer_id } = req.query;
 
-    // Validate required parameters
-    if (!customer_id || customer_id.trim() === '') {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields',
-        message: 'กรุณาระบุ customer_id',
-        required: ['customer_id']
-      });
-    }
-
     const pageNum = parseInt(page) || 1;
     const limitNum = parseInt(limit) || 10;
     const offset = (pageNum - 1) * limitNum;
@@ -270,10 +254,10 @@ export const getBankDetail = async (req, res) => {
       SELECT id, upload_key, bank_account, bank_id, bank_no, type, status, customer_id,
              create_date, create_by, update_date, update_by, delete_date, delete_by
       FROM ${TABLE_INFORMATION}
-      WHERE id = ? AND status != 2
+      WHERE id = ? AND customer_id = ? AND status != 2
     `;
 
-    const [rows] = await db.execute(query, [parseInt(id)]);
+    const [rows] = await db.execute(query, [parseInt(id), req.customer_id]);
 
     if (rows.length === 0) {
       return res.status(404).json({
@@ -345,27 +329,14 @@ export const getBankDetail = async (req, res) => {
  */
 export const updateBank = async (req, res) => {
   try {
-    const { id, bank_account, bank_id, bank_no, type, status, uid } = req.body;
-
-    // Validate required fields
-    const requiredFields = [];
-    if (!id) requiredFields.push('id');
-    if (!uid) requiredFields.push('uid');
-
-    if (requiredFields.length > 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields',
-        message: `กรุณากรอกข้อมูลที่จำเป็น: ${requiredFields.join(', ')}`,
-        required: requiredFields
-      });
-    }
+    const { id, bank_account, bank_id, bank_no, type, status } = req.body;
+    const uid = getActorId(req);
 
     const db = getDatabase();
 
     // Check if bank exists and get upload_key
-    const checkQuery = `SELECT id, upload_key FROM ${TABLE_INFORMATION} WHERE id = ? AND status != 2`;
-    const [currentRows] = await db.execute(checkQuery, [parseInt(id)]);
+    const checkQuery = `SELECT id, upload_key FROM ${TABLE_INFORMATION} WHERE id = ? AND customer_id = ? AND status != 2`;
+    const [currentRows] = await db.execute(checkQuery, [parseInt(id), req.customer_id]);
 
     if (currentRows.length === 0) {
       return res.status(404).json({
@@ -376,6 +347,7 @@ export const updateBank = async (req, res) => {
     }
 
     const uploadKey = currentRows[0].upload_key;
+    const before = await getAuditSnapshot(db, TABLE_INFORMATION, parseInt(id));
 
     // Update only the latest attachment from status=0 to status=1 for this upload_key
     const updateAttachmentQuery = `
@@ -433,19 +405,27 @@ export const updateBank = async (req, res) => {
     updateFields.push('update_by = ?');
     updateValues.push(parseInt(uid));
 
-    // Add id to the end of values array
-    updateValues.push(parseInt(id));
+    // Add id and customer_id to the end of values array
+    updateValues.push(parseInt(id), req.customer_id);
 
     const updateQuery = `
       UPDATE ${TABLE_INFORMATION}
       SET ${updateFields.join(', ')}
-      WHERE id = ?
+      WHERE id = ? AND customer_id = ?
     `;
 
     await db.execute(updateQuery, updateValues);
 
     logger.info(`Bank updated: ID ${id} by user ${uid}`);
 
+    await writeAuditLog(db, req, {
+      entity: 'bank',
+      entityId: parseInt(id),
+      action: 'update',
+      before,
+      after: await getAuditSnapshot(db, TABLE_INFORMATION, parseInt(id))
+    });
+
     res.json({
       success: true,
       message: 'อัปเดตข้อมูลธนาคารสำเร็จ',
@@ -471,27 +451,14 @@ export const updateBank = async (req, res) => {
  */
 export const deleteBank = async (req, res) => {
   try {
-    const { id, uid } = req.body;
-
-    // Validate required fields
-    const requiredFields = [];
-    if (!id) requiredFields.push('id');
-    if (!uid) requiredFields.push('uid');
-
-    if (requiredFields.length > 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields',
-        message: `กรุณากรอกข้อมูลที่จำเป็น: ${requiredFields.join(', ')}`,
-        required: requiredFields
-      });
-    }
+    const { id } = req.body;
+    const uid = getActorId(req);
 
     const db = getDatabase();
 
     // Check if bank exists
-    const checkQuery = `SELECT id FROM ${TABLE_INFORMATION} WHERE id = ? AND status != 2`;
-    const [rows] = await db.execute(checkQuery, [parseInt(id)]);
+    const checkQuery = `SELECT id FROM ${TABLE_INFORMATION} WHERE id = ? AND customer_id = ? AND status != 2`;
+    const [rows] = await db.execute(checkQuery, [parseInt(id), req.customer_id]);
 
     if (rows.length === 0) {
       return res.status(404).json({
@@ -501,19 +468,29 @@ export const deleteBank = async (req, res) => {
       });
     }
 
+    const before = await getAuditSnapshot(db, TABLE_INFORMATION, parseInt(id));
+
     // Soft delete (set status=2)
     const deleteQuery = `
       UPDATE ${TABLE_INFORMATION}
       SET status = 2,
           delete_date = NOW(),
           delete_by = ?
-      WHERE id = ?
+      WHERE id = ? AND customer_id = ?
     `;
 
-    await db.execute(deleteQuery, [parseInt(uid), parseInt(id)]);
+    await db.execute(deleteQuery, [parseInt(uid), parseInt(id), req.customer_id]);
 
     logger.info(`Bank deleted (soft): ID ${id} by user ${uid}`);
 
+    await writeAuditLog(db, req, {
+      entity: 'bank',
+      entityId: parseInt(id),
+      action: 'delete',
+      before,
+      after: await getAuditSnapshot(db, TABLE_INFORMATION, parseInt(id))
+    });
+
     res.json({
       success: true,
       message: 'ลบข้อมูลธนาคารสำเร็จ',
@@ -1,129 +1,34 @@
-import { getDatabase } from '../config/database.js';
+import { getDatabase, withTransaction } from '../config/database.js';
 import logger from '../utils/logger.js';
+import { getActorId } from '../utils/requestContext.js';
 import { addFormattedDates, addFormattedDatesToList } from '../utils/dateFormatter.js';
 import { formatNumber, formatPrice } from '../utils/numberFormatter.js';
-import { getUploadType } from '../utils/storageManager.js';
 import { insertNotificationAuditForBill } from '../utils/notificationHelper.js';
+import { generateDocumentNumber, generateDocumentNumbers } from '../utils/documentNumber.js';
+import { BILL_STATUS, BILL_ROOM_STATUS, StatusTransitionError, getStatusLabel, getStatusList, transitionStatus } from '../utils/statusMachine.js';
+import { getAuditSnapshot, writeAuditLog } from '../utils/auditLog.js';
+import { formatExpireDate, insertBillAudit, sendBillRecord } from '../utils/billHelper.js';
+import { autoApplyHouseCredit, reverseBillCredit } from '../utils/houseCredit.js';
+import { getItemVatRate, insertBillRoomItems, matchItemColumns, readExcelRowItems } from '../utils/billRoomItem.js';
+import { readExcelFile } from '../utils/excelReader.js';
+import { generateFeeRuleBill } from '../utils/roomFee.js';
+import { getPeriodOf } from '../utils/billScheduler.js';
+import { releaseBillReadings } from '../utils/meter.js';
 import xlsx from 'xlsx';
 import ExcelJS from 'exceljs';
-import fs from 'fs';
-import https from 'https';
-import http from 'http';
 
 const MENU = 'bill';
 const TABLE_INFORMATION = `${MENU}_information`;
 const TABLE_ROOM = `${MENU}_room_information`;
 const TABLE_TYPE = `${MENU}_type_information`;
 const TABLE_ATTACHMENT = `${MENU}_attachment`;
-const TABLE_AUDIT = `${MENU}_audit_information`;
 
-/**
- * Helper function to format expire_date to end of day (23:59:59)
- * @param {string|Date} dateInput - Date input (can be string or Date object)
- * @returns {string} Formatted date string in YYYY-MM-DD HH:mm:ss format
- */
-function formatExpireDate(dateInput) {
-  const d = new Date(dateInput);
-
-  // Set to end of day (23:59:59)
-  d.setHours(23, 59, 59, 0);
-
-  // Format to MySQL datetime format: YYYY-MM-DD HH:mm:ss
-  const year = d.getFullYear();
-  const month = String(d.getMonth() + 1).padStart(2, '0');
-  const day = String(d.getDate()).padStart(2, '0');
-  const hours = String(d.getHours()).padStart(2, '0');
-  const minutes = String(d.getMinutes()).padStart(2, '0');
-  const seconds = String(d.getSeconds()).padStart(2, '0');
-
-  return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
-}
-
-/**
- * Helper function to insert bill audit log
- * @param {Object} db - Database connection
- * @param {number} billId - Bill ID
- * @param {number} status - Status value
- * @param {number} userId - User ID who made the change
- */
-async function insertBillAudit(db, billId, status, userId) {
-  const insertLogQuery = `
-    INSERT INTO ${TABLE_AUDIT} (bill_id, status, create_by)
-    VALUES (?, ?, ?)
-  `;
-
-  await db.execute(insertLogQuery, [billId, status, userId]);
-  logger.debug(`Bill audit log inserted: bill_id=${billId}, status=${status}, user=${userId}`);
-}
-
-/**
- * Helper function to read file from Firebase URL or Local path
- * @param {string} filePath - Firebase URL or local file path
- * @param {string} fileExt - File extension (xlsx, xls, csv)
- * @returns {Promise<Object>} xlsx workbook object
- */
-async function readExcelFile(filePath, fileExt) {
-  const uploadType = getUploadType();
-
-  if (uploadType === 'firebase' || filePath.startsWith('http://') || filePath.startsWith('https://')) {
-    // Firebase mode: fetch file from URL
-    return new Promise((resolve, reject) => {
-      const protocol = filePath.startsWith('https://') ? https : http;
-
-      protocol.get(filePath, (response) => {
-        if (response.statusCode !== 200) {
-          return reject(new Error(`Failed to fetch file: HTTP ${response.statusCode}`));
-        }
-
-        const chunks = [];
-        response.on('data', (chunk) => chunks.push(chunk));
-        response.on('end', () => {
-          try {
-            const buffer = Buffer.concat(chunks);
-
-            let workbook;
-            if (fileExt === 'csv') {
-              const fileContent = buffer.toString('utf8');
-              workbook = xlsx.read(fileContent, { type: 'string', codepage: 65001 });
-            } else {
-              workbook = xlsx.read(buffer, { type: 'buffer' });
-            }
-
-            resolve(workbook);
-          } catch (error) {
-            reject(error);
-          }
-        });
-        response.on('error', reject);
-      }).on('error', reject);
-    });
-  } else {
-    // Project mode: read from local file
-    if (!fs.existsSync(filePath)) {
-      throw new Error('File not found on server');
-    }
-
-    if (fileExt === 'csv') {
-      const fileContent = fs.readFileSync(filePath, 'utf8');
-      return xlsx.read(fileContent, { type: 'string', codepage: 65001 });
-    } else {
-      return xlsx.readFile(filePath);
-    }
-  }
-}
+const PERIOD_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
 
 export const insertBill = async (req, res) => {
   try {
-    const { upload_key, title, bill_type_id, detail, expire_date, customer_id, status, remark, uid } = req.body;
-
-    if (!upload_key || !title || !bill_type_id || !detail || !expire_date || !customer_id || status === undefined || !uid) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields',
-        message: 'กรุณากรอกข้อมูลที่จำเป็น: upload_key, title, bill_type_id, detail, expire_date, customer_id, status, uid',
-        required: ['upload_key', 'title', 'bill_type_id', 'detail', 'expire_date', 'customer_id', 'status', 'uid']
-      });
-    }
+    const { upload_key, title, bill_type_id, detail, expire_date, customer_id, status, remark } = req.body;
+    const uid = getActorId(req);
 
     const db = getDatabase();
 
@@ -155,6 +60,12 @@ export const insertBill = async (req, res) => {
 
     // Insert bill audit log
     await insertBillAudit(db, result.insertId, parseInt(status), uid);
+    await writeAuditLog(db, req, {
+      entity: 'bill',
+      entityId: result.insertId,
+      action: 'create',
+      after: await getAuditSnapshot(db, TABLE_INFORMATION, result.insertId)
+    });
 
     res.json({
       success: true,
@@ -187,44 +98,14 @@ export const insertBill = async (req, res) => {
 
 export const updateBill = async (req, res) => {
   try {
-    const { id, title, bill_type_id, detail, expire_date, status, remark, uid, delete_rows } = req.body;
-
-    if (!id || !title || !bill_type_id || !detail || !expire_date || status === undefined || !uid) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields',
-        message: 'กรุณากรอกข้อมูลที่จำเป็น: id, title, bill_type_id, detail, expire_date, status, uid',
-        required: ['id', 'title', 'bill_type_id', 'detail', 'expire_date', 'status', 'uid']
-      });
-    }
+    const { id, title, bill_type_id, detail, expire_date, status, remark, delete_rows } = req.body;
+    const uid = getActorId(req);
 
     const db = getDatabase();
 
-    // Parse delete_rows (optional, default = [])
-    // รองรับทั้ง JSON array และ string
-    let deleteRowsArray = [];
-
-    if (Array.isArray(delete_rows)) {
-      // กรณีส่งมาเป็น JSON array: [1, 2, 3]
-      deleteRowsArray = delete_rows.map(num => parseInt(num));
-    } else if (typeof delete_rows === 'string' && delete_rows.trim() !== '') {
-      // กรณีส่งมาเป็น string: "[1,2,3]" หรือ "1,2,3"
-      try {
-        const parsed = JSON.parse(delete_rows);
-        if (Array.isArray(parsed)) {
-          deleteRowsArray = parsed.map(num => parseInt(num));
-        }
-      } catch {
-        // ถ้า parse ไม่ได้ ลองแยกด้วย comma
-        deleteRowsArray = delete_rows.split(',')
-          .map(str => parseInt(str.trim()))
-          .filter(num => !isNaN(num));
-      }
-    }
-
     // Check current status to determine if we need to set send_date
-    const checkQuery = `SELECT status, send_date, customer_id FROM ${TABLE_INFORMATION} WHERE id = ? AND status != 2`;
-    const [currentRows] = await db.execute(checkQuery, [id]);
+    const checkQuery = `SELECT status, send_date, customer_id FROM ${TABLE_INFORMATION} WHERE id = ? AND customer_id = ? AND status != 2`;
+    const [currentRows] = await db.execute(checkQuery, [id, req.customer_id]);
 
     if (currentRows.length === 0) {
       return res.status(404).json({
@@ -238,46 +119,57 @@ export const updateBill = async (req, res) => {
     const currentSendDate = currentRows[0].send_date;
     const billCustomerId = currentRows[0].customer_id;
 
-    // Start transaction
-    await db.query('START TRANSACTION');
+    // Step 1-3 ทำใน transaction เดียวกัน
+    const outcome = await withTransaction(async (connection) => {
+      const before = await getAuditSnapshot(connection, TABLE_INFORMATION, id);
 
-    try {
       // Step 1: Soft delete bill_room_information rows if delete_rows is provided
       let deletedCount = 0;
-      if (deleteRowsArray.length > 0) {
+      if (delete_rows.length > 0) {
         // Get all bill_room_information for this bill
         const billRoomQuery = `
-          SELECT id
+          SELECT id, status
           FROM ${TABLE_ROOM}
           WHERE bill_id = ? AND status != 2
           ORDER BY create_date ASC
+          FOR UPDATE
         `;
-        const [billRoomRows] = await db.execute(billRoomQuery, [id]);
+        const [billRoomRows] = await connection.execute(billRoomQuery, [id]);
 
-        // Map row_number to actual IDs
-        const idsToDelete = [];
-        deleteRowsArray.forEach(rowNum => {
+        // Map row_number to actual rows
+        const rowsToDelete = [];
+        delete_rows.forEach(rowNum => {
           const index = rowNum - 1; // row_number starts from 1, array index starts from 0
           if (index >= 0 && index < billRoomRows.length) {
-            idsToDelete.push(billRoomRows[index].id);
+            rowsToDelete.push(billRoomRows[index]);
           }
         });
+        const idsToDelete = rowsToDelete.map(row => row.id);
 
         // Validate: cannot delete all bill_room_information
         if (idsToDelete.length > 0) {
           const remainingCount = billRoomRows.length - idsToDelete.length;
 
           if (remainingCount === 0) {
-            await db.query('ROLLBACK');
-            return res.status(400).json({
-              success: false,
-              error: 'Cannot delete all bill room items',
-              message: 'ไม่สามารถลบรายการทั้งหมดได้',
-              details: {
+            return {
+              rejected: {
                 total_items: billRoomRows.length,
                 items_to_delete: idsToDelete.length,
                 remaining_items: remainingCount
               }
+            };
+          }
+
+          // รายการที่ชำระแล้วลบไม่ได้ (throw -> rollback)
+          for (const row of rowsToDelete) {
+            await transitionStatus(connection, {
+              entity: 'bill_room',
+              id: row.id,
+              from: row.status,
+              to: BILL_ROOM_STATUS.DELETED,
+              actorId: uid,
+              reason: `ลบรายการออกจากบิล bill_id=${id}`,
+              customerId: billCustomerId
             });
           }
 
@@ -288,12 +180,21 @@ export const updateBill = async (req, res) => {
             SET status = 2, delete_date = NOW(), delete_by = ?
             WHERE id IN (${placeholders}) AND bill_id = ?
           `;
-          const [deleteResult] = await db.execute(deleteQuery, [uid, ...idsToDelete, id]);
+          const [deleteResult] = await connection.execute(deleteQuery, [uid, ...idsToDelete, id]);
           deletedCount = deleteResult.affectedRows;
         }
       }
 
       // Step 2: Update bill_information
+      await transitionStatus(connection, {
+        entity: 'bill',
+        id,
+        from: currentStatus,
+        to: status,
+        actorId: uid,
+        customerId: billCustomerId
+      });
+
       // Set send_date to current date if status is changing to 1 and send_date is null
       let sendDateUpdate = '';
       let queryParams = [];
@@ -322,54 +223,78 @@ export const updateBill = async (req, res) => {
         id
       ];
 
-      const [result] = await db.execute(updateQuery, queryParams);
+      await connection.execute(updateQuery, queryParams);
 
       // Step 3: Insert bill audit log if status changed
       if (currentStatus !== parseInt(status)) {
-        await insertBillAudit(db, parseInt(id), parseInt(status), uid);
+        await insertBillAudit(connection, parseInt(id), parseInt(status), uid);
       }
 
-      // Commit transaction
-      await db.query('COMMIT');
-
-      // Step 4: Insert notification audit if status changed from other value to 1 (sent)
-      // ถ้าเปลี่ยนจาก status อื่น มาเป็น 1 (เช่น 0 -> 1 หรือ 3 -> 1)
-      // แต่ไม่รวม 1 -> 1 (user แค่แก้ข้อมูลอื่น)
-      if (currentStatus !== 1 && parseInt(status) === 1) {
-        try {
-          await insertNotificationAuditForBill(db, parseInt(id), billCustomerId, uid, title, detail, expire_date, 'ส่งบิล');
-          logger.info(`Bill ${id} status changed to sent (${currentStatus} -> 1), notification audit created`);
-        } catch (notifError) {
-          // Log error but don't fail the update
-          logger.error('Failed to insert notification audit:', notifError);
-        }
-      }
+      await writeAuditLog(connection, req, {
+        entity: 'bill',
+        entityId: parseInt(id),
+        action: 'update',
+        before,
+        after: await getAuditSnapshot(connection, TABLE_INFORMATION, id),
+        customerId: billCustomerId
+      });
 
-      res.json({
-        success: true,
-        message: 'Bill updated successfully',
-        data: {
-          id: parseInt(id),
-          title,
-          bill_type_id: parseInt(bill_type_id),
-          detail,
-          expire_date,
-          remark,
-          status,
-          send_date_updated: parseInt(status) === 1 && currentSendDate === null,
-          deleted_rows_count: deletedCount,
-          update_by: uid
-        },
-        timestamp: new Date().toISOString()
+      return { deletedCount };
+    });
+
+    if (outcome.rejected) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot delete all bill room items',
+        message: 'ไม่สามารถลบรายการทั้งหมดได้',
+        details: outcome.rejected
       });
+    }
 
-    } catch (error) {
-      // Rollback on error
-      await db.query('ROLLBACK');
-      throw error;
+    const { deletedCount } = outcome;
+
+    // Step 4: Insert notification audit if status changed from other value to 1 (sent)
+    // ถ้าเปลี่ยนจาก status อื่น มาเป็น 1 (เช่น 0 -> 1 หรือ 3 -> 1)
+    // แต่ไม่รวม 1 -> 1 (user แค่แก้ข้อมูลอื่น)
+    if (currentStatus !== 1 && parseInt(status) === 1) {
+      try {
+        await autoApplyHouseCredit(parseInt(id), { actorId: uid, req });
+      } catch (creditError) {
+        logger.error('Failed to apply house credit:', creditError);
+      }
+
+      try {
+        await insertNotificationAuditForBill(db, parseInt(id), billCustomerId, uid, title, detail, expire_date, 'ส่งบิล');
+        logger.info(`Bill ${id} status changed to sent (${currentStatus} -> 1), notification audit created`);
+      } catch (notifError) {
+        // Log error but don't fail the update
+        logger.error('Failed to insert notification audit:', notifError);
+      }
     }
 
+    res.json({
+      success: true,
+      message: 'Bill updated successfully',
+      data: {
+        id: parseInt(id),
+        title,
+        bill_type_id: parseInt(bill_type_id),
+        detail,
+        expire_date,
+        remark,
+        status,
+        send_date_updated: parseInt(status) === 1 && currentSendDate === null,
+        deleted_rows_count: deletedCount,
+        update_by: uid
+      },
+      timestamp: new Date().toISOString()
+    });
+
   } catch (error) {
+    if (error instanceof StatusTransitionError) {
+      return res.status(409).json(error.toResponse());
+    }
+
     logger.error('Update bill error:', error);
     res.status(500).json({
       success: false,
@@ -381,24 +306,12 @@ export const updateBill = async (req, res) => {
 
 export const sendBill = async (req, res) => {
   try {
-    const { id, uid } = req.body;
+    const { id } = req.body;
+    const uid = getActorId(req);
 
-    if (!id || !uid) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields',
-        message: 'กรุณากรอกข้อมูลที่จำเป็น: id, uid',
-        required: ['id', 'uid']
-      });
-    }
-
-    const db = getDatabase();
+    const result = await sendBillRecord(id, { actorId: uid, req, customerId: req.customer_id });
 
-    // Check if bill exists and get current status, customer_id, title, detail, expire_date
-    const checkQuery = `SELECT status, customer_id, title, detail, expire_date FROM ${TABLE_INFORMATION} WHERE id = ? AND status != 2`;
-    const [currentRows] = await db.execute(checkQuery, [id]);
-
-    if (currentRows.length === 0) {
+    if (result.error === 'not_found') {
       return res.status(404).json({
         success: false,
         error: 'Bill not found',
@@ -406,42 +319,20 @@ export const sendBill = async (req, res) => {
       });
     }
 
-    const currentStatus = currentRows[0].status;
-    const billCustomerId = currentRows[0].customer_id;
-    const billTitle = currentRows[0].title;
-    const billDetail = currentRows[0].detail;
-    const billExpireDate = currentRows[0].expire_date;
-
-    // Update status from 0 or 3 to 1 and set send_date
-    const updateQuery = `
-      UPDATE ${TABLE_INFORMATION}
-      SET status = 1, send_date = NOW(), update_date = NOW(), update_by = ?
-      WHERE id = ? AND status IN (0, 3)
-    `;
-
-    const [result] = await db.execute(updateQuery, [uid, id]);
-
-    if (result.affectedRows === 0) {
+    if (result.error === 'already_sent') {
       return res.status(400).json({
         success: false,
         error: 'Cannot send bill',
-        message: currentStatus === 1
-          ? 'บิลนี้ถูกส่งไปแล้ว'
-          : 'บิลนี้ไม่สามารถส่งได้ ต้องมี status = 0 หรือ 3 เท่านั้น'
+        message: 'บิลนี้ถูกส่งไปแล้ว'
       });
     }
 
-    // Insert bill audit log
-    await insertBillAudit(db, parseInt(id), 1, uid);
-
-    // Insert notification audit for all bill_rooms
-    // เมื่อส่งบิล (status → 1) ต้องบันทึกการแจ้งเตือน
-    try {
-      await insertNotificationAuditForBill(db, parseInt(id), billCustomerId, uid, billTitle, billDetail, billExpireDate, 'ส่งบิล');
-      logger.info(`Bill ${id} sent, notification audit created`);
-    } catch (notifError) {
-      // Log error but don't fail the send operation
-      logger.error('Failed to insert notification audit:', notifError);
+    if (result.error === 'conflict') {
+      return res.status(409).json({
+        success: false,
+        error: 'Cannot send bill',
+        message: 'สถานะบิลถูกเปลี่ยนระหว่างดำเนินการ กรุณาลองใหม่'
+      });
     }
 
     logger.info(`User ${uid} sent bill ID: ${id}`);
@@ -459,6 +350,10 @@ export const sendBill = async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof StatusTransitionError) {
+      return res.status(409).json(error.toResponse());
+    }
+
     logger.error('Send bill error:', error);
     res.status(500).json({
       success: false,
@@ -470,22 +365,14 @@ export const sendBill = async (req, res) => {
 
 export const cancelSendBill = async (req, res) => {
   try {
-    const { id, uid } = req.body;
-
-    if (!id || !uid) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields',
-        message: 'กรุณากรอกข้อมูลที่จำเป็น: id, uid',
-        required: ['id', 'uid']
-      });
-    }
+    const { id } = req.body;
+    const uid = getActorId(req);
 
     const db = getDatabase();
 
     // Check if bill exists and status is 1
-    const checkQuery = `SELECT status FROM ${TABLE_INFORMATION} WHERE id = ? AND status != 2`;
-    const [currentRows] = await db.execute(checkQuery, [id]);
+    const checkQuery = `SELECT status, customer_id FROM ${TABLE_INFORMATION} WHERE id = ? AND customer_id = ? AND status != 2`;
+    const [currentRows] = await db.execute(checkQuery, [id, req.customer_id]);
 
     if (currentRows.length === 0) {
       return res.status(404).json({
@@ -497,27 +384,63 @@ export const cancelSendBill = async (req, res) => {
 
     const currentStatus = currentRows[0].status;
 
-    // Update status from 1 to 3 and remove send_date
-    const updateQuery = `
-      UPDATE ${TABLE_INFORMATION}
-      SET status = 3, send_date = NULL, update_date = NOW(), update_by = ?
-      WHERE id = ? AND status = 1
-    `;
-
-    const [result] = await db.execute(updateQuery, [uid, id]);
-
-    if (result.affectedRows === 0) {
+    if (currentStatus === BILL_STATUS.CANCELLED) {
       return res.status(400).json({
         success: false,
         error: 'Cannot cancel send bill',
-        message: currentStatus === 0
-          ? 'บิลนี้ยังไม่ได้ถูกส่ง'
-          : 'บิลนี้ไม่สามารถยกเลิกการส่งได้ ต้องมี status = 1 เท่านั้น'
+        message: 'บิลนี้ถูกยกเลิกการส่งไปแล้ว'
       });
     }
 
-    // Insert bill audit log
-    await insertBillAudit(db, parseInt(id), 3, uid);
+    // Update status from 1 to 3 and remove send_date (status machine ตรวจสอบ + บันทึก transition)
+    const canceled = await withTransaction(async (connection) => {
+      const before = await getAuditSnapshot(connection, TABLE_INFORMATION, id);
+
+      const updateQuery = `
+        UPDATE ${TABLE_INFORMATION}
+        SET status = ?, send_date = NULL, update_date = NOW(), update_by = ?
+        WHERE id = ? AND status = ?
+      `;
+
+      const [result] = await connection.execute(updateQuery, [BILL_STATUS.CANCELLED, uid, id, currentStatus]);
+
+      if (result.affectedRows === 0) {
+        return false;
+      }
+
+      await transitionStatus(connection, {
+        entity: 'bill',
+        id,
+        from: currentStatus,
+        to: BILL_STATUS.CANCELLED,
+        actorId: uid,
+        reason: 'ยกเลิกการส่งบิล',
+        customerId: currentRows[0].customer_id
+      });
+
+      // เครดิตคงเหลือที่หักชำระบิลนี้ไปแล้วคืนเข้ากระเป๋าของห้อง
+      const creditReversal = await reverseBillCredit(connection, parseInt(id), { actorId: uid, reason: 'ยกเลิกการส่งบิล', req });
+
+      // Insert bill audit log
+      await insertBillAudit(connection, parseInt(id), BILL_STATUS.CANCELLED, uid);
+      await writeAuditLog(connection, req, {
+        entity: 'bill',
+        entityId: parseInt(id),
+        action: 'cancel_send',
+        before,
+        after: await getAuditSnapshot(connection, TABLE_INFORMATION, id),
+        customerId: currentRows[0].customer_id
+      });
+      return creditReversal;
+    });
+
+    if (!canceled) {
+      return res.status(409).json({
+        success: false,
+        error: 'Cannot cancel send bill',
+        message: 'สถานะบิลถูกเปลี่ยนระหว่างดำเนินการ กรุณาลองใหม่'
+      });
+    }
 
     logger.info(`User ${uid} canceled send bill ID: ${id}`);
 
@@ -528,12 +451,17 @@ export const cancelSendBill = async (req, res) => {
         id: parseInt(id),
         status: 3,
         send_date_removed: true,
+        credit_reversed: canceled.amount,
         update_by: uid
       },
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
+    if (error instanceof StatusTransitionError) {
+      return res.status(409).json(error.toResponse());
+    }
+
     logger.error('Cancel send bill error:', error);
     res.status(500).json({
       success: false,
@@ -545,28 +473,57 @@ export const cancelSendBill = async (req, res) => {
 
 export const deleteBill = async (req, res) => {
   try {
-    const { id, uid } = req.body;
+    const { id } = req.body;
+    const uid = getActorId(req);
 
-    if (!id || !uid) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields',
-        message: 'กรุณากรอกข้อมูลที่จำเป็น: id, uid',
-        required: ['id', 'uid']
+    const deleted = await withTransaction(async (connection) => {
+      const [currentRows] = await connection.execute(
+        `SELECT status, customer_id FROM ${TABLE_INFORMATION} WHERE id = ? AND customer_id = ? AND status != 2 FOR UPDATE`,
+        [id, req.customer_id]
+      );
+
+      if (currentRows.length === 0) {
+        return false;
+      }
+
+      await transitionStatus(connection, {
+        entity: 'bill',
+        id,
+        from: currentRows[0].status,
+        to: BILL_STATUS.DELETED,
+        actorId: uid,
+        reason: 'ลบบิล',
+        customerId: currentRows[0].customer_id
       });
-    }
 
-    const db = getDatabase();
+      const before = await getAuditSnapshot(connection, TABLE_INFORMATION, id);
 
-    const deleteQuery = `
-      UPDATE ${TABLE_INFORMATION}
-      SET status = 2, delete_date = NOW(), delete_by = ?
-      WHERE id = ? AND status != 2
-    `;
+      const deleteQuery = `
+        UPDATE ${TABLE_INFORMATION}
+        SET status = ?, delete_date = NOW(), delete_by = ?
+        WHERE id = ?
+      `;
 
-    const [result] = await db.execute(deleteQuery, [uid, id]);
+      await connection.execute(deleteQuery, [BILL_STATUS.DELETED, uid, id]);
+      // ค่ามิเตอร์ของบิลกลับเป็นยืนยันแล้ว - ออกบิลของรอบนั้นใหม่ได้
+      await releaseBillReadings(connection, parseInt(id), { actorId: uid, customerId: currentRows[0].customer_id });
+      // เครดิตคงเหลือที่หักชำระบิลนี้ไปแล้วคืนเข้ากระเป๋าของห้อง
+      const creditReversal = await reverseBillCredit(connection, parseInt(id), { actorId: uid, reason: 'ลบบิล', req });
 
-    if (result.affectedRows === 0) {
+      // Insert bill audit log
+      await insertBillAudit(connection, parseInt(id), BILL_STATUS.DELETED, uid);
+      await writeAuditLog(connection, req, {
+        entity: 'bill',
+        entityId: parseInt(id),
+        action: 'delete',
+        before,
+        after: await getAuditSnapshot(connection, TABLE_INFORMATION, id),
+        customerId: currentRows[0].customer_id
+      });
+      return creditReversal;
+    });
+
+    if (!deleted) {
       return res.status(404).json({
         success: false,
         error: 'Bill not found',
@@ -574,9 +531,6 @@ export const deleteBill = async (req, res) => {
       });
     }
 
-    // Insert bill audit log
-    await insertBillAudit(db, parseInt(id), 2, uid);
-
     logger.info(`User ${uid} deleted bill ID: ${id}`);
 
     res.json({
@@ -584,12 +538,17 @@ export const deleteBill = async (req, res) => {
       message: 'Bill deleted successfully',
       data: {
         id: parseInt(id),
+        credit_reversed: deleted.amount,
         delete_by: uid
       },
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
+    if (error instanceof StatusTransitionError) {
+      return res.status(409).json(error.toResponse());
+    }
+
     logger.error('Delete bill error:', error);
     res.status(500).json({
       success: false,
@@ -633,10 +592,10 @@ export const getBillDetail = async (req, res) => {
         ORDER BY create_date DESC
         LIMIT 1
       ) ba ON b.upload_key = ba.upload_key
-      WHERE b.id = ? AND b.status != 2
+      WHERE b.id = ? AND b.customer_id = ? AND b.status != 2
     `;
 
-    const [billRows] = await db.execute(billQuery, [id]);
+    const [billRows] = await db.execute(billQuery, [id, req.customer_id]);
 
     if (billRows.length === 0) {
       return res.status(404).json({
@@ -723,39 +682,8 @@ export const getBillDetail = async (req, res) => {
 
 export const insertBillWithExcel = async (req, res) => {
   try {
-    const { upload_key, title, bill_type_id, detail, expire_date, customer_id, status, uid, excluded_rows } = req.body;
-
-    // Validate required fields
-    if (!upload_key || !title || !bill_type_id || !detail || !expire_date || !customer_id || status === undefined || !uid) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields',
-        message: 'กรุณากรอกข้อมูลที่จำเป็น: upload_key, title, bill_type_id, detail, expire_date, customer_id, status, uid',
-        required: ['upload_key', 'title', 'bill_type_id', 'detail', 'expire_date', 'customer_id', 'status', 'uid']
-      });
-    }
-
-    // Parse excluded_rows (optional, default = [])
-    // รองรับทั้ง JSON array และ form-data string
-    let excludedRowsArray = [];
-
-    if (Array.isArray(excluded_rows)) {
-      // กรณีส่งมาเป็น JSON array: [2, 4]
-      excludedRowsArray = excluded_rows.map(num => parseInt(num));
-    } else if (typeof excluded_rows === 'string' && excluded_rows.trim() !== '') {
-      // กรณีส่งมาเป็น form-data string: "[2,4]" หรือ "2,4"
-      try {
-        const parsed = JSON.parse(excluded_rows);
-        if (Array.isArray(parsed)) {
-          excludedRowsArray = parsed.map(num => parseInt(num));
-        }
-      } catch {
-        // ถ้า parse ไม่ได้ ลองแยกด้วย comma
-        excludedRowsArray = excluded_rows.split(',')
-          .map(str => parseInt(str.trim()))
-          .filter(num => !isNaN(num));
-      }
-    }
+    const { upload_key, title, bill_type_id, detail, expire_date, customer_id, status, excluded_rows } = req.body;
+    const uid = getActorId(req);
 
     const db = getDatabase();
 
@@ -841,10 +769,17 @@ export const insertBillWithExcel = async (req, res) => {
     }
 
 
-    // Validate column headers
-    const requiredColumns = ['เลขห้อง', 'ชื่อลูกบ้าน', 'ยอดเงิน'];
+    // Columns อื่นที่ตรงกับชื่อประเภทบิลเป็นรายการของบิล (เช่น "ค่าน้ำ", "ค่าที่จอดรถ (VAT)")
+    const [billTypes] = await db.execute('SELECT id, title FROM bill_type_information WHERE status != 2');
     const firstRow = data[0];
     const actualColumns = Object.keys(firstRow);
+    const { itemColumns, ignoredColumns } = matchItemColumns(actualColumns, billTypes);
+    const vatRate = await getItemVatRate();
+    const billTypeIdValue = parseInt(bill_type_id);
+    const billType = billTypes.find(type => type.id === billTypeIdValue);
+
+    // Validate column headers (ยอดเงิน ไม่บังคับเมื่อมี columns รายการ)
+    const requiredColumns = itemColumns.length > 0 ? ['เลขห้อง', 'ชื่อลูกบ้าน'] : ['เลขห้อง', 'ชื่อลูกบ้าน', 'ยอดเงิน'];
     const missingColumns = requiredColumns.filter(col => !(col in firstRow));
 
     if (missingColumns.length > 0) {
@@ -868,7 +803,7 @@ export const insertBillWithExcel = async (req, res) => {
       const rowNum = i + 1; // ลำดับที่ตรงกับ preview (เริ่มจาก 1)
 
       // ข้ามแถวที่ user เลือกลบออก (excluded_rows)
-      if (excludedRowsArray.includes(rowNum)) {
+      if (excluded_rows.includes(rowNum)) {
         excludedRowsList.push({
           row: rowNum,
           reason: 'ถูกลบออกโดย user'
@@ -892,11 +827,10 @@ export const insertBillWithExcel = async (req, res) => {
 
       const houseNo = houseNoRaw?.toString().trim();
       const memberName = row['ชื่อลูกบ้าน']?.toString().trim();
-      const totalPriceRaw = row['ยอดเงิน'];
       const remarkRaw = row['หมายเหตุ'];
 
-      // ข้ามแถวที่ไม่มีข้อมูลครบ 3 ฟิลด์หลัก
-      if (!houseNo || !memberName || !totalPriceRaw) {
+      // ข้ามแถวที่ไม่มีเลขห้อง / ชื่อลูกบ้าน
+      if (!houseNo || !memberName) {
         skippedRows.push({
           row: rowNum,
           reason: 'ขาดข้อมูลจำเป็น (เลขห้อง, ชื่อลูกบ้าน, หรือยอดเงิน)'
@@ -904,13 +838,17 @@ export const insertBillWithExcel = async (req, res) => {
         continue;
       }
 
-      const totalPrice = parseFloat(totalPriceRaw);
+      // ยอดเงิน / รายการต้องเป็นตัวเลข (total_price = ผลรวมรายการ)
+      const rowAmount = readExcelRowItems(row, itemColumns, {
+        vatRate,
+        description: billType?.title || title?.trim(),
+        billTypeId: billTypeIdValue
+      });
 
-      // ตรวจสอบว่ายอดเงินเป็นตัวเลขหรือไม่
-      if (isNaN(totalPrice)) {
+      if (rowAmount.error) {
         skippedRows.push({
           row: rowNum,
-          reason: 'ยอดเงินไม่ใช่ตัวเลข'
+          reason: rowAmount.error
         });
         continue;
       }
@@ -924,7 +862,8 @@ export const insertBillWithExcel = async (req, res) => {
       validatedRows.push({
         house_no: houseNo,
         member_name: memberName,
-        total_price: totalPrice,
+        total_price: rowAmount.total_price,
+        items: rowAmount.items,
         remark: remark
       });
     }
@@ -940,42 +879,11 @@ export const insertBillWithExcel = async (req, res) => {
     }
 
 
-    // Step 6: Start Transaction
-    await db.query('START TRANSACTION');
-
-    try {
-      // Step 7: Generate bill_no for bill_information
-      const now = new Date();
-      const year = now.getFullYear();
-      const month = String(now.getMonth() + 1).padStart(2, '0');
-      const day = String(now.getDate()).padStart(2, '0');
-      const datePrefix = `${month}${day}`;
-      const billPattern = `BILL-${year}-${datePrefix}-%`;
-
-      // Query last bill_no with row locking
-      const lastBillQuery = `
-        SELECT bill_no
-        FROM ${TABLE_INFORMATION}
-        WHERE bill_no LIKE ? AND customer_id = ?
-        ORDER BY bill_no DESC
-        LIMIT 1
-        FOR UPDATE
-      `;
-
-      const [lastBillRows] = await db.query(lastBillQuery, [billPattern, customer_id?.trim()]);
-
-      let billRunNumber = 0;
-
-      if (lastBillRows.length > 0) {
-        const lastBillNo = lastBillRows[0].bill_no;
-        const parts = lastBillNo.split('-');
-        if (parts.length === 4) {
-          const lastRunNumber = parseInt(parts[3]);
-          billRunNumber = (lastRunNumber + 1) % 1000;
-        }
-      }
-
-      const generatedBillNo = `BILL-${year}-${datePrefix}-${String(billRunNumber).padStart(3, '0')}`;
+    // Step 6: Start Transaction (dedicated connection - FOR UPDATE lock อยู่จนจบ transaction)
+    const { billId, generatedBillNo } = await withTransaction(async (connection) => {
+      // Step 7: Generate bill_no for bill_information (document numbering - counter locked until commit)
+      const trimmedCustomerId = customer_id?.trim();
+      const generatedBillNo = await generateDocumentNumber('bill', trimmedCustomerId, { connection });
 
       // Step 8: Insert bill_information
       // Format expire_date to end of day (23:59:59) in local timezone GMT+7
@@ -989,9 +897,7 @@ export const insertBillWithExcel = async (req, res) => {
         VALUES (?, ?, ?, ?, ?, ?, ${sendDateValue}, ?, ?, ?)
       `;
 
-      const billTypeIdValue = parseInt(bill_type_id);
-
-      const [billResult] = await db.execute(billInsertQuery, [
+      const [billResult] = await connection.execute(billInsertQuery, [
         upload_key?.trim(),
         generatedBillNo,
         title?.trim(),
@@ -1007,33 +913,17 @@ export const insertBillWithExcel = async (req, res) => {
       const billId = billResult.insertId;
 
       // Insert bill audit log
-      await insertBillAudit(db, billId, parseInt(status), uid);
-
-      // Step 9: Generate initial bill_no for bill_room_information with row locking
-      const pattern = `INV-${year}-${datePrefix}-%`;
-
-      // ใช้ FOR UPDATE เพื่อ lock row ป้องกัน race condition
-      const lastBillNoQuery = `
-        SELECT bill_no
-        FROM ${TABLE_ROOM}
-        WHERE bill_no LIKE ? AND customer_id = ?
-        ORDER BY bill_no DESC
-        LIMIT 1
-        FOR UPDATE
-      `;
-
-      const [lastRows] = await db.query(lastBillNoQuery, [pattern, customer_id?.trim()]);
+      await insertBillAudit(connection, billId, parseInt(status), uid);
+      await writeAuditLog(connection, req, {
+        entity: 'bill',
+        entityId: billId,
+        action: 'create',
+        after: await getAuditSnapshot(connection, TABLE_INFORMATION, billId),
+        customerId: trimmedCustomerId
+      });
 
-      let runNumber = 0;
-
-      if (lastRows.length > 0) {
-        const lastBillNo = lastRows[0].bill_no;
-        const parts = lastBillNo.split('-');
-        if (parts.length === 4) {
-          const lastRunNumber = parseInt(parts[3]);
-          runNumber = (lastRunNumber + 1) % 1000;
-        }
-      }
+      // Step 9: Generate bill_no for every bill_room_information (invoice numbers, never repeat)
+      const invoiceNumbers = await generateDocumentNumbers('invoice', trimmedCustomerId, { count: validatedRows.length, connection });
 
       // Step 10: Batch INSERT bill_room_information
       const billRoomValues = [];
@@ -1041,8 +931,7 @@ export const insertBillWithExcel = async (req, res) => {
 
       for (let i = 0; i < validatedRows.length; i++) {
         const rowData = validatedRows[i];
-        const currentRunNumber = (runNumber + i) % 1000;
-        const billNo = `INV-${year}-${datePrefix}-${String(currentRunNumber).padStart(3, '0')}`;
+        const billNo = invoiceNumbers[i];
 
         billRoomValues.push('(?, ?, ?, ?, ?, ?, ?, ?, ?)');
         billRoomParams.push(
@@ -1064,47 +953,64 @@ export const insertBillWithExcel = async (req, res) => {
       `;
 
       // ใช้ query() แทน execute() เพราะ dynamic values
-      await db.query(billRoomInsertQuery, billRoomParams);
-
-      // Step 11: Commit Transaction
-      await db.query('COMMIT');
-
-      // Step 12: Insert notification audit if status = 1 (sent)
-      // ถ้าสร้างบิลพร้อมส่ง (status = 1) ให้บันทึกการแจ้งเตือน
-      if (parseInt(status) === 1) {
-        try {
-          await insertNotificationAuditForBill(db, billId, customer_id?.trim(), uid, title, detail, expire_date, 'สร้างและส่งบิล');
-          logger.info(`Bill ${billId} created with sent status, notification audit created for ${validatedRows.length} rooms`);
-        } catch (notifError) {
-          // Log error but don't fail the insert
-          logger.error('Failed to insert notification audit:', notifError);
-        }
-      }
+      await connection.query(billRoomInsertQuery, billRoomParams);
+
+      // Insert line items (map bill_room id by bill_no - invoice numbers are unique)
+      const [insertedBillRooms] = await connection.execute(
+        `SELECT id, bill_no FROM ${TABLE_ROOM} WHERE bill_id = ?`,
+        [billId]
+      );
+      const billRoomIdByNo = new Map(insertedBillRooms.map(billRoom => [billRoom.bill_no, billRoom.id]));
+
+      await insertBillRoomItems(connection, validatedRows.map((rowData, i) => ({
+        billRoomId: billRoomIdByNo.get(invoiceNumbers[i]),
+        billId,
+        customerId: trimmedCustomerId,
+        items: rowData.items
+      })), uid);
+
+      // Step 11: Commit Transaction (withTransaction)
+      return { billId, generatedBillNo };
+    });
 
-      res.json({
-        success: true,
-        message: 'Bill and bill rooms inserted successfully',
-        data: {
-          bill_id: billId,
-          bill_no: generatedBillNo,
-          total_rooms_inserted: validatedRows.length,
-          total_rows_excluded: excludedRowsList.length,
-          total_rows_skipped: skippedRows.length,
-          excluded_rows: excludedRowsList.length > 0 ? excludedRowsList : undefined,
-          skipped_rows: skippedRows.length > 0 ? skippedRows : undefined,
-          upload_key,
-          title,
-          customer_id
-        },
-        timestamp: new Date().toISOString()
-      });
+    // Step 12: Insert notification audit if status = 1 (sent)
+    // ถ้าสร้างบิลพร้อมส่ง (status = 1) ให้บันทึกการแจ้งเตือน
+    if (parseInt(status) === 1) {
+      try {
+        await autoApplyHouseCredit(billId, { actorId: uid, req });
+      } catch (creditError) {
+        logger.error('Failed to apply house credit:', creditError);
+      }
 
-    } catch (error) {
-      // Rollback on error
-      await db.query('ROLLBACK');
-      throw error;
+      try {
+        await insertNotificationAuditForBill(db, billId, customer_id?.trim(), uid, title, detail, expire_date, 'สร้างและส่งบิล');
+        logger.info(`Bill ${billId} created with sent status, notification audit created for ${validatedRows.length} rooms`);
+      } catch (notifError) {
+        // Log error but don't fail the insert
+        logger.error('Failed to insert notification audit:', notifError);
+      }
     }
 
+    res.json({
+      success: true,
+      message: 'Bill and bill rooms inserted successfully',
+      data: {
+        bill_id: billId,
+        bill_no: generatedBillNo,
+        total_rooms_inserted: validatedRows.length,
+        total_rows_excluded: excludedRowsList.length,
+        total_rows_skipped: skippedRows.length,
+        excluded_rows: excludedRowsList.length > 0 ? excludedRowsList : undefined,
+        skipped_rows: skippedRows.length > 0 ? skippedRows : undefined,
+        item_columns: itemColumns.map(itemColumn => itemColumn.column),
+        ignored_columns: ignoredColumns.length > 0 ? ignoredColumns : undefined,
+        upload_key,
+        title,
+        customer_id
+      },
+      timestamp: new Date().toISOString()
+    });
+
   } catch (error) {
     logger.error('Insert bill with Excel error:', error);
     res.status(500).json({
@@ -1115,19 +1021,103 @@ export const insertBillWithExcel = async (req, res) => {
   }
 };
 
-export const getBillList = async (req, res) => {
+/**
+ * Create bill for every room from fee rules of its room type (no spreadsheet)
+ * Rooms that moved in during period are prorated by the proration rule of the bill type
+ * POST /api/bill/insert_with_fee_rule
+ * Body: { title, bill_type_id, detail, expire_date, status (0 draft, 1 send), customer_id, period (YYYY-MM, default: this month), excluded_room_ids }
+ */
+export const insertBillWithFeeRule = async (req, res) => {
   try {
-    const { page = 1, limit = 10, status, keyword, bill_type_id, customer_id } = req.query;
+    const { title, bill_type_id, detail, expire_date, customer_id, status, excluded_room_ids } = req.body;
+    const period = req.body.period || getPeriodOf();
+    const uid = getActorId(req);
 
-    if (!customer_id) {
+    if (!PERIOD_PATTERN.test(period)) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required parameter',
-        message: 'กรุณาระบุ customer_id',
-        required: ['customer_id']
+        error: 'Invalid period',
+        message: 'period ต้องอยู่ในรูปแบบ YYYY-MM'
+      });
+    }
+
+    const db = getDatabase();
+
+    const [billTypeRows] = await db.execute(
+      `SELECT id FROM ${TABLE_TYPE} WHERE id = ? AND status != 2`,
+      [bill_type_id]
+    );
+
+    if (billTypeRows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bill type not found',
+        message: 'ไม่พบประเภทบิลนี้ในระบบ'
+      });
+    }
+
+    const result = await generateFeeRuleBill({
+      customerId: customer_id?.trim(),
+      billTypeId: bill_type_id,
+      period,
+      title: title?.trim(),
+      detail: detail?.trim(),
+      expireDate: expire_date,
+      send: parseInt(status) === 1,
+      excludedRoomIds: excluded_room_ids,
+      actorId: uid,
+      req
+    });
+
+    if (result.error === 'no_rooms') {
+      return res.status(400).json({
+        success: false,
+        error: 'No rooms to bill',
+        message: 'ไม่พบห้องที่คำนวณยอดจากเงื่อนไขค่าบริการได้',
+        skipped: result.plan.skipped
       });
     }
 
+    logger.info(`User ${uid} created fee rule bill ${result.bill_id} (bill_type_id=${bill_type_id})`);
+
+    res.json({
+      success: true,
+      message: result.sent ? 'สร้างและส่งบิลสำเร็จ' : 'สร้างบิลสำเร็จ',
+      data: {
+        bill_id: result.bill_id,
+        bill_no: result.bill_no,
+        sent: result.sent,
+        total_rooms_inserted: result.plan.rooms.length,
+        total_rooms_excluded: result.plan.excluded.length,
+        total_rooms_skipped: result.plan.skipped.length,
+        total_rooms_prorated: result.plan.rooms.filter(room => room.proration).length,
+        skipped_rooms: result.plan.skipped.length > 0 ? result.plan.skipped : undefined,
+        period,
+        total_amount: result.plan.total_amount,
+        title,
+        customer_id
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof StatusTransitionError) {
+      return res.status(409).json(error.toResponse());
+    }
+
+    logger.error('Insert bill with fee rule error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to insert bill with fee rule',
+      message: error.message
+    });
+  }
+};
+
+export const getBillList = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, keyword, bill_type_id, customer_id } = req.query;
+
     const pageNum = parseInt(page) || 1;
     const limitNum = parseInt(limit) || 10;
     const offset = (pageNum - 1) * limitNum;
@@ -1229,15 +1219,6 @@ export const getBillRoomList = async (req, res) => {
   try {
     const { page = 1, limit = 10, keyword, bill_id, status, type } = req.query;
 
-    if (!bill_id) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required parameter',
-        message: 'กรุณาระบุ bill_id',
-        required: ['bill_id']
-      });
-    }
-
     const pageNum = parseInt(page) || 1;
     const limitNum = parseInt(limit) || 10;
     const offset = (pageNum - 1) * limitNum;
@@ -1250,9 +1231,9 @@ export const getBillRoomList = async (req, res) => {
              bt.title as bill_type_title
       FROM ${TABLE_INFORMATION} b
       LEFT JOIN ${TABLE_TYPE} bt ON b.bill_type_id = bt.id
-      WHERE b.id = ? AND b.status != 2
+      WHERE b.id = ? AND b.customer_id = ? AND b.status != 2
     `;
-    const [billRows] = await db.execute(billQuery, [parseInt(bill_id)]);
+    const [billRows] = await db.execute(billQuery, [parseInt(bill_id), req.customer_id]);
 
     if (billRows.length === 0) {
       return res.status(404).json({
@@ -1440,22 +1421,10 @@ export const getBillRoomList = async (req, res) => {
           : '-';
 
         // Determine payment status text
-        let paymentStatus = '-';
-        if (formattedBillInfo.status == 0) {
-          // Bill not sent yet
-          paymentStatus = '-';
-        } else if (formattedBillInfo.status == 1) {
-          // Bill sent, check item status
-          if (item.status === 1) {
-            paymentStatus = 'ชำระแล้ว';
-          } else if (item.status === 0) {
-            paymentStatus = 'รอชำระ';
-          } else if (item.status === 3) {
-            paymentStatus = 'เกินกำหนด';
-          } else if (item.status === 4) {
-            paymentStatus = 'ชำระบางส่วน';
-          }
-        }
+        // Bill not sent yet -> '-', sent -> item status label
+        const paymentStatus = formattedBillInfo.status == BILL_STATUS.SENT
+          ? getStatusLabel('bill_room', item.status)
+          : '-';
 
         const rowData = {
           bill_no: item.bill_no || '-',
@@ -1538,15 +1507,6 @@ export const getBillRoomEachList = async (req, res) => {
   try {
     const { page = 1, limit = 10, house_no, customer_id } = req.query;
 
-    if (!house_no || !customer_id) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required parameters',
-        message: 'กรุณาระบุ house_no และ customer_id',
-        required: ['house_no', 'customer_id']
-      });
-    }
-
     const pageNum = parseInt(page) || 1;
     const limitNum = parseInt(limit) || 10;
     const offset = (pageNum - 1) * limitNum;
@@ -1687,15 +1647,6 @@ export const getSummaryData = async (req, res) => {
   try {
     const { customer_id } = req.query;
 
-    if (!customer_id) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required parameter',
-        message: 'กรุณาระบุ customer_id',
-        required: ['customer_id']
-      });
-    }
-
     const db = getDatabase();
 
     // Card 1: บิลในระบบ (Total bills in system)
@@ -1886,15 +1837,6 @@ export const getBillRoomPendingList = async (req, res) => {
   try {
     const { page = 1, limit = 10, keyword, customer_id, house_no, bill_type_id, status } = req.query;
 
-    if (!customer_id) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required parameter',
-        message: 'กรุณาระบุ customer_id',
-        required: ['customer_id']
-      });
-    }
-
     const pageNum = parseInt(page) || 1;
     const limitNum = parseInt(limit) || 10;
     const offset = (pageNum - 1) * limitNum;
@@ -2076,10 +2018,12 @@ export const getBillStatus = async (req, res) => {
   try {
     const statusList = [
       { id: -1, title: 'ทุกสถานะ' },
-      { id: 0, title: 'รอชำระ' },
-      { id: 5, title: 'รอตรวจสอบ' },
-      { id: 3, title: 'เกินกำหนด' },
-      { id: 1, title: 'ชำระแล้ว' }
+      ...getStatusList('bill_room', [
+        BILL_ROOM_STATUS.UNPAID,
+        BILL_ROOM_STATUS.AWAITING_REVIEW,
+        BILL_ROOM_STATUS.OVERDUE,
+        BILL_ROOM_STATUS.PAID
+      ]).map(({ id, text, text_color, background_color }) => ({ id, title: text, text_color, background_color }))
     ];
 
     res.json({
@@ -2102,15 +2046,6 @@ export const getBillExcelList = async (req, res) => {
   try {
     const { upload_key } = req.query;
 
-    if (!upload_key) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required parameter',
-        message: 'กรุณาระบุ upload_key',
-        required: ['upload_key']
-      });
-    }
-
     const db = getDatabase();
 
     // Step 1: Query Excel file from bill_attachment
@@ -2187,10 +2122,15 @@ export const getBillExcelList = async (req, res) => {
       });
     }
 
-    // Validate column headers
-    const requiredColumns = ['เลขห้อง', 'ชื่อลูกบ้าน', 'ยอดเงิน'];
+    // Columns อื่นที่ตรงกับชื่อประเภทบิลเป็นรายการของบิล
+    const [billTypes] = await db.execute('SELECT id, title FROM bill_type_information WHERE status != 2');
     const firstRow = data[0];
     const actualColumns = Object.keys(firstRow);
+    const { itemColumns, ignoredColumns } = matchItemColumns(actualColumns, billTypes);
+    const vatRate = await getItemVatRate();
+
+    // Validate column headers (ยอดเงิน ไม่บังคับเมื่อมี columns รายการ)
+    const requiredColumns = itemColumns.length > 0 ? ['เลขห้อง', 'ชื่อลูกบ้าน'] : ['เลขห้อง', 'ชื่อลูกบ้าน', 'ยอดเงิน'];
     const missingColumns = requiredColumns.filter(col => !(col in firstRow));
 
     if (missingColumns.length > 0) {
@@ -2231,7 +2171,7 @@ export const getBillExcelList = async (req, res) => {
       const totalPriceRaw = row['ยอดเงิน'];
       const remarkRaw = row['หมายเหตุ'];
 
-      // ตรวจสอบความถูกต้องของ 3 ฟิลด์หลัก
+      // ตรวจสอบความถูกต้องของฟิลด์หลัก
       const houseNo = houseNoRaw?.toString().trim();
       const memberName = memberNameRaw?.toString().trim();
       const totalPriceStr = totalPriceRaw?.toString().trim();
@@ -2242,23 +2182,21 @@ export const getBillExcelList = async (req, res) => {
       // ตรวจสอบว่ามีข้อมูลครบหรือไม่
       const isHouseNoMissing = !houseNo;
       const isMemberNameMissing = !memberName;
-      const isTotalPriceMissing = !totalPriceStr;
 
-      if (isHouseNoMissing || isMemberNameMissing || isTotalPriceMissing) {
+      // ยอดเงิน / รายการต้องเป็นตัวเลข (total_price = ผลรวมรายการ)
+      const rowAmount = readExcelRowItems(row, itemColumns, { vatRate });
+
+      if (isHouseNoMissing || isMemberNameMissing) {
         status = 0;
         errorMessage = 'ขาดข้อมูลจำเป็น (เลขห้อง, ชื่อลูกบ้าน, หรือยอดเงิน)';
         invalidCount++;
+      } else if (rowAmount.error) {
+        status = 0;
+        errorMessage = rowAmount.error;
+        invalidCount++;
       } else {
-        // ตรวจสอบว่ายอดเงินเป็นตัวเลขหรือไม่
-        const priceValue = parseFloat(totalPriceStr);
-        if (isNaN(priceValue)) {
-          status = 0;
-          errorMessage = 'ยอดเงินไม่ใช่ตัวเลข';
-          invalidCount++;
-        } else {
-          validCount++;
-          totalPriceSum += priceValue; // รวมยอดเงินของแถวที่ถูกต้อง
-        }
+        validCount++;
+        totalPriceSum += rowAmount.total_price; // รวมยอดเงินของแถวที่ถูกต้อง
       }
 
       // จัดรูปแบบข้อมูลสำหรับแสดง UI
@@ -2266,11 +2204,19 @@ export const getBillExcelList = async (req, res) => {
         row_number: rowNum,
         house_no: isHouseNoMissing ? 'ไม่ระบุ' : houseNo,
         member_name: isMemberNameMissing ? 'ไม่ระบุ' : memberName,
-        total_price: isTotalPriceMissing ? 'ไม่ระบุ' : totalPriceStr,
+        total_price: rowAmount.error ? (totalPriceStr || 'ไม่ระบุ') : String(rowAmount.total_price),
         remark: remarkRaw?.toString().trim() || '-',
         status: status
       };
 
+      if (itemColumns.length > 0 && !rowAmount.error) {
+        item.items = rowAmount.items.map(rowItem => ({
+          description: rowItem.description,
+          vat_flag: rowItem.vat_flag,
+          total_amount: formatPrice(rowItem.total_amount)
+        }));
+      }
+
       if (errorMessage) {
         item.error_message = errorMessage;
       }
@@ -2285,6 +2231,8 @@ export const getBillExcelList = async (req, res) => {
         valid_rows: formatNumber(validCount),
         invalid_rows: formatNumber(invalidCount),
         total_price: formatPrice(totalPriceSum),
+        item_columns: itemColumns.map(itemColumn => itemColumn.column),
+        ignored_columns: ignoredColumns,
         items: items
       },
       timestamp: new Date().toISOString()
@@ -2302,17 +2250,8 @@ export const getBillExcelList = async (req, res) => {
 
 export const sendNotificationEach = async (req, res) => {
   try {
-    const { customer_id, table_name, id, uid } = req.body;
-
-    // Validate required fields
-    if (!customer_id || !table_name || !id || !uid) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields',
-        message: 'กรุณากรอกข้อมูลที่จำเป็น: customer_id, table_name, id, uid',
-        required: ['customer_id', 'table_name', 'id', 'uid']
-      });
-    }
+    const { customer_id, table_name, id } = req.body;
+    const uid = getActorId(req);
 
     const db = getDatabase();
 
@@ -0,0 +1,529 @@
+import { getDatabase, withTransaction } from '../config/database.js';
+import logger from '../utils/logger.js';
+import { getActorId } from '../utils/requestContext.js';
+import { addFormattedDatesToList } from '../utils/dateFormatter.js';
+import { formatPrice } from '../utils/numberFormatter.js';
+import { BILL_PENALTY_STATUS, StatusTransitionError, canTransition, getStatusObject, transitionStatus } from '../utils/statusMachine.js';
+import { getAuditSnapshot, writeAuditLog } from '../utils/auditLog.js';
+import { PENALTY_TYPES, postOverduePenalties, settleBillRoomAfterWaive } from '../utils/billPenalty.js';
+
+const TABLE_PENALTY = 'bill_penalty';
+const TABLE_PENALTY_RULE = 'bill_penalty_rule';
+
+/**
+ * Get penalty rules of customer
+ * GET /api/bill_penalty/rule_list?customer_id=xxx
+ */
+export const getPenaltyRuleList = async (req, res) => {
+  try {
+    const { customer_id } = req.query;
+    const db = getDatabase();
+
+    const [rows] = await db.execute(
+      `SELECT r.*, bt.title as bill_type
+       FROM ${TABLE_PENALTY_RULE} r
+       LEFT JOIN bill_type_information bt ON r.bill_type_id = bt.id
+       WHERE r.customer_id = ? AND r.status != 2
+       ORDER BY r.bill_type_id ASC`,
+      [customer_id]
+    );
+
+    res.json({
+      success: true,
+      data: addFormattedDatesToList(rows),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Get penalty rule list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch penalty rules',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Set penalty rule of bill type (one rule per bill type - updated if it exists)
+ * PUT /api/bill_penalty/rule_update
+ * Body: { customer_id, bill_type_id, fixed_fee, monthly_rate, daily_rate, grace_days, max_amount, status }
+ */
+export const updatePenaltyRule = async (req, res) => {
+  try {
+    const { customer_id, bill_type_id, fixed_fee, monthly_rate, daily_rate, grace_days, max_amount, status } = req.body;
+    const uid = getActorId(req);
+
+    if (fixed_fee <= 0 && monthly_rate <= 0 && daily_rate <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid penalty rule',
+        message: 'กรุณาระบุค่าปรับคงที่ ดอกเบี้ยรายเดือน หรือดอกเบี้ยรายวัน อย่างน้อย 1 รายการ'
+      });
+    }
+
+    const db = getDatabase();
+
+    const [billTypeRows] = await db.execute(
+      'SELECT id FROM bill_type_information WHERE id = ? AND status != 2',
+      [bill_type_id]
+    );
+
+    if (billTypeRows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bill type not found',
+        message: 'ไม่พบประเภทบิลนี้ในระบบ'
+      });
+    }
+
+    const [existing] = await db.execute(
+      `SELECT id FROM ${TABLE_PENALTY_RULE} WHERE customer_id = ? AND bill_type_id = ? AND status != 2`,
+      [customer_id, bill_type_id]
+    );
+
+    const values = [fixed_fee, monthly_rate, daily_rate, grace_days, max_amount ?? null, status];
+    let ruleId;
+    let before = null;
+
+    if (existing.length > 0) {
+      ruleId = existing[0].id;
+      before = await getAuditSnapshot(db, TABLE_PENALTY_RULE, ruleId);
+
+      await db.execute(
+        `UPDATE ${TABLE_PENALTY_RULE}
+         SET fixed_fee = ?, monthly_rate = ?, daily_rate = ?, grace_days = ?, max_amount = ?, status = ?, update_date = NOW(), update_by = ?
+         WHERE id = ?`,
+        [...values, uid, ruleId]
+      );
+      logger.info(`Penalty rule updated: ID ${ruleId} (bill_type_id=${bill_type_id}) by user ${uid}`);
+    } else {
+      const [result] = await db.execute(
+        `INSERT INTO ${TABLE_PENALTY_RULE} (customer_id, bill_type_id, fixed_fee, monthly_rate, daily_rate, grace_days, max_amount, status, create_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [customer_id, bill_type_id, ...values, uid]
+      );
+      ruleId = result.insertId;
+      logger.info(`Penalty rule created: ID ${ruleId} (bill_type_id=${bill_type_id}) by user ${uid}`);
+    }
+
+    const after = await getAuditSnapshot(db, TABLE_PENALTY_RULE, ruleId);
+    await writeAuditLog(db, req, {
+      entity: 'bill_penalty_rule',
+      entityId: ruleId,
+      action: before ? 'update' : 'create',
+      before,
+      after,
+      customerId: customer_id
+    });
+
+    res.json({
+      success: true,
+      message: 'บันทึกเงื่อนไขค่าปรับสำเร็จ',
+      data: after,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Update penalty rule error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update penalty rule',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Delete penalty rule (soft delete - penalties already posted are kept)
+ * DELETE /api/bill_penalty/rule_delete
+ * Body: { id, customer_id }
+ */
+export const deletePenaltyRule = async (req, res) => {
+  try {
+    const { id, customer_id } = req.body;
+    const uid = getActorId(req);
+
+    const db = getDatabase();
+    const before = await getAuditSnapshot(db, TABLE_PENALTY_RULE, id);
+
+    const [result] = await db.execute(
+      `UPDATE ${TABLE_PENALTY_RULE} SET status = 2, delete_date = NOW(), delete_by = ? WHERE id = ? AND customer_id = ? AND status != 2`,
+      [uid, id, customer_id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Penalty rule not found',
+        message: 'ไม่พบเงื่อนไขค่าปรับ'
+      });
+    }
+
+    logger.info(`Penalty rule deleted (soft): ID ${id} by user ${uid}`);
+
+    await writeAuditLog(db, req, {
+      entity: 'bill_penalty_rule',
+      entityId: id,
+      action: 'delete',
+      before,
+      after: await getAuditSnapshot(db, TABLE_PENALTY_RULE, id),
+      customerId: customer_id
+    });
+
+    res.json({
+      success: true,
+      message: 'ลบเงื่อนไขค่าปรับสำเร็จ',
+      data: {
+        id
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Delete penalty rule error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete penalty rule',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get penalty list
+ * GET /api/bill_penalty/list?customer_id=xxx&bill_room_id=1&status=4&page=1&limit=10
+ */
+export const getPenaltyList = async (req, res) => {
+  try {
+    const { page, limit, customer_id, bill_room_id, status } = req.query;
+
+    const pageNum = page;
+    const limitNum = limit;
+    const offset = (pageNum - 1) * limitNum;
+
+    const db = getDatabase();
+
+    let whereClause = 'WHERE p.customer_id = ? AND p.status != 2';
+    const queryParams = [customer_id];
+
+    if (bill_room_id) {
+      whereClause += ' AND p.bill_room_id = ?';
+      queryParams.push(bill_room_id);
+    }
+
+    if (status !== undefined) {
+      whereClause += ' AND p.status = ?';
+      queryParams.push(status);
+    }
+
+    const [rows] = await db.execute(
+      `SELECT p.*, br.bill_no, br.house_no, br.member_name, b.title as bill_title
+       FROM ${TABLE_PENALTY} p
+       INNER JOIN bill_room_information br ON p.bill_room_id = br.id
+       LEFT JOIN bill_information b ON p.bill_id = b.id
+       ${whereClause}
+       ORDER BY p.create_date DESC, p.id DESC
+       LIMIT ${limitNum} OFFSET ${offset}`,
+      queryParams
+    );
+
+    const [countResult] = await db.execute(
+      `SELECT COUNT(*) as total FROM ${TABLE_PENALTY} p ${whereClause}`,
+      queryParams
+    );
+    const total = countResult[0].total;
+
+    const formattedRows = addFormattedDatesToList(rows, ['create_date', 'update_date', 'waive_request_date', 'waive_approve_date']).map(row => ({
+      ...row,
+      penalty_type_title: PENALTY_TYPES[row.penalty_type] || row.penalty_type,
+      amount_formatted: formatPrice(parseFloat(row.amount)),
+      status_formatted: getStatusObject('bill_penalty', row.status)
+    }));
+
+    res.json({
+      success: true,
+      data: formattedRows,
+      pagination: {
+        current_page: pageNum,
+        per_page: limitNum,
+        total: total,
+        total_pages: Math.ceil(total / limitNum),
+        has_next: pageNum * limitNum < total,
+        has_prev: pageNum > 1
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Get penalty list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch penalties',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Request waiver of penalties (still counted until approved)
+ * PUT /api/bill_penalty/waive_request
+ * Body: { ids: [1, 2], reason, customer_id }
+ */
+export const requestPenaltyWaive = async (req, res) => {
+  try {
+    const { ids, reason, customer_id } = req.body;
+    const uid = getActorId(req);
+
+    const results = {
+      success: [],
+      failed: []
+    };
+
+    for (const id of ids) {
+      try {
+        const failure = await withTransaction(async (connection) => {
+          const [rows] = await connection.execute(
+            `SELECT id, status FROM ${TABLE_PENALTY} WHERE id = ? AND customer_id = ? AND status != 2 FOR UPDATE`,
+            [id, customer_id]
+          );
+
+          if (rows.length === 0) {
+            return { reason: 'ไม่พบข้อมูลค่าปรับ' };
+          }
+
+          if (parseInt(rows[0].status) !== BILL_PENALTY_STATUS.CHARGED) {
+            return {
+              reason: 'ขอยกเว้นได้เฉพาะค่าปรับที่มีสถานะเรียกเก็บเท่านั้น',
+              current_status: rows[0].status
+            };
+          }
+
+          const before = await getAuditSnapshot(connection, TABLE_PENALTY, id);
+
+          await transitionStatus(connection, {
+            entity: 'bill_penalty',
+            id,
+            from: rows[0].status,
+            to: BILL_PENALTY_STATUS.WAIVE_REQUESTED,
+            actorId: uid,
+            reason,
+            customerId: customer_id
+          });
+
+          await connection.execute(
+            `UPDATE ${TABLE_PENALTY}
+             SET status = ?, waive_reason = ?, waive_request_date = NOW(), waive_request_by = ?, update_date = NOW(), update_by = ?
+             WHERE id = ?`,
+            [BILL_PENALTY_STATUS.WAIVE_REQUESTED, reason, uid, uid, id]
+          );
+
+          await writeAuditLog(connection, req, {
+            entity: 'bill_penalty',
+            entityId: id,
+            action: 'request_waive',
+            before,
+            after: await getAuditSnapshot(connection, TABLE_PENALTY, id),
+            customerId: customer_id
+          });
+
+          return null;
+        });
+
+        if (failure) {
+          results.failed.push({ id, ...failure });
+          continue;
+        }
+
+        results.success.push({ id, status: BILL_PENALTY_STATUS.WAIVE_REQUESTED });
+
+      } catch (error) {
+        logger.error(`Request penalty waive id=${id} failed, rolled back:`, error);
+        results.failed.push({ id, reason: error.message });
+      }
+    }
+
+    logger.info(`Penalty waive requested: ${results.success.length}/${ids.length} by user ${uid}`);
+
+    res.json({
+      success: true,
+      message: `ส่งคำขอยกเว้นค่าปรับสำเร็จ ${results.success.length} รายการ${results.failed.length > 0 ? `, ล้มเหลว ${results.failed.length} รายการ` : ''}`,
+      data: {
+        total: ids.length,
+        success_count: results.success.length,
+        failed_count: results.failed.length,
+        success_items: results.success,
+        failed_items: results.failed,
+        update_by: uid
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Request penalty waive error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to request penalty waive',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Approve (status = 3 ยกเว้น) or reject (status = 1 เรียกเก็บต่อ) waiver requests
+ * The requester cannot approve their own request
+ * Bill room becomes paid when the paid amount already covers what is left
+ * PUT /api/bill_penalty/waive_approve
+ * Body: { ids: [1, 2], status, remark, customer_id }
+ */
+export const approvePenaltyWaive = async (req, res) => {
+  try {
+    const { ids, status, remark, customer_id } = req.body;
+    const uid = getActorId(req);
+
+    if (status === BILL_PENALTY_STATUS.CHARGED && (!remark || remark.trim() === '')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Remark required for rejection',
+        message: 'กรุณาระบุเหตุผลในการปฏิเสธ',
+        required: ['remark']
+      });
+    }
+
+    const results = {
+      success: [],
+      failed: []
+    };
+
+    for (const id of ids) {
+      try {
+        const outcome = await withTransaction(async (connection) => {
+          const [rows] = await connection.execute(
+            `SELECT id, bill_room_id, status, waive_request_by FROM ${TABLE_PENALTY} WHERE id = ? AND customer_id = ? AND status != 2 FOR UPDATE`,
+            [id, customer_id]
+          );
+
+          if (rows.length === 0) {
+            return { reason: 'ไม่พบข้อมูลค่าปรับ' };
+          }
+
+          const penalty = rows[0];
+
+          if (parseInt(penalty.status) !== BILL_PENALTY_STATUS.WAIVE_REQUESTED || !canTransition('bill_penalty', penalty.status, status)) {
+            return {
+              reason: 'สามารถอนุมัติได้เฉพาะรายการที่มีสถานะรออนุมัติยกเว้นเท่านั้น',
+              current_status: penalty.status
+            };
+          }
+
+          if (String(penalty.waive_request_by) === String(uid)) {
+            return { reason: 'ผู้ขอยกเว้นไม่สามารถอนุมัติคำขอของตนเองได้' };
+          }
+
+          const before = await getAuditSnapshot(connection, TABLE_PENALTY, id);
+
+          await transitionStatus(connection, {
+            entity: 'bill_penalty',
+            id,
+            from: penalty.status,
+            to: status,
+            actorId: uid,
+            reason: remark?.trim() || null,
+            customerId: customer_id
+          });
+
+          await connection.execute(
+            `UPDATE ${TABLE_PENALTY}
+             SET status = ?, waive_approve_date = NOW(), waive_approve_by = ?, waive_remark = ?, update_date = NOW(), update_by = ?
+             WHERE id = ?`,
+            [status, uid, remark?.trim() || null, uid, id]
+          );
+
+          let billRoomPaid = false;
+          if (status === BILL_PENALTY_STATUS.WAIVED) {
+            billRoomPaid = await settleBillRoomAfterWaive(connection, penalty.bill_room_id, { actorId: uid, customerId: customer_id });
+          }
+
+          await writeAuditLog(connection, req, {
+            entity: 'bill_penalty',
+            entityId: id,
+            action: status === BILL_PENALTY_STATUS.WAIVED ? 'approve' : 'reject',
+            before,
+            after: await getAuditSnapshot(connection, TABLE_PENALTY, id),
+            customerId: customer_id
+          });
+
+          return { billRoomPaid };
+        });
+
+        if (outcome.reason) {
+          results.failed.push({ id, ...outcome });
+          continue;
+        }
+
+        results.success.push({ id, status, bill_room_paid: outcome.billRoomPaid });
+
+      } catch (error) {
+        if (!(error instanceof StatusTransitionError)) {
+          logger.error(`Approve penalty waive id=${id} failed, rolled back:`, error);
+        }
+        results.failed.push({ id, reason: error.message });
+      }
+    }
+
+    logger.info(`Penalty waive ${status === BILL_PENALTY_STATUS.WAIVED ? 'approved' : 'rejected'}: ${results.success.length}/${ids.length} by user ${uid}`);
+
+    res.json({
+      success: true,
+      message: `${status === BILL_PENALTY_STATUS.WAIVED ? 'อนุมัติยกเว้นค่าปรับ' : 'ปฏิเสธการยกเว้นค่าปรับ'}สำเร็จ ${results.success.length} รายการ${results.failed.length > 0 ? `, ล้มเหลว ${results.failed.length} รายการ` : ''}`,
+      data: {
+        total: ids.length,
+        success_count: results.success.length,
+        failed_count: results.failed.length,
+        success_items: results.success,
+        failed_items: results.failed,
+        update_by: uid
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Approve penalty waive error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to approve penalty waive',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Post due penalties of customer now (same as the daily job)
+ * POST /api/bill_penalty/run
+ * Body: { customer_id }
+ */
+export const runPenaltyJob = async (req, res) => {
+  try {
+    const { customer_id } = req.body;
+    const uid = getActorId(req);
+
+    const result = await postOverduePenalties({ customerId: customer_id });
+
+    logger.info(`User ${uid} ran penalty job for ${customer_id}: ${result.charges} charges on ${result.bill_rooms} bill rooms`);
+
+    res.json({
+      success: true,
+      message: `บันทึกค่าปรับ ${result.charges} รายการ`,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Run penalty job error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to post penalties',
+      message: error.message
+    });
+  }
+};
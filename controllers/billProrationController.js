@@ -0,0 +1,185 @@
+import { getDatabase } from '../config/database.js';
+import logger from '../utils/logger.js';
+import { getActorId } from '../utils/requestContext.js';
+import { addFormattedDatesToList } from '../utils/dateFormatter.js';
+import { getAuditSnapshot, writeAuditLog } from '../utils/auditLog.js';
+import { PRORATION_METHODS } from '../utils/proration.js';
+
+const TABLE_PRORATION_RULE = 'bill_proration_rule';
+
+/**
+ * Get move-in proration rules of customer
+ * GET /api/bill_proration/rule_list?customer_id=xxx
+ */
+export const getProrationRuleList = async (req, res) => {
+  try {
+    const { customer_id } = req.query;
+    const db = getDatabase();
+
+    const [rows] = await db.execute(
+      `SELECT r.*, bt.title as bill_type
+       FROM ${TABLE_PRORATION_RULE} r
+       LEFT JOIN bill_type_information bt ON r.bill_type_id = bt.id
+       WHERE r.customer_id = ? AND r.status != 2
+       ORDER BY r.bill_type_id ASC`,
+      [customer_id]
+    );
+
+    res.json({
+      success: true,
+      data: addFormattedDatesToList(rows).map(row => ({
+        ...row,
+        method_title: PRORATION_METHODS[row.method] || row.method,
+        include_move_in_day: parseInt(row.include_move_in_day) === 1
+      })),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Get proration rule list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch proration rules',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Set move-in proration rule of bill type (one rule per bill type - updated if it exists)
+ * Only bills generated afterwards are prorated
+ * PUT /api/bill_proration/rule_update
+ * Body: { customer_id, bill_type_id, method, include_move_in_day, status }
+ */
+export const updateProrationRule = async (req, res) => {
+  try {
+    const { customer_id, bill_type_id, method, include_move_in_day, status } = req.body;
+    const uid = getActorId(req);
+
+    const db = getDatabase();
+
+    const [billTypeRows] = await db.execute(
+      'SELECT id FROM bill_type_information WHERE id = ? AND status != 2',
+      [bill_type_id]
+    );
+
+    if (billTypeRows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bill type not found',
+        message: 'ไม่พบประเภทบิลนี้ในระบบ'
+      });
+    }
+
+    const [existing] = await db.execute(
+      `SELECT id FROM ${TABLE_PRORATION_RULE} WHERE customer_id = ? AND bill_type_id = ? AND status != 2`,
+      [customer_id, bill_type_id]
+    );
+
+    const values = [method, include_move_in_day ? 1 : 0, status];
+    let ruleId;
+    let before = null;
+
+    if (existing.length > 0) {
+      ruleId = existing[0].id;
+      before = await getAuditSnapshot(db, TABLE_PRORATION_RULE, ruleId);
+
+      await db.execute(
+        `UPDATE ${TABLE_PRORATION_RULE}
+         SET method = ?, include_move_in_day = ?, status = ?, update_date = NOW(), update_by = ?
+         WHERE id = ?`,
+        [...values, uid, ruleId]
+      );
+      logger.info(`Proration rule updated: ID ${ruleId} (bill_type_id=${bill_type_id}) by user ${uid}`);
+    } else {
+      const [result] = await db.execute(
+        `INSERT INTO ${TABLE_PRORATION_RULE} (customer_id, bill_type_id, method, include_move_in_day, status, create_by)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [customer_id, bill_type_id, ...values, uid]
+      );
+      ruleId = result.insertId;
+      logger.info(`Proration rule created: ID ${ruleId} (bill_type_id=${bill_type_id}) by user ${uid}`);
+    }
+
+    const after = await getAuditSnapshot(db, TABLE_PRORATION_RULE, ruleId);
+    await writeAuditLog(db, req, {
+      entity: 'bill_proration_rule',
+      entityId: ruleId,
+      action: before ? 'update' : 'create',
+      before,
+      after,
+      customerId: customer_id
+    });
+
+    res.json({
+      success: true,
+      message: 'บันทึกเงื่อนไขการคิดค่าบริการตามวันเข้าอยู่สำเร็จ',
+      data: after,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Update proration rule error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update proration rule',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Delete move-in proration rule (soft delete - bills already generated are kept)
+ * DELETE /api/bill_proration/rule_delete
+ * Body: { id, customer_id }
+ */
+export const deleteProrationRule = async (req, res) => {
+  try {
+    const { id, customer_id } = req.body;
+    const uid = getActorId(req);
+
+    const db = getDatabase();
+    const before = await getAuditSnapshot(db, TABLE_PRORATION_RULE, id);
+
+    const [result] = await db.execute(
+      `UPDATE ${TABLE_PRORATION_RULE} SET status = 2, delete_date = NOW(), delete_by = ? WHERE id = ? AND customer_id = ? AND status != 2`,
+      [uid, id, customer_id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Proration rule not found',
+        message: 'ไม่พบเงื่อนไขการคิดค่าบริการตามวันเข้าอยู่'
+      });
+    }
+
+    logger.info(`Proration rule deleted (soft): ID ${id} by user ${uid}`);
+
+    await writeAuditLog(db, req, {
+      entity: 'bill_proration_rule',
+      entityId: id,
+      action: 'delete',
+      before,
+      after: await getAuditSnapshot(db, TABLE_PRORATION_RULE, id),
+      customerId: customer_id
+    });
+
+    res.json({
+      success: true,
+      message: 'ลบเงื่อนไขการคิดค่าบริการตามวันเข้าอยู่สำเร็จ',
+      data: {
+        id
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Delete proration rule error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete proration rule',
+      message: error.message
+    });
+  }
+};
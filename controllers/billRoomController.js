@@ -1,8 +1,15 @@
-import { getDatabase } from '../config/database.js';
+import { getDatabase, withTransaction } from '../config/database.js';
 import logger from '../utils/logger.js';
+import { getActorId } from '../utils/requestContext.js';
 import { addFormattedDates, addFormattedDatesToList } from '../utils/dateFormatter.js';
 import { getFileUrl } from '../utils/storageManager.js';
 import { getFirestore } from '../config/firebase.js';
+import { generateDocumentNumber } from '../utils/documentNumber.js';
+import { getStatusObject } from '../utils/statusMachine.js';
+import { getAuditSnapshot, writeAuditLog } from '../utils/auditLog.js';
+import { COUNTED_PENALTY_STATUSES, PENALTY_TYPES, getPenaltyTotal, getPenaltyTotals } from '../utils/billPenalty.js';
+import { CREDIT_MOVEMENT_TYPES, autoApplyHouseCredit, getHouseCreditBalance } from '../utils/houseCredit.js';
+import { buildBillRoomItems, buildSingleItem, getBillRoomItems, getItemVatRate, insertBillRoomItems } from '../utils/billRoomItem.js';
 
 const MENU = 'bill_room';
 const TABLE_INFORMATION = `${MENU}_information`;
@@ -46,93 +53,138 @@ function enrichBankWithMasterData(bank, masterBankList) {
   return bank;
 }
 
-// Generate bill_no format: INV-YYYY-MMDD-NNN
-async function generateBillNo(db, customer_id) {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = String(now.getMonth() + 1).padStart(2, '0');
-  const day = String(now.getDate()).padStart(2, '0');
-  const datePrefix = `${month}${day}`;
-  const pattern = `INV-${year}-${datePrefix}-%`;
-
-  // Find the last bill_no with the same date pattern and customer_id
-  const query = `
-    SELECT bill_no
-    FROM ${TABLE_INFORMATION}
-    WHERE bill_no LIKE ? AND customer_id = ?
-    ORDER BY bill_no DESC
-    LIMIT 1
-  `;
-
-  const [rows] = await db.execute(query, [pattern, customer_id]);
-
-  let runNumber = 0;
-
-  if (rows.length > 0) {
-    // Extract the run number from the last bill_no
-    const lastBillNo = rows[0].bill_no;
-    const parts = lastBillNo.split('-');
-    if (parts.length === 4) {
-      const lastRunNumber = parseInt(parts[3]);
-      runNumber = (lastRunNumber + 1) % 1000; // Reset to 0 after 999
-    }
-  }
-
-  const runNumberStr = String(runNumber).padStart(3, '0');
-  return `INV-${year}-${datePrefix}-${runNumberStr}`;
-}
-
+/**
+ * Insert bill room
+ * POST /api/bill_room/insert
+ * Body: { bill_id, house_no, member_name, total_price, items, remark, customer_id, status }
+ * items: [{ description, bill_type_id, quantity, unit_price, vat_flag }] - total_price is their sum
+ * without items, total_price becomes one item of the bill type of the bill
+ */
 export const insertBillRoom = async (req, res) => {
   try {
-    const { bill_id, house_no, member_name, total_price, remark, customer_id, status, uid } = req.body;
+    const { bill_id, house_no, member_name, total_price, items, remark, customer_id, status } = req.body;
+    const uid = getActorId(req);
+
+    const billIdValue = parseInt(bill_id);
 
-    if (!bill_id || !house_no || !member_name || total_price === undefined || !customer_id || status === undefined || !uid) {
+    if (items.length === 0 && total_price === undefined) {
       return res.status(400).json({
         success: false,
         error: 'Missing required fields',
-        message: 'กรุณากรอกข้อมูลที่จำเป็น: bill_id, house_no, member_name, total_price, customer_id, status, uid',
-        required: ['bill_id', 'house_no', 'member_name', 'total_price', 'customer_id', 'status', 'uid']
+        message: 'กรุณาระบุยอดเงิน (total_price) หรือรายการ (items)',
+        required: ['total_price']
       });
     }
 
     const db = getDatabase();
 
-    // Generate bill_no
-    const billNo = await generateBillNo(db, customer_id);
+    const [billRows] = await db.execute(
+      `SELECT b.title, b.bill_type_id, bt.title as bill_type
+       FROM bill_information b
+       LEFT JOIN bill_type_information bt ON b.bill_type_id = bt.id
+       WHERE b.id = ? AND b.customer_id = ? AND b.status != 2`,
+      [billIdValue, req.customer_id]
+    );
 
-    const insertQuery = `
-      INSERT INTO ${TABLE_INFORMATION} (bill_id, bill_no, house_no, member_name, total_price, remark, customer_id, status, create_by)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `;
+    if (billRows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bill not found',
+        message: 'ไม่พบข้อมูลบิล'
+      });
+    }
 
-    const billIdValue = parseInt(bill_id);
-    const totalPriceValue = parseFloat(total_price);
-
-    const [result] = await db.execute(insertQuery, [
-      billIdValue,
-      billNo,
-      house_no?.trim(),
-      member_name?.trim(),
-      totalPriceValue,
-      remark?.trim() || null,
-      customer_id?.trim(),
-      status,
-      uid
-    ]);
+    // total_price = ผลรวมของรายการ
+    let billRoomItems;
+    let totalPriceValue;
+
+    if (items.length > 0) {
+      const built = buildBillRoomItems(items, await getItemVatRate());
+
+      if (built.errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid request data',
+          message: `ข้อมูลไม่ถูกต้อง: ${built.errors.map(error => error.message).join(', ')}`,
+          message_en: `Invalid request data: ${built.errors.map(error => error.message_en).join(', ')}`,
+          required: [],
+          errors: built.errors
+        });
+      }
+
+      billRoomItems = built.items;
+      totalPriceValue = built.total_price;
+    } else {
+      totalPriceValue = parseFloat(total_price);
+      billRoomItems = buildSingleItem(totalPriceValue, {
+        description: billRows[0].bill_type || billRows[0].title,
+        billTypeId: billRows[0].bill_type_id
+      });
+    }
+
+    // bill_no จาก document numbering (invoice) - lock counter จน insert เสร็จ
+    const { insertId, billNo } = await withTransaction(async (connection) => {
+      const billNo = await generateDocumentNumber('invoice', customer_id?.trim(), { connection });
+
+      const insertQuery = `
+        INSERT INTO ${TABLE_INFORMATION} (bill_id, bill_no, house_no, member_name, total_price, remark, customer_id, status, create_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+
+      const [result] = await connection.execute(insertQuery, [
+        billIdValue,
+        billNo,
+        house_no?.trim(),
+        member_name?.trim(),
+        totalPriceValue,
+        remark?.trim() || null,
+        customer_id?.trim(),
+        status,
+        uid
+      ]);
+
+      await insertBillRoomItems(connection, [{
+        billRoomId: result.insertId,
+        billId: billIdValue,
+        customerId: customer_id?.trim(),
+        items: billRoomItems
+      }], uid);
+
+      await writeAuditLog(connection, req, {
+        entity: 'bill_room',
+        entityId: result.insertId,
+        action: 'create',
+        after: await getAuditSnapshot(connection, TABLE_INFORMATION, result.insertId),
+        customerId: customer_id?.trim()
+      });
+
+      return { insertId: result.insertId, billNo };
+    });
+
+    // ห้องที่เพิ่มในบิลที่ส่งแล้ว หักชำระจากเครดิตคงเหลือได้ทันที
+    let creditApplied = 0;
+    try {
+      const applied = await autoApplyHouseCredit(billIdValue, { actorId: uid, req, billRoomIds: [insertId] });
+      creditApplied = applied.amount;
+    } catch (creditError) {
+      logger.error('Failed to apply house credit:', creditError);
+    }
 
     res.json({
       success: true,
       message: 'Bill room inserted successfully',
       data: {
-        id: result.insertId,
+        id: insertId,
         bill_id: billIdValue,
         bill_no: billNo,
         house_no,
         member_name,
         total_price: totalPriceValue,
+        items: billRoomItems,
         remark,
         customer_id,
         status,
+        credit_applied: creditApplied,
         create_by: uid
       },
       timestamp: new Date().toISOString()
@@ -152,15 +204,6 @@ export const getBillRoomList = async (req, res) => {
   try {
     const { page = 1, limit = 10, status, keyword, bill_id, customer_id } = req.query;
 
-    if (!customer_id) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required parameter',
-        message: 'กรุณาระบุ customer_id',
-        required: ['customer_id']
-      });
-    }
-
     const pageNum = parseInt(page) || 1;
     const limitNum = parseInt(limit) || 10;
     const offset = (pageNum - 1) * limitNum;
@@ -237,19 +280,12 @@ export const getBillRoomList = async (req, res) => {
 /**
  * Get bill room list for mobile app
  * GET /api/bill_room/app_list
+ * house_no / customer_id come from the authenticated resident (authenticateResident)
  */
 export const getBillRoomAppList = async (req, res) => {
   try {
-    const { page = 1, limit = 10, status, keyword, bill_id, customer_id, house_no } = req.query;
-
-    if (!customer_id) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required parameter',
-        message: 'กรุณาระบุ customer_id',
-        required: ['customer_id']
-      });
-    }
+    const { page = 1, limit = 10, status, keyword, bill_id } = req.query;
+    const { customer_id, house_no } = req.resident;
 
     const pageNum = parseInt(page) || 1;
     const limitNum = parseInt(limit) || 10;
@@ -286,11 +322,9 @@ export const getBillRoomAppList = async (req, res) => {
       queryParams.push(parseInt(bill_id));
     }
 
-    // House number filter (for mobile app)
-    if (house_no && house_no.trim() !== '') {
-      whereClause += ' AND br.house_no = ?';
-      queryParams.push(house_no.trim());
-    }
+    // House number filter (resident's own house)
+    whereClause += ' AND br.house_no = ?';
+    queryParams.push(house_no);
 
     // Customer filter (required)
     whereClause += ' AND br.customer_id = ?';
@@ -316,6 +350,8 @@ export const getBillRoomAppList = async (req, res) => {
     `;
 
     const [rows] = await db.execute(dataQuery, queryParams);
+    const penaltyTotals = await getPenaltyTotals(db, rows.map(row => row.id));
+    const itemsByBillRoom = await getBillRoomItems(db, rows.map(row => row.id));
 
     // Add formatted dates and additional fields
     const formattedRows = addFormattedDatesToList(rows, ['create_date', 'update_date', 'delete_date', 'expire_date']).map(row => {
@@ -323,8 +359,17 @@ export const getBillRoomAppList = async (req, res) => {
       const totalPrice = parseFloat(row.total_price);
       row.total_price_formatted = `฿${formatNumber(totalPrice)}`;
 
+      // Add penalty (ค่าปรับที่ยังไม่ถูกยกเว้น) and total_due
+      const penaltyAmount = penaltyTotals.get(row.id) || 0;
+      row.penalty_amount = penaltyAmount;
+      row.penalty_amount_formatted = `฿${formatNumber(penaltyAmount)}`;
+      row.total_due_formatted = `฿${formatNumber(totalPrice + penaltyAmount)}`;
+
+      // Add line items
+      row.items = (itemsByBillRoom.get(row.id) || []).map(formatBillRoomItem);
+
       // Add status_formatted (no overdue check for list view)
-      row.status_formatted = getStatusObject(row.status, false);
+      row.status_formatted = getStatusObject('bill_room', row.status);
 
       // Add update_date_app_formatted (short format: "14 มิ.ย. 2025")
       row.update_date_app_formatted = formatDateForAppShort(row.update_date);
@@ -404,10 +449,10 @@ export const getBillRoomDetail = async (req, res) => {
       FROM ${TABLE_INFORMATION} br
       LEFT JOIN bill_information b ON br.bill_id = b.id
       LEFT JOIN bill_type_information bt ON b.bill_type_id = bt.id
-      WHERE br.id = ? AND br.status != 2
+      WHERE br.id = ? AND br.customer_id = ? AND br.status != 2
     `;
 
-    const [billRoomRows] = await db.execute(billRoomQuery, [parseInt(id)]);
+    const [billRoomRows] = await db.execute(billRoomQuery, [parseInt(id), req.customer_id]);
 
     if (billRoomRows.length === 0) {
       return res.status(404).json({
@@ -443,7 +488,7 @@ export const getBillRoomDetail = async (req, res) => {
     const isOverdue = expireDate ? today > expireDate : false;
 
     // Add status_formatted (with overdue check)
-    billRoomData.status_formatted = getStatusObject(row.status, isOverdue);
+    billRoomData.status_formatted = getStatusObject('bill_room', row.status, { isOverdue });
 
     // Get all transactions for this bill_room
     const transactionsQuery = `
@@ -487,10 +532,52 @@ export const getBillRoomDetail = async (req, res) => {
       return formatted;
     });
 
+    // Get line items (paid_amount allocated by payment priority)
+    const itemsByBillRoom = await getBillRoomItems(db, [parseInt(id)]);
+    const formattedItems = (itemsByBillRoom.get(parseInt(id)) || []).map(formatBillRoomItem);
+
+    // Get penalties for this bill_room (waived ones are listed but not counted)
+    const penaltiesQuery = `
+      SELECT id, penalty_type, period_key, overdue_days, base_amount, amount, status,
+             waive_reason, waive_request_date, waive_request_by, waive_approve_date, waive_approve_by, waive_remark,
+             create_date
+      FROM bill_penalty
+      WHERE bill_room_id = ? AND status != 2
+      ORDER BY create_date ASC, id ASC
+    `;
+
+    const [penaltyRows] = await db.execute(penaltiesQuery, [parseInt(id)]);
+
+    const formattedPenalties = addFormattedDatesToList(penaltyRows, ['create_date', 'waive_request_date', 'waive_approve_date']).map(penalty => ({
+      ...penalty,
+      penalty_type_title: PENALTY_TYPES[penalty.penalty_type] || penalty.penalty_type,
+      amount_formatted: `฿${formatNumber(parseFloat(penalty.amount))}`,
+      status_formatted: getStatusObject('bill_penalty', penalty.status)
+    }));
+
     // Calculate totals
     const totalPaid = transactionRows.reduce((sum, tx) => sum + parseFloat(tx.transaction_amount), 0);
     const billTotalPrice = parseFloat(billRoomData.total_price);
-    const remainingAmount = billTotalPrice - totalPaid;
+    const penaltyAmount = penaltyRows
+      .filter(penalty => COUNTED_PENALTY_STATUSES.includes(parseInt(penalty.status)))
+      .reduce((sum, penalty) => sum + parseFloat(penalty.amount), 0);
+    const totalDue = billTotalPrice + penaltyAmount;
+    const remainingAmount = totalDue - totalPaid;
+
+    // House credit: balance of the house + movements linked to this bill_room
+    const creditBalance = await getHouseCreditBalance(db, billRoomData.customer_id, billRoomData.house_no);
+    const [creditMovementRows] = await db.execute(
+      `SELECT id, movement_type, amount, balance_after, bill_transaction_id, payment_id, remark, create_date, create_by
+       FROM house_credit_movement
+       WHERE bill_room_id = ?
+       ORDER BY id ASC`,
+      [parseInt(id)]
+    );
+    const creditMovements = addFormattedDatesToList(creditMovementRows, ['create_date']).map(movement => ({
+      ...movement,
+      movement_type_title: CREDIT_MOVEMENT_TYPES[movement.movement_type] || movement.movement_type,
+      amount_formatted: `฿${formatNumber(parseFloat(movement.amount))}`
+    }));
 
     // Get payment list for this bill_room
     const paymentListQuery = `
@@ -592,10 +679,19 @@ export const getBillRoomDetail = async (req, res) => {
       success: true,
       data: {
         ...billRoomData,
+        items: formattedItems,
         transactions: formattedTransactions,
+        penalties: formattedPenalties,
+        house_credit: {
+          balance: creditBalance,
+          balance_formatted: `฿${formatNumber(creditBalance)}`,
+          movements: creditMovements
+        },
         payment_list: paymentList,
         summary: {
           total_price: billTotalPrice,
+          penalty_amount: penaltyAmount,
+          total_due: totalDue,
           total_paid: totalPaid,
           remaining_amount: remainingAmount,
           transaction_count: transactionRows.length,
@@ -627,6 +723,22 @@ function formatNumber(num) {
   return parts.join('.');
 }
 
+// Helper function to add formatted amounts to bill room item
+function formatBillRoomItem(item) {
+  const totalAmount = parseFloat(item.total_amount);
+  const paidAmount = parseFloat(item.paid_amount);
+
+  return {
+    ...item,
+    unit_price_formatted: `฿${formatNumber(parseFloat(item.unit_price))}`,
+    amount_formatted: `฿${formatNumber(parseFloat(item.amount))}`,
+    vat_amount_formatted: `฿${formatNumber(parseFloat(item.vat_amount))}`,
+    total_amount_formatted: `฿${formatNumber(totalAmount)}`,
+    paid_amount_formatted: `฿${formatNumber(paidAmount)}`,
+    remaining_amount: Math.round((totalAmount - paidAmount) * 100) / 100
+  };
+}
+
 // Helper function to get Thai month name
 function getThaiMonthName(monthIndex) {
   const thaiMonths = [
@@ -706,73 +818,15 @@ function formatDateDDMMYYYY(date) {
   return `${day}/${month}/${year}`;
 }
 
-// Helper function to get status object
-function getStatusObject(statusId, isOverdue = false) {
-  // If status is 0 or 5 and overdue, change to status 3
-  if ((statusId === 0 || statusId === 5) && isOverdue) {
-    return {
-      id: 3,
-      text: 'เกินกำหนด',
-      text_color: '#C0392B',
-      background_color: '#FADBD8'
-    };
-  }
-
-  const statusMap = {
-    0: {
-      id: 0,
-      text: 'รอชำระ',
-      text_color: '#D27500',
-      background_color: '#FFECD5'
-    },
-    1: {
-      id: 1,
-      text: 'ชำระแล้ว',
-      text_color: '#0F7D3E',
-      background_color: '#D5F5E3'
-    },
-    3: {
-      id: 3,
-      text: 'เกินกำหนด',
-      text_color: '#C0392B',
-      background_color: '#FADBD8'
-    },
-    5: {
-      id: 5,
-      text: 'รอตรวจสอบ',
-      text_color: '#0075FF',
-      background_color: '#DAEBFF'
-    }
-  };
-
-  return statusMap[statusId] || {
-    id: statusId,
-    text: 'ไม่ทราบสถานะ',
-    text_color: '#000000',
-    background_color: '#FFFFFF'
-  };
-}
-
 /**
  * Get current bill room for mobile app
- * GET /api/bill_room/current_bill_room?house_no=xxx&customer_id=xxx
+ * GET /api/bill_room/current_bill_room
+ * house_no / customer_id come from the authenticated resident (authenticateResident)
  * Returns the bill_room with status 0 or 5 with the earliest create_date
  */
 export const getCurrentBillRoom = async (req, res) => {
   try {
-    let { house_no, customer_id } = req.query;
-
-    if (!house_no || !customer_id) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required parameters',
-        message: 'กรุณาระบุ house_no และ customer_id',
-        required: ['house_no', 'customer_id']
-      });
-    }
-
-    // Convert house_no: replace "-" with "/" (e.g., "100-10" -> "100/10")
-    house_no = house_no.replace(/-/g, '/');
+    const { house_no, customer_id } = req.resident;
 
     const db = getDatabase();
 
@@ -825,6 +879,15 @@ export const getCurrentBillRoom = async (req, res) => {
     const totalPrice = parseFloat(row.total_price);
     formattedData.total_price = `฿${formatNumber(totalPrice)}`;
 
+    // Add penalty (ค่าปรับที่ยังไม่ถูกยกเว้น) and total_due
+    const penaltyAmount = await getPenaltyTotal(db, row.id);
+    formattedData.penalty_amount = `฿${formatNumber(penaltyAmount)}`;
+    formattedData.total_due = `฿${formatNumber(totalPrice + penaltyAmount)}`;
+
+    // Add line items
+    const itemsByBillRoom = await getBillRoomItems(db, [row.id]);
+    formattedData.items = (itemsByBillRoom.get(row.id) || []).map(formatBillRoomItem);
+
     // Check if overdue
     const today = new Date();
     today.setHours(0, 0, 0, 0);
@@ -835,7 +898,7 @@ export const getCurrentBillRoom = async (req, res) => {
     const isOverdue = expireDate ? today > expireDate : false;
 
     // Replace status with object (with overdue check)
-    formattedData.status = getStatusObject(row.status, isOverdue);
+    formattedData.status = getStatusObject('bill_room', row.status, { isOverdue });
 
     // Add expire_date_app_formatted (long format with พ.ศ.)
     formattedData.expire_date_app_formatted = formatDateForApp(row.expire_date);
@@ -897,24 +960,13 @@ export const getCurrentBillRoom = async (req, res) => {
 
 /**
  * Get bill room history for mobile app
- * GET /api/bill_room/history?house_no=xxx&customer_id=xxx
+ * GET /api/bill_room/history
+ * house_no / customer_id come from the authenticated resident (authenticateResident)
  * Returns last_bill_room and total_bill_room
  */
 export const getBillRoomHistory = async (req, res) => {
   try {
-    let { house_no, customer_id } = req.query;
-
-    if (!house_no || !customer_id) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required parameters',
-        message: 'กรุณาระบุ house_no และ customer_id',
-        required: ['house_no', 'customer_id']
-      });
-    }
-
-    // Convert house_no: replace "-" with "/" (e.g., "100-10" -> "100/10")
-    house_no = house_no.replace(/-/g, '/');
+    const { house_no, customer_id } = req.resident;
 
     const db = getDatabase();
 
@@ -962,28 +1014,17 @@ export const getBillRoomHistory = async (req, res) => {
 
 /**
  * Get remain summary for mobile app
- * GET /api/bill_room/remain_summery?house_no=xxx&customer_id=xxx
+ * GET /api/bill_room/remain_summery
+ * house_no / customer_id come from the authenticated resident (authenticateResident)
  * Returns unpaid_amount, paid_amount, and difference
  */
 export const getRemainSummery = async (req, res) => {
   try {
-    let { house_no, customer_id } = req.query;
-
-    if (!house_no || !customer_id) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required parameters',
-        message: 'กรุณาระบุ house_no และ customer_id',
-        required: ['house_no', 'customer_id']
-      });
-    }
-
-    // Convert house_no: replace "-" with "/" (e.g., "100-10" -> "100/10")
-    house_no = house_no.replace(/-/g, '/');
+    const { house_no, customer_id } = req.resident;
 
     const db = getDatabase();
 
-    // Get unpaid amount: sum of total_price where bill_room.status = 0 and bill.status = 1
+    // Get unpaid amount: sum of total_price where bill_room.status = 0 and bill.status = 1 (+ penalties below)
     const unpaidQuery = `
       SELECT COALESCE(SUM(br.total_price), 0) as total
       FROM ${TABLE_INFORMATION} br
@@ -991,7 +1032,19 @@ export const getRemainSummery = async (req, res) => {
       WHERE br.house_no = ? AND br.customer_id = ? AND br.status = 0 AND b.status = 1 AND br.status != 2
     `;
     const [unpaidRows] = await db.execute(unpaidQuery, [house_no, customer_id]);
-    const unpaidAmount = parseFloat(unpaidRows[0].total);
+
+    // Get penalty amount of the same unpaid bill_rooms (waived penalties are not counted)
+    const penaltyQuery = `
+      SELECT COALESCE(SUM(p.amount), 0) as total
+      FROM bill_penalty p
+      INNER JOIN ${TABLE_INFORMATION} br ON p.bill_room_id = br.id
+      INNER JOIN bill_information b ON br.bill_id = b.id
+      WHERE br.house_no = ? AND br.customer_id = ? AND br.status = 0 AND b.status = 1
+        AND p.status IN (${COUNTED_PENALTY_STATUSES.join(', ')})
+    `;
+    const [penaltyRows] = await db.execute(penaltyQuery, [house_no, customer_id]);
+    const penaltyAmount = parseFloat(penaltyRows[0].total);
+    const unpaidAmount = parseFloat(unpaidRows[0].total) + penaltyAmount;
 
     // Get paid amount: sum of total_price where bill_room.status IN (1, 5) and bill.status = 1
     const paidQuery = `
@@ -1003,6 +1056,9 @@ export const getRemainSummery = async (req, res) => {
     const [paidRows] = await db.execute(paidQuery, [house_no, customer_id]);
     const paidAmount = parseFloat(paidRows[0].total);
 
+    // เครดิตคงเหลือ (ชำระเกิน / ชำระล่วงหน้า) ใช้หักบิลถัดไป
+    const creditBalance = await getHouseCreditBalance(db, customer_id, house_no);
+
     // Get unpaid count: count of bill_room records where status = 0 and bill.status = 1
     const unpaidCountQuery = `
       SELECT COUNT(*) as count
@@ -1017,7 +1073,9 @@ export const getRemainSummery = async (req, res) => {
       success: true,
       data: {
         unpaid_amount: `฿${formatNumber(unpaidAmount)}`,
+        penalty_amount: `฿${formatNumber(penaltyAmount)}`,
         paid_amount: `฿${formatNumber(paidAmount)}`,
+        credit_balance: `฿${formatNumber(creditBalance)}`,
         unpaid_count: unpaidCount
       },
       timestamp: new Date().toISOString()
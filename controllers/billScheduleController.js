@@ -0,0 +1,492 @@
+import { getDatabase } from '../config/database.js';
+import logger from '../utils/logger.js';
+import { getActorId } from '../utils/requestContext.js';
+import { addFormattedDates, addFormattedDatesToList } from '../utils/dateFormatter.js';
+import { getAuditSnapshot, writeAuditLog } from '../utils/auditLog.js';
+import { buildSchedulePlan, generateScheduledBill, getFirstRunDate, getIssueDate, getPeriodOf } from '../utils/billScheduler.js';
+
+const TABLE_SCHEDULE = 'bill_schedule';
+const TABLE_SCHEDULE_RUN = 'bill_schedule_run';
+
+const PERIOD_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+/**
+ * Check amount fields against amount_rule
+ * @returns {string|null} Error message (Thai) or null
+ */
+function validateAmountRule({ amount_rule, amount, room_type_amounts }) {
+  if (amount_rule === 'fixed' && (amount === undefined || amount === null)) {
+    return 'รอบบิลแบบยอดคงที่ต้องระบุ amount';
+  }
+
+  if (amount_rule === 'room_type') {
+    if (!room_type_amounts || typeof room_type_amounts !== 'object' || Array.isArray(room_type_amounts) || Object.keys(room_type_amounts).length === 0) {
+      return 'รอบบิลแบบตามประเภทห้องต้องระบุ room_type_amounts เช่น {"1": 1500, "2": 2000}';
+    }
+
+    if (Object.values(room_type_amounts).some(value => !Number.isFinite(Number(value)) || Number(value) < 0)) {
+      return 'ยอดเงินใน room_type_amounts ต้องเป็นตัวเลขที่ไม่ติดลบ';
+    }
+  }
+
+  return null;
+}
+
+function formatSchedule(row) {
+  return {
+    ...addFormattedDates(row, ['create_date', 'update_date', 'next_run_date', 'last_run_date']),
+    auto_send: parseInt(row.auto_send) === 1
+  };
+}
+
+async function getSchedule(db, id, customerId) {
+  const [rows] = await db.execute(
+    `SELECT * FROM ${TABLE_SCHEDULE} WHERE id = ? AND customer_id = ? AND status != 2`,
+    [id, customerId]
+  );
+
+  return rows[0] || null;
+}
+
+function scheduleNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'Bill schedule not found',
+    message: 'ไม่พบข้อมูลรอบบิลอัตโนมัติ'
+  });
+}
+
+function invalidPeriod(res) {
+  return res.status(400).json({
+    success: false,
+    error: 'Invalid period',
+    message: 'period ต้องอยู่ในรูปแบบ YYYY-MM'
+  });
+}
+
+/**
+ * Insert bill schedule
+ * POST /api/bill_schedule/insert
+ * next_run_date = issue_day of this month, or next month when the day has passed
+ */
+export const insertBillSchedule = async (req, res) => {
+  try {
+    const { customer_id, bill_type_id, title_template, detail_template, amount_rule, amount, room_type_amounts, issue_day, due_days, auto_send, status } = req.body;
+    const uid = getActorId(req);
+
+    const amountError = validateAmountRule(req.body);
+    if (amountError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid amount rule',
+        message: amountError
+      });
+    }
+
+    const db = getDatabase();
+    const nextRunDate = getFirstRunDate(issue_day);
+
+    const [result] = await db.execute(
+      `INSERT INTO ${TABLE_SCHEDULE} (
+         customer_id, bill_type_id, title_template, detail_template, amount_rule, amount, room_type_amounts,
+         issue_day, due_days, auto_send, next_run_date, status, create_by
+       )
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        customer_id.trim(),
+        bill_type_id,
+        title_template.trim(),
+        detail_template.trim(),
+        amount_rule,
+        amount ?? null,
+        room_type_amounts ? JSON.stringify(room_type_amounts) : null,
+        issue_day,
+        due_days,
+        auto_send ? 1 : 0,
+        nextRunDate,
+        status,
+        uid
+      ]
+    );
+
+    logger.info(`Bill schedule inserted: ID ${result.insertId} by user ${uid}`);
+
+    const after = await getAuditSnapshot(db, TABLE_SCHEDULE, result.insertId);
+    await writeAuditLog(db, req, {
+      entity: 'bill_schedule',
+      entityId: result.insertId,
+      action: 'create',
+      after
+    });
+
+    res.json({
+      success: true,
+      message: 'เพิ่มรอบบิลอัตโนมัติสำเร็จ',
+      data: formatSchedule(after),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Insert bill schedule error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to insert bill schedule',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Update bill schedule
+ * PUT /api/bill_schedule/update
+ * Changing issue_day moves next_run_date to the new day of the same period
+ */
+export const updateBillSchedule = async (req, res) => {
+  try {
+    const { id, customer_id, bill_type_id, title_template, detail_template, amount_rule, amount, room_type_amounts, issue_day, due_days, auto_send, status } = req.body;
+    const uid = getActorId(req);
+
+    const amountError = validateAmountRule(req.body);
+    if (amountError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid amount rule',
+        message: amountError
+      });
+    }
+
+    const db = getDatabase();
+
+    const before = await getSchedule(db, id, customer_id);
+    if (!before) {
+      return scheduleNotFound(res);
+    }
+
+    const nextRunDate = getIssueDate(getPeriodOf(before.next_run_date), issue_day);
+
+    await db.execute(
+      `UPDATE ${TABLE_SCHEDULE}
+       SET bill_type_id = ?, title_template = ?, detail_template = ?, amount_rule = ?, amount = ?, room_type_amounts = ?,
+           issue_day = ?, due_days = ?, auto_send = ?, next_run_date = ?, status = ?, update_date = NOW(), update_by = ?
+       WHERE id = ?`,
+      [
+        bill_type_id,
+        title_template.trim(),
+        detail_template.trim(),
+        amount_rule,
+        amount ?? null,
+        room_type_amounts ? JSON.stringify(room_type_amounts) : null,
+        issue_day,
+        due_days,
+        auto_send ? 1 : 0,
+        nextRunDate,
+        status,
+        uid,
+        id
+      ]
+    );
+
+    logger.info(`Bill schedule updated: ID ${id} by user ${uid}`);
+
+    const after = await getAuditSnapshot(db, TABLE_SCHEDULE, id);
+    await writeAuditLog(db, req, {
+      entity: 'bill_schedule',
+      entityId: id,
+      action: 'update',
+      before,
+      after
+    });
+
+    res.json({
+      success: true,
+      message: 'แก้ไขรอบบิลอัตโนมัติสำเร็จ',
+      data: formatSchedule(after),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Update bill schedule error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update bill schedule',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Delete bill schedule (soft delete - bills already generated are kept)
+ * DELETE /api/bill_schedule/delete
+ */
+export const deleteBillSchedule = async (req, res) => {
+  try {
+    const { id, customer_id } = req.body;
+    const uid = getActorId(req);
+
+    const db = getDatabase();
+
+    const before = await getSchedule(db, id, customer_id);
+    if (!before) {
+      return scheduleNotFound(res);
+    }
+
+    await db.execute(
+      `UPDATE ${TABLE_SCHEDULE} SET status = 2, delete_date = NOW(), delete_by = ? WHERE id = ?`,
+      [uid, id]
+    );
+
+    logger.info(`Bill schedule deleted (soft): ID ${id} by user ${uid}`);
+
+    await writeAuditLog(db, req, {
+      entity: 'bill_schedule',
+      entityId: id,
+      action: 'delete',
+      before,
+      after: await getAuditSnapshot(db, TABLE_SCHEDULE, id)
+    });
+
+    res.json({
+      success: true,
+      message: 'ลบรอบบิลอัตโนมัติสำเร็จ',
+      data: {
+        id
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Delete bill schedule error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete bill schedule',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get bill schedule list
+ * GET /api/bill_schedule/list?customer_id=xxx&status=1&page=1&limit=10
+ */
+export const getBillScheduleList = async (req, res) => {
+  try {
+    const { page, limit, status, customer_id } = req.query;
+
+    const pageNum = page;
+    const limitNum = limit;
+    const offset = (pageNum - 1) * limitNum;
+
+    const db = getDatabase();
+
+    let whereClause = 'WHERE customer_id = ? AND status != 2';
+    const queryParams = [customer_id];
+
+    if (status !== undefined) {
+      whereClause += ' AND status = ?';
+      queryParams.push(status);
+    }
+
+    const [rows] = await db.execute(
+      `SELECT * FROM ${TABLE_SCHEDULE} ${whereClause} ORDER BY create_date DESC, id DESC LIMIT ${limitNum} OFFSET ${offset}`,
+      queryParams
+    );
+
+    const [countResult] = await db.execute(
+      `SELECT COUNT(*) as total FROM ${TABLE_SCHEDULE} ${whereClause}`,
+      queryParams
+    );
+    const total = countResult[0].total;
+
+    res.json({
+      success: true,
+      data: rows.map(formatSchedule),
+      pagination: {
+        current_page: pageNum,
+        per_page: limitNum,
+        total: total,
+        total_pages: Math.ceil(total / limitNum),
+        has_next: pageNum * limitNum < total,
+        has_prev: pageNum > 1
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Get bill schedule list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch bill schedule list',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get bill schedule detail with generated periods
+ * GET /api/bill_schedule/:id?customer_id=xxx
+ */
+export const getBillScheduleDetail = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { customer_id } = req.query;
+
+    const db = getDatabase();
+
+    const schedule = await getSchedule(db, id, customer_id);
+    if (!schedule) {
+      return scheduleNotFound(res);
+    }
+
+    const [runs] = await db.execute(
+      `SELECT r.id, r.period, r.bill_id, b.bill_no, b.status as bill_status, r.room_count, r.skipped_count,
+              r.total_amount, r.create_date, r.create_by
+       FROM ${TABLE_SCHEDULE_RUN} r
+       LEFT JOIN bill_information b ON r.bill_id = b.id
+       WHERE r.schedule_id = ?
+       ORDER BY r.period DESC`,
+      [id]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        ...formatSchedule(schedule),
+        runs: addFormattedDatesToList(runs, ['create_date'])
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Get bill schedule detail error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch bill schedule detail',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Preview bill of period without writing anything
+ * GET /api/bill_schedule/preview?id=1&customer_id=xxx&period=2025-01 (default: period of next_run_date)
+ */
+export const previewBillSchedule = async (req, res) => {
+  try {
+    const { id, customer_id } = req.query;
+    const db = getDatabase();
+
+    const schedule = await getSchedule(db, id, customer_id);
+    if (!schedule) {
+      return scheduleNotFound(res);
+    }
+
+    const period = req.query.period || getPeriodOf(schedule.next_run_date);
+    if (!PERIOD_PATTERN.test(period)) {
+      return invalidPeriod(res);
+    }
+
+    const [runRows] = await db.execute(
+      `SELECT bill_id FROM ${TABLE_SCHEDULE_RUN} WHERE schedule_id = ? AND period = ?`,
+      [id, period]
+    );
+
+    const plan = await buildSchedulePlan(db, schedule, period);
+
+    res.json({
+      success: true,
+      data: {
+        schedule_id: schedule.id,
+        auto_send: parseInt(schedule.auto_send) === 1,
+        already_generated: runRows.length > 0,
+        generated_bill_id: runRows[0]?.bill_id || null,
+        ...plan,
+        room_count: plan.items.length,
+        skipped_count: plan.skipped.length
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Preview bill schedule error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to preview bill schedule',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Generate bill of period now (same as the scheduler, sends when auto_send is on)
+ * POST /api/bill_schedule/run
+ * Body: { id, customer_id, period (default: period of next_run_date) }
+ */
+export const runBillSchedule = async (req, res) => {
+  try {
+    const { id, customer_id } = req.body;
+    const uid = getActorId(req);
+    const db = getDatabase();
+
+    const schedule = await getSchedule(db, id, customer_id);
+    if (!schedule) {
+      return scheduleNotFound(res);
+    }
+
+    const period = req.body.period || getPeriodOf(schedule.next_run_date);
+    if (!PERIOD_PATTERN.test(period)) {
+      return invalidPeriod(res);
+    }
+
+    const result = await generateScheduledBill(id, period, { actorId: uid, req });
+
+    if (result.error === 'not_found') {
+      return scheduleNotFound(res);
+    }
+
+    if (result.error === 'already_generated') {
+      return res.status(409).json({
+        success: false,
+        error: 'Bill already generated',
+        message: `รอบบิล ${period} ถูกสร้างไปแล้ว`,
+        bill_id: result.bill_id
+      });
+    }
+
+    if (result.error === 'no_rooms') {
+      return res.status(400).json({
+        success: false,
+        error: 'No rooms to bill',
+        message: 'ไม่มีห้องที่ต้องเรียกเก็บในรอบนี้',
+        skipped: result.plan.skipped
+      });
+    }
+
+    logger.info(`User ${uid} ran bill schedule ${id} for ${period}`);
+
+    res.json({
+      success: true,
+      message: result.sent ? 'สร้างและส่งบิลสำเร็จ' : 'สร้างบิลสำเร็จ',
+      data: {
+        schedule_id: id,
+        period,
+        bill_id: result.bill_id,
+        bill_no: result.bill_no,
+        sent: result.sent,
+        room_count: result.plan.items.length,
+        skipped_count: result.plan.skipped.length,
+        skipped: result.plan.skipped,
+        total_amount: result.plan.total_amount,
+        create_by: uid
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Run bill schedule error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run bill schedule',
+      message: error.message
+    });
+  }
+};
@@ -1,11 +1,19 @@
-import { getDatabase } from '../config/database.js';
+import { randomBytes } from 'crypto';
+import { getDatabase, withTransaction } from '../config/database.js';
 import logger from '../utils/logger.js';
+import { getActorId } from '../utils/requestContext.js';
 import { addFormattedDates, addFormattedDatesToList } from '../utils/dateFormatter.js';
+import { BILL_ROOM_STATUS, StatusTransitionError, transitionStatus } from '../utils/statusMachine.js';
+import { getAuditSnapshot, writeAuditLog } from '../utils/auditLog.js';
+import { getPenaltyTotal } from '../utils/billPenalty.js';
+import { addHouseCredit } from '../utils/houseCredit.js';
+import { allocateBillRoomPayment } from '../utils/billRoomItem.js';
 
 const TABLE_TRANSACTION_TYPE = 'bill_transaction_type_information';
 
 /**
  * Insert bill transaction (manual payment entry by admin)
+ * create_by = actor from token
  * POST /api/bill_transaction/insert
  * Body: {
  *   bill_room_id: INT (required),
@@ -15,33 +23,14 @@ const TABLE_TRANSACTION_TYPE = 'bill_transaction_type_information';
  *   pay_date: TIMESTAMP (required) - วันที่ชำระ,
  *   transaction_type_json: JSON (optional) - ข้อมูลเพิ่มเติมตาม bill_transaction_type_id,
  *   remark: TEXT (optional) - หมายเหตุ,
- *   customer_id: STRING (required),
- *   uid: INT (required) - user ID
+ *   customer_id: STRING (required)
  * }
  */
 export const insertBillTransaction = async (req, res) => {
   try {
     const db = getDatabase();
-    const { bill_room_id, member_id, bill_transaction_type_id, transaction_amount, pay_date, transaction_type_json, remark, customer_id, uid } = req.body;
-
-    // Validate required fields
-    const requiredFields = [];
-    if (!bill_room_id) requiredFields.push('bill_room_id');
-    if (!member_id) requiredFields.push('member_id');
-    if (!bill_transaction_type_id) requiredFields.push('bill_transaction_type_id');
-    if (!transaction_amount) requiredFields.push('transaction_amount');
-    if (!pay_date) requiredFields.push('pay_date');
-    if (!customer_id) requiredFields.push('customer_id');
-    if (!uid) requiredFields.push('uid');
-
-    if (requiredFields.length > 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields',
-        message: `กรุณากรอกข้อมูลที่จำเป็น: ${requiredFields.join(', ')}`,
-        required: requiredFields
-      });
-    }
+    const { bill_room_id, member_id, bill_transaction_type_id, transaction_amount, pay_date, transaction_type_json, remark, customer_id } = req.body;
+    const uid = getActorId(req);
 
     // Validate transaction_amount is a positive number
     const amountValue = parseFloat(transaction_amount);
@@ -64,7 +53,7 @@ export const insertBillTransaction = async (req, res) => {
     }
 
     const [transactionTypeRows] = await db.execute(
-      'SELECT id FROM bill_transaction_type_information WHERE id = ? AND status != 2',
+      'SELECT id, code FROM bill_transaction_type_information WHERE id = ? AND status != 2',
       [billTransactionTypeId]
     );
 
@@ -76,6 +65,15 @@ export const insertBillTransaction = async (req, res) => {
       });
     }
 
+    // ประเภทที่ระบบใช้เอง (เช่น หักจากเครดิตคงเหลือ) บันทึกผ่าน endpoint นี้ไม่ได้
+    if (transactionTypeRows[0].code) {
+      return res.status(400).json({
+        success: false,
+        error: 'System bill transaction type',
+        message: 'วิธีการชำระเงินนี้ระบบใช้ภายใน ไม่สามารถบันทึกเองได้'
+      });
+    }
+
     // Parse and validate transaction_type_json JSON
     let transactionTypeJsonString = null;
     if (transaction_type_json) {
@@ -95,97 +93,149 @@ export const insertBillTransaction = async (req, res) => {
       }
     }
 
-    // Check if bill_room_id exists and not deleted
-    const [billRoomRows] = await db.execute(
-      'SELECT id, total_price, status FROM bill_room_information WHERE id = ? AND status != 2',
-      [bill_room_id]
-    );
+    // payment + transaction + bill_room status ต้องสำเร็จพร้อมกันทั้งหมด (ไม่งั้น rollback)
+    const outcome = await withTransaction(async (connection) => {
+      // Lock bill_room กัน 2 request คำนวณยอดชำระพร้อมกัน
+      const [billRoomRows] = await connection.execute(
+        'SELECT id, house_no, total_price, status FROM bill_room_information WHERE id = ? AND customer_id = ? AND status != 2 FOR UPDATE',
+        [bill_room_id, req.customer_id]
+      );
 
-    if (billRoomRows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Bill room not found',
-        message: 'ไม่พบรายการบิลนี้ในระบบ'
-      });
-    }
+      if (billRoomRows.length === 0) {
+        return null;
+      }
 
-    const billRoom = billRoomRows[0];
+      const billRoom = billRoomRows[0];
 
-    // Check current total paid amount for this bill_room
-    const [transactionRows] = await db.execute(
-      'SELECT COALESCE(SUM(transaction_amount), 0) as total_paid FROM bill_transaction_information WHERE bill_room_id = ? AND status != 2',
-      [bill_room_id]
-    );
+      // Check current total paid amount for this bill_room
+      const [transactionRows] = await connection.execute(
+        'SELECT COALESCE(SUM(transaction_amount), 0) as total_paid FROM bill_transaction_information WHERE bill_room_id = ? AND status != 2',
+        [bill_room_id]
+      );
 
-    const totalPaid = parseFloat(transactionRows[0].total_paid);
-    const newTotalPaid = totalPaid + amountValue;
-    const totalPrice = parseFloat(billRoom.total_price);
+      const totalPaid = parseFloat(transactionRows[0].total_paid);
+      const totalPrice = parseFloat(billRoom.total_price);
 
-    // Determine transaction type (full or partial)
-    let transactionType = 'partial';
-    let newBillRoomStatus = 4; // partial payment
+      // ค่าปรับที่ยังไม่ถูกยกเว้นนับรวมในยอดที่ต้องชำระ
+      const penaltyAmount = await getPenaltyTotal(connection, bill_room_id);
+      const totalDue = totalPrice + penaltyAmount;
 
-    if (newTotalPaid >= totalPrice) {
-      transactionType = 'full';
-      newBillRoomStatus = 1; // paid
-    }
+      // ส่วนที่ชำระเกินยอดเข้าเครดิตคงเหลือของห้อง
+      const appliedAmount = Math.max(Math.min(amountValue, totalDue - totalPaid), 0);
+      const creditedAmount = Math.round((amountValue - appliedAmount) * 100) / 100;
+      const newTotalPaid = totalPaid + appliedAmount;
 
-    // Step 1: Insert payment_information first (manual entry, no slip)
-    const { randomBytes } = await import('crypto');
-    const uploadKey = randomBytes(16).toString('hex'); // Generate 32-char upload_key
+      // Determine transaction type (full or partial)
+      let transactionType = 'partial';
+      let newBillRoomStatus = BILL_ROOM_STATUS.PARTIAL;
 
-    const insertPaymentQuery = `
-      INSERT INTO payment_information
-      (upload_key, payable_type, payable_id, payment_amount, payment_type_id, customer_id, status, member_id, remark, member_remark, payment_date, bank_id, create_by, update_date, update_by)
-      VALUES (?, 'bill_room_information', ?, ?, 3, ?, 1, ?, ?, NULL, ?, NULL, ?, NOW(), ?)
-    `;
+      if (newTotalPaid >= totalDue) {
+        transactionType = 'full';
+        newBillRoomStatus = BILL_ROOM_STATUS.PAID;
+      }
 
-    const [paymentResult] = await db.execute(insertPaymentQuery, [
-      uploadKey,
-      bill_room_id,
-      amountValue,
-      customer_id,
-      member_id,
-      remark || null,
-      pay_date,
-      uid,
-      uid
-    ]);
-
-    const paymentId = paymentResult.insertId;
-
-    // Step 2: Insert transaction record with payment_id
-    const insertQuery = `
-      INSERT INTO bill_transaction_information
-      (bill_room_id, payment_id, transaction_amount, bill_transaction_type_id, transaction_type_json, pay_date, transaction_type, remark, customer_id, status, create_by)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?)
-    `;
+      // ตรวจสอบและบันทึกการเปลี่ยนสถานะ bill_room (throw -> rollback)
+      await transitionStatus(connection, {
+        entity: 'bill_room',
+        id: bill_room_id,
+        from: billRoom.status,
+        to: newBillRoomStatus,
+        actorId: uid,
+        reason: remark || 'บันทึกรายการชำระเงิน',
+        customerId: customer_id
+      });
 
-    const [result] = await db.execute(insertQuery, [
-      bill_room_id,
-      paymentId, // Now has payment_id
-      amountValue,
-      billTransactionTypeId,
-      transactionTypeJsonString,
-      pay_date,
-      transactionType,
-      remark || null,
-      customer_id,
-      uid
-    ]);
-
-    // Update bill_room_information status
-    await db.execute(
-      'UPDATE bill_room_information SET status = ?, update_date = NOW(), update_by = ? WHERE id = ?',
-      [newBillRoomStatus, uid, bill_room_id]
-    );
+      // Step 1: Insert payment_information first (manual entry, no slip)
+      const uploadKey = randomBytes(16).toString('hex'); // Generate 32-char upload_key
+
+      const insertPaymentQuery = `
+        INSERT INTO payment_information
+        (upload_key, payable_type, payable_id, payment_amount, payment_type_id, customer_id, status, member_id, remark, member_remark, payment_date, bank_id, create_by, update_date, update_by)
+        VALUES (?, 'bill_room_information', ?, ?, 3, ?, 1, ?, ?, NULL, ?, NULL, ?, NOW(), ?)
+      `;
+
+      const [paymentResult] = await connection.execute(insertPaymentQuery, [
+        uploadKey,
+        bill_room_id,
+        amountValue,
+        customer_id,
+        member_id,
+        remark || null,
+        pay_date,
+        uid,
+        uid
+      ]);
+
+      const paymentId = paymentResult.insertId;
+
+      // Step 2: Insert transaction record with payment_id
+      const insertQuery = `
+        INSERT INTO bill_transaction_information
+        (bill_room_id, payment_id, transaction_amount, bill_transaction_type_id, transaction_type_json, pay_date, transaction_type, remark, customer_id, status, create_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?)
+      `;
+
+      const [result] = await connection.execute(insertQuery, [
+        bill_room_id,
+        paymentId, // Now has payment_id
+        appliedAmount,
+        billTransactionTypeId,
+        transactionTypeJsonString,
+        pay_date,
+        transactionType,
+        remark || null,
+        customer_id,
+        uid
+      ]);
+
+      // Step 3: Update bill_room_information status
+      await connection.execute(
+        'UPDATE bill_room_information SET status = ?, update_date = NOW(), update_by = ? WHERE id = ?',
+        [newBillRoomStatus, uid, bill_room_id]
+      );
+
+      // กระจายยอดชำระลงรายการของบิลตามลำดับความสำคัญ
+      await allocateBillRoomPayment(connection, bill_room_id);
+
+      if (creditedAmount > 0) {
+        await addHouseCredit(connection, {
+          customerId: customer_id,
+          houseNo: billRoom.house_no,
+          amount: creditedAmount,
+          movementType: 'overpayment',
+          billRoomId: billRoom.id,
+          paymentId,
+          actorId: uid
+        });
+      }
+
+      await writeAuditLog(connection, req, {
+        entity: 'bill_transaction',
+        entityId: result.insertId,
+        action: 'create',
+        after: await getAuditSnapshot(connection, 'bill_transaction_information', result.insertId),
+        customerId: customer_id
+      });
+
+      return { transactionId: result.insertId, paymentId, transactionType, newBillRoomStatus, newTotalPaid, totalPrice, penaltyAmount, totalDue, creditedAmount };
+    });
 
-    logger.info(`Bill transaction inserted: transaction_id=${result.insertId}, payment_id=${paymentId}, bill_room_id=${bill_room_id}, amount=${amountValue}, type=${transactionType}, new_status=${newBillRoomStatus}, by user=${uid}`);
+    if (!outcome) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bill room not found',
+        message: 'ไม่พบรายการบิลนี้ในระบบ'
+      });
+    }
+
+    const { transactionId, paymentId, transactionType, newBillRoomStatus, newTotalPaid, totalPrice, penaltyAmount, totalDue, creditedAmount } = outcome;
+
+    logger.info(`Bill transaction inserted: transaction_id=${transactionId}, payment_id=${paymentId}, bill_room_id=${bill_room_id}, amount=${amountValue}, type=${transactionType}, new_status=${newBillRoomStatus}, by user=${uid}`);
 
     // Fetch the inserted record with formatted dates
     const [insertedRows] = await db.execute(
       'SELECT * FROM bill_transaction_information WHERE id = ?',
-      [result.insertId]
+      [transactionId]
     );
 
     const formattedData = addFormattedDates(insertedRows[0], ['create_date', 'update_date', 'delete_date', 'pay_date', 'transaction_date']);
@@ -199,12 +249,19 @@ export const insertBillTransaction = async (req, res) => {
         bill_room_status: newBillRoomStatus,
         total_paid: newTotalPaid,
         total_price: totalPrice,
-        remaining: totalPrice - newTotalPaid
+        penalty_amount: penaltyAmount,
+        total_due: totalDue,
+        remaining: totalDue - newTotalPaid,
+        credited_amount: creditedAmount
       },
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
+    if (error instanceof StatusTransitionError) {
+      return res.status(409).json(error.toResponse());
+    }
+
     logger.error('Insert bill transaction error:', error);
     res.status(500).json({
       success: false,
@@ -265,10 +322,10 @@ export const getBillTransactionDetail = async (req, res) => {
       LEFT JOIN bill_transaction_type_information btt ON bt.bill_transaction_type_id = btt.id
       LEFT JOIN bill_room_information br ON bt.bill_room_id = br.id
       LEFT JOIN bill_information b ON br.bill_id = b.id
-      WHERE bt.id = ? AND bt.status != 2
+      WHERE bt.id = ? AND bt.customer_id = ? AND bt.status != 2
     `;
 
-    const [rows] = await db.execute(query, [parseInt(id)]);
+    const [rows] = await db.execute(query, [parseInt(id), req.customer_id]);
 
     if (rows.length === 0) {
       return res.status(404).json({
@@ -318,7 +375,7 @@ export const getBillTransactionType = async (req, res) => {
     const query = `
       SELECT id, title, status
       FROM ${TABLE_TRANSACTION_TYPE}
-      WHERE status = 1
+      WHERE status = 1 AND code IS NULL
       ORDER BY id ASC
     `;
 
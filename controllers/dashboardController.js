@@ -1,6 +1,7 @@
 import { getDatabase } from '../config/database.js';
 import logger from '../utils/logger.js';
 import { formatPrice } from '../utils/numberFormatter.js';
+import { BILL_ROOM_STATUS, getStatusLabel, getStatusObject } from '../utils/statusMachine.js';
 
 /**
  * Get dashboard summary data
@@ -10,16 +11,6 @@ export const getSummary = async (req, res) => {
   try {
     const { customer_id } = req.query;
 
-    // Validate required fields
-    if (!customer_id) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields',
-        message: 'กรุณาระบุ customer_id',
-        required: ['customer_id']
-      });
-    }
-
     const db = getDatabase();
 
     // Card 1: จำนวนห้องทั้งหมด (total rooms)
@@ -229,13 +220,13 @@ export const getSummary = async (req, res) => {
         },
         paid_count: {
           value: paid_count,
-          label: 'ชำระแล้ว',
+          label: getStatusLabel('bill_room', BILL_ROOM_STATUS.PAID),
           change: `+${paid_this_month} รายการ`,
           trend: 'up'
         },
         pending_payment: {
           value: pending_payment,
-          label: 'รอตรวจสอบ',
+          label: getStatusLabel('bill_room', BILL_ROOM_STATUS.AWAITING_REVIEW),
           change: 'ต้องดำเนินการ'
         },
         total_bills: {
@@ -265,25 +256,7 @@ export const getBillingRevenue = async (req, res) => {
   try {
     const { customer_id, month_duration = 6 } = req.query;
 
-    // Validate required fields
-    if (!customer_id) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields',
-        message: 'กรุณาระบุ customer_id',
-        required: ['customer_id']
-      });
-    }
-
-    // Validate month_duration
-    const duration = parseInt(month_duration);
-    if (![3, 6, 12].includes(duration)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid month_duration',
-        message: 'month_duration ต้องเป็น 3, 6 หรือ 12 เท่านั้น',
-      });
-    }
+    const duration = month_duration;
 
     const db = getDatabase();
 
@@ -394,16 +367,6 @@ export const getBillStatus = async (req, res) => {
   try {
     const { customer_id } = req.query;
 
-    // Validate required fields
-    if (!customer_id) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields',
-        message: 'กรุณาระบุ customer_id',
-        required: ['customer_id']
-      });
-    }
-
     const db = getDatabase();
 
     // ===== สถานะบิล (Bill Status) =====
@@ -553,15 +516,18 @@ export const getBillStatus = async (req, res) => {
           total_bills: total_bills,
           paid: {
             count: paid_bills,
-            percent: paid_percent
+            percent: paid_percent,
+            status: getStatusObject('bill_room', BILL_ROOM_STATUS.PAID)
           },
           pending: {
             count: pending_bills,
-            percent: pending_percent
+            percent: pending_percent,
+            status: getStatusObject('bill_room', BILL_ROOM_STATUS.UNPAID)
           },
           overdue: {
             count: overdue_bills,
-            percent: overdue_percent
+            percent: overdue_percent,
+            status: getStatusObject('bill_room', BILL_ROOM_STATUS.OVERDUE)
           }
         },
 
@@ -617,16 +583,6 @@ export const getPaymentEfficiency = async (req, res) => {
   try {
     const { customer_id } = req.query;
 
-    // Validate required fields
-    if (!customer_id) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields',
-        message: 'กรุณาระบุ customer_id',
-        required: ['customer_id']
-      });
-    }
-
     const db = getDatabase();
 
     // นับบิลทั้งหมดของเดือนนี้ (ที่ส่งแล้ว status = 1)
@@ -755,16 +711,6 @@ export const getActionItems = async (req, res) => {
   try {
     const { customer_id } = req.query;
 
-    // Validate required fields
-    if (!customer_id) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields',
-        message: 'กรุณาระบุ customer_id',
-        required: ['customer_id']
-      });
-    }
-
     const db = getDatabase();
 
     const actionItems = [];
@@ -0,0 +1,122 @@
+import { getDatabase } from '../config/database.js';
+import logger from '../utils/logger.js';
+import { getActorId } from '../utils/requestContext.js';
+import { DOCUMENT_TYPES, RESET_POLICIES, getNumberingSettings, validateNumberingPattern, formatDocumentNumber, previewDocumentNumber } from '../utils/documentNumber.js';
+import { writeAuditLog } from '../utils/auditLog.js';
+
+const TABLE_NUMBERING_CONFIG = 'document_numbering_config';
+
+/**
+ * Get numbering settings of all document types
+ * GET /api/document_numbering/list?customer_id=xxx
+ */
+export const getDocumentNumberingList = async (req, res) => {
+  try {
+    const { customer_id } = req.query;
+
+    const db = getDatabase();
+    const data = [];
+
+    for (const [documentType, definition] of Object.entries(DOCUMENT_TYPES)) {
+      const settings = await getNumberingSettings(db, documentType, customer_id);
+
+      data.push({
+        document_type: documentType,
+        title: definition.title,
+        pattern: settings.pattern,
+        reset_policy: settings.resetPolicy,
+        customized: settings.customized,
+        default_pattern: definition.pattern,
+        default_reset_policy: definition.resetPolicy,
+        next_number: await previewDocumentNumber(documentType, customer_id)
+      });
+    }
+
+    res.json({
+      success: true,
+      data,
+      reset_policies: RESET_POLICIES,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Get document numbering list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get document numbering list',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Set numbering pattern / reset policy of a document type
+ * Running number continues from the highest number issued in the period under any reset policy - numbers never repeat
+ * PUT /api/document_numbering/update
+ * Body: {
+ *   document_type: STRING (required) - bill, invoice, receipt, credit_note,
+ *   pattern: STRING (required) - e.g. INV-{YYYY}{MM}-{SEQ:5},
+ *   reset_policy: STRING (required) - never, yearly, monthly, daily,
+ *   customer_id: STRING (required)
+ * }
+ */
+export const updateDocumentNumbering = async (req, res) => {
+  try {
+    const { document_type, pattern, reset_policy, customer_id } = req.body;
+    const uid = getActorId(req);
+
+    const trimmedPattern = pattern.trim();
+    const validationError = validateNumberingPattern(trimmedPattern, reset_policy);
+
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid numbering pattern',
+        message: validationError
+      });
+    }
+
+    const db = getDatabase();
+    const before = await getNumberingSettings(db, document_type, customer_id);
+
+    await db.execute(
+      `INSERT INTO ${TABLE_NUMBERING_CONFIG} (customer_id, document_type, pattern, reset_policy, create_by)
+       VALUES (?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE pattern = VALUES(pattern), reset_policy = VALUES(reset_policy), update_date = NOW(), update_by = VALUES(create_by)`,
+      [customer_id, document_type, trimmedPattern, reset_policy, uid]
+    );
+
+    logger.info(`Document numbering updated: ${document_type} customer_id=${customer_id} pattern=${trimmedPattern} reset=${reset_policy} by user ${uid}`);
+
+    await writeAuditLog(db, req, {
+      entity: 'document_numbering',
+      entityId: document_type,
+      action: 'update',
+      before: { pattern: before.pattern, reset_policy: before.resetPolicy },
+      after: { pattern: trimmedPattern, reset_policy },
+      customerId: customer_id
+    });
+
+    res.json({
+      success: true,
+      message: 'บันทึกรูปแบบเลขที่เอกสารสำเร็จ',
+      data: {
+        document_type,
+        pattern: trimmedPattern,
+        reset_policy,
+        example: formatDocumentNumber(trimmedPattern, new Date(), 1),
+        next_number: await previewDocumentNumber(document_type, customer_id),
+        update_by: uid
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Update document numbering error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update document numbering',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,309 @@
+import { getDatabase, withTransaction } from '../config/database.js';
+import logger from '../utils/logger.js';
+import { getActorId } from '../utils/requestContext.js';
+import { addFormattedDatesToList } from '../utils/dateFormatter.js';
+import { formatPrice } from '../utils/numberFormatter.js';
+import { StatusTransitionError } from '../utils/statusMachine.js';
+import { getAuditSnapshot, writeAuditLog } from '../utils/auditLog.js';
+import { CREDIT_MOVEMENT_TYPES, addHouseCredit, applyCreditToBillRoom, getHouseCreditBalance } from '../utils/houseCredit.js';
+
+const TABLE_CREDIT = 'house_credit';
+const TABLE_MOVEMENT = 'house_credit_movement';
+
+/**
+ * Get credit balances of houses
+ * GET /api/house_credit/list?customer_id=xxx&keyword=&has_balance=true&page=1&limit=10
+ */
+export const getHouseCreditList = async (req, res) => {
+  try {
+    const { page, limit, customer_id, keyword, has_balance } = req.query;
+
+    const pageNum = page;
+    const limitNum = limit;
+    const offset = (pageNum - 1) * limitNum;
+
+    const db = getDatabase();
+
+    let whereClause = 'WHERE c.customer_id = ?';
+    const queryParams = [customer_id];
+
+    if (keyword) {
+      whereClause += ' AND c.house_no LIKE ?';
+      queryParams.push(`%${keyword}%`);
+    }
+
+    if (has_balance) {
+      whereClause += ' AND c.balance > 0';
+    }
+
+    const [rows] = await db.execute(
+      `SELECT c.id, c.customer_id, c.house_no, c.balance, c.create_date, c.update_date, c.update_by
+       FROM ${TABLE_CREDIT} c
+       ${whereClause}
+       ORDER BY c.house_no ASC
+       LIMIT ${limitNum} OFFSET ${offset}`,
+      queryParams
+    );
+
+    const [countResult] = await db.execute(
+      `SELECT COUNT(*) as total, COALESCE(SUM(c.balance), 0) as total_balance FROM ${TABLE_CREDIT} c ${whereClause}`,
+      queryParams
+    );
+    const total = countResult[0].total;
+
+    const formattedRows = addFormattedDatesToList(rows, ['create_date', 'update_date']).map(row => ({
+      ...row,
+      balance_formatted: formatPrice(parseFloat(row.balance))
+    }));
+
+    res.json({
+      success: true,
+      data: formattedRows,
+      summary: {
+        total_balance: parseFloat(countResult[0].total_balance),
+        total_balance_formatted: formatPrice(parseFloat(countResult[0].total_balance))
+      },
+      pagination: {
+        current_page: pageNum,
+        per_page: limitNum,
+        total: total,
+        total_pages: Math.ceil(total / limitNum),
+        has_next: pageNum * limitNum < total,
+        has_prev: pageNum > 1
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Get house credit list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch house credits',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get credit balance and movements of house
+ * GET /api/house_credit/detail?customer_id=xxx&house_no=99/1&page=1&limit=10
+ */
+export const getHouseCreditDetail = async (req, res) => {
+  try {
+    const { page, limit, customer_id, house_no } = req.query;
+
+    const pageNum = page;
+    const limitNum = limit;
+    const offset = (pageNum - 1) * limitNum;
+
+    const db = getDatabase();
+
+    const balance = await getHouseCreditBalance(db, customer_id, house_no);
+
+    const [rows] = await db.execute(
+      `SELECT m.id, m.movement_type, m.amount, m.balance_after, m.bill_room_id, m.bill_transaction_id, m.payment_id, m.remark, m.create_date, m.create_by,
+              br.bill_no
+       FROM ${TABLE_MOVEMENT} m
+       LEFT JOIN bill_room_information br ON m.bill_room_id = br.id
+       WHERE m.customer_id = ? AND m.house_no = ?
+       ORDER BY m.id DESC
+       LIMIT ${limitNum} OFFSET ${offset}`,
+      [customer_id, house_no]
+    );
+
+    const [countResult] = await db.execute(
+      `SELECT COUNT(*) as total FROM ${TABLE_MOVEMENT} WHERE customer_id = ? AND house_no = ?`,
+      [customer_id, house_no]
+    );
+    const total = countResult[0].total;
+
+    const movements = addFormattedDatesToList(rows, ['create_date']).map(row => ({
+      ...row,
+      movement_type_title: CREDIT_MOVEMENT_TYPES[row.movement_type] || row.movement_type,
+      amount_formatted: formatPrice(parseFloat(row.amount)),
+      balance_after_formatted: formatPrice(parseFloat(row.balance_after))
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        customer_id,
+        house_no,
+        balance,
+        balance_formatted: formatPrice(balance),
+        movements
+      },
+      pagination: {
+        current_page: pageNum,
+        per_page: limitNum,
+        total: total,
+        total_pages: Math.ceil(total / limitNum),
+        has_next: pageNum * limitNum < total,
+        has_prev: pageNum > 1
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Get house credit detail error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch house credit detail',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Record advance payment of house (credited to the wallet, used by the next bills)
+ * POST /api/house_credit/deposit
+ * Body: { customer_id, house_no, amount, remark }
+ */
+export const depositHouseCredit = async (req, res) => {
+  try {
+    const { customer_id, house_no, amount, remark } = req.body;
+    const uid = getActorId(req);
+    const houseNo = house_no.trim();
+
+    const db = getDatabase();
+
+    // ต้องเป็นห้องที่มีในระบบ (มีสมาชิกหรือเคยมีบิล)
+    const [houseRows] = await db.execute(
+      `SELECT house_no FROM member_information WHERE customer_id = ? AND house_no = ? AND status != 2
+       UNION
+       SELECT house_no FROM bill_room_information WHERE customer_id = ? AND house_no = ? AND status != 2
+       LIMIT 1`,
+      [customer_id, houseNo, customer_id, houseNo]
+    );
+
+    if (houseRows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'House not found',
+        message: 'ไม่พบบ้านเลขที่นี้ในระบบ'
+      });
+    }
+
+    const credit = await withTransaction(async (connection) => {
+      const credit = await addHouseCredit(connection, {
+        customerId: customer_id,
+        houseNo,
+        amount,
+        movementType: 'deposit',
+        remark: remark?.trim() || null,
+        actorId: uid
+      });
+
+      await writeAuditLog(connection, req, {
+        entity: 'house_credit',
+        entityId: credit.credit_id,
+        action: 'create',
+        after: await getAuditSnapshot(connection, TABLE_MOVEMENT, credit.movement_id),
+        customerId: customer_id
+      });
+
+      return credit;
+    });
+
+    logger.info(`House credit deposit: ${customer_id}/${houseNo} amount=${amount} by user ${uid}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'บันทึกการชำระล่วงหน้าสำเร็จ',
+      data: {
+        id: credit.credit_id,
+        movement_id: credit.movement_id,
+        customer_id,
+        house_no: houseNo,
+        amount,
+        balance: credit.balance,
+        balance_formatted: formatPrice(credit.balance)
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Deposit house credit error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to deposit house credit',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Pay bill room from credit balance of its house (manual - e.g. bill sent before the deposit)
+ * POST /api/house_credit/apply
+ * Body: { bill_room_id, customer_id }
+ */
+export const applyHouseCredit = async (req, res) => {
+  try {
+    const { bill_room_id, customer_id } = req.body;
+    const uid = getActorId(req);
+
+    const db = getDatabase();
+
+    const [billRoomRows] = await db.execute(
+      `SELECT br.id, br.house_no, b.status as bill_status
+       FROM bill_room_information br
+       INNER JOIN bill_information b ON br.bill_id = b.id
+       WHERE br.id = ? AND br.customer_id = ? AND br.status != 2`,
+      [bill_room_id, customer_id]
+    );
+
+    if (billRoomRows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bill room not found',
+        message: 'ไม่พบรายการบิลนี้ในระบบ'
+      });
+    }
+
+    if (parseInt(billRoomRows[0].bill_status) !== 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bill not sent',
+        message: 'หักชำระจากเครดิตได้เฉพาะบิลที่ส่งแล้วเท่านั้น'
+      });
+    }
+
+    const applied = await withTransaction(connection => applyCreditToBillRoom(connection, bill_room_id, { actorId: uid, req }));
+
+    if (applied <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nothing to apply',
+        message: 'ไม่มีเครดิตคงเหลือ หรือบิลนี้ไม่มียอดค้างชำระ'
+      });
+    }
+
+    const balance = await getHouseCreditBalance(db, customer_id, billRoomRows[0].house_no);
+
+    logger.info(`House credit applied: bill_room_id=${bill_room_id} amount=${applied} by user ${uid}`);
+
+    res.json({
+      success: true,
+      message: 'หักชำระจากเครดิตคงเหลือสำเร็จ',
+      data: {
+        bill_room_id,
+        applied_amount: applied,
+        balance,
+        balance_formatted: formatPrice(balance)
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof StatusTransitionError) {
+      return res.status(409).json(error.toResponse());
+    }
+
+    logger.error('Apply house credit error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to apply house credit',
+      message: error.message
+    });
+  }
+};
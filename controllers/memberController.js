@@ -1,22 +1,16 @@
 import { getDatabase } from '../config/database.js';
 import logger from '../utils/logger.js';
+import { getActorId } from '../utils/requestContext.js';
 import { addFormattedDates, addFormattedDatesToList } from '../utils/dateFormatter.js';
+import { getAuditSnapshot, writeAuditLog } from '../utils/auditLog.js';
 
 const MENU = 'member';
 const TABLE_INFORMATION = `${MENU}_information`;
 
 export const insertMember = async (req, res) => {
   try {
-    const { upload_key, prefix_name, full_name, phone_number, email, enter_date, room_id, house_no, user_level, user_type, user_ref, member_ref, customer_id, status, uid } = req.body;
-
-    if (!upload_key || !prefix_name || !full_name || !phone_number || !email || !enter_date || !room_id || !house_no || !user_level || !user_type || !user_ref || !member_ref || !customer_id || status === undefined || !uid) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields',
-        message: 'กรุณากรอกข้อมูลที่จำเป็น: upload_key, prefix_name, full_name, phone_number, email, enter_date, room_id, house_no, user_level, user_type, user_ref, member_ref, customer_id, status, uid',
-        required: ['upload_key', 'prefix_name', 'full_name', 'phone_number', 'email', 'enter_date', 'room_id', 'house_no', 'user_level', 'user_type', 'user_ref', 'member_ref', 'customer_id', 'status', 'uid']
-      });
-    }
+    const { upload_key, prefix_name, full_name, phone_number, email, enter_date, room_id, house_no, user_level, user_type, user_ref, member_ref, customer_id, status } = req.body;
+    const uid = getActorId(req);
 
     const db = getDatabase();
 
@@ -45,6 +39,13 @@ export const insertMember = async (req, res) => {
       uid
     ]);
 
+    await writeAuditLog(db, req, {
+      entity: 'member',
+      entityId: result.insertId,
+      action: 'create',
+      after: await getAuditSnapshot(db, TABLE_INFORMATION, result.insertId)
+    });
+
     res.json({
       success: true,
       message: 'Member inserted successfully',
@@ -98,10 +99,10 @@ export const getMemberDetail = async (req, res) => {
       SELECT id, upload_key, prefix_name, full_name, phone_number, email, enter_date, room_id, house_no, user_level, user_type, user_ref, member_ref, customer_id, status,
              create_date, create_by, update_date, update_by, delete_date, delete_by
       FROM ${TABLE_INFORMATION}
-      WHERE id = ? AND status != 2
+      WHERE id = ? AND customer_id = ? AND status != 2
     `;
 
-    const [rows] = await db.execute(query, [id]);
+    const [rows] = await db.execute(query, [id, req.customer_id]);
 
     if (rows.length === 0) {
       return res.status(404).json({
@@ -134,15 +135,6 @@ export const getMemberList = async (req, res) => {
   try {
     const { page = 1, limit = 10, status, keyword, user_level, user_type, customer_id, room_id } = req.query;
 
-    if (!customer_id) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required parameter',
-        message: 'กรุณาระบุ customer_id',
-        required: ['customer_id']
-      });
-    }
-
     const pageNum = parseInt(page) || 1;
     const limitNum = parseInt(limit) || 10;
     const offset = (pageNum - 1) * limitNum;
@@ -237,16 +229,6 @@ export const getMemberIDByHouseNo = async (req, res) => {
   try {
     const { customer_id, house_no, full_name } = req.query;
 
-    // Validate required parameters
-    if (!customer_id || !house_no || !full_name) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required parameters',
-        message: 'กรุณาระบุ customer_id, house_no และ full_name',
-        required: ['customer_id', 'house_no', 'full_name']
-      });
-    }
-
     const db = getDatabase();
 
     // Build query with all required parameters
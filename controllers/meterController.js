@@ -0,0 +1,1270 @@
+import xlsx from 'xlsx';
+import { getDatabase, withTransaction } from '../config/database.js';
+import logger from '../utils/logger.js';
+import { getActorId } from '../utils/requestContext.js';
+import { addFormattedDates } from '../utils/dateFormatter.js';
+import { formatPrice } from '../utils/numberFormatter.js';
+import { METER_READING_STATUS, StatusTransitionError, getStatusList, getStatusObject, transitionStatus } from '../utils/statusMachine.js';
+import { getAuditSnapshot, writeAuditLog } from '../utils/auditLog.js';
+import { readExcelFile } from '../utils/excelReader.js';
+import { getPeriodOf } from '../utils/billScheduler.js';
+import {
+  DEFAULT_METER_BILL_TYPES, METER_ANOMALIES, METER_TYPES,
+  buildMeterBillPlan, generateMeterBill, saveMeterReading
+} from '../utils/meter.js';
+import { validateTiers } from '../utils/tieredRate.js';
+
+const TABLE_METER = 'meter';
+const TABLE_RATE = 'meter_rate';
+const TABLE_READING = 'meter_reading';
+const TABLE_ATTACHMENT = 'meter_attachment';
+
+const PERIOD_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+function formatMeter(row) {
+  return {
+    ...addFormattedDates(row, ['create_date', 'update_date', 'install_date']),
+    meter_type_title: METER_TYPES[row.meter_type] || row.meter_type
+  };
+}
+
+function formatReading(row) {
+  return {
+    ...addFormattedDates(row, ['create_date', 'update_date', 'reading_date']),
+    meter_type_title: METER_TYPES[row.meter_type] || row.meter_type,
+    anomaly_title: row.anomaly ? METER_ANOMALIES[row.anomaly] || row.anomaly : null,
+    amount_formatted: row.amount === null || row.amount === undefined ? null : formatPrice(parseFloat(row.amount)),
+    status_formatted: getStatusObject('meter_reading', row.status)
+  };
+}
+
+function formatRate(row) {
+  return {
+    ...addFormattedDates(row, ['create_date', 'update_date']),
+    meter_type_title: METER_TYPES[row.meter_type] || row.meter_type,
+    tiers: typeof row.tiers === 'string' ? JSON.parse(row.tiers) : row.tiers,
+    vat_flag: parseInt(row.vat_flag) === 1
+  };
+}
+
+async function getMeter(db, id, customerId) {
+  const [rows] = await db.execute(
+    `SELECT * FROM ${TABLE_METER} WHERE id = ? AND customer_id = ? AND status != 2`,
+    [id, customerId]
+  );
+
+  return rows[0] || null;
+}
+
+function meterNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'Meter not found',
+    message: 'ไม่พบข้อมูลมิเตอร์'
+  });
+}
+
+function readingNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'Meter reading not found',
+    message: 'ไม่พบข้อมูลค่ามิเตอร์'
+  });
+}
+
+function invalidPeriod(res) {
+  return res.status(400).json({
+    success: false,
+    error: 'Invalid period',
+    message: 'period ต้องอยู่ในรูปแบบ YYYY-MM'
+  });
+}
+
+/**
+ * Check room and duplicate meter_no of meter insert / update
+ * @returns {Promise<Object|null>} { status, error, message } or null
+ */
+async function checkMeterFields(db, { id = null, customer_id, room_id, meter_type, meter_no }) {
+  const [roomRows] = await db.execute(
+    'SELECT id FROM room_information WHERE id = ? AND customer_id = ? AND status != 2',
+    [room_id, customer_id]
+  );
+
+  if (roomRows.length === 0) {
+    return { status: 404, error: 'Room not found', message: 'ไม่พบข้อมูลห้อง' };
+  }
+
+  const [duplicateRows] = await db.execute(
+    `SELECT id FROM ${TABLE_METER} WHERE customer_id = ? AND meter_type = ? AND meter_no = ? AND status != 2 AND id != ?`,
+    [customer_id, meter_type, meter_no, id || 0]
+  );
+
+  if (duplicateRows.length > 0) {
+    return { status: 409, error: 'Duplicate meter number', message: `เลขมิเตอร์ ${meter_no} มีอยู่ในระบบแล้ว` };
+  }
+
+  return null;
+}
+
+/**
+ * Insert meter of room
+ * POST /api/meter/insert
+ * Body: { customer_id, room_id, meter_type, meter_no, multiplier, max_reading, initial_reading, install_date, remark, status }
+ */
+export const insertMeter = async (req, res) => {
+  try {
+    const { customer_id, room_id, meter_type, multiplier, max_reading, initial_reading, install_date, remark, status } = req.body;
+    const uid = getActorId(req);
+    const meterNo = req.body.meter_no.trim();
+
+    const db = getDatabase();
+
+    const fieldError = await checkMeterFields(db, { customer_id, room_id, meter_type, meter_no: meterNo });
+    if (fieldError) {
+      const { status: httpStatus, ...body } = fieldError;
+      return res.status(httpStatus).json({ success: false, ...body });
+    }
+
+    const [result] = await db.execute(
+      `INSERT INTO ${TABLE_METER} (customer_id, room_id, meter_type, meter_no, multiplier, max_reading, initial_reading, install_date, remark, status, create_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [customer_id, room_id, meter_type, meterNo, multiplier, max_reading ?? null, initial_reading, install_date || null, remark?.trim() || null, status, uid]
+    );
+
+    logger.info(`Meter inserted: ID ${result.insertId} (${meter_type} ${meterNo}) by user ${uid}`);
+
+    const after = await getAuditSnapshot(db, TABLE_METER, result.insertId);
+    await writeAuditLog(db, req, {
+      entity: 'meter',
+      entityId: result.insertId,
+      action: 'create',
+      after,
+      customerId: customer_id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'เพิ่มมิเตอร์สำเร็จ',
+      data: formatMeter(after),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Insert meter error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to insert meter',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Update meter (meter_type cannot change once the meter has readings)
+ * New multiplier / max_reading / initial_reading apply to readings saved afterwards
+ * PUT /api/meter/update
+ */
+export const updateMeter = async (req, res) => {
+  try {
+    const { id, customer_id, room_id, meter_type, multiplier, max_reading, initial_reading, install_date, remark, status } = req.body;
+    const uid = getActorId(req);
+    const meterNo = req.body.meter_no.trim();
+
+    const db = getDatabase();
+
+    const before = await getMeter(db, id, customer_id);
+    if (!before) {
+      return meterNotFound(res);
+    }
+
+    if (meter_type !== before.meter_type) {
+      const [readingRows] = await db.execute(
+        `SELECT id FROM ${TABLE_READING} WHERE meter_id = ? AND status != 2 LIMIT 1`,
+        [id]
+      );
+
+      if (readingRows.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Meter has readings',
+          message: 'ไม่สามารถเปลี่ยนประเภทมิเตอร์ที่มีค่ามิเตอร์แล้วได้'
+        });
+      }
+    }
+
+    const fieldError = await checkMeterFields(db, { id, customer_id, room_id, meter_type, meter_no: meterNo });
+    if (fieldError) {
+      const { status: httpStatus, ...body } = fieldError;
+      return res.status(httpStatus).json({ success: false, ...body });
+    }
+
+    await db.execute(
+      `UPDATE ${TABLE_METER}
+       SET room_id = ?, meter_type = ?, meter_no = ?, multiplier = ?, max_reading = ?, initial_reading = ?, install_date = ?, remark = ?, status = ?,
+           update_date = NOW(), update_by = ?
+       WHERE id = ?`,
+      [room_id, meter_type, meterNo, multiplier, max_reading ?? null, initial_reading, install_date || null, remark?.trim() || null, status, uid, id]
+    );
+
+    logger.info(`Meter updated: ID ${id} by user ${uid}`);
+
+    const after = await getAuditSnapshot(db, TABLE_METER, id);
+    await writeAuditLog(db, req, {
+      entity: 'meter',
+      entityId: id,
+      action: 'update',
+      before,
+      after,
+      customerId: customer_id
+    });
+
+    res.json({
+      success: true,
+      message: 'แก้ไขมิเตอร์สำเร็จ',
+      data: formatMeter(after),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Update meter error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update meter',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Delete meter (soft delete - not allowed while it has readings not billed yet)
+ * DELETE /api/meter/delete
+ * Body: { id, customer_id }
+ */
+export const deleteMeter = async (req, res) => {
+  try {
+    const { id, customer_id } = req.body;
+    const uid = getActorId(req);
+
+    const db = getDatabase();
+
+    const before = await getMeter(db, id, customer_id);
+    if (!before) {
+      return meterNotFound(res);
+    }
+
+    const [readingRows] = await db.execute(
+      `SELECT COUNT(*) as total FROM ${TABLE_READING} WHERE meter_id = ? AND status IN (?, ?)`,
+      [id, METER_READING_STATUS.PENDING_REVIEW, METER_READING_STATUS.CONFIRMED]
+    );
+
+    if (readingRows[0].total > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Meter has unbilled readings',
+        message: `มิเตอร์นี้มีค่ามิเตอร์ที่ยังไม่ออกบิล ${readingRows[0].total} รายการ`
+      });
+    }
+
+    await db.execute(
+      `UPDATE ${TABLE_METER} SET status = 2, delete_date = NOW(), delete_by = ? WHERE id = ?`,
+      [uid, id]
+    );
+
+    logger.info(`Meter deleted (soft): ID ${id} by user ${uid}`);
+
+    await writeAuditLog(db, req, {
+      entity: 'meter',
+      entityId: id,
+      action: 'delete',
+      before,
+      after: await getAuditSnapshot(db, TABLE_METER, id),
+      customerId: customer_id
+    });
+
+    res.json({
+      success: true,
+      message: 'ลบมิเตอร์สำเร็จ',
+      data: {
+        id
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Delete meter error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete meter',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get meters with their latest reading
+ * GET /api/meter/list?customer_id=xxx&meter_type=water&room_id=1&keyword=&status=1&page=1&limit=10
+ */
+export const getMeterList = async (req, res) => {
+  try {
+    const { page, limit, customer_id, meter_type, room_id, keyword, status } = req.query;
+
+    const pageNum = page;
+    const limitNum = limit;
+    const offset = (pageNum - 1) * limitNum;
+
+    const db = getDatabase();
+
+    let whereClause = 'WHERE m.customer_id = ? AND m.status != 2';
+    const queryParams = [customer_id];
+
+    if (meter_type) {
+      whereClause += ' AND m.meter_type = ?';
+      queryParams.push(meter_type);
+    }
+
+    if (room_id) {
+      whereClause += ' AND m.room_id = ?';
+      queryParams.push(room_id);
+    }
+
+    if (keyword) {
+      whereClause += ' AND (m.meter_no LIKE ? OR r.title LIKE ?)';
+      queryParams.push(`%${keyword}%`, `%${keyword}%`);
+    }
+
+    if (status !== undefined) {
+      whereClause += ' AND m.status = ?';
+      queryParams.push(status);
+    }
+
+    const [rows] = await db.execute(
+      `SELECT m.*, r.title as house_no,
+              lr.period as last_period, lr.current_reading as last_reading, lr.reading_date as last_reading_date
+       FROM ${TABLE_METER} m
+       LEFT JOIN room_information r ON m.room_id = r.id
+       LEFT JOIN ${TABLE_READING} lr ON lr.id = (
+         SELECT id FROM ${TABLE_READING} WHERE meter_id = m.id AND status != 2 ORDER BY period DESC LIMIT 1
+       )
+       ${whereClause}
+       ORDER BY r.title ASC, m.meter_type ASC, m.meter_no ASC
+       LIMIT ${limitNum} OFFSET ${offset}`,
+      queryParams
+    );
+
+    const [countResult] = await db.execute(
+      `SELECT COUNT(*) as total
+       FROM ${TABLE_METER} m
+       LEFT JOIN room_information r ON m.room_id = r.id
+       ${whereClause}`,
+      queryParams
+    );
+    const total = countResult[0].total;
+
+    res.json({
+      success: true,
+      data: rows.map(row => formatMeter(addFormattedDates(row, ['last_reading_date']))),
+      pagination: {
+        current_page: pageNum,
+        per_page: limitNum,
+        total: total,
+        total_pages: Math.ceil(total / limitNum),
+        has_next: pageNum * limitNum < total,
+        has_prev: pageNum > 1
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Get meter list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch meters',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get rate tables of customer
+ * GET /api/meter/rate_list?customer_id=xxx
+ */
+export const getMeterRateList = async (req, res) => {
+  try {
+    const { customer_id } = req.query;
+    const db = getDatabase();
+
+    const [rows] = await db.execute(
+      `SELECT mr.*, bt.title as bill_type
+       FROM ${TABLE_RATE} mr
+       LEFT JOIN bill_type_information bt ON mr.bill_type_id = bt.id
+       WHERE mr.customer_id = ? AND mr.status != 2
+       ORDER BY mr.meter_type ASC`,
+      [customer_id]
+    );
+
+    res.json({
+      success: true,
+      data: rows.map(formatRate),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Get meter rate list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch meter rates',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Set tiered rate of meter type (one rate per meter type - updated if it exists)
+ * PUT /api/meter/rate_update
+ * Body: { customer_id, meter_type, bill_type_id, tiers: [{ up_to, rate }], minimum_charge, service_fee, vat_flag, high_usage_ratio, status }
+ */
+export const updateMeterRate = async (req, res) => {
+  try {
+    const { customer_id, meter_type, tiers, minimum_charge, service_fee, vat_flag, high_usage_ratio, status } = req.body;
+    const uid = getActorId(req);
+    const billTypeId = req.body.bill_type_id ?? DEFAULT_METER_BILL_TYPES[meter_type];
+
+    const tierError = validateTiers(tiers);
+    if (tierError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid rate tiers',
+        message: tierError
+      });
+    }
+
+    const db = getDatabase();
+
+    const [billTypeRows] = await db.execute(
+      'SELECT id FROM bill_type_information WHERE id = ? AND status != 2',
+      [billTypeId]
+    );
+
+    if (billTypeRows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bill type not found',
+        message: 'ไม่พบประเภทบิลนี้ในระบบ'
+      });
+    }
+
+    const [existing] = await db.execute(
+      `SELECT id FROM ${TABLE_RATE} WHERE customer_id = ? AND meter_type = ? AND status != 2`,
+      [customer_id, meter_type]
+    );
+
+    const normalizedTiers = tiers.map(tier => ({
+      up_to: tier.up_to === null || tier.up_to === undefined ? null : Number(tier.up_to),
+      rate: Number(tier.rate)
+    }));
+
+    const values = [billTypeId, JSON.stringify(normalizedTiers), minimum_charge, service_fee, vat_flag ? 1 : 0, high_usage_ratio, status];
+    let rateId;
+    let before = null;
+
+    if (existing.length > 0) {
+      rateId = existing[0].id;
+      before = await getAuditSnapshot(db, TABLE_RATE, rateId);
+
+      await db.execute(
+        `UPDATE ${TABLE_RATE}
+         SET bill_type_id = ?, tiers = ?, minimum_charge = ?, service_fee = ?, vat_flag = ?, high_usage_ratio = ?, status = ?, update_date = NOW(), update_by = ?
+         WHERE id = ?`,
+        [...values, uid, rateId]
+      );
+      logger.info(`Meter rate updated: ID ${rateId} (${meter_type}) by user ${uid}`);
+    } else {
+      const [result] = await db.execute(
+        `INSERT INTO ${TABLE_RATE} (customer_id, meter_type, bill_type_id, tiers, minimum_charge, service_fee, vat_flag, high_usage_ratio, status, create_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [customer_id, meter_type, ...values, uid]
+      );
+      rateId = result.insertId;
+      logger.info(`Meter rate created: ID ${rateId} (${meter_type}) by user ${uid}`);
+    }
+
+    const after = await getAuditSnapshot(db, TABLE_RATE, rateId);
+    await writeAuditLog(db, req, {
+      entity: 'meter_rate',
+      entityId: rateId,
+      action: before ? 'update' : 'create',
+      before,
+      after,
+      customerId: customer_id
+    });
+
+    res.json({
+      success: true,
+      message: 'บันทึกอัตราค่าบริการสำเร็จ',
+      data: formatRate(after),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Update meter rate error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update meter rate',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get meter readings
+ * GET /api/meter/reading_list?customer_id=xxx&meter_type=water&period=2025-01&status=0&anomaly=high&page=1&limit=10
+ */
+export const getMeterReadingList = async (req, res) => {
+  try {
+    const { page, limit, customer_id, meter_type, period, room_id, meter_id, status, anomaly } = req.query;
+
+    const pageNum = page;
+    const limitNum = limit;
+    const offset = (pageNum - 1) * limitNum;
+
+    const db = getDatabase();
+
+    let whereClause = 'WHERE mr.customer_id = ? AND mr.status != 2';
+    const queryParams = [customer_id];
+
+    if (meter_type) {
+      whereClause += ' AND mr.meter_type = ?';
+      queryParams.push(meter_type);
+    }
+
+    if (period) {
+      whereClause += ' AND mr.period = ?';
+      queryParams.push(period);
+    }
+
+    if (room_id) {
+      whereClause += ' AND mr.room_id = ?';
+      queryParams.push(room_id);
+    }
+
+    if (meter_id) {
+      whereClause += ' AND mr.meter_id = ?';
+      queryParams.push(meter_id);
+    }
+
+    if (anomaly) {
+      whereClause += ' AND mr.anomaly = ?';
+      queryParams.push(anomaly);
+    }
+
+    // นับตามสถานะก่อนกรอง status
+    const [statusRows] = await db.execute(
+      `SELECT mr.status, COUNT(*) as total FROM ${TABLE_READING} mr ${whereClause} GROUP BY mr.status`,
+      queryParams
+    );
+
+    if (status !== undefined) {
+      whereClause += ' AND mr.status = ?';
+      queryParams.push(status);
+    }
+
+    const [rows] = await db.execute(
+      `SELECT mr.*, m.meter_no, m.multiplier, r.title as house_no, br.bill_no
+       FROM ${TABLE_READING} mr
+       INNER JOIN ${TABLE_METER} m ON mr.meter_id = m.id
+       LEFT JOIN room_information r ON mr.room_id = r.id
+       LEFT JOIN bill_room_information br ON mr.bill_room_id = br.id AND mr.status = ${METER_READING_STATUS.BILLED}
+       ${whereClause}
+       ORDER BY mr.period DESC, r.title ASC, m.meter_no ASC
+       LIMIT ${limitNum} OFFSET ${offset}`,
+      queryParams
+    );
+
+    const [countResult] = await db.execute(
+      `SELECT COUNT(*) as total FROM ${TABLE_READING} mr ${whereClause}`,
+      queryParams
+    );
+    const total = countResult[0].total;
+
+    const statusCounts = getStatusList('meter_reading', [
+      METER_READING_STATUS.PENDING_REVIEW,
+      METER_READING_STATUS.CONFIRMED,
+      METER_READING_STATUS.BILLED
+    ]).map(item => ({
+      ...item,
+      total: statusRows.find(row => parseInt(row.status) === item.id)?.total || 0
+    }));
+
+    res.json({
+      success: true,
+      data: rows.map(formatReading),
+      status_counts: statusCounts,
+      pagination: {
+        current_page: pageNum,
+        per_page: limitNum,
+        total: total,
+        total_pages: Math.ceil(total / limitNum),
+        has_next: pageNum * limitNum < total,
+        has_prev: pageNum > 1
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Get meter reading list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch meter readings',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Record reading of meter for period (readings with an anomaly wait for review)
+ * POST /api/meter/reading_insert
+ * Body: { customer_id, meter_id, period, reading_date (default: today), current_reading, remark }
+ */
+export const insertMeterReading = async (req, res) => {
+  try {
+    const { customer_id, meter_id, period, reading_date, current_reading, remark } = req.body;
+    const uid = getActorId(req);
+
+    if (!PERIOD_PATTERN.test(period)) {
+      return invalidPeriod(res);
+    }
+
+    const db = getDatabase();
+
+    const meter = await getMeter(db, meter_id, customer_id);
+    if (!meter || parseInt(meter.status) !== 1) {
+      return meterNotFound(res);
+    }
+
+    const result = await withTransaction(connection => saveMeterReading(connection, meter, {
+      period,
+      readingDate: reading_date || new Date().toISOString().substring(0, 10),
+      currentReading: current_reading,
+      remark: remark?.trim() || null,
+      actorId: uid,
+      req
+    }));
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot record meter reading',
+        message: result.error
+      });
+    }
+
+    logger.info(`Meter reading inserted: ID ${result.reading.id} (meter ${meter_id} ${period}) by user ${uid}`);
+
+    res.status(201).json({
+      success: true,
+      message: result.reading.anomaly ? 'บันทึกค่ามิเตอร์สำเร็จ พบความผิดปกติ รอตรวจสอบ' : 'บันทึกค่ามิเตอร์สำเร็จ',
+      data: formatReading({ ...result.reading, meter_no: meter.meter_no }),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof StatusTransitionError) {
+      return res.status(409).json(error.toResponse());
+    }
+
+    logger.error('Insert meter reading error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to insert meter reading',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Correct reading (latest period of the meter only, not billed) - anomaly checks run again
+ * PUT /api/meter/reading_update
+ * Body: { id, customer_id, current_reading, reading_date, remark }
+ */
+export const updateMeterReading = async (req, res) => {
+  try {
+    const { id, customer_id, reading_date, current_reading, remark } = req.body;
+    const uid = getActorId(req);
+
+    const db = getDatabase();
+
+    const [readingRows] = await db.execute(
+      `SELECT * FROM ${TABLE_READING} WHERE id = ? AND customer_id = ? AND status != 2`,
+      [id, customer_id]
+    );
+
+    if (readingRows.length === 0) {
+      return readingNotFound(res);
+    }
+
+    const reading = readingRows[0];
+    const meter = await getMeter(db, reading.meter_id, customer_id);
+    if (!meter) {
+      return meterNotFound(res);
+    }
+
+    const result = await withTransaction(connection => saveMeterReading(connection, meter, {
+      period: reading.period,
+      readingDate: reading_date || reading.reading_date,
+      currentReading: current_reading,
+      remark: remark === undefined ? reading.remark : remark?.trim() || null,
+      actorId: uid,
+      req,
+      readingId: id
+    }));
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot update meter reading',
+        message: result.error
+      });
+    }
+
+    logger.info(`Meter reading updated: ID ${id} by user ${uid}`);
+
+    res.json({
+      success: true,
+      message: result.reading.anomaly ? 'แก้ไขค่ามิเตอร์สำเร็จ พบความผิดปกติ รอตรวจสอบ' : 'แก้ไขค่ามิเตอร์สำเร็จ',
+      data: formatReading({ ...result.reading, meter_no: meter.meter_no }),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof StatusTransitionError) {
+      return res.status(409).json(error.toResponse());
+    }
+
+    logger.error('Update meter reading error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update meter reading',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Delete reading (latest period of the meter only, not billed)
+ * DELETE /api/meter/reading_delete
+ * Body: { id, customer_id }
+ */
+export const deleteMeterReading = async (req, res) => {
+  try {
+    const { id, customer_id } = req.body;
+    const uid = getActorId(req);
+
+    const outcome = await withTransaction(async (connection) => {
+      const [readingRows] = await connection.execute(
+        `SELECT id, meter_id, period, status FROM ${TABLE_READING} WHERE id = ? AND customer_id = ? AND status != 2 FOR UPDATE`,
+        [id, customer_id]
+      );
+
+      if (readingRows.length === 0) {
+        return { notFound: true };
+      }
+
+      const reading = readingRows[0];
+
+      const [laterRows] = await connection.execute(
+        `SELECT id FROM ${TABLE_READING} WHERE meter_id = ? AND period > ? AND status != 2 LIMIT 1`,
+        [reading.meter_id, reading.period]
+      );
+
+      if (laterRows.length > 0) {
+        return { reason: 'ลบได้เฉพาะค่ามิเตอร์ของรอบล่าสุดเท่านั้น' };
+      }
+
+      const before = await getAuditSnapshot(connection, TABLE_READING, id);
+
+      await transitionStatus(connection, {
+        entity: 'meter_reading',
+        id,
+        from: reading.status,
+        to: METER_READING_STATUS.DELETED,
+        actorId: uid,
+        customerId: customer_id
+      });
+
+      await connection.execute(
+        `UPDATE ${TABLE_READING} SET status = ?, delete_date = NOW(), delete_by = ? WHERE id = ?`,
+        [METER_READING_STATUS.DELETED, uid, id]
+      );
+
+      await writeAuditLog(connection, req, {
+        entity: 'meter_reading',
+        entityId: id,
+        action: 'delete',
+        before,
+        after: await getAuditSnapshot(connection, TABLE_READING, id),
+        customerId: customer_id
+      });
+
+      return {};
+    });
+
+    if (outcome.notFound) {
+      return readingNotFound(res);
+    }
+
+    if (outcome.reason) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot delete meter reading',
+        message: outcome.reason
+      });
+    }
+
+    logger.info(`Meter reading deleted (soft): ID ${id} by user ${uid}`);
+
+    res.json({
+      success: true,
+      message: 'ลบค่ามิเตอร์สำเร็จ',
+      data: {
+        id
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof StatusTransitionError) {
+      return res.status(409).json(error.toResponse());
+    }
+
+    logger.error('Delete meter reading error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete meter reading',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Confirm readings pending review (high usage / rollover) so they can be billed
+ * Negative consumption cannot be confirmed - correct the reading instead
+ * PUT /api/meter/reading_confirm
+ * Body: { ids: [1, 2], remark, customer_id }
+ */
+export const confirmMeterReading = async (req, res) => {
+  try {
+    const { ids, remark, customer_id } = req.body;
+    const uid = getActorId(req);
+
+    const results = {
+      success: [],
+      failed: []
+    };
+
+    for (const id of ids) {
+      try {
+        const outcome = await withTransaction(async (connection) => {
+          const [rows] = await connection.execute(
+            `SELECT id, anomaly, status FROM ${TABLE_READING} WHERE id = ? AND customer_id = ? AND status != 2 FOR UPDATE`,
+            [id, customer_id]
+          );
+
+          if (rows.length === 0) {
+            return { reason: 'ไม่พบข้อมูลค่ามิเตอร์' };
+          }
+
+          const reading = rows[0];
+
+          if (parseInt(reading.status) !== METER_READING_STATUS.PENDING_REVIEW) {
+            return {
+              reason: 'ยืนยันได้เฉพาะค่ามิเตอร์ที่มีสถานะรอตรวจสอบเท่านั้น',
+              current_status: reading.status
+            };
+          }
+
+          if (reading.anomaly === 'negative') {
+            return { reason: 'ค่าที่อ่านได้น้อยกว่าครั้งก่อน กรุณาแก้ไขค่ามิเตอร์' };
+          }
+
+          const before = await getAuditSnapshot(connection, TABLE_READING, id);
+
+          await transitionStatus(connection, {
+            entity: 'meter_reading',
+            id,
+            from: reading.status,
+            to: METER_READING_STATUS.CONFIRMED,
+            actorId: uid,
+            reason: remark?.trim() || 'ยืนยันค่ามิเตอร์',
+            customerId: customer_id
+          });
+
+          await connection.execute(
+            `UPDATE ${TABLE_READING} SET status = ?, update_date = NOW(), update_by = ? WHERE id = ?`,
+            [METER_READING_STATUS.CONFIRMED, uid, id]
+          );
+
+          await writeAuditLog(connection, req, {
+            entity: 'meter_reading',
+            entityId: id,
+            action: 'approve',
+            before,
+            after: await getAuditSnapshot(connection, TABLE_READING, id),
+            customerId: customer_id
+          });
+
+          return {};
+        });
+
+        if (outcome.reason) {
+          results.failed.push({ id, ...outcome });
+          continue;
+        }
+
+        results.success.push({ id, status: METER_READING_STATUS.CONFIRMED });
+
+      } catch (error) {
+        if (!(error instanceof StatusTransitionError)) {
+          logger.error(`Confirm meter reading id=${id} failed, rolled back:`, error);
+        }
+        results.failed.push({ id, reason: error.message });
+      }
+    }
+
+    logger.info(`Meter readings confirmed: ${results.success.length}/${ids.length} by user ${uid}`);
+
+    res.json({
+      success: true,
+      message: `ยืนยันค่ามิเตอร์สำเร็จ ${results.success.length} รายการ${results.failed.length > 0 ? `, ล้มเหลว ${results.failed.length} รายการ` : ''}`,
+      data: {
+        total: ids.length,
+        success_count: results.success.length,
+        failed_count: results.failed.length,
+        success_items: results.success,
+        failed_items: results.failed,
+        update_by: uid
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Confirm meter reading error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to confirm meter readings',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Import readings of period from Excel (uploaded with menu=meter)
+ * Columns: เลขมิเตอร์, ค่าที่อ่านได้, หมายเหตุ (optional) - each row is saved in its own transaction
+ * POST /api/meter/reading_import
+ * Body: { upload_key, customer_id, meter_type, period, reading_date (default: today) }
+ */
+export const importMeterReading = async (req, res) => {
+  try {
+    const { upload_key, customer_id, meter_type, period, reading_date } = req.body;
+    const uid = getActorId(req);
+
+    if (!PERIOD_PATTERN.test(period)) {
+      return invalidPeriod(res);
+    }
+
+    const db = getDatabase();
+
+    const [attachments] = await db.execute(
+      `SELECT file_path, file_name, file_ext
+       FROM ${TABLE_ATTACHMENT}
+       WHERE upload_key = ? AND status != 2
+       ORDER BY create_date DESC
+       LIMIT 1`,
+      [upload_key.trim()]
+    );
+
+    if (attachments.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Excel file not found',
+        message: 'กรุณานำเข้าไฟล์ค่ามิเตอร์'
+      });
+    }
+
+    const fileExt = attachments[0].file_ext.toLowerCase();
+
+    if (fileExt !== 'xlsx' && fileExt !== 'xls' && fileExt !== 'csv') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid file type',
+        message: 'ไฟล์ต้องเป็น Excel (.xlsx, .xls) หรือ CSV (.csv) เท่านั้น'
+      });
+    }
+
+    let workbook;
+    try {
+      workbook = await readExcelFile(attachments[0].file_path, fileExt);
+    } catch (error) {
+      logger.error('Error reading meter reading file:', error);
+      return res.status(400).json({
+        success: false,
+        error: 'Failed to read file',
+        message: 'ไม่สามารถอ่านไฟล์ได้ ไฟล์อาจเสียหาย หรือไม่พบไฟล์บนเซิร์ฟเวอร์'
+      });
+    }
+
+    const data = xlsx.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], {
+      defval: null,
+      blankrows: false,
+      raw: false
+    });
+
+    if (!data || data.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'File is empty',
+        message: 'ไฟล์ไม่มีข้อมูล'
+      });
+    }
+
+    const requiredColumns = ['เลขมิเตอร์', 'ค่าที่อ่านได้'];
+    const actualColumns = Object.keys(data[0]);
+    const missingColumns = requiredColumns.filter(col => !(col in data[0]));
+
+    if (missingColumns.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required columns',
+        message: `ไฟล์ต้องมี columns: ${missingColumns.join(', ')}`,
+        missing_columns: missingColumns,
+        actual_columns: actualColumns
+      });
+    }
+
+    const [meters] = await db.execute(
+      `SELECT * FROM ${TABLE_METER} WHERE customer_id = ? AND meter_type = ? AND status = 1`,
+      [customer_id, meter_type]
+    );
+    const meterByNo = new Map(meters.map(meter => [meter.meter_no, meter]));
+    const readingDate = reading_date || new Date().toISOString().substring(0, 10);
+
+    const results = {
+      success: [],
+      failed: []
+    };
+
+    for (let i = 0; i < data.length; i++) {
+      const row = data[i];
+      const rowNum = i + 1;
+      const meterNo = row['เลขมิเตอร์']?.toString().trim();
+      const readingText = row['ค่าที่อ่านได้']?.toString().replace(/,/g, '').trim();
+
+      if (!meterNo || !readingText) {
+        results.failed.push({ row: rowNum, meter_no: meterNo || null, reason: 'ขาดข้อมูลจำเป็น (เลขมิเตอร์ หรือค่าที่อ่านได้)' });
+        continue;
+      }
+
+      const currentReading = parseFloat(readingText);
+      if (isNaN(currentReading) || currentReading < 0) {
+        results.failed.push({ row: rowNum, meter_no: meterNo, reason: 'ค่าที่อ่านได้ต้องเป็นตัวเลขที่ไม่ติดลบ' });
+        continue;
+      }
+
+      const meter = meterByNo.get(meterNo);
+      if (!meter) {
+        results.failed.push({ row: rowNum, meter_no: meterNo, reason: `ไม่พบมิเตอร์${METER_TYPES[meter_type]}เลขนี้ในระบบ` });
+        continue;
+      }
+
+      try {
+        const result = await withTransaction(connection => saveMeterReading(connection, meter, {
+          period,
+          readingDate,
+          currentReading,
+          remark: row['หมายเหตุ']?.toString().trim() || null,
+          actorId: uid,
+          req
+        }));
+
+        if (result.error) {
+          results.failed.push({ row: rowNum, meter_no: meterNo, reason: result.error });
+          continue;
+        }
+
+        results.success.push({
+          row: rowNum,
+          id: result.reading.id,
+          meter_no: meterNo,
+          consumption: parseFloat(result.reading.consumption),
+          anomaly: result.reading.anomaly,
+          anomaly_detail: result.reading.anomaly_detail,
+          status: result.reading.status
+        });
+
+      } catch (error) {
+        if (!(error instanceof StatusTransitionError)) {
+          logger.error(`Import meter reading row ${rowNum} failed, rolled back:`, error);
+        }
+        results.failed.push({ row: rowNum, meter_no: meterNo, reason: error.message });
+      }
+    }
+
+    const anomalyCount = results.success.filter(item => item.anomaly).length;
+
+    logger.info(`Meter readings imported: ${results.success.length}/${data.length} (${meter_type} ${period}, ${anomalyCount} anomalies) by user ${uid}`);
+
+    res.json({
+      success: true,
+      message: `นำเข้าค่ามิเตอร์สำเร็จ ${results.success.length} รายการ${results.failed.length > 0 ? `, ล้มเหลว ${results.failed.length} รายการ` : ''}${anomalyCount > 0 ? `, รอตรวจสอบ ${anomalyCount} รายการ` : ''}`,
+      data: {
+        total: data.length,
+        success_count: results.success.length,
+        failed_count: results.failed.length,
+        anomaly_count: anomalyCount,
+        success_items: results.success,
+        failed_items: results.failed,
+        create_by: uid
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Import meter reading error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import meter readings',
+      message: error.message
+    });
+  }
+};
+
+function noRate(res, meterType) {
+  return res.status(400).json({
+    success: false,
+    error: 'Meter rate not set',
+    message: `ยังไม่ได้ตั้งค่าอัตราค่า${METER_TYPES[meterType]}`
+  });
+}
+
+/**
+ * Preview utility bill of period without writing anything
+ * GET /api/meter/bill_preview?customer_id=xxx&meter_type=water&period=2025-01
+ */
+export const previewMeterBill = async (req, res) => {
+  try {
+    const { customer_id, meter_type, period } = req.query;
+
+    if (!PERIOD_PATTERN.test(period)) {
+      return invalidPeriod(res);
+    }
+
+    const db = getDatabase();
+    const plan = await buildMeterBillPlan(db, { customerId: customer_id, meterType: meter_type, period });
+
+    if (plan.error === 'no_rate') {
+      return noRate(res, meter_type);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...plan,
+        rate: formatRate(plan.rate),
+        room_count: plan.rooms.length,
+        skipped_count: plan.skipped.length
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Preview meter bill error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to preview meter bill',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Generate utility bill (draft, or sent when send = true) from confirmed readings of period
+ * Readings already billed are left out, so a later run bills readings confirmed afterwards
+ * POST /api/meter/generate_bill
+ * Body: { customer_id, meter_type, period, title, detail, expire_date, send }
+ * title / detail support {MM}, {YYYY}, {MONTH_TH}, {YYYY_TH}
+ */
+export const insertMeterBill = async (req, res) => {
+  try {
+    const { customer_id, meter_type, period, title, detail, expire_date, send } = req.body;
+    const uid = getActorId(req);
+
+    if (!PERIOD_PATTERN.test(period)) {
+      return invalidPeriod(res);
+    }
+
+    if (period > getPeriodOf()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid period',
+        message: 'ไม่สามารถออกบิลค่ามิเตอร์ของรอบในอนาคตได้'
+      });
+    }
+
+    const result = await generateMeterBill({
+      customerId: customer_id,
+      meterType: meter_type,
+      period,
+      title: title?.trim() || null,
+      detail: detail?.trim() || null,
+      expireDate: expire_date,
+      send,
+      actorId: uid,
+      req
+    });
+
+    if (result.error === 'no_rate') {
+      return noRate(res, meter_type);
+    }
+
+    if (result.error === 'no_rooms') {
+      return res.status(400).json({
+        success: false,
+        error: 'No rooms to bill',
+        message: 'ไม่มีค่ามิเตอร์ที่พร้อมออกบิลในรอบนี้',
+        billed_count: result.plan.billed_count,
+        skipped: result.plan.skipped
+      });
+    }
+
+    logger.info(`User ${uid} generated meter bill ${result.bill_id} (${meter_type} ${period})`);
+
+    res.json({
+      success: true,
+      message: result.sent ? 'สร้างและส่งบิลสำเร็จ' : 'สร้างบิลสำเร็จ',
+      data: {
+        meter_type,
+        period,
+        bill_id: result.bill_id,
+        bill_no: result.bill_no,
+        sent: result.sent,
+        room_count: result.plan.rooms.length,
+        skipped_count: result.plan.skipped.length,
+        skipped: result.plan.skipped,
+        total_amount: result.plan.total_amount,
+        create_by: uid
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof StatusTransitionError) {
+      return res.status(409).json(error.toResponse());
+    }
+
+    logger.error('Generate meter bill error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate meter bill',
+      message: error.message
+    });
+  }
+};
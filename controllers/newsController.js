@@ -1,8 +1,9 @@
 import { getDatabase } from '../config/database.js';
-import { createCategoryTable } from '../utils/fileUpload.js';
 import logger from '../utils/logger.js';
+import { getActorId } from '../utils/requestContext.js';
 import { addFormattedDatesToList, addFormattedDates } from '../utils/dateFormatter.js';
 import { getFileUrl } from '../utils/storageManager.js';
+import { getAuditSnapshot, writeAuditLog } from '../utils/auditLog.js';
 
 const MENU = 'news';
 const TABLE_INFORMATION = `${MENU}_information`;
@@ -11,40 +12,12 @@ const TABLE_ATTACHMENT = `${MENU}_attachment`;
 
 export const insertNews = async (req, res) => {
   try {
-    const { title, detail, upload_key, status, uid, cid } = req.body;
+    const { title, detail, upload_key, status, cid } = req.body;
+    const uid = getActorId(req);
     const files = req.files;
 
-    if (!title || !detail || !upload_key || status === undefined || !uid) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields',
-        message: 'กรุณากรอกข้อมูลที่จำเป็น: title, detail, upload_key, status, uid',
-        required: ['title', 'detail', 'upload_key', 'status', 'uid']
-      });
-    }
-
     const db = getDatabase();
 
-    const createTableQuery = `
-      CREATE TABLE IF NOT EXISTS ${TABLE_INFORMATION} (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        upload_key CHAR(32) NOT NULL,
-        title VARCHAR(255) NOT NULL,
-        detail TEXT NOT NULL,
-        cid INT NULL,
-        status INT NOT NULL DEFAULT 1,
-        create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        create_by INT NOT NULL,
-        update_date TIMESTAMP NULL,
-        update_by INT NULL,
-        delete_date TIMESTAMP NULL,
-        delete_by INT NULL
-      )
-    `;
-
-    await db.execute(createTableQuery);
-    await createCategoryTable(TABLE_CATEGORY);
-
     const insertQuery = `
       INSERT INTO ${TABLE_INFORMATION} (upload_key, title, detail, cid, status, create_by)
       VALUES (?, ?, ?, ?, ?, ?)
@@ -60,6 +33,12 @@ export const insertNews = async (req, res) => {
       uid
     ]);
 
+    await writeAuditLog(db, req, {
+      entity: 'news',
+      entityId: result.insertId,
+      action: 'create',
+      after: await getAuditSnapshot(db, TABLE_INFORMATION, result.insertId)
+    });
 
     res.json({
       success: true,
@@ -88,21 +67,15 @@ export const insertNews = async (req, res) => {
 
 export const updateNews = async (req, res) => {
   try {
-    const { id, title, detail, status, uid, cid } = req.body;
-
-    if (!id || !title || !detail || status === undefined || !uid) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields',
-        message: 'กรุณากรอกข้อมูลที่จำเป็น: id, title, detail, status, uid',
-        required: ['id', 'title', 'detail', 'status', 'uid']
-      });
-    }
+    const { id, title, detail, status, cid } = req.body;
+    const uid = getActorId(req);
 
     const db = getDatabase();
 
     const cidValue = cid ? parseInt(cid) : null;
 
+    const before = await getAuditSnapshot(db, TABLE_INFORMATION, id);
+
     const updateQuery = `
       UPDATE ${TABLE_INFORMATION}
       SET title = ?, detail = ?, cid = ?, status = ?, update_date = CURRENT_TIMESTAMP, update_by = ?
@@ -126,6 +99,14 @@ export const updateNews = async (req, res) => {
       });
     }
 
+    await writeAuditLog(db, req, {
+      entity: 'news',
+      entityId: id,
+      action: 'update',
+      before,
+      after: await getAuditSnapshot(db, TABLE_INFORMATION, id)
+    });
+
     res.json({
       success: true,
       message: 'News updated successfully',
@@ -152,19 +133,13 @@ export const updateNews = async (req, res) => {
 
 export const deleteNews = async (req, res) => {
   try {
-    const { id, uid } = req.body;
-
-    if (!id || !uid) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields',
-        message: 'กรุณากรอกข้อมูลที่จำเป็น: id, uid',
-        required: ['id', 'uid']
-      });
-    }
+    const { id } = req.body;
+    const uid = getActorId(req);
 
     const db = getDatabase();
 
+    const before = await getAuditSnapshot(db, TABLE_INFORMATION, id);
+
     const deleteQuery = `
       UPDATE ${TABLE_INFORMATION}
       SET status = 2, delete_date = CURRENT_TIMESTAMP, delete_by = ?
@@ -181,6 +156,14 @@ export const deleteNews = async (req, res) => {
       });
     }
 
+    await writeAuditLog(db, req, {
+      entity: 'news',
+      entityId: id,
+      action: 'delete',
+      before,
+      after: await getAuditSnapshot(db, TABLE_INFORMATION, id)
+    });
+
     res.json({
       success: true,
       message: 'News deleted successfully',
@@ -347,19 +330,10 @@ export const getNewsById = async (req, res) => {
 // Category Functions
 export const insertCategory = async (req, res) => {
   try {
-    const { title, status, uid } = req.body;
-
-    if (!title || status === undefined || !uid) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields',
-        message: 'กรุณากรอกข้อมูลที่จำเป็น: title, status, uid',
-        required: ['title', 'status', 'uid']
-      });
-    }
+    const { title, status } = req.body;
+    const uid = getActorId(req);
 
     const db = getDatabase();
-    await createCategoryTable(TABLE_CATEGORY);
 
     const insertQuery = `
       INSERT INTO ${TABLE_CATEGORY} (title, status, create_by)
@@ -368,6 +342,13 @@ export const insertCategory = async (req, res) => {
 
     const [result] = await db.execute(insertQuery, [title?.trim(), status, uid]);
 
+    await writeAuditLog(db, req, {
+      entity: 'news_category',
+      entityId: result.insertId,
+      action: 'create',
+      after: await getAuditSnapshot(db, TABLE_CATEGORY, result.insertId)
+    });
+
     res.json({
       success: true,
       message: 'Category inserted successfully',
@@ -392,19 +373,13 @@ export const insertCategory = async (req, res) => {
 
 export const updateCategory = async (req, res) => {
   try {
-    const { id, title, status, uid } = req.body;
-
-    if (!id || !title || status === undefined || !uid) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields',
-        message: 'กรุณากรอกข้อมูลที่จำเป็น: id, title, status, uid',
-        required: ['id', 'title', 'status', 'uid']
-      });
-    }
+    const { id, title, status } = req.body;
+    const uid = getActorId(req);
 
     const db = getDatabase();
 
+    const before = await getAuditSnapshot(db, TABLE_CATEGORY, id);
+
     const updateQuery = `
       UPDATE ${TABLE_CATEGORY}
       SET title = ?, status = ?, update_date = CURRENT_TIMESTAMP, update_by = ?
@@ -421,6 +396,14 @@ export const updateCategory = async (req, res) => {
       });
     }
 
+    await writeAuditLog(db, req, {
+      entity: 'news_category',
+      entityId: id,
+      action: 'update',
+      before,
+      after: await getAuditSnapshot(db, TABLE_CATEGORY, id)
+    });
+
     res.json({
       success: true,
       message: 'Category updated successfully',
@@ -445,19 +428,13 @@ export const updateCategory = async (req, res) => {
 
 export const deleteCategory = async (req, res) => {
   try {
-    const { id, uid } = req.body;
-
-    if (!id || !uid) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields',
-        message: 'กรุณากรอกข้อมูลที่จำเป็น: id, uid',
-        required: ['id', 'uid']
-      });
-    }
+    const { id } = req.body;
+    const uid = getActorId(req);
 
     const db = getDatabase();
 
+    const before = await getAuditSnapshot(db, TABLE_CATEGORY, id);
+
     const deleteQuery = `
       UPDATE ${TABLE_CATEGORY}
       SET status = 2, delete_date = CURRENT_TIMESTAMP, delete_by = ?
@@ -474,6 +451,14 @@ export const deleteCategory = async (req, res) => {
       });
     }
 
+    await writeAuditLog(db, req, {
+      entity: 'news_category',
+      entityId: id,
+      action: 'delete',
+      before,
+      after: await getAuditSnapshot(db, TABLE_CATEGORY, id)
+    });
+
     res.json({
       success: true,
       message: 'Category deleted successfully',
@@ -1,8 +1,14 @@
-import { getDatabase } from '../config/database.js';
+import { getDatabase, withTransaction } from '../config/database.js';
 import logger from '../utils/logger.js';
+import { getActorId } from '../utils/requestContext.js';
 import { addFormattedDatesToList } from '../utils/dateFormatter.js';
 import { formatPrice } from '../utils/numberFormatter.js';
 import { getFileUrl } from '../utils/storageManager.js';
+import { BILL_ROOM_STATUS, PAYMENT_STATUS, StatusTransitionError, canTransition, getStatusObject, transitionStatus } from '../utils/statusMachine.js';
+import { getAuditSnapshot, writeAuditLog } from '../utils/auditLog.js';
+import { getPenaltyTotal, getPenaltyTotals } from '../utils/billPenalty.js';
+import { addHouseCredit } from '../utils/houseCredit.js';
+import { allocateBillRoomPayment } from '../utils/billRoomItem.js';
 import ExcelJS from 'exceljs';
 
 const MENU = 'payment';
@@ -10,16 +16,8 @@ const TABLE_INFORMATION = `${MENU}_information`;
 
 export const insertPayment = async (req, res) => {
   try {
-    const { upload_key, payable_type, payable_id, payment_amount, payment_type_id, customer_id, status, member_id, remark, member_remark, payment_date, bank_id, uid } = req.body;
-
-    if (!upload_key || !payable_type || !payable_id || !payment_amount || !payment_type_id || !customer_id || status === undefined || !member_id || !uid) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields',
-        message: 'กรุณากรอกข้อมูลที่จำเป็น: upload_key, payable_type, payable_id, payment_amount, payment_type_id, customer_id, status, member_id, uid',
-        required: ['upload_key', 'payable_type', 'payable_id', 'payment_amount', 'payment_type_id', 'customer_id', 'status', 'member_id', 'uid']
-      });
-    }
+    const { upload_key, payable_type, payable_id, payment_amount, payment_type_id, customer_id, member_id, remark, member_remark, payment_date, bank_id } = req.body;
+    const uid = getActorId(req);
 
     const db = getDatabase();
 
@@ -39,46 +37,88 @@ export const insertPayment = async (req, res) => {
       });
     }
 
-    const insertQuery = `
-      INSERT INTO ${TABLE_INFORMATION} (upload_key, payable_type, payable_id, payment_amount, payment_type_id, customer_id, status, member_id, remark, member_remark, payment_date, bank_id, create_by)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `;
-
     const payableIdValue = parseInt(payable_id);
     const paymentAmount = parseFloat(payment_amount);
     const paymentTypeIdValue = parseInt(payment_type_id);
     const memberIdValue = parseInt(member_id);
+    const isBillRoomPayment = payable_type?.trim() === 'bill_room_information';
 
-    const [result] = await db.execute(insertQuery, [
-      upload_key?.trim(),
-      payable_type?.trim(),
-      payableIdValue,
-      paymentAmount,
-      paymentTypeIdValue,
-      customer_id?.trim(),
-      status,
-      memberIdValue,
-      remark?.trim() || null,
-      member_remark?.trim() || null,
-      payment_date || null,
-      bank_id ? parseInt(bank_id) : null,
-      uid
-    ]);
-
-    // If payable_type is bill_room_information, update bill_room status to 5 (รอตรวจสอบ)
-    if (payable_type?.trim() === 'bill_room_information') {
-      try {
-        const updateBillRoomStatusQuery = `
-          UPDATE bill_room_information
-          SET status = 5, update_date = NOW(), update_by = ?
-          WHERE id = ? AND status != 2
-        `;
-        await db.execute(updateBillRoomStatusQuery, [uid, payableIdValue]);
-        logger.info(`Updated bill_room_information id=${payableIdValue} status to 5 (รอตรวจสอบ) after payment insert`);
-      } catch (updateError) {
-        logger.error(`Failed to update bill_room_information status for id=${payableIdValue}:`, updateError);
-        // Don't fail the whole operation, just log the error
+    // payment + bill_room status (รอตรวจสอบ) ต้องสำเร็จพร้อมกัน
+    const result = await withTransaction(async (connection) => {
+      let billRoom = null;
+
+      if (isBillRoomPayment) {
+        const [billRoomRows] = await connection.execute(
+          'SELECT id, status, customer_id FROM bill_room_information WHERE id = ? AND customer_id = ? AND status != 2 FOR UPDATE',
+          [payableIdValue, req.customer_id]
+        );
+
+        if (billRoomRows.length === 0) {
+          return null;
+        }
+
+        billRoom = billRoomRows[0];
       }
+
+      const insertQuery = `
+        INSERT INTO ${TABLE_INFORMATION} (upload_key, payable_type, payable_id, payment_amount, payment_type_id, customer_id, status, member_id, remark, member_remark, payment_date, bank_id, create_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+
+      const [insertResult] = await connection.execute(insertQuery, [
+        upload_key?.trim(),
+        payable_type?.trim(),
+        payableIdValue,
+        paymentAmount,
+        paymentTypeIdValue,
+        customer_id?.trim(),
+        PAYMENT_STATUS.PENDING, // อนุมัติ / ปฏิเสธได้เฉพาะผ่าน /api/payment/update
+        memberIdValue,
+        remark?.trim() || null,
+        member_remark?.trim() || null,
+        payment_date || null,
+        bank_id ? parseInt(bank_id) : null,
+        uid
+      ]);
+
+      // If payable_type is bill_room_information, update bill_room status to 5 (รอตรวจสอบ)
+      if (billRoom) {
+        const changed = await transitionStatus(connection, {
+          entity: 'bill_room',
+          id: billRoom.id,
+          from: billRoom.status,
+          to: BILL_ROOM_STATUS.AWAITING_REVIEW,
+          actorId: uid,
+          reason: `แจ้งชำระเงิน payment_id=${insertResult.insertId}`,
+          customerId: billRoom.customer_id
+        });
+
+        if (changed) {
+          await connection.execute(
+            'UPDATE bill_room_information SET status = ?, update_date = NOW(), update_by = ? WHERE id = ?',
+            [BILL_ROOM_STATUS.AWAITING_REVIEW, uid, billRoom.id]
+          );
+          logger.info(`Updated bill_room_information id=${payableIdValue} status to 5 (รอตรวจสอบ) after payment insert`);
+        }
+      }
+
+      await writeAuditLog(connection, req, {
+        entity: 'payment',
+        entityId: insertResult.insertId,
+        action: 'create',
+        after: await getAuditSnapshot(connection, TABLE_INFORMATION, insertResult.insertId),
+        customerId: customer_id?.trim()
+      });
+
+      return insertResult;
+    });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bill room not found',
+        message: 'ไม่พบรายการบิลนี้ในระบบ'
+      });
     }
 
     res.json({
@@ -92,7 +132,7 @@ export const insertPayment = async (req, res) => {
         payment_amount: paymentAmount,
         payment_type_id: paymentTypeIdValue,
         customer_id,
-        status,
+        status: PAYMENT_STATUS.PENDING,
         member_id: memberIdValue,
         remark,
         member_remark,
@@ -104,6 +144,10 @@ export const insertPayment = async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof StatusTransitionError) {
+      return res.status(409).json(error.toResponse());
+    }
+
     logger.error('Insert payment error:', error);
     res.status(500).json({
       success: false,
@@ -115,36 +159,11 @@ export const insertPayment = async (req, res) => {
 
 export const updatePayment = async (req, res) => {
   try {
-    let { ids, uid, status, remark } = req.body;
-
-    // Parse ids if it's a string (form-data support)
-    if (typeof ids === 'string') {
-      // Remove brackets if present: "[1,2,3]" -> "1,2,3"
-      ids = ids.replace(/^\[|\]$/g, '').trim();
-      // Split by comma and convert to integers
-      ids = ids.split(',').map(id => parseInt(id.trim())).filter(id => !isNaN(id));
-    }
-
-    // Validate ids
-    if (!ids || !Array.isArray(ids) || ids.length === 0 || !uid || status === undefined) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields',
-        message: 'กรุณากรอกข้อมูลที่จำเป็น: ids (array), uid, status',
-        required: ['ids', 'uid', 'status']
-      });
-    }
+    const { ids, status, remark } = req.body;
+    const uid = getActorId(req);
 
-    // Status must be 1 (approved) or 3 (rejected) only
-    const statusValue = parseInt(status);
-    if (statusValue !== 1 && statusValue !== 3) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid status value',
-        message: 'สถานะต้องเป็น 1 (อนุมัติ) หรือ 3 (ปฏิเสธ) เท่านั้น',
-        allowed_status: [1, 3]
-      });
-    }
+    // ids (array), status 1 (อนุมัติ) / 3 (ปฏิเสธ) ตรวจสอบแล้วที่ validate(updatePaymentSchema)
+    const statusValue = status;
 
     // If status is 3 (rejected), remark is required
     if (statusValue === 3 && (!remark || remark.trim() === '')) {
@@ -156,8 +175,6 @@ export const updatePayment = async (req, res) => {
       });
     }
 
-    const db = getDatabase();
-
     const results = {
       success: [],
       failed: []
@@ -165,143 +182,211 @@ export const updatePayment = async (req, res) => {
 
     for (const id of ids) {
       try {
-        // Check if payment exists and status is 0, also get payable info
-        const checkQuery = `
-          SELECT id, status, payable_type, payable_id FROM ${TABLE_INFORMATION}
-          WHERE id = ? AND status != 2
-        `;
-        const [rows] = await db.execute(checkQuery, [id]);
-
-        if (rows.length === 0) {
-          results.failed.push({
-            id: parseInt(id),
-            reason: 'ไม่พบข้อมูลการแจ้งชำระ'
-          });
-          continue;
-        }
+        // แต่ละรายการทำใน transaction ของตัวเอง - payment, transaction และ bill_room ต้องสำเร็จพร้อมกัน
+        const failure = await withTransaction(async (connection) => {
+          // Check if payment exists and status is 0, also get payable info (lock กันอนุมัติซ้ำพร้อมกัน)
+          const checkQuery = `
+            SELECT id, status, payable_type, payable_id, payment_amount, customer_id FROM ${TABLE_INFORMATION}
+            WHERE id = ? AND customer_id = ? AND status != 2
+            FOR UPDATE
+          `;
+          const [rows] = await connection.execute(checkQuery, [id, req.customer_id]);
+
+          if (rows.length === 0) {
+            return { reason: 'ไม่พบข้อมูลการแจ้งชำระ' };
+          }
 
-        if (parseInt(rows[0].status) !== 0) {
-          results.failed.push({
-            id: parseInt(id),
-            reason: 'สามารถอัปเดตได้เฉพาะรายการที่มีสถานะรอการอนุมัติเท่านั้น',
-            current_status: rows[0].status
+          if (!canTransition('payment', rows[0].status, statusValue) || parseInt(rows[0].status) === statusValue) {
+            return {
+              reason: 'สามารถอัปเดตได้เฉพาะรายการที่มีสถานะรอการอนุมัติเท่านั้น',
+              current_status: rows[0].status
+            };
+          }
+
+          const paymentData = rows[0];
+          const before = await getAuditSnapshot(connection, TABLE_INFORMATION, id);
+
+          await transitionStatus(connection, {
+            entity: 'payment',
+            id,
+            from: paymentData.status,
+            to: statusValue,
+            actorId: uid,
+            reason: remark?.trim() || null,
+            customerId: paymentData.customer_id
           });
-          continue;
-        }
 
-        const paymentData = rows[0];
+          // Update payment
+          const updateQuery = `
+            UPDATE ${TABLE_INFORMATION}
+            SET status = ?, remark = ?, update_date = NOW(), update_by = ?
+            WHERE id = ? AND status = ?
+          `;
 
-        // Update payment
-        const updateQuery = `
-          UPDATE ${TABLE_INFORMATION}
-          SET status = ?, remark = ?, update_date = NOW(), update_by = ?
-          WHERE id = ? AND status = 0
-        `;
+          const [result] = await connection.execute(updateQuery, [
+            status,
+            remark?.trim() || null,
+            uid,
+            id,
+            PAYMENT_STATUS.PENDING
+          ]);
+
+          if (result.affectedRows === 0) {
+            return { reason: 'ไม่สามารถอัปเดตได้ (อาจมีการเปลี่ยนสถานะระหว่างการตรวจสอบ)' };
+          }
 
-        const [result] = await db.execute(updateQuery, [
-          status,
-          remark?.trim() || null,
-          uid,
-          id
-        ]);
-
-        if (result.affectedRows > 0) {
-          // ถ้าปฏิเสธ (status = 3) และเป็น bill_room_information ให้เปลี่ยน bill_room status กลับเป็น 0
-          if (statusValue === 3 && paymentData.payable_type === 'bill_room_information') {
-            try {
-              const updateBillRoomStatusQuery = `
-                UPDATE bill_room_information
-                SET status = 0, update_date = NOW(), update_by = ?
-                WHERE id = ? AND status != 2
-              `;
-              await db.execute(updateBillRoomStatusQuery, [uid, paymentData.payable_id]);
-              logger.info(`Rejected payment id=${id}: Updated bill_room_information id=${paymentData.payable_id} status back to 0 (รอชำระ)`);
-            } catch (billRoomError) {
-              logger.error(`Failed to update bill_room_information status for id=${paymentData.payable_id}:`, billRoomError);
-              // ไม่ต้อง fail ทั้งหมด เพียงแค่ log error
+          // ถ้าปฏิเสธ (status = 3) และเป็น bill_room_information ให้เปลี่ยน bill_room ที่รอตรวจสอบกลับเป็นรอชำระ / ชำระบางส่วน
+          if (statusValue === PAYMENT_STATUS.REJECTED && paymentData.payable_type === 'bill_room_information') {
+            const [billRoomRows] = await connection.execute(
+              'SELECT id, status FROM bill_room_information WHERE id = ? FOR UPDATE',
+              [paymentData.payable_id]
+            );
+
+            if (billRoomRows.length > 0 && parseInt(billRoomRows[0].status) === BILL_ROOM_STATUS.AWAITING_REVIEW) {
+              // มียอดที่อนุมัติแล้ว (รวมเครดิตที่หักไปแล้ว) - กลับเป็นชำระบางส่วน ไม่ใช่รอชำระ
+              const [paidRows] = await connection.execute(
+                'SELECT COALESCE(SUM(transaction_amount), 0) as total_paid FROM bill_transaction_information WHERE bill_room_id = ? AND status != 2',
+                [paymentData.payable_id]
+              );
+              const previousStatus = parseFloat(paidRows[0].total_paid) > 0 ? BILL_ROOM_STATUS.PARTIAL : BILL_ROOM_STATUS.UNPAID;
+
+              await transitionStatus(connection, {
+                entity: 'bill_room',
+                id: paymentData.payable_id,
+                from: billRoomRows[0].status,
+                to: previousStatus,
+                actorId: uid,
+                reason: `ปฏิเสธการชำระเงิน payment_id=${id}`,
+                customerId: paymentData.customer_id
+              });
+
+              await connection.execute(
+                'UPDATE bill_room_information SET status = ?, update_date = NOW(), update_by = ? WHERE id = ?',
+                [previousStatus, uid, paymentData.payable_id]
+              );
+              logger.info(`Rejected payment id=${id}: Updated bill_room_information id=${paymentData.payable_id} status back to ${previousStatus}`);
             }
           }
 
           // ถ้าอนุมัติ (status = 1) และเป็น bill_room_information
-          if (statusValue === 1 && paymentData.payable_type === 'bill_room_information') {
-            try {
-              // 1. Get payment details (amount, customer_id)
-              const getPaymentQuery = `SELECT payment_amount, customer_id FROM ${TABLE_INFORMATION} WHERE id = ?`;
-              const [paymentRows] = await db.execute(getPaymentQuery, [id]);
-              const payment = paymentRows[0];
-
-              // 2. Get bill_room details (total_price)
-              const getBillRoomQuery = `SELECT total_price FROM bill_room_information WHERE id = ?`;
-              const [billRoomRows] = await db.execute(getBillRoomQuery, [paymentData.payable_id]);
-
-              if (billRoomRows.length > 0) {
-                const billRoom = billRoomRows[0];
-                const totalPrice = parseFloat(billRoom.total_price);
-                const paymentAmount = parseFloat(payment.payment_amount);
-
-                // 3. Check existing transactions
-                const [existingTransactions] = await db.execute(
-                  'SELECT COALESCE(SUM(transaction_amount), 0) as total_paid FROM bill_transaction_information WHERE bill_room_id = ? AND status != 2',
-                  [paymentData.payable_id]
-                );
-                const totalPaid = parseFloat(existingTransactions[0].total_paid);
-                const newTotalPaid = totalPaid + paymentAmount;
-
-                // 4. Determine transaction type and bill_room status
-                let transactionType = 'partial';
-                let newBillRoomStatus = 4; // partial payment
-
-                if (newTotalPaid >= totalPrice) {
-                  transactionType = 'full';
-                  newBillRoomStatus = 1; // paid
-                }
-
-                // 5. Insert transaction record
-                // bill_transaction_type_id = 6 (โอนเงินพร้อมแนบสลิป) for payment approved via payment_information
-                const insertTransactionQuery = `
-                  INSERT INTO bill_transaction_information
-                  (bill_room_id, payment_id, transaction_amount, bill_transaction_type_id, transaction_type_json, pay_date, transaction_type, remark, customer_id, status, create_by)
-                  VALUES (?, ?, ?, 6, NULL, NOW(), ?, ?, ?, 1, ?)
-                `;
-                await db.execute(insertTransactionQuery, [
-                  paymentData.payable_id,
-                  id,
-                  paymentAmount,
-                  transactionType,
-                  remark?.trim() || null,
-                  payment.customer_id,
-                  uid
-                ]);
-
-                // 6. Update bill_room status
-                const updateBillRoomQuery = `
-                  UPDATE bill_room_information
-                  SET status = ?, update_date = NOW(), update_by = ?
-                  WHERE id = ? AND status != 2
-                `;
-                await db.execute(updateBillRoomQuery, [newBillRoomStatus, uid, paymentData.payable_id]);
-
-                logger.info(`Approved payment id=${id}: Created transaction, updated bill_room_information id=${paymentData.payable_id} status=${newBillRoomStatus} (${transactionType} payment)`);
+          if (statusValue === PAYMENT_STATUS.APPROVED && paymentData.payable_type === 'bill_room_information') {
+            // 1. Get bill_room details (total_price, status) - lock กันคำนวณยอดชำระพร้อมกัน
+            const getBillRoomQuery = `SELECT house_no, total_price, status FROM bill_room_information WHERE id = ? FOR UPDATE`;
+            const [billRoomRows] = await connection.execute(getBillRoomQuery, [paymentData.payable_id]);
+
+            if (billRoomRows.length > 0) {
+              const billRoom = billRoomRows[0];
+              const totalPrice = parseFloat(billRoom.total_price);
+              const paymentAmount = parseFloat(paymentData.payment_amount);
+
+              // 2. Check existing transactions
+              const [existingTransactions] = await connection.execute(
+                'SELECT COALESCE(SUM(transaction_amount), 0) as total_paid FROM bill_transaction_information WHERE bill_room_id = ? AND status != 2',
+                [paymentData.payable_id]
+              );
+              const totalPaid = parseFloat(existingTransactions[0].total_paid);
+
+              // ค่าปรับที่ยังไม่ถูกยกเว้นนับรวมในยอดที่ต้องชำระ
+              const totalDue = totalPrice + await getPenaltyTotal(connection, paymentData.payable_id);
+
+              // ส่วนที่ชำระเกินยอดเข้าเครดิตคงเหลือของห้อง
+              const appliedAmount = Math.max(Math.min(paymentAmount, totalDue - totalPaid), 0);
+              const creditedAmount = Math.round((paymentAmount - appliedAmount) * 100) / 100;
+              const newTotalPaid = totalPaid + appliedAmount;
+
+              // 3. Determine transaction type and bill_room status
+              let transactionType = 'partial';
+              let newBillRoomStatus = BILL_ROOM_STATUS.PARTIAL;
+
+              if (newTotalPaid >= totalDue) {
+                transactionType = 'full';
+                newBillRoomStatus = BILL_ROOM_STATUS.PAID;
+              }
+
+              // bill_room ที่ถูกลบไปแล้วอนุมัติไม่ได้ (throw -> rollback ทั้งรายการ)
+              await transitionStatus(connection, {
+                entity: 'bill_room',
+                id: paymentData.payable_id,
+                from: billRoom.status,
+                to: newBillRoomStatus,
+                actorId: uid,
+                reason: `อนุมัติการชำระเงิน payment_id=${id}`,
+                customerId: paymentData.customer_id
+              });
+
+              // 4. Insert transaction record
+              // bill_transaction_type_id = 6 (โอนเงินพร้อมแนบสลิป) for payment approved via payment_information
+              const insertTransactionQuery = `
+                INSERT INTO bill_transaction_information
+                (bill_room_id, payment_id, transaction_amount, bill_transaction_type_id, transaction_type_json, pay_date, transaction_type, remark, customer_id, status, create_by)
+                VALUES (?, ?, ?, 6, NULL, NOW(), ?, ?, ?, 1, ?)
+              `;
+              await connection.execute(insertTransactionQuery, [
+                paymentData.payable_id,
+                id,
+                appliedAmount,
+                transactionType,
+                remark?.trim() || null,
+                paymentData.customer_id,
+                uid
+              ]);
+
+              // 5. Update bill_room status
+              const updateBillRoomQuery = `
+                UPDATE bill_room_information
+                SET status = ?, update_date = NOW(), update_by = ?
+                WHERE id = ?
+              `;
+              await connection.execute(updateBillRoomQuery, [newBillRoomStatus, uid, paymentData.payable_id]);
+
+              // กระจายยอดชำระลงรายการของบิลตามลำดับความสำคัญ
+              await allocateBillRoomPayment(connection, paymentData.payable_id);
+
+              if (creditedAmount > 0) {
+                await addHouseCredit(connection, {
+                  customerId: paymentData.customer_id,
+                  houseNo: billRoom.house_no,
+                  amount: creditedAmount,
+                  movementType: 'overpayment',
+                  billRoomId: paymentData.payable_id,
+                  paymentId: id,
+                  actorId: uid
+                });
               }
-            } catch (billRoomError) {
-              logger.error(`Failed to process bill_room_information id=${paymentData.payable_id}:`, billRoomError);
-              // ไม่ต้อง fail ทั้งหมด เพียงแค่ log error
+
+              logger.info(`Approved payment id=${id}: Created transaction, updated bill_room_information id=${paymentData.payable_id} status=${newBillRoomStatus} (${transactionType} payment)`);
             }
           }
 
-          results.success.push({
-            id: parseInt(id),
-            status,
-            remark: remark?.trim() || null
+          await writeAuditLog(connection, req, {
+            entity: 'payment',
+            entityId: id,
+            action: statusValue === PAYMENT_STATUS.APPROVED ? 'approve' : 'reject',
+            before,
+            after: await getAuditSnapshot(connection, TABLE_INFORMATION, id),
+            customerId: paymentData.customer_id
           });
-        } else {
+
+          return null;
+        });
+
+        if (failure) {
           results.failed.push({
             id: parseInt(id),
-            reason: 'ไม่สามารถอัปเดตได้ (อาจมีการเปลี่ยนสถานะระหว่างการตรวจสอบ)'
+            ...failure
           });
+          continue;
         }
 
+        results.success.push({
+          id: parseInt(id),
+          status,
+          remark: remark?.trim() || null
+        });
+
       } catch (error) {
+        // transaction ถูก rollback แล้ว - payment ยังคงสถานะรอการอนุมัติ
+        logger.error(`Update payment id=${id} failed, rolled back:`, error);
         results.failed.push({
           id: parseInt(id),
           reason: error.message
@@ -337,15 +422,6 @@ export const getPaymentList = async (req, res) => {
   try {
     const { page = 1, limit = 10, status, keyword, customer_id, amount_range, date_range, type } = req.query;
 
-    if (!customer_id) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required parameter',
-        message: 'กรุณาระบุ customer_id',
-        required: ['customer_id']
-      });
-    }
-
     const pageNum = parseInt(page) || 1;
     const limitNum = parseInt(limit) || 10;
     const offset = (pageNum - 1) * limitNum;
@@ -432,6 +508,7 @@ export const getPaymentList = async (req, res) => {
 
     // Format payment_amount with price formatter
     formattedRows.forEach(row => {
+      row.status_formatted = getStatusObject('payment', row.status);
       if (row.payment_amount !== undefined && row.payment_amount !== null) {
         row.payment_amount = formatPrice(parseFloat(row.payment_amount));
       }
@@ -588,15 +665,6 @@ export const getPaymentSummaryStatus = async (req, res) => {
   try {
     const { customer_id } = req.query;
 
-    if (!customer_id) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required parameter',
-        message: 'กรุณาระบุ customer_id',
-        required: ['customer_id']
-      });
-    }
-
     const db = getDatabase();
 
     // Tab 1: bill_room_information ที่ status = 0 (รอชำระ) และ bill_information.status = 1 (ส่งแล้ว)
@@ -678,10 +746,10 @@ export const getPaymentDetail = async (req, res) => {
       LEFT JOIN bill_information b ON br.bill_id = b.id
       LEFT JOIN bill_type_information bt ON b.bill_type_id = bt.id
       LEFT JOIN payment_type_information pt ON p.payment_type_id = pt.id
-      WHERE p.id = ? AND p.status != 2
+      WHERE p.id = ? AND p.customer_id = ? AND p.status != 2
     `;
 
-    const [rows] = await db.execute(detailQuery, [id]);
+    const [rows] = await db.execute(detailQuery, [id, req.customer_id]);
 
     if (rows.length === 0) {
       return res.status(404).json({
@@ -693,6 +761,7 @@ export const getPaymentDetail = async (req, res) => {
 
     // Add formatted dates
     const formattedData = addFormattedDatesToList([rows[0]], ['create_date', 'update_date', 'delete_date', 'expire_date', 'send_date'])[0];
+    formattedData.status_formatted = getStatusObject('payment', formattedData.status);
 
     // Format payment_amount and bill_total_price
     if (formattedData.payment_amount !== undefined && formattedData.payment_amount !== null) {
@@ -746,15 +815,6 @@ export const getPaymentSummaryStatus2 = async (req, res) => {
   try {
     const { customer_id } = req.query;
 
-    if (!customer_id) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required parameter',
-        message: 'กรุณาระบุ customer_id',
-        required: ['customer_id']
-      });
-    }
-
     const db = getDatabase();
 
     // Card 1: bill_room_information ที่ status = 0 (รอชำระ) และ bill_information.status = 1 (ส่งแล้ว)
@@ -777,7 +837,7 @@ export const getPaymentSummaryStatus2 = async (req, res) => {
     const [card2Result] = await db.execute(card2Query, [customer_id]);
     const card2 = card2Result[0].total;
 
-    // Card 3: ยอดค้างรวม (total_price - total_paid) ของ bill_room_information ที่ status = 0 หรือ 4 และ bill_information.status = 1 (ส่งแล้ว)
+    // Card 3: ยอดค้างรวม (total_price + ค่าปรับ - total_paid) ของ bill_room_information ที่ status = 0 หรือ 4 และ bill_information.status = 1 (ส่งแล้ว)
     const card3Query = `
       SELECT
         br.id,
@@ -791,10 +851,11 @@ export const getPaymentSummaryStatus2 = async (req, res) => {
     `;
     const [card3Result] = await db.execute(card3Query, [customer_id]);
 
-    // คำนวณยอดค้างรวม (total_price - total_paid)
+    // คำนวณยอดค้างรวม (total_price + ค่าปรับ - total_paid)
+    const penaltyTotals = await getPenaltyTotals(db, card3Result.map(row => row.id));
     let card3Total = 0;
     card3Result.forEach(row => {
-      const totalPrice = parseFloat(row.total_price);
+      const totalPrice = parseFloat(row.total_price) + (penaltyTotals.get(row.id) || 0);
       const totalPaid = parseFloat(row.total_paid);
       const remaining = totalPrice - totalPaid;
       card3Total += remaining > 0 ? remaining : 0; // เอาเฉพาะยอดค้างที่เป็นบวก
@@ -826,15 +887,6 @@ export const getPaymentSummaryData = async (req, res) => {
   try {
     const { customer_id } = req.query;
 
-    if (!customer_id) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required parameter',
-        message: 'กรุณาระบุ customer_id',
-        required: ['customer_id']
-      });
-    }
-
     const db = getDatabase();
 
     // Get current month range (start and end of month)
@@ -0,0 +1,230 @@
+import { getDatabase } from '../config/database.js';
+import logger from '../utils/logger.js';
+import { getActorId } from '../utils/requestContext.js';
+import {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getRoleByUserLevel,
+  getRolePermissions,
+  clearPermissionCache
+} from '../utils/permissions.js';
+import { writeAuditLog } from '../utils/auditLog.js';
+
+const TABLE_PERMISSION_OVERRIDE = 'permission_override_information';
+
+/**
+ * Get permission matrix (effective permissions per role) for customer
+ * GET /api/permission/list?customer_id=xxx
+ */
+export const getPermissionList = async (req, res) => {
+  try {
+    const { customer_id } = req.query;
+    const db = getDatabase();
+
+    const [overrides] = await db.execute(
+      `SELECT id, role, permission, is_allowed, update_date, update_by
+       FROM ${TABLE_PERMISSION_OVERRIDE}
+       WHERE customer_id = ? AND status = 1
+       ORDER BY role, permission`,
+      [customer_id]
+    );
+
+    const roles = [];
+    for (const role of Object.keys(ROLE_PERMISSIONS)) {
+      roles.push({
+        role,
+        permissions: await getRolePermissions(role, customer_id)
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        permissions: Object.entries(PERMISSIONS).map(([key, title]) => ({ key, title })),
+        roles,
+        overrides
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Get permission list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch permission list',
+      message: 'เกิดข้อผิดพลาดในการดึงข้อมูลสิทธิ์การใช้งาน',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Get current user's role and permissions for customer
+ * GET /api/permission/me?customer_id=xxx
+ */
+export const getMyPermissions = async (req, res) => {
+  try {
+    const { customer_id } = req.query;
+    const role = getRoleByUserLevel(req.user.userlevel);
+    const permissions = await getRolePermissions(role, customer_id);
+
+    res.json({
+      success: true,
+      data: {
+        userlevel: req.user.userlevel,
+        role,
+        permissions
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Get my permissions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch permissions',
+      message: 'เกิดข้อผิดพลาดในการดึงข้อมูลสิทธิ์การใช้งาน',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Set per-customer permission override for a role
+ * PUT /api/permission/update
+ * Body: { role, permission, is_allowed (0|1), customer_id }
+ */
+export const updatePermissionOverride = async (req, res) => {
+  try {
+    const { role, permission, is_allowed, customer_id } = req.body;
+    const uid = getActorId(req);
+
+    if (!ROLE_PERMISSIONS[role] || role === 'admin') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid role',
+        message: `role ไม่ถูกต้อง (ต้องเป็น ${Object.keys(ROLE_PERMISSIONS).filter(r => r !== 'admin').join(', ')})`
+      });
+    }
+
+    if (!PERMISSIONS[permission]) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid permission',
+        message: `ไม่พบสิทธิ์ ${permission} ในระบบ`
+      });
+    }
+
+    const isAllowedValue = is_allowed;
+
+    const db = getDatabase();
+
+    const [existing] = await db.execute(
+      `SELECT id, is_allowed FROM ${TABLE_PERMISSION_OVERRIDE} WHERE customer_id = ? AND role = ? AND permission = ? AND status = 1`,
+      [customer_id, role, permission]
+    );
+
+    if (existing.length > 0) {
+      await db.execute(
+        `UPDATE ${TABLE_PERMISSION_OVERRIDE} SET is_allowed = ?, update_date = NOW(), update_by = ? WHERE id = ?`,
+        [isAllowedValue, parseInt(uid), existing[0].id]
+      );
+      logger.info(`Permission override updated: customer=${customer_id}, ${role}.${permission} ${existing[0].is_allowed} -> ${isAllowedValue} by user ${uid}`);
+    } else {
+      await db.execute(
+        `INSERT INTO ${TABLE_PERMISSION_OVERRIDE} (customer_id, role, permission, is_allowed, status, create_by) VALUES (?, ?, ?, ?, 1, ?)`,
+        [customer_id, role, permission, isAllowedValue, parseInt(uid)]
+      );
+      logger.info(`Permission override created: customer=${customer_id}, ${role}.${permission} = ${isAllowedValue} by user ${uid}`);
+    }
+
+    await writeAuditLog(db, req, {
+      entity: 'permission_override',
+      entityId: `${role}.${permission}`,
+      action: existing.length > 0 ? 'update' : 'create',
+      before: existing.length > 0 ? { role, permission, is_allowed: existing[0].is_allowed } : null,
+      after: { role, permission, is_allowed: isAllowedValue },
+      customerId: customer_id
+    });
+
+    clearPermissionCache(customer_id);
+
+    res.json({
+      success: true,
+      message: 'บันทึกสิทธิ์การใช้งานสำเร็จ',
+      data: {
+        role,
+        permissions: await getRolePermissions(role, customer_id)
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Update permission override error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update permission override',
+      message: 'เกิดข้อผิดพลาดในการบันทึกสิทธิ์การใช้งาน',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Remove permission override (back to role default)
+ * DELETE /api/permission/delete
+ * Body: { role, permission, customer_id }
+ */
+export const deletePermissionOverride = async (req, res) => {
+  try {
+    const { role, permission, customer_id } = req.body;
+    const uid = getActorId(req);
+
+    const db = getDatabase();
+
+    const [result] = await db.execute(
+      `UPDATE ${TABLE_PERMISSION_OVERRIDE}
+       SET status = 2, delete_date = NOW(), delete_by = ?
+       WHERE customer_id = ? AND role = ? AND permission = ? AND status = 1`,
+      [parseInt(uid), customer_id, role, permission]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Permission override not found',
+        message: 'ไม่พบข้อมูลสิทธิ์ที่ต้องการลบ'
+      });
+    }
+
+    clearPermissionCache(customer_id);
+    logger.info(`Permission override removed: customer=${customer_id}, ${role}.${permission} by user ${uid}`);
+
+    await writeAuditLog(db, req, {
+      entity: 'permission_override',
+      entityId: `${role}.${permission}`,
+      action: 'delete',
+      before: { role, permission },
+      customerId: customer_id
+    });
+
+    res.json({
+      success: true,
+      message: 'ลบสิทธิ์การใช้งานสำเร็จ',
+      data: {
+        role,
+        permissions: await getRolePermissions(role, customer_id)
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Delete permission override error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete permission override',
+      message: 'เกิดข้อผิดพลาดในการลบสิทธิ์การใช้งาน',
+      details: error.message
+    });
+  }
+};
@@ -0,0 +1,223 @@
+import { getDatabase, withTransaction } from '../config/database.js';
+import logger from '../utils/logger.js';
+import { getActorId } from '../utils/requestContext.js';
+import { addFormattedDatesToList } from '../utils/dateFormatter.js';
+import { getRetentionDays, restoreDeletedRow, purgeDeletedRow } from '../utils/recycleBin.js';
+import { StatusTransitionError } from '../utils/statusMachine.js';
+import { getAuditSnapshot, writeAuditLog } from '../utils/auditLog.js';
+
+/**
+ * Get deleted items of module
+ * GET /api/recycle_bin/:module/list?customer_id=xxx&page=1&limit=10
+ * purge_date = delete_date + retention (item is purged automatically after this date)
+ */
+export const getRecycleBinList = async (req, res) => {
+  try {
+    const { page, limit, customer_id } = req.query;
+    const module = req.recycleBinModule;
+
+    const pageNum = page;
+    const limitNum = limit;
+    const offset = (pageNum - 1) * limitNum;
+
+    const db = getDatabase();
+    const retentionDays = await getRetentionDays();
+
+    let whereClause = 'WHERE status = 2';
+    const queryParams = [];
+
+    if (module.tenantScoped) {
+      whereClause += ' AND customer_id = ?';
+      queryParams.push(customer_id);
+    }
+
+    const dataQuery = `
+      SELECT id, upload_key, ${module.titleField} as title, delete_date, delete_by,
+             DATE_ADD(delete_date, INTERVAL ? DAY) as purge_date,
+             GREATEST(DATEDIFF(DATE_ADD(delete_date, INTERVAL ? DAY), NOW()), 0) as days_left
+      FROM ${module.table}
+      ${whereClause}
+      ORDER BY delete_date DESC, id DESC
+      LIMIT ${limitNum} OFFSET ${offset}
+    `;
+
+    const [rows] = await db.execute(dataQuery, [retentionDays, retentionDays, ...queryParams]);
+
+    const [countResult] = await db.execute(
+      `SELECT COUNT(*) as total FROM ${module.table} ${whereClause}`,
+      queryParams
+    );
+    const total = countResult[0].total;
+
+    res.json({
+      success: true,
+      data: addFormattedDatesToList(rows, ['delete_date', 'purge_date']),
+      module: module.name,
+      retention_days: retentionDays,
+      pagination: {
+        current_page: pageNum,
+        per_page: limitNum,
+        total: total,
+        total_pages: Math.ceil(total / limitNum),
+        has_next: pageNum * limitNum < total,
+        has_prev: pageNum > 1
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Get recycle bin list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch recycle bin',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Restore deleted items (uniqueness / parent state is checked again per item)
+ * PUT /api/recycle_bin/:module/restore
+ * Body: { ids: [1, 2], customer_id }
+ */
+export const restoreRecycleBinItems = async (req, res) => {
+  try {
+    const { ids, customer_id } = req.body;
+    const module = req.recycleBinModule;
+    const uid = getActorId(req);
+
+    const results = {
+      success: [],
+      failed: []
+    };
+
+    for (const id of ids) {
+      try {
+        // แต่ละรายการทำใน transaction ของตัวเอง
+        const outcome = await withTransaction(async (connection) => {
+          const restored = await restoreDeletedRow(connection, module, id, customer_id, uid);
+
+          if (restored.row) {
+            await writeAuditLog(connection, req, {
+              entity: module.entity,
+              entityId: id,
+              action: 'restore',
+              before: restored.row,
+              after: await getAuditSnapshot(connection, module.table, id),
+              customerId: customer_id
+            });
+          }
+
+          return restored;
+        });
+
+        if (outcome.reason) {
+          results.failed.push({ id, reason: outcome.reason });
+          continue;
+        }
+
+        results.success.push({ id, status: module.restoreStatus });
+
+      } catch (error) {
+        if (!(error instanceof StatusTransitionError)) {
+          logger.error(`Restore ${module.name} id=${id} failed, rolled back:`, error);
+        }
+        results.failed.push({ id, reason: error.message });
+      }
+    }
+
+    logger.info(`Recycle bin restore ${module.name}: ${results.success.length}/${ids.length} restored by user ${uid}`);
+
+    res.json({
+      success: true,
+      message: `กู้คืนสำเร็จ ${results.success.length} รายการ${results.failed.length > 0 ? `, ล้มเหลว ${results.failed.length} รายการ` : ''}`,
+      data: {
+        total: ids.length,
+        success_count: results.success.length,
+        failed_count: results.failed.length,
+        success_items: results.success,
+        failed_items: results.failed,
+        update_by: uid
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Restore recycle bin error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore items',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Permanently delete items that have been in the recycle bin longer than retention
+ * Attachment files are removed from storage
+ * DELETE /api/recycle_bin/:module/purge
+ * Body: { ids: [1, 2], customer_id }
+ */
+export const purgeRecycleBinItems = async (req, res) => {
+  try {
+    const { ids, customer_id } = req.body;
+    const module = req.recycleBinModule;
+    const uid = getActorId(req);
+    const retentionDays = await getRetentionDays();
+
+    const results = {
+      success: [],
+      failed: []
+    };
+
+    for (const id of ids) {
+      try {
+        const outcome = await purgeDeletedRow(module, id, customer_id, retentionDays);
+
+        if (outcome.reason) {
+          results.failed.push({ id, reason: outcome.reason });
+          continue;
+        }
+
+        await writeAuditLog(null, req, {
+          entity: module.entity,
+          entityId: id,
+          action: 'purge',
+          before: outcome.row,
+          customerId: customer_id
+        });
+
+        results.success.push({ id });
+
+      } catch (error) {
+        logger.error(`Purge ${module.name} id=${id} failed, rolled back:`, error);
+        results.failed.push({ id, reason: error.message });
+      }
+    }
+
+    logger.info(`Recycle bin purge ${module.name}: ${results.success.length}/${ids.length} purged by user ${uid}`);
+
+    res.json({
+      success: true,
+      message: `ลบถาวรสำเร็จ ${results.success.length} รายการ${results.failed.length > 0 ? `, ล้มเหลว ${results.failed.length} รายการ` : ''}`,
+      data: {
+        total: ids.length,
+        success_count: results.success.length,
+        failed_count: results.failed.length,
+        success_items: results.success,
+        failed_items: results.failed,
+        retention_days: retentionDays,
+        delete_by: uid
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Purge recycle bin error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to purge items',
+      message: error.message
+    });
+  }
+};
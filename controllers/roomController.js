@@ -1,8 +1,10 @@
 import { getDatabase } from '../config/database.js';
 import logger from '../utils/logger.js';
+import { getActorId } from '../utils/requestContext.js';
 import { addFormattedDatesToList } from '../utils/dateFormatter.js';
 import { getFirestore } from '../config/firebase.js';
 import { generateUploadKey } from '../utils/keyGenerator.js';
+import { diffAuditData, getAuditSnapshot, writeAuditLog } from '../utils/auditLog.js';
 
 const MENU = 'room';
 const TABLE_INFORMATION = `${MENU}_information`;
@@ -29,16 +31,8 @@ function normalizeBankType(firebaseType) {
 
 export const insertRoom = async (req, res) => {
   try {
-    const { title, upload_key, type_id, customer_id, owner_id, status, uid } = req.body;
-
-    if (!title || !upload_key || !customer_id || !owner_id || status === undefined || !uid) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields',
-        message: 'กรุณากรอกข้อมูลที่จำเป็น: title, upload_key, customer_id, owner_id, status, uid',
-        required: ['title', 'upload_key', 'customer_id', 'owner_id', 'status', 'uid']
-      });
-    }
+    const { title, upload_key, type_id, customer_id, owner_id, status } = req.body;
+    const uid = getActorId(req);
 
     const db = getDatabase();
 
@@ -60,6 +54,13 @@ export const insertRoom = async (req, res) => {
       uid
     ]);
 
+    await writeAuditLog(db, req, {
+      entity: 'room',
+      entityId: result.insertId,
+      action: 'create',
+      after: await getAuditSnapshot(db, TABLE_INFORMATION, result.insertId)
+    });
+
     res.json({
       success: true,
       message: 'Room inserted successfully',
@@ -90,15 +91,6 @@ export const getRoomList = async (req, res) => {
   try {
     const { page = 1, limit = 10, status, keyword, type_id, customer_id, owner_id } = req.query;
 
-    if (!customer_id) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required parameter',
-        message: 'กรุณาระบุ customer_id',
-        required: ['customer_id']
-      });
-    }
-
     const pageNum = parseInt(page) || 1;
     const limitNum = parseInt(limit) || 10;
     const offset = (pageNum - 1) * limitNum;
@@ -161,9 +153,11 @@ export const getRoomList = async (req, res) => {
              r.create_date, r.create_by, r.update_date, r.update_by, r.delete_date, r.delete_by,
              m.id as owner_member_id, m.prefix_name as owner_prefix_name, m.full_name as owner_full_name,
              m.phone_number as owner_phone_number, m.email as owner_email,
-             m.user_level as owner_user_level, m.user_type as owner_user_type
+             m.user_level as owner_user_level, m.user_type as owner_user_type,
+             rt.title as type_title, rt.area, rt.ownership_ratio
       FROM ${TABLE_INFORMATION} r
       LEFT JOIN member_information m ON r.owner_id = m.id
+      LEFT JOIN room_type rt ON r.type_id = rt.id AND rt.status != 2
       ${whereClause}
       ORDER BY r.create_date DESC
       LIMIT ${limitNum} OFFSET ${offset}
@@ -245,15 +239,6 @@ export const getSummaryData = async (req, res) => {
   try {
     const { customer_id } = req.query;
 
-    if (!customer_id) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required parameter',
-        message: 'กรุณาระบุ customer_id',
-        required: ['customer_id']
-      });
-    }
-
     const db = getDatabase();
 
     // Get current month range (start and end of month)
@@ -386,20 +371,12 @@ export const getSummaryData = async (req, res) => {
 /**
  * Sync room and member data from Firebase Firestore
  * POST /api/room/sync_from_firebase
- * Body: { customer_id, uid }
+ * Body: { customer_id }
  */
 export const syncFromFirebase = async (req, res) => {
   try {
-    const { customer_id, uid } = req.body;
-
-    if (!customer_id || !uid) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields',
-        message: 'กรุณากรอกข้อมูลที่จำเป็น: customer_id, uid',
-        required: ['customer_id', 'uid']
-      });
-    }
+    const { customer_id } = req.body;
+    const uid = getActorId(req);
 
     const db = getDatabase();
     const firestore = getFirestore();
@@ -550,10 +527,10 @@ export const syncFromFirebase = async (req, res) => {
         const memberRef = member.doc_path;
         const checkMemberQuery = `
           SELECT id FROM member_information
-          WHERE member_ref = ? AND status != 2
+          WHERE member_ref = ? AND customer_id = ? AND status != 2
           LIMIT 1
         `;
-        const [existingMember] = await db.execute(checkMemberQuery, [memberRef]);
+        const [existingMember] = await db.execute(checkMemberQuery, [memberRef, customer_id]);
 
         let memberId;
         if (existingMember.length > 0) {
@@ -561,11 +538,12 @@ export const syncFromFirebase = async (req, res) => {
           memberId = existingMember[0].id;
           // Get status from Firebase member data (default to 1)
           const memberStatus = member.status !== undefined ? parseInt(member.status) : 1;
+          const memberBefore = await getAuditSnapshot(db, 'member_information', memberId);
 
           const updateMemberQuery = `
             UPDATE member_information
             SET prefix_name = ?, full_name = ?, phone_number = ?, email = ?, house_no = ?, user_level = ?, room_id = ?, status = ?
-            WHERE id = ?
+            WHERE id = ? AND customer_id = ?
           `;
           await db.execute(updateMemberQuery, [
             prefixName,
@@ -576,10 +554,24 @@ export const syncFromFirebase = async (req, res) => {
             member.user_level || 'resident',
             roomId,
             memberStatus,
-            memberId
+            memberId,
+            customer_id
           ]);
           membersUpdated++;
           logger.debug(`Member updated: ${member.fullName} (ID: ${memberId})`);
+
+          // sync ทับข้อมูลทุกครั้ง - เก็บประวัติเฉพาะสมาชิกที่ข้อมูลเปลี่ยนจริง
+          const memberAfter = await getAuditSnapshot(db, 'member_information', memberId);
+          if (Object.keys(diffAuditData(memberBefore, memberAfter)).length > 0) {
+            await writeAuditLog(db, req, {
+              entity: 'member',
+              entityId: memberId,
+              action: 'sync',
+              before: memberBefore,
+              after: memberAfter,
+              customerId: customer_id
+            });
+          }
         } else {
           // Insert new member
           // Get status from Firebase member data (default to 1)
@@ -616,6 +608,14 @@ export const syncFromFirebase = async (req, res) => {
           memberId = memberResult.insertId;
           membersInserted++;
           logger.debug(`Member inserted: ${member.fullName} (ID: ${memberId})`);
+
+          await writeAuditLog(db, req, {
+            entity: 'member',
+            entityId: memberId,
+            action: 'sync',
+            after: await getAuditSnapshot(db, 'member_information', memberId),
+            customerId: customer_id
+          });
         }
 
         // Track owner_id
@@ -629,9 +629,9 @@ export const syncFromFirebase = async (req, res) => {
         const updateRoomOwnerQuery = `
           UPDATE ${TABLE_INFORMATION}
           SET owner_id = ?, update_date = NOW(), update_by = ?
-          WHERE id = ?
+          WHERE id = ? AND customer_id = ?
         `;
-        await db.execute(updateRoomOwnerQuery, [ownerId, uid, roomId]);
+        await db.execute(updateRoomOwnerQuery, [ownerId, uid, roomId, customer_id]);
         logger.debug(`Room owner_id updated: ${roomId} -> ${ownerId}`);
       }
     }
@@ -689,14 +689,15 @@ export const syncFromFirebase = async (req, res) => {
               const updateBankQuery = `
                 UPDATE bank_information
                 SET bank_account = ?, bank_id = ?, type = ?, update_date = NOW(), update_by = ?
-                WHERE id = ?
+                WHERE id = ? AND customer_id = ?
               `;
               await db.execute(updateBankQuery, [
                 bankAccount,
                 bankId,
                 type,
                 uid,
-                bankIdDb
+                bankIdDb,
+                customer_id
               ]);
               banksUpdated++;
               logger.debug(`Bank updated: ${bankNo} (ID: ${bankIdDb})`);
@@ -739,6 +740,20 @@ export const syncFromFirebase = async (req, res) => {
 
     logger.info(`Sync completed: Rooms (${roomsInserted} inserted, ${roomsUpdated} updated), Members (${membersInserted} inserted, ${membersUpdated} updated), Banks (${banksInserted} inserted, ${banksUpdated} updated)`);
 
+    await writeAuditLog(db, req, {
+      entity: 'room',
+      action: 'sync',
+      after: {
+        rooms_inserted: roomsInserted,
+        rooms_updated: roomsUpdated,
+        members_inserted: membersInserted,
+        members_updated: membersUpdated,
+        banks_inserted: banksInserted,
+        banks_updated: banksUpdated
+      },
+      customerId: customer_id
+    });
+
     res.json({
       success: true,
       message: 'ซิงค์ข้อมูลจาก Firebase สำเร็จ',
@@ -0,0 +1,605 @@
+import { getDatabase, withTransaction } from '../config/database.js';
+import logger from '../utils/logger.js';
+import { getActorId } from '../utils/requestContext.js';
+import { addFormattedDates, addFormattedDatesToList } from '../utils/dateFormatter.js';
+import { getAuditSnapshot, writeAuditLog } from '../utils/auditLog.js';
+import { FEE_METHODS, buildFeeRulePlan, validateFeeRule } from '../utils/roomFee.js';
+import { getPeriodOf } from '../utils/billScheduler.js';
+
+const TABLE_ROOM_TYPE = 'room_type';
+const TABLE_FEE_RULE = 'room_fee_rule';
+
+const PERIOD_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+function formatRoomType(row) {
+  return {
+    ...addFormattedDates(row),
+    area: parseFloat(row.area),
+    ownership_ratio: row.ownership_ratio === null ? null : parseFloat(row.ownership_ratio)
+  };
+}
+
+async function getRoomType(db, id, customerId) {
+  const [rows] = await db.execute(
+    `SELECT * FROM ${TABLE_ROOM_TYPE} WHERE id = ? AND customer_id = ? AND status != 2`,
+    [id, customerId]
+  );
+
+  return rows[0] || null;
+}
+
+function roomTypeNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'Room type not found',
+    message: 'ไม่พบข้อมูลประเภทห้อง'
+  });
+}
+
+/**
+ * Get room types with room count and fee rules
+ * GET /api/room_type/list?customer_id=xxx&status=1
+ */
+export const getRoomTypeList = async (req, res) => {
+  try {
+    const { customer_id, status } = req.query;
+    const db = getDatabase();
+
+    let whereClause = 'WHERE rt.customer_id = ? AND rt.status != 2';
+    const queryParams = [customer_id];
+
+    if (status !== undefined) {
+      whereClause += ' AND rt.status = ?';
+      queryParams.push(status);
+    }
+
+    const [rows] = await db.execute(
+      `SELECT rt.*,
+              (SELECT COUNT(*) FROM room_information r WHERE r.type_id = rt.id AND r.customer_id = rt.customer_id AND r.status != 2) as room_count
+       FROM ${TABLE_ROOM_TYPE} rt
+       ${whereClause}
+       ORDER BY rt.title ASC`,
+      queryParams
+    );
+
+    const [rules] = await db.execute(
+      `SELECT fr.id, fr.room_type_id, fr.bill_type_id, bt.title as bill_type, fr.method, fr.rate, fr.tiers, fr.minimum_amount, fr.vat_flag, fr.status
+       FROM ${TABLE_FEE_RULE} fr
+       LEFT JOIN bill_type_information bt ON fr.bill_type_id = bt.id
+       WHERE fr.customer_id = ? AND fr.room_type_id IS NOT NULL AND fr.status != 2
+       ORDER BY fr.bill_type_id ASC`,
+      [customer_id]
+    );
+
+    res.json({
+      success: true,
+      data: rows.map(row => ({
+        ...formatRoomType(row),
+        fee_rules: rules
+          .filter(rule => rule.room_type_id === row.id)
+          .map(rule => ({ ...rule, method_title: FEE_METHODS[rule.method] || rule.method }))
+      })),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Get room type list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch room types',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Insert room type
+ * POST /api/room_type/insert
+ * Body: { customer_id, title, area, ownership_ratio, remark, status }
+ */
+export const insertRoomType = async (req, res) => {
+  try {
+    const { customer_id, title, area, ownership_ratio, remark, status } = req.body;
+    const uid = getActorId(req);
+
+    const db = getDatabase();
+
+    const [result] = await db.execute(
+      `INSERT INTO ${TABLE_ROOM_TYPE} (customer_id, title, area, ownership_ratio, remark, status, create_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [customer_id, title.trim(), area, ownership_ratio ?? null, remark?.trim() || null, status, uid]
+    );
+
+    logger.info(`Room type inserted: ID ${result.insertId} by user ${uid}`);
+
+    const after = await getAuditSnapshot(db, TABLE_ROOM_TYPE, result.insertId);
+    await writeAuditLog(db, req, {
+      entity: 'room_type',
+      entityId: result.insertId,
+      action: 'create',
+      after,
+      customerId: customer_id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'เพิ่มประเภทห้องสำเร็จ',
+      data: formatRoomType(after),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Insert room type error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to insert room type',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Update room type (bills already created keep their amounts)
+ * PUT /api/room_type/update
+ * Body: { id, customer_id, title, area, ownership_ratio, remark, status }
+ */
+export const updateRoomType = async (req, res) => {
+  try {
+    const { id, customer_id, title, area, ownership_ratio, remark, status } = req.body;
+    const uid = getActorId(req);
+
+    const db = getDatabase();
+
+    const before = await getRoomType(db, id, customer_id);
+    if (!before) {
+      return roomTypeNotFound(res);
+    }
+
+    await db.execute(
+      `UPDATE ${TABLE_ROOM_TYPE}
+       SET title = ?, area = ?, ownership_ratio = ?, remark = ?, status = ?, update_date = NOW(), update_by = ?
+       WHERE id = ? AND customer_id = ?`,
+      [title.trim(), area, ownership_ratio ?? null, remark?.trim() || null, status, uid, id, customer_id]
+    );
+
+    logger.info(`Room type updated: ID ${id} by user ${uid}`);
+
+    const after = await getAuditSnapshot(db, TABLE_ROOM_TYPE, id);
+    await writeAuditLog(db, req, {
+      entity: 'room_type',
+      entityId: id,
+      action: 'update',
+      before,
+      after,
+      customerId: customer_id
+    });
+
+    res.json({
+      success: true,
+      message: 'แก้ไขประเภทห้องสำเร็จ',
+      data: formatRoomType(after),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Update room type error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update room type',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Delete room type (soft delete - not allowed while rooms use it, fee rules of the type are deleted with it)
+ * DELETE /api/room_type/delete
+ * Body: { id, customer_id }
+ */
+export const deleteRoomType = async (req, res) => {
+  try {
+    const { id, customer_id } = req.body;
+    const uid = getActorId(req);
+
+    const db = getDatabase();
+
+    const before = await getRoomType(db, id, customer_id);
+    if (!before) {
+      return roomTypeNotFound(res);
+    }
+
+    const [roomRows] = await db.execute(
+      'SELECT COUNT(*) as total FROM room_information WHERE type_id = ? AND customer_id = ? AND status != 2',
+      [id, customer_id]
+    );
+
+    if (roomRows[0].total > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Room type in use',
+        message: `มีห้องที่ใช้ประเภทห้องนี้ ${roomRows[0].total} ห้อง`
+      });
+    }
+
+    await withTransaction(async (connection) => {
+      await connection.execute(
+        `UPDATE ${TABLE_ROOM_TYPE} SET status = 2, delete_date = NOW(), delete_by = ? WHERE id = ? AND customer_id = ?`,
+        [uid, id, customer_id]
+      );
+
+      await connection.execute(
+        `UPDATE ${TABLE_FEE_RULE} SET status = 2, delete_date = NOW(), delete_by = ? WHERE room_type_id = ? AND customer_id = ? AND status != 2`,
+        [uid, id, customer_id]
+      );
+
+      await writeAuditLog(connection, req, {
+        entity: 'room_type',
+        entityId: id,
+        action: 'delete',
+        before,
+        after: await getAuditSnapshot(connection, TABLE_ROOM_TYPE, id),
+        customerId: customer_id
+      });
+    });
+
+    logger.info(`Room type deleted (soft): ID ${id} by user ${uid}`);
+
+    res.json({
+      success: true,
+      message: 'ลบประเภทห้องสำเร็จ',
+      data: {
+        id
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Delete room type error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete room type',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Set room type of rooms (room_information.type_id)
+ * PUT /api/room_type/assign
+ * Body: { room_type_id, room_ids: [1, 2], customer_id }
+ */
+export const assignRoomType = async (req, res) => {
+  try {
+    const { room_type_id, room_ids, customer_id } = req.body;
+    const uid = getActorId(req);
+
+    const db = getDatabase();
+
+    const roomType = await getRoomType(db, room_type_id, customer_id);
+    if (!roomType) {
+      return roomTypeNotFound(res);
+    }
+
+    const results = {
+      success: [],
+      failed: []
+    };
+
+    for (const roomId of room_ids) {
+      try {
+        const before = await getAuditSnapshot(db, 'room_information', roomId);
+
+        if (!before || before.customer_id !== customer_id || parseInt(before.status) === 2) {
+          results.failed.push({ id: roomId, reason: 'ไม่พบข้อมูลห้อง' });
+          continue;
+        }
+
+        await db.execute(
+          'UPDATE room_information SET type_id = ?, update_date = NOW(), update_by = ? WHERE id = ? AND customer_id = ?',
+          [room_type_id, uid, roomId, customer_id]
+        );
+
+        await writeAuditLog(db, req, {
+          entity: 'room',
+          entityId: roomId,
+          action: 'update',
+          before,
+          after: await getAuditSnapshot(db, 'room_information', roomId),
+          customerId: customer_id
+        });
+
+        results.success.push({ id: roomId, house_no: before.title, type_id: room_type_id });
+
+      } catch (error) {
+        logger.error(`Assign room type room_id=${roomId} failed:`, error);
+        results.failed.push({ id: roomId, reason: error.message });
+      }
+    }
+
+    logger.info(`Room type ${room_type_id} assigned to ${results.success.length}/${room_ids.length} rooms by user ${uid}`);
+
+    res.json({
+      success: true,
+      message: `กำหนดประเภทห้องสำเร็จ ${results.success.length} ห้อง${results.failed.length > 0 ? `, ล้มเหลว ${results.failed.length} ห้อง` : ''}`,
+      data: {
+        total: room_ids.length,
+        success_count: results.success.length,
+        failed_count: results.failed.length,
+        success_items: results.success,
+        failed_items: results.failed,
+        update_by: uid
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Assign room type error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to assign room type',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get fee rules of customer
+ * GET /api/room_type/fee_rule_list?customer_id=xxx&bill_type_id=1
+ */
+export const getFeeRuleList = async (req, res) => {
+  try {
+    const { customer_id, bill_type_id } = req.query;
+    const db = getDatabase();
+
+    let whereClause = 'WHERE fr.customer_id = ? AND fr.status != 2';
+    const queryParams = [customer_id];
+
+    if (bill_type_id) {
+      whereClause += ' AND fr.bill_type_id = ?';
+      queryParams.push(bill_type_id);
+    }
+
+    const [rows] = await db.execute(
+      `SELECT fr.*, bt.title as bill_type, rt.title as room_type
+       FROM ${TABLE_FEE_RULE} fr
+       LEFT JOIN bill_type_information bt ON fr.bill_type_id = bt.id
+       LEFT JOIN ${TABLE_ROOM_TYPE} rt ON fr.room_type_id = rt.id
+       ${whereClause}
+       ORDER BY fr.bill_type_id ASC, fr.room_type_id IS NULL DESC, rt.title ASC`,
+      queryParams
+    );
+
+    res.json({
+      success: true,
+      data: addFormattedDatesToList(rows).map(row => ({
+        ...row,
+        method_title: FEE_METHODS[row.method] || row.method,
+        vat_flag: parseInt(row.vat_flag) === 1
+      })),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Get fee rule list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch fee rules',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Create or update fee rule of bill type and room type (room_type_id null = default rule of the bill type)
+ * PUT /api/room_type/fee_rule_update
+ * Body: { customer_id, bill_type_id, room_type_id, method, rate, tiers, minimum_amount, vat_flag, status }
+ */
+export const updateFeeRule = async (req, res) => {
+  try {
+    const { customer_id, bill_type_id, method, rate, tiers, minimum_amount, vat_flag, status } = req.body;
+    const roomTypeId = req.body.room_type_id ?? null;
+    const uid = getActorId(req);
+
+    const ruleError = validateFeeRule({ method, rate, tiers });
+    if (ruleError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid fee rule',
+        message: ruleError
+      });
+    }
+
+    const db = getDatabase();
+
+    const [billTypeRows] = await db.execute(
+      'SELECT id FROM bill_type_information WHERE id = ? AND status != 2',
+      [bill_type_id]
+    );
+
+    if (billTypeRows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bill type not found',
+        message: 'ไม่พบประเภทบิลนี้ในระบบ'
+      });
+    }
+
+    if (roomTypeId !== null && !(await getRoomType(db, roomTypeId, customer_id))) {
+      return roomTypeNotFound(res);
+    }
+
+    const [existing] = await db.execute(
+      `SELECT id FROM ${TABLE_FEE_RULE} WHERE customer_id = ? AND bill_type_id = ? AND room_type_id <=> ? AND status != 2`,
+      [customer_id, bill_type_id, roomTypeId]
+    );
+
+    const normalizedTiers = method === 'tiered'
+      ? JSON.stringify(tiers.map(tier => ({
+        up_to: tier.up_to === null || tier.up_to === undefined ? null : Number(tier.up_to),
+        rate: Number(tier.rate)
+      })))
+      : null;
+
+    const values = [method, method === 'tiered' ? null : rate, normalizedTiers, minimum_amount, vat_flag ? 1 : 0, status];
+    let ruleId;
+    let before = null;
+
+    if (existing.length > 0) {
+      ruleId = existing[0].id;
+      before = await getAuditSnapshot(db, TABLE_FEE_RULE, ruleId);
+
+      await db.execute(
+        `UPDATE ${TABLE_FEE_RULE}
+         SET method = ?, rate = ?, tiers = ?, minimum_amount = ?, vat_flag = ?, status = ?, update_date = NOW(), update_by = ?
+         WHERE id = ? AND customer_id = ?`,
+        [...values, uid, ruleId, customer_id]
+      );
+      logger.info(`Fee rule updated: ID ${ruleId} by user ${uid}`);
+    } else {
+      const [result] = await db.execute(
+        `INSERT INTO ${TABLE_FEE_RULE} (customer_id, bill_type_id, room_type_id, method, rate, tiers, minimum_amount, vat_flag, status, create_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [customer_id, bill_type_id, roomTypeId, ...values, uid]
+      );
+      ruleId = result.insertId;
+      logger.info(`Fee rule created: ID ${ruleId} by user ${uid}`);
+    }
+
+    const after = await getAuditSnapshot(db, TABLE_FEE_RULE, ruleId);
+    await writeAuditLog(db, req, {
+      entity: 'room_fee_rule',
+      entityId: ruleId,
+      action: before ? 'update' : 'create',
+      before,
+      after,
+      customerId: customer_id
+    });
+
+    res.json({
+      success: true,
+      message: 'บันทึกเงื่อนไขค่าบริการสำเร็จ',
+      data: {
+        ...addFormattedDates(after),
+        method_title: FEE_METHODS[after.method] || after.method,
+        vat_flag: parseInt(after.vat_flag) === 1
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Update fee rule error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update fee rule',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Delete fee rule (soft delete)
+ * DELETE /api/room_type/fee_rule_delete
+ * Body: { id, customer_id }
+ */
+export const deleteFeeRule = async (req, res) => {
+  try {
+    const { id, customer_id } = req.body;
+    const uid = getActorId(req);
+
+    const db = getDatabase();
+
+    const [rows] = await db.execute(
+      `SELECT * FROM ${TABLE_FEE_RULE} WHERE id = ? AND customer_id = ? AND status != 2`,
+      [id, customer_id]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Fee rule not found',
+        message: 'ไม่พบข้อมูลเงื่อนไขค่าบริการ'
+      });
+    }
+
+    await db.execute(
+      `UPDATE ${TABLE_FEE_RULE} SET status = 2, delete_date = NOW(), delete_by = ? WHERE id = ? AND customer_id = ?`,
+      [uid, id, customer_id]
+    );
+
+    await writeAuditLog(db, req, {
+      entity: 'room_fee_rule',
+      entityId: id,
+      action: 'delete',
+      before: rows[0],
+      after: await getAuditSnapshot(db, TABLE_FEE_RULE, id),
+      customerId: customer_id
+    });
+
+    logger.info(`Fee rule deleted (soft): ID ${id} by user ${uid}`);
+
+    res.json({
+      success: true,
+      message: 'ลบเงื่อนไขค่าบริการสำเร็จ',
+      data: {
+        id
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Delete fee rule error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete fee rule',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Preview amount of every room for bill type from fee rules (nothing is saved)
+ * GET /api/room_type/bill_preview?customer_id=xxx&bill_type_id=1&period=2025-01&excluded_room_ids=1,2
+ * period (default: this month) - rooms that moved in during it are prorated
+ */
+export const previewFeeRuleBill = async (req, res) => {
+  try {
+    const { customer_id, bill_type_id, excluded_room_ids } = req.query;
+    const period = req.query.period || getPeriodOf();
+
+    if (!PERIOD_PATTERN.test(period)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid period',
+        message: 'period ต้องอยู่ในรูปแบบ YYYY-MM'
+      });
+    }
+
+    const db = getDatabase();
+
+    const plan = await buildFeeRulePlan(db, {
+      customerId: customer_id,
+      billTypeId: bill_type_id,
+      excludedRoomIds: excluded_room_ids || [],
+      period
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...plan,
+        room_count: plan.rooms.length,
+        prorated_count: plan.rooms.filter(room => room.proration).length,
+        skipped_count: plan.skipped.length
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Preview fee rule bill error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to preview fee rule bill',
+      message: error.message
+    });
+  }
+};
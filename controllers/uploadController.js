@@ -1,7 +1,9 @@
 import { getDatabase } from '../config/database.js';
 import path from 'path';
 import logger from '../utils/logger.js';
-import { getConfig } from '../utils/config.js';
+import { getActorId } from '../utils/requestContext.js';
+import { logSecurityEvent } from '../utils/securityLogger.js';
+import { getAttachmentRules } from '../utils/attachmentRegistry.js';
 import { uploadFile, softDeleteFileAttachment, getFileUrl, getUploadType } from '../utils/storageManager.js';
 
 /**
@@ -26,12 +28,52 @@ function decodeFilename(filename) {
   }
 }
 
+/**
+ * Helper function to find customer that owns an upload_key
+ * Checks attachment rows first, then the module's main table (legacy rows without customer_id)
+ * @param {Object} module - Attachment module (req.attachmentModule)
+ * @param {string} uploadKey
+ * @returns {Promise<string|null>} customer_id, or null if upload_key is not owned yet
+ */
+async function findUploadKeyOwner(module, uploadKey) {
+  const db = getDatabase();
+
+  const [attachmentRows] = await db.execute(
+    `SELECT customer_id FROM ${module.table} WHERE upload_key = ? AND customer_id IS NOT NULL LIMIT 1`,
+    [uploadKey]
+  );
+
+  if (attachmentRows.length > 0) {
+    return attachmentRows[0].customer_id;
+  }
+
+  if (module.ownerTable) {
+    const [ownerRows] = await db.execute(
+      `SELECT customer_id FROM ${module.ownerTable} WHERE upload_key = ? LIMIT 1`,
+      [uploadKey]
+    );
+
+    if (ownerRows.length > 0) {
+      return ownerRows[0].customer_id;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Upload files to attachment table of a registered module
+ * POST /api/upload_file
+ * Body (form-data): { upload_key, menu, customer_id, status?, files[] }
+ */
 export const uploadFiles = async (req, res) => {
   try {
-    const { upload_key, menu, status } = req.body;
+    const { upload_key, status } = req.body;
+    const module = req.attachmentModule;
+    const customerId = req.customer_id;
     const files = req.files;
 
-    if (!upload_key || !menu) {
+    if (!upload_key) {
       return res.status(400).json({
         success: false,
         error: 'Missing required fields',
@@ -52,31 +94,27 @@ export const uploadFiles = async (req, res) => {
     }
 
     const db = getDatabase();
-    const tableName = `${menu}_attachment`;
-
-    // Check if table exists
-    const checkTableQuery = `
-      SELECT COUNT(*) as count
-      FROM information_schema.tables
-      WHERE table_schema = DATABASE()
-      AND table_name = ?
-    `;
-
-    const [tableResult] = await db.execute(checkTableQuery, [tableName]);
-
-    if (tableResult[0].count === 0) {
-      return res.status(400).json({
+    const tableName = module.table;
+
+    // upload_key ของโครงการอื่น - ห้ามแนบไฟล์เพิ่ม
+    const owner = await findUploadKeyOwner(module, upload_key);
+    if (owner !== null && String(owner) !== String(customerId)) {
+      logSecurityEvent('cross_tenant_access', req, {
+        customer_id: customerId,
+        menu: module.menu,
+        upload_key: upload_key,
+        owner_customer_id: owner
+      });
+      return res.status(403).json({
         success: false,
-        error: `Table '${tableName}' does not exist`,
-        message: `ไม่พบตาราง ${tableName} กรุณาสร้างโมดูล ${menu} ก่อนใช้งาน`
+        error: 'Customer access denied',
+        message: 'คุณไม่มีสิทธิ์เข้าถึงข้อมูลของโครงการนี้'
       });
     }
 
-    // Get config values for validation
-    const maxFileCount = await getConfig('max_file_count') || 5;
-    const maxFileSizeMB = await getConfig('max_file_size') || 10; // Config in MB
+    // Per-module rules (app config is still the upper bound)
+    const { allowedTypes: allowedFileTypes, maxFileSizeMB, maxFileCount } = await getAttachmentRules(module);
     const maxFileSize = maxFileSizeMB * 1024 * 1024; // Convert MB to bytes
-    const allowedFileTypes = await getConfig('allowed_file_types') || ['jpg', 'jpeg', 'png', 'gif', 'pdf', 'doc', 'docx', 'txt', 'zip', 'rar'];
 
     // Check existing files for this upload_key
     const [existingFiles] = await db.execute(
@@ -153,7 +191,7 @@ export const uploadFiles = async (req, res) => {
       file.originalname = decodedFilename;
 
       // Upload to storage (Firebase or Project)
-      const uploadResult = await uploadFile(file, menu);
+      const uploadResult = await uploadFile(file, module.menu);
 
       // Save to database
       const fileInfo = {
@@ -163,12 +201,13 @@ export const uploadFiles = async (req, res) => {
         file_ext: uploadResult.ext,
         file_path: uploadResult.path, // Storage path (URL or local path)
         status: fileStatus, // Use provided status or default 1
-        create_by: 1 // Default user, should be from auth
+        customer_id: customerId,
+        create_by: getActorId(req)
       };
 
       const insertAttachmentQuery = `
-        INSERT INTO ${tableName} (upload_key, file_name, file_size, file_ext, file_path, status, create_by)
-        VALUES (?, ?, ?, ?, ?, ?, ?)
+        INSERT INTO ${tableName} (upload_key, file_name, file_size, file_ext, file_path, status, customer_id, create_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
       `;
 
       const [result] = await db.execute(insertAttachmentQuery, [
@@ -178,6 +217,7 @@ export const uploadFiles = async (req, res) => {
         fileInfo.file_ext,
         fileInfo.file_path,
         fileInfo.status,
+        fileInfo.customer_id,
         fileInfo.create_by
       ]);
 
@@ -193,7 +233,7 @@ export const uploadFiles = async (req, res) => {
       message: 'Files uploaded successfully',
       data: {
         upload_key: upload_key,
-        menu: menu,
+        menu: module.menu,
         table: tableName,
         upload_type: uploadType,
         files: attachmentResults,
@@ -212,49 +252,73 @@ export const uploadFiles = async (req, res) => {
   }
 };
 
+/**
+ * Soft delete file from attachment table of a registered module
+ * DELETE /api/delete_file
+ * Body: { id, menu, customer_id }
+ */
 export const deleteFile = async (req, res) => {
   try {
-    const { id, uid, menu } = req.body;
+    const { id } = req.body;
+    const module = req.attachmentModule;
+    const customerId = req.customer_id;
+    const uid = getActorId(req);
 
-    if (!id || !uid || !menu) {
+    if (!id) {
       return res.status(400).json({
         success: false,
         error: 'Missing required fields',
-        message: 'กรุณากรอกข้อมูลที่จำเป็น: id, uid, menu',
-        required: ['id', 'uid', 'menu']
+        message: 'กรุณากรอกข้อมูลที่จำเป็น: id, menu',
+        required: ['id', 'menu']
       });
     }
 
     const db = getDatabase();
-    const tableName = `${menu}_attachment`;
+    const tableName = module.table;
 
-    // Check if table exists
-    const checkTableQuery = `
-      SELECT COUNT(*) as count
-      FROM information_schema.tables
-      WHERE table_schema = DATABASE()
-      AND table_name = ?
-    `;
+    const [files] = await db.execute(
+      `SELECT id, upload_key, customer_id, create_by FROM ${tableName} WHERE id = ? AND status != 2`,
+      [parseInt(id)]
+    );
 
-    const [tableResult] = await db.execute(checkTableQuery, [tableName]);
+    if (files.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found',
+        message: 'ไม่พบไฟล์ที่ต้องการลบ'
+      });
+    }
 
-    if (tableResult[0].count === 0) {
-      return res.status(400).json({
+    // Tenant check - legacy rows (no customer_id) use main table, or creator if module has no main table
+    const file = files[0];
+    const owner = file.customer_id ?? await findUploadKeyOwner(module, file.upload_key);
+    const isAllowed = owner !== null
+      ? String(owner) === String(customerId)
+      : parseInt(file.create_by) === uid;
+
+    if (!isAllowed) {
+      logSecurityEvent('cross_tenant_access', req, {
+        customer_id: customerId,
+        menu: module.menu,
+        file_id: parseInt(id),
+        owner_customer_id: owner
+      });
+      return res.status(403).json({
         success: false,
-        error: `Table '${tableName}' does not exist`,
-        message: `ไม่พบตาราง ${tableName} กรุณาสร้างโมดูล ${menu} ก่อนใช้งาน`
+        error: 'Customer access denied',
+        message: 'คุณไม่มีสิทธิ์เข้าถึงข้อมูลของโครงการนี้'
       });
     }
 
     // Soft delete file (set status = 2) and delete from Firebase
-    const deleteResult = await softDeleteFileAttachment(id, uid, tableName);
+    const deleteResult = await softDeleteFileAttachment(parseInt(id), uid, tableName);
 
     res.json({
       success: true,
       message: 'File deleted successfully',
       data: {
         id: parseInt(id),
-        menu: menu,
+        menu: module.menu,
         table: tableName,
         delete_by: uid,
         file_path: deleteResult.filePath
@@ -270,4 +334,4 @@ export const deleteFile = async (req, res) => {
       message: error.message
     });
   }
-};
\ No newline at end of file
+};
@@ -1,10 +1,20 @@
 import jwt from 'jsonwebtoken';
 import logger from '../utils/logger.js';
 import { getFirestore } from '../config/firebase.js';
+import { verifyPortalToken, isBackendToken, verifyBackendToken } from '../utils/jwtVerifier.js';
+import { isTokenRevoked, getActiveSession } from '../utils/sessionStore.js';
+import { getAllowedCustomers } from '../utils/allowedSites.js';
+import { logSecurityEvent } from '../utils/securityLogger.js';
+import { buildActor, findConflictingUid } from '../utils/requestContext.js';
+import { verifyResidentToken, findMembersByUid } from '../utils/residentAuth.js';
+import { getApiKeyFromRequest, findActiveApiKey } from '../utils/apiKeys.js';
 
 /**
- * Middleware to verify JWT token from Portal
+ * Middleware to verify JWT token (backend access token or Portal token)
  * This middleware checks if the user is authenticated
+ * Signature, exp/nbf, iss and aud are verified by utils/jwtVerifier.js
+ * Backend access tokens are bound to an auth_session that keeps the Portal token server side
+ * Portal tokens can be rejected with ALLOW_PORTAL_TOKEN=false
  */
 export async function authenticateJWT(req, res, next) {
   try {
@@ -22,9 +32,39 @@ export async function authenticateJWT(req, res, next) {
 
     const token = authHeader.substring(7); // Remove 'Bearer ' prefix
 
-    // 2. Decode JWT token (Portal JWT structure with values object)
-    const decoded = jwt.decode(token);
+    // 2. Verify JWT signature and claims (exp, nbf, iss, aud)
+    let decoded;
+    try {
+      if (isBackendToken(token)) {
+        decoded = verifyBackendToken(token);
+      } else if (process.env.ALLOW_PORTAL_TOKEN === 'false') {
+        throw new jwt.JsonWebTokenError('Portal token is not accepted, use backend access token');
+      } else {
+        decoded = verifyPortalToken(token);
+      }
+    } catch (verifyError) {
+      if (verifyError instanceof jwt.TokenExpiredError) {
+        logger.warn(`Token expired at ${verifyError.expiredAt?.toISOString()}`);
+        return res.status(401).json({
+          success: false,
+          error: 'Token expired',
+          message: 'Token หมดอายุ กรุณา Login ใหม่'
+        });
+      }
 
+      if (verifyError instanceof jwt.JsonWebTokenError) {
+        logger.warn(`Token verification failed: ${verifyError.message}`);
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid token',
+          message: 'Token ไม่ถูกต้อง กรุณา Login ใหม่'
+        });
+      }
+
+      throw verifyError;
+    }
+
+    // 3. Check token structure (Portal JWT structure with values object)
     if (!decoded || !decoded.values) {
       logger.warn('Invalid token structure');
       return res.status(401).json({
@@ -34,26 +74,61 @@ export async function authenticateJWT(req, res, next) {
       });
     }
 
-    // 3. Check token expiration
-    const currentTime = Math.floor(Date.now() / 1000);
-    if (decoded.exp && decoded.exp < currentTime) {
-      logger.warn(`Token expired for user ${decoded.values.username}`);
+    // 4. Check revocation (logout / revoke all sessions of user)
+    if (await isTokenRevoked(token, decoded, decoded.values.userid)) {
+      logger.warn(`Revoked token used by userid ${decoded.values.userid}`);
       return res.status(401).json({
         success: false,
-        error: 'Token expired',
-        message: 'Token หมดอายุ กรุณา Login ใหม่'
+        error: 'Token revoked',
+        message: 'Session นี้ถูกยกเลิกแล้ว กรุณา Login ใหม่'
       });
     }
 
-    // 4. Attach user info to request (extract from values object)
+    // 5. Backend access token - session must still be active, Portal calls use the stored Portal token
+    let portalToken = token;
+    if (decoded.sid) {
+      const session = await getActiveSession(decoded.sid);
+
+      if (!session) {
+        logger.warn(`Access token for inactive session ${decoded.sid}`);
+        return res.status(401).json({
+          success: false,
+          error: 'Token revoked',
+          message: 'Session นี้ถูกยกเลิกแล้ว กรุณา Login ใหม่'
+        });
+      }
+
+      portalToken = session.portal_token;
+    }
+
+    // 6. Attach user info to request (extract from values object)
     req.user = {
       userid: decoded.values.userid || null,
       userlevel: decoded.values.userlevel || null,
       username: decoded.values.username || null,
       userprimarykey: decoded.values.userprimarykey || null,
-      token: token
+      token: portalToken
+    };
+
+    // Token used for this request (logout / verify)
+    req.auth = {
+      token: token,
+      payload: decoded,
+      session_id: decoded.sid || null
     };
 
+    // 7. Resolve actor (used for create_by / update_by / delete_by and audit)
+    req.actor = buildActor(req.user);
+
+    if (!req.actor || req.actor.id === null) {
+      logger.warn('Token has no valid userid');
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid token',
+        message: 'Token ไม่ถูกต้อง กรุณา Login ใหม่'
+      });
+    }
+
     logger.debug(`User authenticated: ${decoded.values.username} (userid: ${decoded.values.userid}, userlevel: ${decoded.values.userlevel})`);
     next();
 
@@ -67,16 +142,85 @@ export async function authenticateJWT(req, res, next) {
   }
 }
 
+/**
+ * Middleware to verify customer-scoped API key (machine-to-machine integrations)
+ * Key is sent in X-API-Key header, permissions come from the key's scopes
+ * Actor is the admin who issued the key
+ */
+export async function authenticateApiKey(req, res, next) {
+  try {
+    const key = getApiKeyFromRequest(req);
+
+    if (!key) {
+      return res.status(401).json({
+        success: false,
+        error: 'Missing API key',
+        message: 'กรุณาระบุ API key'
+      });
+    }
+
+    const apiKey = await findActiveApiKey(key, req.ip || req.connection?.remoteAddress || null);
+
+    if (!apiKey) {
+      logSecurityEvent('invalid_api_key', req, { key_prefix: key.substring(0, 11) });
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid API key',
+        message: 'API key ไม่ถูกต้อง ถูกยกเลิก หรือหมดอายุแล้ว'
+      });
+    }
+
+    req.apiKey = apiKey;
+    req.user = {
+      userid: apiKey.create_by,
+      userlevel: null,
+      username: `api_key:${apiKey.name}`,
+      userprimarykey: null,
+      token: null
+    };
+    req.actor = {
+      id: apiKey.create_by,
+      username: req.user.username,
+      userlevel: null,
+      type: 'api_key',
+      api_key_id: apiKey.id
+    };
+
+    logger.debug(`API key authenticated: ${apiKey.id} (${apiKey.name}, customer: ${apiKey.customer_id})`);
+    next();
+
+  } catch (error) {
+    logger.error('API key authentication error:', error);
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication failed',
+      message: 'การยืนยันตัวตนล้มเหลว'
+    });
+  }
+}
+
+/**
+ * Middleware to accept either API key (X-API-Key header) or JWT
+ */
+export function authenticateJWTOrApiKey(req, res, next) {
+  if (getApiKeyFromRequest(req)) {
+    return authenticateApiKey(req, res, next);
+  }
+
+  return authenticateJWT(req, res, next);
+}
+
 /**
  * Middleware to verify customer access permission
- * This middleware checks if customer_id is provided
- * Note: We trust the JWT token (already verified by authenticateJWT)
- * No need to call Portal API on every request - improves performance significantly
+ * This middleware checks that customer_id is one of the user's allowed sites
+ * Allowed sites come from Portal allow_sites API and are cached per user (ALLOWED_SITES_CACHE_TTL)
  */
 export async function verifyCustomerAccess(req, res, next) {
   try {
     // 1. Get customer_id from query or body
-    const customer_id = req.query.customer_id || req.body.customer_id;
+    const queryCustomerId = req.query.customer_id;
+    const bodyCustomerId = req.body?.customer_id;
+    const customer_id = queryCustomerId || bodyCustomerId;
 
     if (!customer_id) {
       logger.warn('Missing customer_id parameter');
@@ -87,11 +231,74 @@ export async function verifyCustomerAccess(req, res, next) {
       });
     }
 
-    // 2. JWT already verified by authenticateJWT middleware
-    // Token is valid and not expired - we can trust it
-    // No need to call Portal API on every request (performance optimization)
+    // ส่ง customer_id มาทั้ง query และ body แต่ไม่ตรงกัน
+    if (queryCustomerId && bodyCustomerId && String(queryCustomerId) !== String(bodyCustomerId)) {
+      logSecurityEvent('customer_id_mismatch', req, {
+        query_customer_id: queryCustomerId,
+        body_customer_id: bodyCustomerId
+      });
+      return res.status(403).json({
+        success: false,
+        error: 'Customer access denied',
+        message: 'คุณไม่มีสิทธิ์เข้าถึงข้อมูลของโครงการนี้'
+      });
+    }
+
+    // 2. API key - scoped to one customer
+    if (req.apiKey) {
+      if (String(req.apiKey.customer_id) !== String(customer_id)) {
+        logSecurityEvent('cross_tenant_access', req, {
+          customer_id: customer_id,
+          api_key_id: req.apiKey.id,
+          allowed_customer_ids: [req.apiKey.customer_id]
+        });
+        return res.status(403).json({
+          success: false,
+          error: 'Customer access denied',
+          message: 'คุณไม่มีสิทธิ์เข้าถึงข้อมูลของโครงการนี้'
+        });
+      }
 
-    // 3. Attach customer_id to request for easy access
+      req.customer_id = customer_id;
+      return next();
+    }
+
+    // 3. Check customer_id against user's allowed sites (cached)
+    let allowedCustomers;
+    try {
+      allowedCustomers = await getAllowedCustomers(req.user);
+    } catch (fetchError) {
+      if (fetchError.status === 401 || fetchError.status === 403) {
+        return res.status(401).json({
+          success: false,
+          error: 'Token expired or invalid',
+          message: 'Token หมดอายุ กรุณา Login ใหม่'
+        });
+      }
+
+      logger.error('Failed to load allowed sites for customer access check:', fetchError);
+      return res.status(503).json({
+        success: false,
+        error: 'Permission check unavailable',
+        message: 'ไม่สามารถตรวจสอบสิทธิ์การเข้าถึงได้ กรุณาลองใหม่อีกครั้ง'
+      });
+    }
+
+    const isAllowed = allowedCustomers.some(customer => String(customer.customer_id) === String(customer_id));
+
+    if (!isAllowed) {
+      logSecurityEvent('cross_tenant_access', req, {
+        customer_id: customer_id,
+        allowed_customer_ids: allowedCustomers.map(customer => customer.customer_id)
+      });
+      return res.status(403).json({
+        success: false,
+        error: 'Customer access denied',
+        message: 'คุณไม่มีสิทธิ์เข้าถึงข้อมูลของโครงการนี้'
+      });
+    }
+
+    // 4. Attach customer_id to request for easy access
     req.customer_id = customer_id;
 
     logger.debug(`User ${req.user.username} (userid: ${req.user.userid}) accessing customer ${customer_id}`);
@@ -107,6 +314,141 @@ export async function verifyCustomerAccess(req, res, next) {
   }
 }
 
+/**
+ * Middleware to authenticate resident (KConnect mobile app)
+ * Verifies Firebase ID token, then resolves member_information via user_ref
+ * house_no / customer_id are taken from the member row, query values are only used
+ * to pick one of the resident's own houses when they belong to more than one
+ */
+export async function authenticateResident(req, res, next) {
+  try {
+    // 1. Get token from Authorization header
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      logger.warn('Missing or invalid authorization header (resident)');
+      return res.status(401).json({
+        success: false,
+        error: 'Missing or invalid authorization header',
+        message: 'กรุณา Login เข้าสู่ระบบ'
+      });
+    }
+
+    const token = authHeader.substring(7); // Remove 'Bearer ' prefix
+
+    // 2. Verify ID token (Firebase by default, pluggable via utils/residentAuth.js)
+    let verified;
+    try {
+      verified = await verifyResidentToken(token);
+    } catch (verifyError) {
+      logger.warn(`Resident token verification failed: ${verifyError.message}`);
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid token',
+        message: 'Token ไม่ถูกต้อง กรุณา Login ใหม่'
+      });
+    }
+
+    // 3. Resolve member rows of this user
+    const members = await findMembersByUid(verified.uid);
+
+    if (members.length === 0) {
+      logSecurityEvent('resident_not_member', req, { firebase_uid: verified.uid });
+      return res.status(403).json({
+        success: false,
+        error: 'Member not found',
+        message: 'ไม่พบข้อมูลลูกบ้านของบัญชีนี้'
+      });
+    }
+
+    // 4. Pick house (query values can only narrow down the resident's own rows)
+    const queryCustomerId = req.query.customer_id;
+    const queryHouseNo = req.query.house_no ? req.query.house_no.replace(/-/g, '/') : null;
+
+    const candidates = members.filter(member =>
+      (!queryCustomerId || String(member.customer_id) === String(queryCustomerId)) &&
+      (!queryHouseNo || member.house_no === queryHouseNo)
+    );
+
+    if (candidates.length === 0) {
+      logSecurityEvent('resident_house_mismatch', req, {
+        firebase_uid: verified.uid,
+        customer_id: queryCustomerId || null,
+        house_no: queryHouseNo
+      });
+      return res.status(403).json({
+        success: false,
+        error: 'House access denied',
+        message: 'คุณไม่มีสิทธิ์เข้าถึงข้อมูลของบ้านเลขที่นี้'
+      });
+    }
+
+    const houses = [...new Map(candidates.map(member => [`${member.customer_id}|${member.house_no}`, member])).values()];
+
+    if (houses.length > 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'Multiple houses',
+        message: 'บัญชีนี้มีมากกว่า 1 บ้าน กรุณาระบุ customer_id และ house_no',
+        houses: houses.map(member => ({ customer_id: member.customer_id, house_no: member.house_no }))
+      });
+    }
+
+    const member = houses[0];
+
+    // 5. Attach resident info and actor to request
+    req.resident = {
+      uid: verified.uid,
+      member_id: member.id,
+      full_name: member.full_name,
+      house_no: member.house_no,
+      room_id: member.room_id,
+      customer_id: member.customer_id,
+      user_level: member.user_level
+    };
+    req.customer_id = member.customer_id;
+    req.actor = {
+      id: member.id,
+      username: member.full_name,
+      userlevel: member.user_level,
+      type: 'resident'
+    };
+
+    logger.debug(`Resident authenticated: member ${member.id} (house_no: ${member.house_no}, customer: ${member.customer_id})`);
+    next();
+
+  } catch (error) {
+    logger.error('Resident authentication error:', error);
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication failed',
+      message: 'การยืนยันตัวตนล้มเหลว กรุณา Login ใหม่'
+    });
+  }
+}
+
+/**
+ * Middleware to reject uid that conflicts with the token's user
+ * Must be placed after multer (form-data body) - requirePermission already does this check
+ */
+export function verifyActor(req, res, next) {
+  const conflictingUid = findConflictingUid(req);
+
+  if (conflictingUid !== null) {
+    logSecurityEvent('actor_mismatch', req, {
+      actor_id: req.actor?.id ?? null,
+      sent_uid: conflictingUid
+    });
+    return res.status(403).json({
+      success: false,
+      error: 'Actor mismatch',
+      message: 'uid ไม่ตรงกับผู้ใช้งานที่ Login อยู่'
+    });
+  }
+
+  next();
+}
+
 /**
  * Optional: Middleware to skip auth for specific routes
  * Can be used for public endpoints like /health, /api/test
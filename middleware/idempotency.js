@@ -0,0 +1,101 @@
+import logger from '../utils/logger.js';
+import {
+  getIdempotencyKeyFromRequest,
+  isValidIdempotencyKey,
+  getRequestFingerprint,
+  reserveIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey
+} from '../utils/idempotency.js';
+
+/**
+ * Idempotency-Key support for create endpoints
+ * Same key + same body → original response is replayed (header Idempotent-Replayed: true)
+ * Same key + different body → 409
+ * Key is scoped per customer, actor and endpoint
+ * Requests without the header are processed normally
+ * Must be placed after requirePermission (body parsed, actor resolved)
+ * @returns {Function} Express middleware
+ *
+ * Example:
+ * router.post('/insert', upload.none(), requirePermission('payment.create'), idempotent(), insertPayment);
+ */
+export function idempotent() {
+  return async (req, res, next) => {
+    const key = getIdempotencyKeyFromRequest(req);
+
+    if (!key) {
+      return next();
+    }
+
+    if (!isValidIdempotencyKey(key)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid idempotency key',
+        message: 'Idempotency-Key ไม่ถูกต้อง (ต้องไม่เกิน 255 ตัวอักษร และไม่มีช่องว่าง)'
+      });
+    }
+
+    const actor = req.actor?.type === 'api_key' ? `api_key:${req.actor.api_key_id}` : `user:${req.actor?.id ?? '-'}`;
+    const scope = `${req.customer_id || req.body?.customer_id || '-'}|${actor}|${req.method} ${req.baseUrl}${req.path}`;
+    const fingerprint = getRequestFingerprint(req);
+
+    try {
+      const { reserved, record } = await reserveIdempotencyKey({ scope, key, fingerprint });
+
+      if (!reserved) {
+        if (record.request_hash !== fingerprint) {
+          return res.status(409).json({
+            success: false,
+            error: 'Idempotency key reused',
+            message: 'Idempotency-Key นี้ถูกใช้กับข้อมูลอื่นแล้ว กรุณาใช้ key ใหม่'
+          });
+        }
+
+        if (record.status !== 'completed') {
+          return res.status(409).json({
+            success: false,
+            error: 'Request in progress',
+            message: 'คำขอนี้กำลังดำเนินการอยู่ กรุณารอสักครู่'
+          });
+        }
+
+        logger.info(`Idempotent replay: ${scope} key=${key}`);
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(record.response_status).json(JSON.parse(record.response_body));
+      }
+    } catch (error) {
+      logger.error('Idempotency check error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Idempotency check failed',
+        message: error.message
+      });
+    }
+
+    // เก็บ response ไว้ replay - error 5xx ไม่เก็บ (ให้ลองใหม่ด้วย key เดิมได้)
+    let responseBody;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return originalJson(body);
+    };
+
+    let settled = false;
+    const settle = () => {
+      if (settled) return;
+      settled = true;
+
+      const store = res.writableFinished && responseBody !== undefined && res.statusCode < 500
+        ? completeIdempotencyKey({ scope, key, statusCode: res.statusCode, body: responseBody })
+        : releaseIdempotencyKey({ scope, key });
+
+      store.catch(error => logger.error(`Could not save idempotency key ${key}:`, error));
+    };
+
+    res.on('finish', settle);
+    res.on('close', settle);
+
+    next();
+  };
+}
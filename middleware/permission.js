@@ -0,0 +1,135 @@
+import logger from '../utils/logger.js';
+import { getRoleByUserLevel, getRolePermissions } from '../utils/permissions.js';
+import { logSecurityEvent } from '../utils/securityLogger.js';
+import { findConflictingUid } from '../utils/requestContext.js';
+import { getAttachmentModule, ATTACHMENT_MODULES } from '../utils/attachmentRegistry.js';
+import { getRecycleBinModule, RECYCLE_BIN_MODULES } from '../utils/recycleBin.js';
+
+/**
+ * Route guard - require named permission(s)
+ * Must be placed after authenticateJWT / authenticateJWTOrApiKey (and after multer when customer_id is sent as form-data)
+ * @param {...string} required - Permission names (all are required)
+ * @returns {Function} Express middleware
+ *
+ * Example:
+ * router.post('/send', upload.none(), requirePermission('bill.send'), sendBill);
+ */
+export function requirePermission(...required) {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          error: 'Authentication required',
+          message: 'กรุณา Login เข้าสู่ระบบ'
+        });
+      }
+
+      // form-data ถูก parse หลัง verifyCustomerAccess - customer_id ใน body ต้องตรงกับที่ตรวจสอบแล้ว
+      const bodyCustomerId = req.body?.customer_id;
+      if (req.customer_id && bodyCustomerId && String(bodyCustomerId) !== String(req.customer_id)) {
+        logSecurityEvent('customer_id_mismatch', req, {
+          verified_customer_id: req.customer_id,
+          body_customer_id: bodyCustomerId
+        });
+        return res.status(403).json({
+          success: false,
+          error: 'Customer access denied',
+          message: 'คุณไม่มีสิทธิ์เข้าถึงข้อมูลของโครงการนี้'
+        });
+      }
+
+      // uid จาก client (legacy) ต้องตรงกับ user ใน token
+      const conflictingUid = findConflictingUid(req);
+      if (conflictingUid !== null) {
+        logSecurityEvent('actor_mismatch', req, {
+          actor_id: req.actor?.id ?? null,
+          sent_uid: conflictingUid
+        });
+        return res.status(403).json({
+          success: false,
+          error: 'Actor mismatch',
+          message: 'uid ไม่ตรงกับผู้ใช้งานที่ Login อยู่'
+        });
+      }
+
+      // API key ใช้สิทธิ์ตาม scopes ของ key (ไม่ผ่าน role)
+      const customerId = req.customer_id || req.query.customer_id || bodyCustomerId || null;
+      const role = req.apiKey ? 'api_key' : getRoleByUserLevel(req.user.userlevel);
+      const permissions = req.apiKey ? req.apiKey.permissions : await getRolePermissions(role, customerId);
+
+      const missing = required.filter(permission => !permissions.includes(permission));
+
+      if (missing.length > 0) {
+        logger.warn(`Permission denied: user ${req.user.username} (userid: ${req.user.userid}, role: ${role}) missing [${missing.join(', ')}] on ${req.method} ${req.originalUrl}`);
+        return res.status(403).json({
+          success: false,
+          error: 'Forbidden',
+          message: 'คุณไม่มีสิทธิ์ใช้งานฟังก์ชันนี้',
+          required_permissions: missing
+        });
+      }
+
+      req.user.role = role;
+      req.user.permissions = permissions;
+      next();
+
+    } catch (error) {
+      // ตรวจสิทธิ์ไม่ได้ (เช่น อ่าน override ไม่ได้) - ไม่ให้ผ่าน
+      logger.error('Permission check error:', error);
+      return res.status(503).json({
+        success: false,
+        error: 'Permission check unavailable',
+        message: 'ไม่สามารถตรวจสอบสิทธิ์ได้ในขณะนี้ กรุณาลองใหม่อีกครั้ง'
+      });
+    }
+  };
+}
+
+/**
+ * Route guard for /api/upload_file and /api/delete_file
+ * Resolves body.menu through the attachment registry, then requires the module's permission
+ * Must be placed after multer (menu is sent as form-data)
+ * @param {string} action - 'upload' | 'delete'
+ * @returns {Function} Express middleware
+ */
+export function requireAttachmentPermission(action) {
+  return (req, res, next) => {
+    const module = getAttachmentModule(req.body?.menu);
+
+    if (!module) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid menu',
+        message: `menu ไม่ถูกต้อง (ต้องเป็น ${Object.keys(ATTACHMENT_MODULES).join(', ')})`
+      });
+    }
+
+    req.attachmentModule = module;
+    return requirePermission(module.permissions[action])(req, res, next);
+  };
+}
+
+/**
+ * Route guard for /api/recycle_bin/:module/*
+ * Resolves params.module through the recycle bin registry, then requires the module's permission
+ * @param {string} action - 'view' | 'restore' | 'purge' (purge always requires recycle_bin.purge)
+ * @returns {Function} Express middleware
+ */
+export function requireRecycleBinPermission(action) {
+  return (req, res, next) => {
+    const module = getRecycleBinModule(req.params.module);
+
+    if (!module) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid module',
+        message: `module ไม่ถูกต้อง (ต้องเป็น ${Object.keys(RECYCLE_BIN_MODULES).join(', ')})`
+      });
+    }
+
+    req.recycleBinModule = module;
+    const required = action === 'purge' ? [module.permissions.restore, 'recycle_bin.purge'] : [module.permissions[action]];
+    return requirePermission(...required)(req, res, next);
+  };
+}
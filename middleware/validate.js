@@ -0,0 +1,58 @@
+import { validateObject } from '../utils/validation.js';
+
+/**
+ * Route guard - validate and coerce request against schema
+ * Must be placed after multer (form-data body is parsed there) and after requirePermission
+ * Coerced values replace the raw values in req.body / req.query / req.params
+ * @param {Object} schema - { body, query, params } each { field: rule } (see utils/validation.js)
+ * @returns {Function} Express middleware
+ *
+ * Example:
+ * router.post('/insert', upload.none(), requirePermission('member.create'), validate(insertMemberSchema), insertMember);
+ */
+export function validate(schema) {
+  return (req, res, next) => {
+    const errors = [];
+    const missing = [];
+
+    for (const location of ['params', 'query', 'body']) {
+      if (!schema[location]) continue;
+
+      if (location === 'body' && !req.body) {
+        req.body = {};
+      }
+
+      const result = validateObject(req[location], schema[location], location);
+      errors.push(...result.errors);
+      missing.push(...result.missing);
+
+      for (const [field, value] of Object.entries(result.values)) {
+        req[location][field] = value;
+      }
+    }
+
+    if (errors.length === 0) {
+      return next();
+    }
+
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        message: `กรุณากรอกข้อมูลที่จำเป็น: ${missing.join(', ')}`,
+        message_en: `Missing required fields: ${missing.join(', ')}`,
+        required: missing,
+        errors
+      });
+    }
+
+    res.status(400).json({
+      success: false,
+      error: 'Invalid request data',
+      message: `ข้อมูลไม่ถูกต้อง: ${errors.map(error => error.message).join(', ')}`,
+      message_en: `Invalid request data: ${errors.map(error => error.message_en).join(', ')}`,
+      required: [],
+      errors
+    });
+  };
+}
@@ -0,0 +1,579 @@
+/**
+ * Baseline - every table that existed before versioned migrations
+ * Uses CREATE TABLE IF NOT EXISTS so it is safe on databases created by the old test-data endpoints
+ * Lookup tables get their default rows (INSERT IGNORE - existing rows are kept)
+ */
+
+const TABLES = [
+  `
+    CREATE TABLE IF NOT EXISTS app_config (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      config_key VARCHAR(100) NOT NULL UNIQUE,
+      config_value TEXT NOT NULL,
+      data_type ENUM('string', 'number', 'boolean', 'json') DEFAULT 'string',
+      description VARCHAR(255),
+      is_active BOOLEAN DEFAULT TRUE,
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      update_date TIMESTAMP NULL,
+      update_by INT NULL
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS test_list (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      status ENUM('active', 'inactive', 'pending') NOT NULL,
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS news_information (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      upload_key CHAR(32) NOT NULL,
+      title VARCHAR(255) NOT NULL,
+      detail TEXT NOT NULL,
+      cid INT NULL,
+      status INT NOT NULL DEFAULT 1,
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      create_by INT NOT NULL,
+      update_date TIMESTAMP NULL,
+      update_by INT NULL,
+      delete_date TIMESTAMP NULL,
+      delete_by INT NULL
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS news_category (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      title VARCHAR(255) NOT NULL,
+      status INT NOT NULL DEFAULT 1,
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      create_by INT NOT NULL,
+      update_date TIMESTAMP NULL,
+      update_by INT NULL,
+      delete_date TIMESTAMP NULL,
+      delete_by INT NULL
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS news_attachment (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      upload_key CHAR(32) NOT NULL,
+      file_name VARCHAR(255) NOT NULL,
+      file_size INT NOT NULL,
+      file_ext VARCHAR(10) NOT NULL,
+      file_path VARCHAR(500) NOT NULL,
+      status INT NOT NULL DEFAULT 1,
+      customer_id VARCHAR(255) NULL,
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      create_by INT NOT NULL,
+      update_date TIMESTAMP NULL,
+      update_by INT NULL,
+      delete_date TIMESTAMP NULL,
+      delete_by INT NULL,
+      INDEX idx_upload_key (upload_key)
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS room_information (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      upload_key CHAR(32) NOT NULL,
+      title VARCHAR(255) NOT NULL,
+      type_id INT NULL,
+      customer_id VARCHAR(255) NULL,
+      owner_id INT NULL,
+      status INT NOT NULL DEFAULT 1,
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      create_by INT NOT NULL,
+      update_date TIMESTAMP NULL,
+      update_by INT NULL,
+      delete_date TIMESTAMP NULL,
+      delete_by INT NULL
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS member_information (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      upload_key CHAR(32) NOT NULL,
+      prefix_name VARCHAR(50) NOT NULL,
+      full_name VARCHAR(255) NOT NULL,
+      phone_number VARCHAR(50) NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      enter_date TIMESTAMP NOT NULL,
+      room_id INT NOT NULL,
+      house_no VARCHAR(50) NOT NULL,
+      user_level VARCHAR(50) NOT NULL,
+      user_type VARCHAR(50) NOT NULL,
+      user_ref VARCHAR(255) NOT NULL,
+      member_ref VARCHAR(255) NOT NULL,
+      customer_id VARCHAR(255) NOT NULL,
+      status INT NOT NULL DEFAULT 1,
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      create_by INT NOT NULL,
+      update_date TIMESTAMP NULL,
+      update_by INT NULL,
+      delete_date TIMESTAMP NULL,
+      delete_by INT NULL
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS bill_type_information (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      upload_key CHAR(32) NOT NULL,
+      title VARCHAR(255) NOT NULL,
+      status INT NOT NULL DEFAULT 1,
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      create_by INT NOT NULL,
+      update_date TIMESTAMP NULL,
+      update_by INT NULL,
+      delete_date TIMESTAMP NULL,
+      delete_by INT NULL
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS bill_information (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      upload_key CHAR(32) NOT NULL,
+      bill_no VARCHAR(50) NULL,
+      title VARCHAR(255) NOT NULL,
+      bill_type_id INT NOT NULL,
+      detail TEXT NOT NULL,
+      expire_date TIMESTAMP NOT NULL,
+      send_date TIMESTAMP NULL,
+      remark TEXT NULL,
+      customer_id VARCHAR(255) NOT NULL,
+      status INT NOT NULL DEFAULT 1,
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      create_by INT NOT NULL,
+      update_date TIMESTAMP NULL,
+      update_by INT NULL,
+      delete_date TIMESTAMP NULL,
+      delete_by INT NULL
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS bill_attachment (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      upload_key CHAR(32) NOT NULL,
+      file_name VARCHAR(255) NOT NULL,
+      file_size INT NOT NULL,
+      file_ext VARCHAR(10) NOT NULL,
+      file_path VARCHAR(500) NOT NULL,
+      status INT NOT NULL DEFAULT 1,
+      customer_id VARCHAR(255) NULL,
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      create_by INT NOT NULL,
+      update_date TIMESTAMP NULL,
+      update_by INT NULL,
+      delete_date TIMESTAMP NULL,
+      delete_by INT NULL,
+      INDEX idx_upload_key (upload_key)
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS bill_audit_information (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      bill_id INT NOT NULL,
+      status INT NOT NULL,
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      create_by INT NOT NULL
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS bill_room_information (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      bill_id INT NOT NULL,
+      bill_no VARCHAR(50) NOT NULL,
+      house_no VARCHAR(50) NOT NULL,
+      member_name VARCHAR(255) NOT NULL,
+      total_price DOUBLE NOT NULL,
+      remark TEXT NULL,
+      customer_id VARCHAR(255) NOT NULL,
+      status INT NOT NULL DEFAULT 1,
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      create_by INT NOT NULL,
+      update_date TIMESTAMP NULL,
+      update_by INT NULL,
+      delete_date TIMESTAMP NULL,
+      delete_by INT NULL
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS payment_type_information (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      upload_key CHAR(32) NOT NULL,
+      title VARCHAR(255) NOT NULL,
+      detail TEXT NOT NULL,
+      status INT NOT NULL DEFAULT 1,
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      create_by INT NOT NULL,
+      update_date TIMESTAMP NULL,
+      update_by INT NULL,
+      delete_date TIMESTAMP NULL,
+      delete_by INT NULL
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS payment_information (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      upload_key CHAR(32) NOT NULL,
+      payable_type VARCHAR(50) NOT NULL,
+      payable_id INT NOT NULL,
+      payment_amount DOUBLE NOT NULL,
+      payment_type_id INT NOT NULL,
+      customer_id VARCHAR(255) NOT NULL,
+      status INT NOT NULL DEFAULT 1,
+      member_id INT NOT NULL,
+      remark TEXT NULL,
+      member_remark TEXT NULL,
+      payment_date TIMESTAMP NULL,
+      bank_id INT NULL,
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      create_by INT NOT NULL,
+      update_date TIMESTAMP NULL,
+      update_by INT NULL,
+      delete_date TIMESTAMP NULL,
+      delete_by INT NULL,
+      INDEX idx_payable (payable_type, payable_id)
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS payment_attachment (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      upload_key CHAR(32) NOT NULL,
+      file_name VARCHAR(255) NOT NULL,
+      file_size INT NOT NULL,
+      file_ext VARCHAR(10) NOT NULL,
+      file_path VARCHAR(500) NOT NULL,
+      status INT NOT NULL DEFAULT 1,
+      customer_id VARCHAR(255) NULL,
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      create_by INT NOT NULL,
+      update_date TIMESTAMP NULL,
+      update_by INT NULL,
+      delete_date TIMESTAMP NULL,
+      delete_by INT NULL,
+      INDEX idx_upload_key (upload_key)
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS bill_transaction_type_information (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      upload_key CHAR(32) NOT NULL,
+      title VARCHAR(255) NOT NULL,
+      status INT NOT NULL DEFAULT 1,
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      create_by INT NOT NULL,
+      update_date TIMESTAMP NULL,
+      update_by INT NULL,
+      delete_date TIMESTAMP NULL,
+      delete_by INT NULL
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS bill_transaction_information (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      bill_room_id INT NOT NULL,
+      payment_id INT NULL,
+      transaction_amount DECIMAL(10,2) NOT NULL,
+      bill_transaction_type_id INT NULL COMMENT 'NULL if from payment approval, NOT NULL if manual entry',
+      transaction_type_json JSON NULL COMMENT 'Additional payment method details',
+      transaction_date TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      pay_date TIMESTAMP NOT NULL,
+      transaction_type ENUM('full', 'partial') NOT NULL DEFAULT 'full',
+      remark TEXT NULL,
+      customer_id VARCHAR(50) NOT NULL,
+      status INT NOT NULL DEFAULT 1,
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      create_by INT NOT NULL,
+      update_date TIMESTAMP NULL,
+      update_by INT NULL,
+      delete_date TIMESTAMP NULL,
+      delete_by INT NULL,
+      INDEX idx_bill_room_id (bill_room_id),
+      INDEX idx_payment_id (payment_id),
+      INDEX idx_customer_id (customer_id),
+      INDEX idx_pay_date (pay_date)
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS notification_audit_information (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      table_name VARCHAR(100) NOT NULL COMMENT 'ชื่อ table ต้นทาง เช่น bill_room_information, member_information',
+      rows_id INT NOT NULL COMMENT 'ID ของ row ใน table ต้นทาง',
+      title TEXT NULL COMMENT 'หัวข้อการแจ้งเตือน',
+      detail TEXT NULL COMMENT 'รายละเอียดการแจ้งเตือน',
+      topic VARCHAR(50) NULL COMMENT 'หัวข้อหมวดหมู่',
+      type VARCHAR(50) NULL COMMENT 'ประเภทการแจ้งเตือน',
+      receiver VARCHAR(255) NULL COMMENT 'ผู้รับการแจ้งเตือน',
+      customer_id VARCHAR(255) NOT NULL,
+      remark TEXT NULL COMMENT 'หมายเหตุ/เหตุผลในการส่งแจ้งเตือน',
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      create_by INT NOT NULL,
+
+      INDEX idx_table_rows (table_name, rows_id),
+      INDEX idx_customer (customer_id),
+      INDEX idx_create_date (create_date),
+      INDEX idx_table_rows_date (table_name, rows_id, create_date)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS bank_information (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      upload_key CHAR(32) NOT NULL,
+      bank_account VARCHAR(50) NULL,
+      bank_id INT NULL,
+      bank_no VARCHAR(50) NULL,
+      type VARCHAR(255) NULL,
+      status INT NOT NULL DEFAULT 1,
+      customer_id VARCHAR(255) NOT NULL,
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      create_by INT NOT NULL,
+      update_date TIMESTAMP NULL,
+      update_by INT NULL,
+      delete_date TIMESTAMP NULL,
+      delete_by INT NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS bank_attachment (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      upload_key CHAR(32) NOT NULL,
+      file_name VARCHAR(255) NOT NULL,
+      file_size INT NOT NULL,
+      file_ext VARCHAR(10) NOT NULL,
+      file_path VARCHAR(500) NOT NULL,
+      status INT NOT NULL DEFAULT 1,
+      customer_id VARCHAR(255) NULL,
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      create_by INT NOT NULL,
+      update_date TIMESTAMP NULL,
+      update_by INT NULL,
+      delete_date TIMESTAMP NULL,
+      delete_by INT NULL,
+      INDEX idx_upload_key (upload_key)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS app_customer_config (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      config_key VARCHAR(100) NOT NULL UNIQUE,
+      config_value TEXT NOT NULL,
+      data_type ENUM('string', 'number', 'boolean', 'json') DEFAULT 'string',
+      title VARCHAR(255),
+      description VARCHAR(255),
+      icon TEXT,
+      background_color VARCHAR(50),
+      customer_id VARCHAR(255) NOT NULL,
+      is_active BOOLEAN DEFAULT TRUE,
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      update_date TIMESTAMP NULL,
+      update_by INT NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS permission_override_information (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      customer_id VARCHAR(255) NOT NULL,
+      role VARCHAR(50) NOT NULL,
+      permission VARCHAR(100) NOT NULL,
+      is_allowed TINYINT(1) NOT NULL DEFAULT 0,
+      status INT NOT NULL DEFAULT 1,
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      create_by INT NOT NULL,
+      update_date TIMESTAMP NULL,
+      update_by INT NULL,
+      delete_date TIMESTAMP NULL,
+      delete_by INT NULL,
+      INDEX idx_customer_role (customer_id, role)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS login_audit (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      username VARCHAR(255) NOT NULL,
+      userid INT NULL,
+      ip_address VARCHAR(100) NULL,
+      user_agent VARCHAR(500) NULL,
+      status ENUM('success', 'failure', 'blocked') NOT NULL,
+      reason VARCHAR(100) NULL,
+      customer_ids JSON NULL COMMENT 'customer_id ที่ user เข้าถึงได้ ณ ตอน login สำเร็จ',
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_username (username),
+      INDEX idx_status_date (status, create_date)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS token_revocation (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      revoke_type ENUM('token', 'user') NOT NULL COMMENT 'token = logout 1 token, user = revoke ทุก token ที่ออกก่อน create_date',
+      token_hash VARCHAR(100) NULL COMMENT 'jti:<jti> หรือ sha256 ของ token',
+      userid INT NULL,
+      expire_date DATETIME NULL COMMENT 'วันหมดอายุของ token (ลบทิ้งได้หลังจากนี้)',
+      reason VARCHAR(100) NULL,
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      create_by INT NULL,
+      INDEX idx_token_hash (token_hash),
+      INDEX idx_user (revoke_type, userid)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS auth_session (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      session_id VARCHAR(36) NOT NULL UNIQUE,
+      userid INT NOT NULL,
+      username VARCHAR(255) NULL,
+      userlevel VARCHAR(50) NULL,
+      userprimarykey VARCHAR(255) NULL,
+      portal_token TEXT NOT NULL COMMENT 'Portal token (ไม่ส่งให้ frontend)',
+      refresh_token_hash VARCHAR(64) NOT NULL,
+      refresh_expire_date DATETIME NOT NULL,
+      last_refresh_date DATETIME NULL,
+      status TINYINT NOT NULL DEFAULT 1 COMMENT '1 = active, 2 = revoked',
+      ip_address VARCHAR(100) NULL,
+      user_agent VARCHAR(500) NULL,
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      update_date TIMESTAMP NULL,
+      revoke_date TIMESTAMP NULL,
+      revoke_by INT NULL,
+      INDEX idx_refresh_token_hash (refresh_token_hash),
+      INDEX idx_userid_status (userid, status)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS api_key_information (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      key_prefix VARCHAR(8) NOT NULL UNIQUE COMMENT 'ส่วนหน้าของ key สำหรับค้นหา / แสดงผล',
+      key_hash VARCHAR(64) NOT NULL COMMENT 'sha256 ของ key (ไม่เก็บ key จริง)',
+      scopes JSON NOT NULL,
+      expire_date DATETIME NULL,
+      last_used_date DATETIME NULL,
+      last_used_ip VARCHAR(100) NULL,
+      status TINYINT NOT NULL DEFAULT 1 COMMENT '1 = active, 2 = revoked',
+      customer_id VARCHAR(255) NOT NULL,
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      create_by INT NOT NULL,
+      update_date TIMESTAMP NULL,
+      update_by INT NULL,
+      delete_date TIMESTAMP NULL,
+      delete_by INT NULL,
+      INDEX idx_customer_status (customer_id, status)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS idempotency_key (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      scope VARCHAR(255) NOT NULL COMMENT 'customer_id|actor|endpoint',
+      idempotency_key VARCHAR(255) NOT NULL,
+      request_hash VARCHAR(64) NOT NULL COMMENT 'sha256 ของ method + path + body',
+      status VARCHAR(20) NOT NULL DEFAULT 'processing' COMMENT 'processing, completed',
+      response_status INT NULL,
+      response_body LONGTEXT NULL,
+      expire_date DATETIME NOT NULL,
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      update_date TIMESTAMP NULL,
+      UNIQUE KEY uq_scope_key (scope, idempotency_key),
+      INDEX idx_expire_date (expire_date)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS document_sequence (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      customer_id VARCHAR(255) NOT NULL,
+      document_type VARCHAR(50) NOT NULL COMMENT 'bill, invoice, receipt, credit_note',
+      period_key VARCHAR(20) NOT NULL COMMENT 'all, YYYY, YYYY-MM, YYYY-MM-DD ตาม reset policy',
+      last_number INT NOT NULL DEFAULT 0,
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      update_date TIMESTAMP NULL,
+      UNIQUE KEY uq_customer_type_period (customer_id, document_type, period_key)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS document_numbering_config (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      customer_id VARCHAR(255) NOT NULL,
+      document_type VARCHAR(50) NOT NULL,
+      pattern VARCHAR(50) NOT NULL COMMENT 'tokens: {YYYY} {YY} {MM} {DD} {SEQ:n}',
+      reset_policy VARCHAR(20) NOT NULL DEFAULT 'never' COMMENT 'never, yearly, monthly, daily',
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      create_by INT NULL,
+      update_date TIMESTAMP NULL,
+      update_by INT NULL,
+      UNIQUE KEY uq_customer_type (customer_id, document_type)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `
+];
+
+const DEFAULT_APP_CONFIGS = [
+  ['max_file_count', '5', 'number', 'Maximum number of files per upload'],
+  ['max_file_size', '10', 'number', 'Maximum file size in MB'],
+  ['allowed_file_types', JSON.stringify(['jpg', 'jpeg', 'png', 'gif', 'pdf', 'doc', 'docx', 'txt', 'zip', 'rar']), 'json', 'Allowed file extensions for upload'],
+  ['notification_resend_interval_minutes', '30', 'number', 'Minimum interval in minutes between notification resends']
+];
+
+const DEFAULT_BILL_TYPES = [
+  [1, 'ค่าส่วนกลาง'],
+  [2, 'ค่าน้ำ'],
+  [3, 'ค่าไฟ'],
+  [4, 'ค่าจอดรถ'],
+  [5, 'ค่าซ่อมแซม'],
+  [6, 'อื่นๆ']
+];
+
+const DEFAULT_PAYMENT_TYPES = [
+  [1, 'Mobile Banking', 'ชำระผ่านแอปธนาคาร', 0],
+  [2, 'โอนผ่านธนาคาร', 'โอนเงินแล้วแนบสลิป', 1],
+  [3, 'ชำระที่นิติบุคคล', 'ชำระกับทางนิติบุคคลโดยตรง', 0]
+];
+
+const DEFAULT_BILL_TRANSACTION_TYPES = [
+  [1, 'เงินสด'],
+  [2, 'โอนเงินธนาคาร'],
+  [3, 'เช็ค'],
+  [4, 'บัตรเครดิต'],
+  [5, 'อื่นๆ'],
+  [6, 'โอนเงินพร้อมแนบสลิป']
+];
+
+// upload_key ของ lookup rows ที่ระบบสร้าง (ไม่มีไฟล์แนบ)
+const SYSTEM_UPLOAD_KEY = '00000000000000000000000000000000';
+
+export async function up(db) {
+  for (const query of TABLES) {
+    await db.query(query);
+  }
+
+  for (const [key, value, type, description] of DEFAULT_APP_CONFIGS) {
+    await db.execute(
+      'INSERT IGNORE INTO app_config (config_key, config_value, data_type, description) VALUES (?, ?, ?, ?)',
+      [key, value, type, description]
+    );
+  }
+
+  for (const [id, title] of DEFAULT_BILL_TYPES) {
+    await db.execute(
+      'INSERT IGNORE INTO bill_type_information (id, upload_key, title, status, create_by) VALUES (?, ?, ?, 1, -1)',
+      [id, SYSTEM_UPLOAD_KEY, title]
+    );
+  }
+
+  for (const [id, title, detail, status] of DEFAULT_PAYMENT_TYPES) {
+    await db.execute(
+      'INSERT IGNORE INTO payment_type_information (id, upload_key, title, detail, status, create_by) VALUES (?, ?, ?, ?, ?, -1)',
+      [id, SYSTEM_UPLOAD_KEY, title, detail, status]
+    );
+  }
+
+  for (const [id, title] of DEFAULT_BILL_TRANSACTION_TYPES) {
+    await db.execute(
+      'INSERT IGNORE INTO bill_transaction_type_information (id, upload_key, title, status, create_by) VALUES (?, ?, ?, 1, -1)',
+      [id, SYSTEM_UPLOAD_KEY, title]
+    );
+  }
+}
+
+export async function down() {
+  // ไม่ drop ข้อมูลทั้งระบบ - ถ้าต้องการเริ่มใหม่ให้สร้าง database ใหม่
+  throw new Error('Baseline migration cannot be rolled back');
+}
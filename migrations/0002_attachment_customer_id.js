@@ -0,0 +1,25 @@
+/**
+ * Add customer_id + upload_key index to attachment tables created before uploads were tenant-scoped
+ * (databases created by baseline already have them - those tables are skipped)
+ */
+
+const TABLES = ['news_attachment', 'bill_attachment', 'payment_attachment', 'bank_attachment'];
+
+export async function up(db) {
+  for (const table of TABLES) {
+    const [columnRows] = await db.execute(
+      `SELECT COUNT(*) as count FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = ? AND column_name = 'customer_id'`,
+      [table]
+    );
+
+    if (columnRows[0].count > 0) {
+      continue;
+    }
+
+    await db.query(`ALTER TABLE ${table} ADD COLUMN customer_id VARCHAR(255) NULL AFTER status, ADD INDEX idx_upload_key (upload_key)`);
+  }
+}
+
+export async function down() {
+  // customer_id เป็นส่วนหนึ่งของ baseline แล้ว - ไม่ลบออก (ข้อมูล tenant ของไฟล์จะหาย)
+}
@@ -0,0 +1,25 @@
+/**
+ * Status transition log - every bill / bill_room / payment status change (see utils/statusMachine.js)
+ */
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS status_transition_log (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      entity VARCHAR(50) NOT NULL COMMENT 'bill, bill_room, payment',
+      entity_id INT NOT NULL,
+      from_status TINYINT NOT NULL,
+      to_status TINYINT NOT NULL,
+      reason VARCHAR(500) NULL,
+      customer_id VARCHAR(255) NULL,
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      create_by INT NULL,
+      INDEX idx_entity (entity, entity_id),
+      INDEX idx_customer_date (customer_id, create_date)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+}
+
+export async function down(db) {
+  await db.query('DROP TABLE IF EXISTS status_transition_log');
+}
@@ -0,0 +1,31 @@
+/**
+ * Generic audit trail - who changed which record, from where, and what changed (see utils/auditLog.js)
+ */
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      entity VARCHAR(50) NOT NULL COMMENT 'bill, bill_room, payment, bank, member, ...',
+      entity_id VARCHAR(100) NULL,
+      action VARCHAR(50) NOT NULL COMMENT 'create, update, delete, approve, reject, send, cancel_send, sync',
+      actor_id INT NULL,
+      actor_name VARCHAR(255) NULL,
+      actor_type VARCHAR(50) NULL COMMENT 'portal_user, api_key, resident',
+      ip_address VARCHAR(100) NULL,
+      user_agent VARCHAR(500) NULL,
+      before_data JSON NULL,
+      after_data JSON NULL,
+      changes JSON NULL COMMENT '{ field: { from, to } }',
+      customer_id VARCHAR(255) NULL,
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_entity (entity, entity_id),
+      INDEX idx_customer_date (customer_id, create_date),
+      INDEX idx_actor (actor_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+}
+
+export async function down(db) {
+  await db.query('DROP TABLE IF EXISTS audit_log');
+}
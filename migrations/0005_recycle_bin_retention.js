@@ -0,0 +1,14 @@
+/**
+ * Retention of soft-deleted rows in the recycle bin (see utils/recycleBin.js)
+ */
+
+export async function up(db) {
+  await db.execute(
+    'INSERT IGNORE INTO app_config (config_key, config_value, data_type, description) VALUES (?, ?, ?, ?)',
+    ['recycle_bin_retention_days', '30', 'number', 'Days a deleted record stays in the recycle bin before it is purged']
+  );
+}
+
+export async function down(db) {
+  await db.execute('DELETE FROM app_config WHERE config_key = ?', ['recycle_bin_retention_days']);
+}
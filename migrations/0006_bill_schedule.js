@@ -0,0 +1,56 @@
+/**
+ * Recurring bill schedules - monthly bills generated by the scheduler (see utils/billScheduler.js)
+ * bill_schedule_run keeps one row per schedule and period so a period is never billed twice
+ */
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS bill_schedule (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      customer_id VARCHAR(255) NOT NULL,
+      bill_type_id INT NOT NULL,
+      title_template VARCHAR(255) NOT NULL COMMENT 'placeholders: {MM}, {YYYY}, {MONTH_TH}, {YYYY_TH}',
+      detail_template TEXT NOT NULL,
+      amount_rule VARCHAR(20) NOT NULL COMMENT 'fixed, room_type, previous',
+      amount DECIMAL(12, 2) NULL COMMENT 'fixed amount / fallback when room type or previous amount is missing',
+      room_type_amounts JSON NULL COMMENT '{ room type_id: amount }',
+      issue_day INT NOT NULL COMMENT '1-28',
+      due_days INT NOT NULL COMMENT 'expire_date = issue date + due_days',
+      auto_send TINYINT NOT NULL DEFAULT 0,
+      next_run_date DATE NOT NULL,
+      last_run_date DATE NULL,
+      last_bill_id INT NULL,
+      status INT NOT NULL DEFAULT 1 COMMENT '0 paused, 1 active, 2 deleted',
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      create_by INT NOT NULL,
+      update_date TIMESTAMP NULL,
+      update_by INT NULL,
+      delete_date TIMESTAMP NULL,
+      delete_by INT NULL,
+      INDEX idx_customer (customer_id, status),
+      INDEX idx_next_run (status, next_run_date)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS bill_schedule_run (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      schedule_id INT NOT NULL,
+      period CHAR(7) NOT NULL COMMENT 'YYYY-MM',
+      bill_id INT NOT NULL,
+      room_count INT NOT NULL DEFAULT 0,
+      skipped_count INT NOT NULL DEFAULT 0,
+      total_amount DECIMAL(12, 2) NOT NULL DEFAULT 0,
+      customer_id VARCHAR(255) NOT NULL,
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      create_by INT NOT NULL,
+      UNIQUE KEY uk_schedule_period (schedule_id, period),
+      INDEX idx_bill (bill_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+}
+
+export async function down(db) {
+  await db.query('DROP TABLE IF EXISTS bill_schedule_run');
+  await db.query('DROP TABLE IF EXISTS bill_schedule');
+}
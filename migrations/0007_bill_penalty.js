@@ -0,0 +1,61 @@
+/**
+ * Late fees / penalty interest on overdue bill rooms (see utils/billPenalty.js)
+ * bill_penalty_rule - one active rule per customer and bill type
+ * bill_penalty      - posted charges, period_key keeps the daily job from posting the same charge twice
+ */
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS bill_penalty_rule (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      customer_id VARCHAR(255) NOT NULL,
+      bill_type_id INT NOT NULL,
+      fixed_fee DECIMAL(12, 2) NOT NULL DEFAULT 0 COMMENT 'charged once after grace days',
+      monthly_rate DECIMAL(7, 4) NOT NULL DEFAULT 0 COMMENT '% of outstanding amount per started month',
+      daily_rate DECIMAL(7, 4) NOT NULL DEFAULT 0 COMMENT '% of outstanding amount per day',
+      grace_days INT NOT NULL DEFAULT 0,
+      max_amount DECIMAL(12, 2) NULL COMMENT 'cap of penalties per bill room (NULL = no cap)',
+      status INT NOT NULL DEFAULT 1 COMMENT '0 inactive, 1 active, 2 deleted',
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      create_by INT NOT NULL,
+      update_date TIMESTAMP NULL,
+      update_by INT NULL,
+      delete_date TIMESTAMP NULL,
+      delete_by INT NULL,
+      INDEX idx_customer_type (customer_id, bill_type_id, status)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS bill_penalty (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      bill_room_id INT NOT NULL,
+      bill_id INT NOT NULL,
+      rule_id INT NOT NULL,
+      penalty_type VARCHAR(20) NOT NULL COMMENT 'fixed, monthly, daily',
+      period_key VARCHAR(20) NOT NULL COMMENT 'fixed, M1, M2, ... or posting date for daily',
+      overdue_days INT NOT NULL COMMENT 'days past grace covered by this charge',
+      base_amount DECIMAL(12, 2) NOT NULL DEFAULT 0 COMMENT 'outstanding amount the rate was applied to',
+      amount DECIMAL(12, 2) NOT NULL,
+      customer_id VARCHAR(255) NOT NULL,
+      status INT NOT NULL DEFAULT 1 COMMENT '1 charged, 2 deleted, 3 waived, 4 waive requested',
+      waive_reason TEXT NULL,
+      waive_request_date TIMESTAMP NULL,
+      waive_request_by INT NULL,
+      waive_approve_date TIMESTAMP NULL,
+      waive_approve_by INT NULL,
+      waive_remark TEXT NULL,
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      create_by INT NOT NULL,
+      update_date TIMESTAMP NULL,
+      update_by INT NULL,
+      UNIQUE KEY uk_bill_room_period (bill_room_id, penalty_type, period_key),
+      INDEX idx_customer_status (customer_id, status)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+}
+
+export async function down(db) {
+  await db.query('DROP TABLE IF EXISTS bill_penalty');
+  await db.query('DROP TABLE IF EXISTS bill_penalty_rule');
+}
@@ -0,0 +1,52 @@
+/**
+ * Credit wallet per house - overpayments and advance payments (see utils/houseCredit.js)
+ * house_credit          - current balance per customer / house_no
+ * house_credit_movement - every change of the balance (amount is signed)
+ * Transaction type of credit use is seeded by code in 0013_bill_transaction_type_code.js
+ */
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS house_credit (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      customer_id VARCHAR(255) NOT NULL,
+      house_no VARCHAR(50) NOT NULL,
+      balance DECIMAL(12, 2) NOT NULL DEFAULT 0,
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      update_date TIMESTAMP NULL,
+      update_by INT NULL,
+      UNIQUE KEY uk_customer_house (customer_id, house_no)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS house_credit_movement (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      credit_id INT NOT NULL,
+      customer_id VARCHAR(255) NOT NULL,
+      house_no VARCHAR(50) NOT NULL,
+      movement_type VARCHAR(20) NOT NULL COMMENT 'overpayment, deposit, apply',
+      amount DECIMAL(12, 2) NOT NULL COMMENT '+ credited, - used',
+      balance_after DECIMAL(12, 2) NOT NULL,
+      bill_room_id INT NULL,
+      bill_transaction_id INT NULL,
+      payment_id INT NULL,
+      remark TEXT NULL,
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      create_by INT NOT NULL,
+      INDEX idx_credit (credit_id, create_date),
+      INDEX idx_customer_house (customer_id, house_no)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  await db.execute(
+    'INSERT IGNORE INTO app_config (config_key, config_value, data_type, description) VALUES (?, ?, ?, ?)',
+    ['house_credit_auto_apply', 'true', 'boolean', 'Use house credit balance to pay bill rooms automatically when a bill is sent']
+  );
+}
+
+export async function down(db) {
+  await db.execute('DELETE FROM app_config WHERE config_key = ?', ['house_credit_auto_apply']);
+  await db.query('DROP TABLE IF EXISTS house_credit_movement');
+  await db.query('DROP TABLE IF EXISTS house_credit');
+}
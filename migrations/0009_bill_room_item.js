@@ -0,0 +1,67 @@
+/**
+ * Line items per bill room (see utils/billRoomItem.js)
+ * bill_room_information.total_price stays as the derived sum of total_amount of the items
+ * Existing bill rooms get one item with their total_price (paid_amount from their transactions)
+ */
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS bill_room_item (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      bill_room_id INT NOT NULL,
+      bill_id INT NOT NULL,
+      item_no INT NOT NULL,
+      description VARCHAR(255) NOT NULL,
+      bill_type_id INT NULL,
+      quantity DECIMAL(12, 3) NOT NULL DEFAULT 1,
+      unit_price DECIMAL(12, 2) NOT NULL,
+      amount DECIMAL(12, 2) NOT NULL COMMENT 'quantity x unit_price',
+      vat_flag TINYINT(1) NOT NULL DEFAULT 0,
+      vat_rate DECIMAL(5, 2) NOT NULL DEFAULT 0,
+      vat_amount DECIMAL(12, 2) NOT NULL DEFAULT 0 COMMENT 'VAT added on top of amount',
+      total_amount DECIMAL(12, 2) NOT NULL COMMENT 'amount + vat_amount',
+      paid_amount DECIMAL(12, 2) NOT NULL DEFAULT 0 COMMENT 'allocated from transactions by payment priority',
+      customer_id VARCHAR(255) NOT NULL,
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      create_by INT NOT NULL,
+      update_date TIMESTAMP NULL,
+      UNIQUE KEY uk_bill_room_item (bill_room_id, item_no),
+      INDEX idx_bill (bill_id),
+      INDEX idx_customer_type (customer_id, bill_type_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  await db.query(`
+    INSERT IGNORE INTO bill_room_item
+      (bill_room_id, bill_id, item_no, description, bill_type_id, quantity, unit_price, amount, total_amount, paid_amount, customer_id, create_date, create_by)
+    SELECT
+      br.id, br.bill_id, 1, COALESCE(bt.title, b.title, 'รายการบิล'), b.bill_type_id, 1, br.total_price, br.total_price, br.total_price,
+      LEAST(COALESCE(t.total_paid, 0), br.total_price), br.customer_id, br.create_date, br.create_by
+    FROM bill_room_information br
+    LEFT JOIN bill_information b ON br.bill_id = b.id
+    LEFT JOIN bill_type_information bt ON b.bill_type_id = bt.id
+    LEFT JOIN (
+      SELECT bill_room_id, SUM(transaction_amount) as total_paid
+      FROM bill_transaction_information
+      WHERE status != 2
+      GROUP BY bill_room_id
+    ) t ON t.bill_room_id = br.id
+  `);
+
+  const configs = [
+    ['bill_item_vat_rate', '7', 'number', 'VAT rate (%) of bill room items marked with vat_flag'],
+    ['bill_item_payment_priority', '[]', 'json', 'bill_type_id order used to allocate payments to bill room items (other items follow in item order)']
+  ];
+
+  for (const [key, value, type, description] of configs) {
+    await db.execute(
+      'INSERT IGNORE INTO app_config (config_key, config_value, data_type, description) VALUES (?, ?, ?, ?)',
+      [key, value, type, description]
+    );
+  }
+}
+
+export async function down(db) {
+  await db.execute('DELETE FROM app_config WHERE config_key IN (?, ?)', ['bill_item_vat_rate', 'bill_item_payment_priority']);
+  await db.query('DROP TABLE IF EXISTS bill_room_item');
+}
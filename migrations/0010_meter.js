@@ -0,0 +1,113 @@
+/**
+ * Water / electricity meters of rooms (see utils/meter.js)
+ * meter_rate       - tiered rate table per customer and meter type
+ * meter            - meter registry per room
+ * meter_reading    - one reading per meter per period (YYYY-MM), consumption from the previous reading
+ * meter_attachment - Excel files of bulk reading import
+ */
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS meter_rate (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      customer_id VARCHAR(255) NOT NULL,
+      meter_type VARCHAR(20) NOT NULL COMMENT 'water, electric',
+      bill_type_id INT NOT NULL,
+      tiers JSON NOT NULL COMMENT '[{ up_to, rate }] ascending, up_to of the last tier is null',
+      minimum_charge DECIMAL(12, 2) NOT NULL DEFAULT 0 COMMENT 'usage charge is raised to this amount',
+      service_fee DECIMAL(12, 2) NOT NULL DEFAULT 0 COMMENT 'per meter per period',
+      vat_flag TINYINT(1) NOT NULL DEFAULT 0,
+      high_usage_ratio DECIMAL(5, 2) NOT NULL DEFAULT 3 COMMENT 'consumption above average of last 3 periods x ratio is flagged',
+      status INT NOT NULL DEFAULT 1 COMMENT '0 inactive, 1 active, 2 deleted',
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      create_by INT NOT NULL,
+      update_date TIMESTAMP NULL,
+      update_by INT NULL,
+      delete_date TIMESTAMP NULL,
+      delete_by INT NULL,
+      INDEX idx_customer_type (customer_id, meter_type, status)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS meter (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      customer_id VARCHAR(255) NOT NULL,
+      room_id INT NOT NULL,
+      meter_type VARCHAR(20) NOT NULL COMMENT 'water, electric',
+      meter_no VARCHAR(100) NOT NULL,
+      multiplier DECIMAL(10, 3) NOT NULL DEFAULT 1 COMMENT 'consumption = reading difference x multiplier',
+      max_reading DECIMAL(12, 2) NULL COMMENT 'last value before the dial rolls over to 0 (NULL = no rollover)',
+      initial_reading DECIMAL(12, 2) NOT NULL DEFAULT 0 COMMENT 'previous reading of the first period',
+      install_date DATE NULL,
+      remark TEXT NULL,
+      status INT NOT NULL DEFAULT 1 COMMENT '0 inactive, 1 active, 2 deleted',
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      create_by INT NOT NULL,
+      update_date TIMESTAMP NULL,
+      update_by INT NULL,
+      delete_date TIMESTAMP NULL,
+      delete_by INT NULL,
+      INDEX idx_customer_type_no (customer_id, meter_type, meter_no),
+      INDEX idx_room (room_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS meter_reading (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      meter_id INT NOT NULL,
+      room_id INT NOT NULL,
+      customer_id VARCHAR(255) NOT NULL,
+      meter_type VARCHAR(20) NOT NULL,
+      period CHAR(7) NOT NULL COMMENT 'YYYY-MM',
+      reading_date DATE NOT NULL,
+      previous_reading DECIMAL(12, 2) NOT NULL,
+      current_reading DECIMAL(12, 2) NOT NULL,
+      consumption DECIMAL(12, 3) NOT NULL COMMENT 'units billed (after rollover and multiplier)',
+      anomaly VARCHAR(20) NULL COMMENT 'negative, high, rollover',
+      anomaly_detail VARCHAR(500) NULL,
+      amount DECIMAL(12, 2) NULL COMMENT 'charge of this meter when billed',
+      bill_id INT NULL,
+      bill_room_id INT NULL,
+      remark TEXT NULL,
+      status INT NOT NULL DEFAULT 0 COMMENT '0 pending review, 1 confirmed, 2 deleted, 3 billed',
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      create_by INT NOT NULL,
+      update_date TIMESTAMP NULL,
+      update_by INT NULL,
+      delete_date TIMESTAMP NULL,
+      delete_by INT NULL,
+      INDEX idx_meter_period (meter_id, period),
+      INDEX idx_customer_period (customer_id, meter_type, period, status),
+      INDEX idx_bill_room (bill_room_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS meter_attachment (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      upload_key CHAR(32) NOT NULL,
+      file_name VARCHAR(255) NOT NULL,
+      file_size INT NOT NULL,
+      file_ext VARCHAR(10) NOT NULL,
+      file_path VARCHAR(500) NOT NULL,
+      status INT NOT NULL DEFAULT 1,
+      customer_id VARCHAR(255) NULL,
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      create_by INT NOT NULL,
+      update_date TIMESTAMP NULL,
+      update_by INT NULL,
+      delete_date TIMESTAMP NULL,
+      delete_by INT NULL,
+      INDEX idx_upload_key (upload_key)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+}
+
+export async function down(db) {
+  await db.query('DROP TABLE IF EXISTS meter_attachment');
+  await db.query('DROP TABLE IF EXISTS meter_reading');
+  await db.query('DROP TABLE IF EXISTS meter');
+  await db.query('DROP TABLE IF EXISTS meter_rate');
+}
@@ -0,0 +1,53 @@
+/**
+ * Room types and fee rules (see utils/roomFee.js)
+ * room_type     - type of room_information.type_id with area (sq.m.) and ownership ratio (%)
+ * room_fee_rule - amount per room for a bill type, per room type or default (room_type_id NULL)
+ */
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS room_type (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      customer_id VARCHAR(255) NOT NULL,
+      title VARCHAR(255) NOT NULL,
+      area DECIMAL(10, 2) NOT NULL DEFAULT 0 COMMENT 'sq.m.',
+      ownership_ratio DECIMAL(9, 6) NULL COMMENT '% of the common property',
+      remark TEXT NULL,
+      status INT NOT NULL DEFAULT 1 COMMENT '0 inactive, 1 active, 2 deleted',
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      create_by INT NOT NULL,
+      update_date TIMESTAMP NULL,
+      update_by INT NULL,
+      delete_date TIMESTAMP NULL,
+      delete_by INT NULL,
+      INDEX idx_customer_status (customer_id, status)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS room_fee_rule (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      customer_id VARCHAR(255) NOT NULL,
+      bill_type_id INT NOT NULL,
+      room_type_id INT NULL COMMENT 'NULL = rooms whose type has no rule of its own',
+      method VARCHAR(20) NOT NULL COMMENT 'per_area, fixed, tiered, ownership',
+      rate DECIMAL(12, 4) NULL COMMENT 'per sq.m. (per_area), per room (fixed), amount shared by ownership ratio (ownership)',
+      tiers JSON NULL COMMENT 'tiered - [{ up_to, rate }] per sq.m. by area, up_to of the last tier is null',
+      minimum_amount DECIMAL(12, 2) NOT NULL DEFAULT 0,
+      vat_flag TINYINT(1) NOT NULL DEFAULT 0,
+      status INT NOT NULL DEFAULT 1 COMMENT '0 inactive, 1 active, 2 deleted',
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      create_by INT NOT NULL,
+      update_date TIMESTAMP NULL,
+      update_by INT NULL,
+      delete_date TIMESTAMP NULL,
+      delete_by INT NULL,
+      INDEX idx_customer_type (customer_id, bill_type_id, status)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+}
+
+export async function down(db) {
+  await db.query('DROP TABLE IF EXISTS room_fee_rule');
+  await db.query('DROP TABLE IF EXISTS room_type');
+}
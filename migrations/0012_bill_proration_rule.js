@@ -0,0 +1,35 @@
+/**
+ * Move-in proration of generated bills (see utils/proration.js)
+ * bill_proration_rule - one active rule per customer and bill type
+ * bill_room_information.full_price - amount before proration (previous-amount schedules carry it to the next month)
+ */
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS bill_proration_rule (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      customer_id VARCHAR(255) NOT NULL,
+      bill_type_id INT NOT NULL,
+      method VARCHAR(20) NOT NULL COMMENT 'daily, half_month',
+      include_move_in_day TINYINT(1) NOT NULL DEFAULT 1 COMMENT 'move-in day is charged',
+      status INT NOT NULL DEFAULT 1 COMMENT '0 inactive, 1 active, 2 deleted',
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      create_by INT NOT NULL,
+      update_date TIMESTAMP NULL,
+      update_by INT NULL,
+      delete_date TIMESTAMP NULL,
+      delete_by INT NULL,
+      INDEX idx_customer_type (customer_id, bill_type_id, status)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  await db.query(`
+    ALTER TABLE bill_room_information
+      ADD COLUMN full_price DECIMAL(12, 2) NULL COMMENT 'amount before move-in proration' AFTER total_price
+  `);
+}
+
+export async function down(db) {
+  await db.query('ALTER TABLE bill_room_information DROP COLUMN full_price');
+  await db.query('DROP TABLE IF EXISTS bill_proration_rule');
+}
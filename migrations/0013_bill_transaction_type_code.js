@@ -0,0 +1,47 @@
+/**
+ * bill_transaction_type_information.code - transaction types used by the system itself (NULL for manual entry types)
+ * house_credit - credit used to pay a bill room (see utils/houseCredit.js), looked up by code instead of a fixed id
+ * Earlier installs seeded it as id 7 with INSERT IGNORE - that row is kept when it is the seeded one,
+ * otherwise a new row is added and credit transactions are moved to it
+ */
+
+// upload_key ของ lookup rows ที่ระบบสร้าง (ไม่มีไฟล์แนบ)
+const SYSTEM_UPLOAD_KEY = '00000000000000000000000000000000';
+const CREDIT_CODE = 'house_credit';
+const CREDIT_TITLE = 'หักจากเครดิตคงเหลือ';
+
+export async function up(db) {
+  await db.query(`
+    ALTER TABLE bill_transaction_type_information
+      ADD COLUMN code VARCHAR(50) NULL COMMENT 'system transaction type, NULL = manual entry' AFTER title,
+      ADD UNIQUE KEY uk_code (code)
+  `);
+
+  await db.execute(
+    'UPDATE bill_transaction_type_information SET code = ? WHERE id = 7 AND upload_key = ? AND title = ? AND create_by = -1',
+    [CREDIT_CODE, SYSTEM_UPLOAD_KEY, CREDIT_TITLE]
+  );
+
+  const [rows] = await db.execute('SELECT id FROM bill_transaction_type_information WHERE code = ?', [CREDIT_CODE]);
+
+  if (rows.length > 0) {
+    return;
+  }
+
+  const [result] = await db.execute(
+    'INSERT INTO bill_transaction_type_information (upload_key, title, code, status, create_by) VALUES (?, ?, ?, 1, -1)',
+    [SYSTEM_UPLOAD_KEY, CREDIT_TITLE, CREDIT_CODE]
+  );
+
+  // id 7 เป็นของประเภทอื่นอยู่แล้ว - รายการหักเครดิตที่บันทึกไว้ย้ายมาประเภทใหม่
+  await db.execute(
+    `UPDATE bill_transaction_information bt
+     INNER JOIN house_credit_movement hm ON hm.bill_transaction_id = bt.id AND hm.movement_type = 'apply'
+     SET bt.bill_transaction_type_id = ?`,
+    [result.insertId]
+  );
+}
+
+export async function down(db) {
+  await db.query('ALTER TABLE bill_transaction_type_information DROP INDEX uk_code, DROP COLUMN code');
+}
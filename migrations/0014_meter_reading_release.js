@@ -0,0 +1,34 @@
+/**
+ * Meter readings released by deleting a bill (see utils/meter.js releaseBillReadings)
+ * meter_reading_release - one row per bill and reading, restoring the bill claims the readings back
+ * Earlier deletes were only recorded in status_transition_log (reason 'ลบบิล bill_id=<id>') - bills still deleted are copied over
+ */
+
+const RELEASE_REASON_PREFIX = 'ลบบิล bill_id=';
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS meter_reading_release (
+      bill_id INT NOT NULL,
+      meter_reading_id INT NOT NULL,
+      customer_id VARCHAR(255) NOT NULL,
+      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      create_by INT NULL,
+      PRIMARY KEY (bill_id, meter_reading_id),
+      INDEX idx_meter_reading (meter_reading_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  await db.execute(
+    `INSERT IGNORE INTO meter_reading_release (bill_id, meter_reading_id, customer_id, create_date, create_by)
+     SELECT b.id, l.entity_id, b.customer_id, l.create_date, l.create_by
+     FROM status_transition_log l
+     INNER JOIN bill_information b ON b.id = CAST(SUBSTRING(l.reason, CHAR_LENGTH(?) + 1) AS UNSIGNED) AND b.status = 2
+     WHERE l.entity = 'meter_reading' AND l.to_status = 1 AND l.reason LIKE ?`,
+    [RELEASE_REASON_PREFIX, `${RELEASE_REASON_PREFIX}%`]
+  );
+}
+
+export async function down(db) {
+  await db.query('DROP TABLE IF EXISTS meter_reading_release');
+}
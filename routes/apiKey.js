@@ -0,0 +1,22 @@
+import express from 'express';
+import { upload } from '../utils/fileUpload.js';
+import { getApiKeyScopes, getApiKeyList, insertApiKey, updateApiKey, deleteApiKey } from '../controllers/apiKeyController.js';
+import { authenticateJWT, verifyCustomerAccess } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permission.js';
+import { validate } from '../middleware/validate.js';
+import { insertApiKeySchema, updateApiKeySchema, deleteApiKeySchema } from '../validators/apiKey.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes (JWT only - API keys cannot manage API keys)
+router.use(authenticateJWT);
+router.use(verifyCustomerAccess);
+
+// API key routes
+router.get('/scopes', requirePermission('api_key.manage'), getApiKeyScopes);
+router.get('/list', requirePermission('api_key.manage'), getApiKeyList);
+router.post('/insert', upload.none(), requirePermission('api_key.manage'), validate(insertApiKeySchema), insertApiKey);
+router.put('/update', upload.none(), requirePermission('api_key.manage'), validate(updateApiKeySchema), updateApiKey);
+router.delete('/delete', upload.none(), requirePermission('api_key.manage'), validate(deleteApiKeySchema), deleteApiKey);
+
+export default router;
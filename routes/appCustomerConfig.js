@@ -2,6 +2,9 @@ import express from 'express';
 import { upload } from '../utils/fileUpload.js';
 import { initAppCustomerConfig, updateAppCustomerConfig, getAppCustomerConfigList } from '../controllers/appCustomerConfigController.js';
 import { authenticateJWT, verifyCustomerAccess } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permission.js';
+import { validate } from '../middleware/validate.js';
+import { initAppCustomerConfigSchema, updateAppCustomerConfigSchema } from '../validators/appCustomerConfig.js';
 
 const router = express.Router();
 
@@ -10,8 +13,8 @@ router.use(authenticateJWT);
 router.use(verifyCustomerAccess);
 
 // App customer config routes
-router.post('/init_config', upload.none(), initAppCustomerConfig);
-router.put('/update', upload.none(), updateAppCustomerConfig);
-router.get('/list', getAppCustomerConfigList);
+router.post('/init_config', upload.none(), requirePermission('config.update'), validate(initAppCustomerConfigSchema), initAppCustomerConfig);
+router.put('/update', upload.none(), requirePermission('config.update'), validate(updateAppCustomerConfigSchema), updateAppCustomerConfig);
+router.get('/list', requirePermission('config.view'), getAppCustomerConfigList);
 
 export default router;
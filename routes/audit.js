@@ -0,0 +1,17 @@
+import express from 'express';
+import { getAuditList } from '../controllers/auditController.js';
+import { authenticateJWT, verifyCustomerAccess } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permission.js';
+import { validate } from '../middleware/validate.js';
+import { auditListSchema } from '../validators/audit.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticateJWT);
+router.use(verifyCustomerAccess);
+
+// Audit log routes
+router.get('/', requirePermission('audit.view'), validate(auditListSchema), getAuditList);
+
+export default router;
@@ -1,15 +1,22 @@
 import express from 'express';
 import { upload } from '../utils/fileUpload.js';
-import { login, verifyToken, getAllowedSites } from '../controllers/authController.js';
-import { authenticateJWT } from '../middleware/auth.js';
+import { login, verifyToken, logout, refreshToken, revokeUserSessions, getAllowedSites, getFailedLogins } from '../controllers/authController.js';
+import { authenticateJWT, verifyCustomerAccess } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permission.js';
+import { validate } from '../middleware/validate.js';
+import { refreshTokenSchema, revokeUserSessionsSchema } from '../validators/auth.js';
 
 const router = express.Router();
 
 // Public routes (no authentication required)
 router.post('/login', upload.none(), login);
+router.post('/refresh', upload.none(), validate(refreshTokenSchema), refreshToken);
 
 // Protected routes (authentication required)
 router.get('/verify', authenticateJWT, verifyToken);
+router.post('/logout', authenticateJWT, logout);
+router.post('/revoke_user_sessions', authenticateJWT, upload.none(), verifyCustomerAccess, requirePermission('session.revoke'), validate(revokeUserSessionsSchema), revokeUserSessions);
 router.get('/customer_list', authenticateJWT, getAllowedSites);
+router.get('/failed_logins', authenticateJWT, verifyCustomerAccess, requirePermission('login_audit.view'), getFailedLogins);
 
 export default router;
@@ -1,20 +1,23 @@
 import express from 'express';
 import { upload } from '../utils/fileUpload.js';
 import { insertBank, getBankList, getBankDetail, updateBank, deleteBank, getMasterBankList } from '../controllers/bankController.js';
-import { authenticateJWT, verifyCustomerAccess } from '../middleware/auth.js';
+import { authenticateJWTOrApiKey, verifyCustomerAccess } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permission.js';
+import { validate } from '../middleware/validate.js';
+import { insertBankSchema, bankListSchema, updateBankSchema, deleteBankSchema } from '../validators/bank.js';
 
 const router = express.Router();
 
-// Apply authentication middleware to all routes
-router.use(authenticateJWT);
+// Apply authentication middleware to all routes (JWT or API key)
+router.use(authenticateJWTOrApiKey);
 router.use(verifyCustomerAccess);
 
 // Bank routes
-router.post('/insert', upload.none(), insertBank);
-router.get('/master_list', getMasterBankList);
-router.get('/list', getBankList);
-router.get('/:id', getBankDetail);
-router.put('/update', upload.none(), updateBank);
-router.delete('/delete', upload.none(), deleteBank);
+router.post('/insert', upload.none(), requirePermission('bank.create'), validate(insertBankSchema), insertBank);
+router.get('/master_list', requirePermission('bank.view'), getMasterBankList);
+router.get('/list', requirePermission('bank.view'), validate(bankListSchema), getBankList);
+router.get('/:id', requirePermission('bank.view'), getBankDetail);
+router.put('/update', upload.none(), requirePermission('bank.update'), validate(updateBankSchema), updateBank);
+router.delete('/delete', upload.none(), requirePermission('bank.delete'), validate(deleteBankSchema), deleteBank);
 
 export default router;
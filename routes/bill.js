@@ -1,29 +1,34 @@
 import express from 'express';
 import { upload } from '../utils/fileUpload.js';
-import { insertBill, updateBill, sendBill, cancelSendBill, deleteBill, getBillDetail, getBillList, insertBillWithExcel, getBillExcelList, getBillRoomList, getBillRoomEachList, getBillRoomPendingList, getBillStatus, getSummaryData, sendNotificationEach } from '../controllers/billController.js';
-import { authenticateJWT, verifyCustomerAccess } from '../middleware/auth.js';
+import { insertBill, updateBill, sendBill, cancelSendBill, deleteBill, getBillDetail, getBillList, insertBillWithExcel, insertBillWithFeeRule, getBillExcelList, getBillRoomList, getBillRoomEachList, getBillRoomPendingList, getBillStatus, getSummaryData, sendNotificationEach } from '../controllers/billController.js';
+import { authenticateJWTOrApiKey, verifyCustomerAccess } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permission.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { validate } from '../middleware/validate.js';
+import { insertBillSchema, insertBillWithExcelSchema, insertBillWithFeeRuleSchema, updateBillSchema, billIdSchema, sendNotificationEachSchema, billSummarySchema, billExcelListSchema, billRoomListSchema, billRoomEachListSchema, billListSchema } from '../validators/bill.js';
 
 const router = express.Router();
 
-// Apply authentication middleware to all routes
-router.use(authenticateJWT);
+// Apply authentication middleware to all routes (JWT or API key)
+router.use(authenticateJWTOrApiKey);
 router.use(verifyCustomerAccess);
 
 // Bill routes
-router.post('/insert', upload.none(), insertBill);
-router.post('/insert_with_excel', upload.none(), insertBillWithExcel);
-router.put('/update', upload.none(), updateBill);
-router.post('/send', upload.none(), sendBill);
-router.post('/send_notification_each', upload.none(), sendNotificationEach);
-router.post('/cancel_send', upload.none(), cancelSendBill);
-router.delete('/delete', upload.none(), deleteBill);
-router.get('/get_summary_data', getSummaryData);
-router.get('/bill_excel_list', getBillExcelList);
-router.get('/bill_room_list', getBillRoomList);
-router.get('/bill_room_each_list', getBillRoomEachList);
-router.get('/bill_room_pending_list', getBillRoomPendingList);
-router.get('/bill_status', getBillStatus);
-router.get('/list', getBillList);
-router.get('/:id', getBillDetail);
+router.post('/insert', upload.none(), requirePermission('bill.create'), validate(insertBillSchema), insertBill);
+router.post('/insert_with_excel', upload.none(), requirePermission('bill.create'), idempotent(), validate(insertBillWithExcelSchema), insertBillWithExcel);
+router.post('/insert_with_fee_rule', upload.none(), requirePermission('bill.create'), idempotent(), validate(insertBillWithFeeRuleSchema), insertBillWithFeeRule);
+router.put('/update', upload.none(), requirePermission('bill.update'), validate(updateBillSchema), updateBill);
+router.post('/send', upload.none(), requirePermission('bill.send'), validate(billIdSchema), sendBill);
+router.post('/send_notification_each', upload.none(), requirePermission('bill.notify'), validate(sendNotificationEachSchema), sendNotificationEach);
+router.post('/cancel_send', upload.none(), requirePermission('bill.send'), validate(billIdSchema), cancelSendBill);
+router.delete('/delete', upload.none(), requirePermission('bill.delete'), validate(billIdSchema), deleteBill);
+router.get('/get_summary_data', requirePermission('bill.view'), validate(billSummarySchema), getSummaryData);
+router.get('/bill_excel_list', requirePermission('bill.view'), validate(billExcelListSchema), getBillExcelList);
+router.get('/bill_room_list', requirePermission('bill.view'), validate(billRoomListSchema), getBillRoomList);
+router.get('/bill_room_each_list', requirePermission('bill.view'), validate(billRoomEachListSchema), getBillRoomEachList);
+router.get('/bill_room_pending_list', requirePermission('bill.view'), validate(billListSchema), getBillRoomPendingList);
+router.get('/bill_status', requirePermission('bill.view'), getBillStatus);
+router.get('/list', requirePermission('bill.view'), validate(billListSchema), getBillList);
+router.get('/:id', requirePermission('bill.view'), getBillDetail);
 
 export default router;
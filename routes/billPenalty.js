@@ -0,0 +1,26 @@
+import express from 'express';
+import { upload } from '../utils/fileUpload.js';
+import { getPenaltyRuleList, updatePenaltyRule, deletePenaltyRule, getPenaltyList, requestPenaltyWaive, approvePenaltyWaive, runPenaltyJob } from '../controllers/billPenaltyController.js';
+import { authenticateJWT, verifyCustomerAccess } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permission.js';
+import { validate } from '../middleware/validate.js';
+import { penaltyRuleListSchema, updatePenaltyRuleSchema, deletePenaltyRuleSchema, penaltyListSchema, penaltyWaiveRequestSchema, penaltyWaiveApproveSchema, runPenaltySchema } from '../validators/billPenalty.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticateJWT);
+router.use(verifyCustomerAccess);
+
+// Penalty rule routes (per bill type)
+router.get('/rule_list', requirePermission('bill.view'), validate(penaltyRuleListSchema), getPenaltyRuleList);
+router.put('/rule_update', upload.none(), requirePermission('bill_penalty.manage'), validate(updatePenaltyRuleSchema), updatePenaltyRule);
+router.delete('/rule_delete', upload.none(), requirePermission('bill_penalty.manage'), validate(deletePenaltyRuleSchema), deletePenaltyRule);
+router.post('/run', upload.none(), requirePermission('bill_penalty.manage'), validate(runPenaltySchema), runPenaltyJob);
+
+// Penalty routes
+router.get('/list', requirePermission('bill.view'), validate(penaltyListSchema), getPenaltyList);
+router.put('/waive_request', upload.none(), requirePermission('bill_penalty.waive'), validate(penaltyWaiveRequestSchema), requestPenaltyWaive);
+router.put('/waive_approve', upload.none(), requirePermission('bill_penalty.approve'), validate(penaltyWaiveApproveSchema), approvePenaltyWaive);
+
+export default router;
@@ -0,0 +1,20 @@
+import express from 'express';
+import { upload } from '../utils/fileUpload.js';
+import { getProrationRuleList, updateProrationRule, deleteProrationRule } from '../controllers/billProrationController.js';
+import { authenticateJWT, verifyCustomerAccess } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permission.js';
+import { validate } from '../middleware/validate.js';
+import { prorationRuleListSchema, updateProrationRuleSchema, deleteProrationRuleSchema } from '../validators/billProration.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticateJWT);
+router.use(verifyCustomerAccess);
+
+// Move-in proration rule routes (per bill type)
+router.get('/rule_list', requirePermission('bill.view'), validate(prorationRuleListSchema), getProrationRuleList);
+router.put('/rule_update', upload.none(), requirePermission('bill_proration.manage'), validate(updateProrationRuleSchema), updateProrationRule);
+router.delete('/rule_delete', upload.none(), requirePermission('bill_proration.manage'), validate(deleteProrationRuleSchema), deleteProrationRule);
+
+export default router;
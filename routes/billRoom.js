@@ -1,21 +1,26 @@
 import express from 'express';
 import { upload } from '../utils/fileUpload.js';
 import { insertBillRoom, getBillRoomList, getBillRoomAppList, getBillRoomDetail, getCurrentBillRoom, getBillRoomHistory, getRemainSummery } from '../controllers/billRoomController.js';
-import { authenticateJWT, verifyCustomerAccess } from '../middleware/auth.js';
+import { authenticateJWT, verifyCustomerAccess, authenticateResident } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permission.js';
+import { validate } from '../middleware/validate.js';
+import { insertBillRoomSchema, billRoomListSchema } from '../validators/billRoom.js';
 
 const router = express.Router();
 
-// Apply authentication middleware to all routes
+// Mobile app routes (resident auth - house_no / customer_id from member_information)
+router.get('/app_list', authenticateResident, getBillRoomAppList);
+router.get('/current_bill_room', authenticateResident, getCurrentBillRoom);
+router.get('/history', authenticateResident, getBillRoomHistory);
+router.get('/remain_summery', authenticateResident, getRemainSummery);
+
+// Apply authentication middleware to all routes below
 router.use(authenticateJWT);
 router.use(verifyCustomerAccess);
 
 // Bill Room routes
-router.post('/insert', upload.none(), insertBillRoom);
-router.get('/list', getBillRoomList);
-router.get('/app_list', getBillRoomAppList);
-router.get('/current_bill_room', getCurrentBillRoom);
-router.get('/history', getBillRoomHistory);
-router.get('/remain_summery', getRemainSummery);
-router.get('/:id', getBillRoomDetail);
+router.post('/insert', upload.none(), requirePermission('bill.create'), validate(insertBillRoomSchema), insertBillRoom);
+router.get('/list', requirePermission('bill.view'), validate(billRoomListSchema), getBillRoomList);
+router.get('/:id', requirePermission('bill.view'), getBillRoomDetail);
 
 export default router;
@@ -0,0 +1,24 @@
+import express from 'express';
+import { upload } from '../utils/fileUpload.js';
+import { insertBillSchedule, updateBillSchedule, deleteBillSchedule, getBillScheduleList, getBillScheduleDetail, previewBillSchedule, runBillSchedule } from '../controllers/billScheduleController.js';
+import { authenticateJWTOrApiKey, verifyCustomerAccess } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permission.js';
+import { validate } from '../middleware/validate.js';
+import { insertBillScheduleSchema, updateBillScheduleSchema, billScheduleIdSchema, billScheduleListSchema, billScheduleDetailSchema, billSchedulePreviewSchema, runBillScheduleSchema } from '../validators/billSchedule.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes (JWT or API key)
+router.use(authenticateJWTOrApiKey);
+router.use(verifyCustomerAccess);
+
+// Bill schedule routes
+router.post('/insert', upload.none(), requirePermission('bill_schedule.manage'), validate(insertBillScheduleSchema), insertBillSchedule);
+router.put('/update', upload.none(), requirePermission('bill_schedule.manage'), validate(updateBillScheduleSchema), updateBillSchedule);
+router.delete('/delete', upload.none(), requirePermission('bill_schedule.manage'), validate(billScheduleIdSchema), deleteBillSchedule);
+router.post('/run', upload.none(), requirePermission('bill_schedule.manage'), validate(runBillScheduleSchema), runBillSchedule);
+router.get('/list', requirePermission('bill.view'), validate(billScheduleListSchema), getBillScheduleList);
+router.get('/preview', requirePermission('bill.view'), validate(billSchedulePreviewSchema), previewBillSchedule);
+router.get('/:id', requirePermission('bill.view'), validate(billScheduleDetailSchema), getBillScheduleDetail);
+
+export default router;
@@ -1,17 +1,21 @@
 import express from 'express';
 import { upload } from '../utils/fileUpload.js';
 import { insertBillTransaction, getBillTransactionDetail, getBillTransactionType } from '../controllers/billTransactionController.js';
-import { authenticateJWT, verifyCustomerAccess } from '../middleware/auth.js';
+import { authenticateJWTOrApiKey, verifyCustomerAccess } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permission.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { validate } from '../middleware/validate.js';
+import { insertBillTransactionSchema } from '../validators/billTransaction.js';
 
 const router = express.Router();
 
-// Apply authentication middleware to all routes
-router.use(authenticateJWT);
+// Apply authentication middleware to all routes (JWT or API key)
+router.use(authenticateJWTOrApiKey);
 router.use(verifyCustomerAccess);
 
 // Bill Transaction routes
-router.post('/insert', upload.none(), insertBillTransaction);
-router.get('/bill_transaction_type', getBillTransactionType);
-router.get('/:id', getBillTransactionDetail);
+router.post('/insert', upload.none(), requirePermission('bill_transaction.create'), idempotent(), validate(insertBillTransactionSchema), insertBillTransaction);
+router.get('/bill_transaction_type', requirePermission('bill_transaction.view'), getBillTransactionType);
+router.get('/:id', requirePermission('bill_transaction.view'), getBillTransactionDetail);
 
 export default router;
@@ -1,6 +1,7 @@
 import express from 'express';
 import { getBillTypeList } from '../controllers/billTypeController.js';
 import { authenticateJWT, verifyCustomerAccess } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permission.js';
 
 const router = express.Router();
 
@@ -9,6 +10,6 @@ router.use(authenticateJWT);
 router.use(verifyCustomerAccess);
 
 // Bill Type routes
-router.get('/list', getBillTypeList);
+router.get('/list', requirePermission('bill.view'), getBillTypeList);
 
 export default router;
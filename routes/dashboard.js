@@ -1,18 +1,21 @@
 import express from 'express';
 import { getSummary, getBillingRevenue, getBillStatus, getPaymentEfficiency, getActionItems } from '../controllers/dashboardController.js';
-import { authenticateJWT, verifyCustomerAccess } from '../middleware/auth.js';
+import { authenticateJWTOrApiKey, verifyCustomerAccess } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permission.js';
+import { validate } from '../middleware/validate.js';
+import { dashboardSchema, billingRevenueSchema } from '../validators/dashboard.js';
 
 const router = express.Router();
 
-// Apply authentication middleware to all routes
-router.use(authenticateJWT);
+// Apply authentication middleware to all routes (JWT or API key)
+router.use(authenticateJWTOrApiKey);
 router.use(verifyCustomerAccess);
 
 // Dashboard routes
-router.get('/summary', getSummary);
-router.get('/billing_revenue', getBillingRevenue);
-router.get('/bill_status', getBillStatus);
-router.get('/payment_efficiency', getPaymentEfficiency);
-router.get('/action_items', getActionItems);
+router.get('/summary', requirePermission('dashboard.view'), validate(dashboardSchema), getSummary);
+router.get('/billing_revenue', requirePermission('dashboard.view'), validate(billingRevenueSchema), getBillingRevenue);
+router.get('/bill_status', requirePermission('dashboard.view'), validate(dashboardSchema), getBillStatus);
+router.get('/payment_efficiency', requirePermission('dashboard.view'), validate(dashboardSchema), getPaymentEfficiency);
+router.get('/action_items', requirePermission('dashboard.view'), validate(dashboardSchema), getActionItems);
 
 export default router;
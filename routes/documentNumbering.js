@@ -0,0 +1,19 @@
+import express from 'express';
+import { upload } from '../utils/fileUpload.js';
+import { getDocumentNumberingList, updateDocumentNumbering } from '../controllers/documentNumberingController.js';
+import { authenticateJWT, verifyCustomerAccess } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permission.js';
+import { validate } from '../middleware/validate.js';
+import { documentNumberingListSchema, updateDocumentNumberingSchema } from '../validators/documentNumbering.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticateJWT);
+router.use(verifyCustomerAccess);
+
+// Document numbering routes
+router.get('/list', requirePermission('config.view'), validate(documentNumberingListSchema), getDocumentNumberingList);
+router.put('/update', upload.none(), requirePermission('config.update'), validate(updateDocumentNumberingSchema), updateDocumentNumbering);
+
+export default router;
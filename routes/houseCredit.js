@@ -0,0 +1,21 @@
+import express from 'express';
+import { upload } from '../utils/fileUpload.js';
+import { getHouseCreditList, getHouseCreditDetail, depositHouseCredit, applyHouseCredit } from '../controllers/houseCreditController.js';
+import { authenticateJWT, verifyCustomerAccess } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permission.js';
+import { validate } from '../middleware/validate.js';
+import { houseCreditListSchema, houseCreditDetailSchema, houseCreditDepositSchema, houseCreditApplySchema } from '../validators/houseCredit.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticateJWT);
+router.use(verifyCustomerAccess);
+
+// House credit routes
+router.get('/list', requirePermission('house_credit.view'), validate(houseCreditListSchema), getHouseCreditList);
+router.get('/detail', requirePermission('house_credit.view'), validate(houseCreditDetailSchema), getHouseCreditDetail);
+router.post('/deposit', upload.none(), requirePermission('house_credit.deposit'), validate(houseCreditDepositSchema), depositHouseCredit);
+router.post('/apply', upload.none(), requirePermission('house_credit.deposit'), validate(houseCreditApplySchema), applyHouseCredit);
+
+export default router;
@@ -1,20 +1,33 @@
 import express from 'express';
 import { upload } from '../utils/fileUpload.js';
 import { uploadFiles, deleteFile } from '../controllers/uploadController.js';
+import { authenticateJWTOrApiKey, verifyCustomerAccess } from '../middleware/auth.js';
+import { requireAttachmentPermission } from '../middleware/permission.js';
 import authRoutes from './auth.js';
 import testDataRoutes from './testData.js';
 import newsRoutes from './news.js';
 import roomRoutes from './room.js';
 import memberRoutes from './member.js';
 import billRoutes from './bill.js';
+import billScheduleRoutes from './billSchedule.js';
+import billPenaltyRoutes from './billPenalty.js';
+import billProrationRoutes from './billProration.js';
 import billTypeRoutes from './billType.js';
 import billRoomRoutes from './billRoom.js';
 import billTransactionRoutes from './billTransaction.js';
+import houseCreditRoutes from './houseCredit.js';
+import meterRoutes from './meter.js';
+import roomTypeRoutes from './roomType.js';
 import paymentRoutes from './payment.js';
 import paymentTypeRoutes from './paymentType.js';
 import dashboardRoutes from './dashboard.js';
 import bankRoutes from './bank.js';
 import appCustomerConfigRoutes from './appCustomerConfig.js';
+import permissionRoutes from './permission.js';
+import apiKeyRoutes from './apiKey.js';
+import documentNumberingRoutes from './documentNumbering.js';
+import auditRoutes from './audit.js';
+import recycleBinRoutes from './recycleBin.js';
 
 const router = express.Router();
 
@@ -28,22 +41,33 @@ router.get('/test', (req, res) => {
 // Public routes (no authentication required)
 router.use('/auth', authRoutes);
 
-// File upload/delete endpoints
-router.post('/upload_file', upload.array('files'), uploadFiles);
-router.delete('/delete_file', upload.none(), deleteFile);
+// File upload/delete endpoints (authenticated, tenant-scoped - menu must be in attachment registry)
+router.post('/upload_file', authenticateJWTOrApiKey, upload.array('files'), verifyCustomerAccess, requireAttachmentPermission('upload'), uploadFiles);
+router.delete('/delete_file', authenticateJWTOrApiKey, upload.none(), verifyCustomerAccess, requireAttachmentPermission('delete'), deleteFile);
 
 router.use('/test-data', testDataRoutes);
 router.use('/news', newsRoutes);
 router.use('/room', roomRoutes);
+router.use('/room_type', roomTypeRoutes);
 router.use('/member', memberRoutes);
 router.use('/bill', billRoutes);
+router.use('/bill_schedule', billScheduleRoutes);
+router.use('/bill_penalty', billPenaltyRoutes);
+router.use('/bill_proration', billProrationRoutes);
 router.use('/bill_type', billTypeRoutes);
 router.use('/bill_room', billRoomRoutes);
 router.use('/bill_transaction', billTransactionRoutes);
+router.use('/house_credit', houseCreditRoutes);
+router.use('/meter', meterRoutes);
 router.use('/payment', paymentRoutes);
 router.use('/payment_type', paymentTypeRoutes);
 router.use('/dashboard', dashboardRoutes);
 router.use('/bank', bankRoutes);
 router.use('/app_customer_config', appCustomerConfigRoutes);
+router.use('/permission', permissionRoutes);
+router.use('/api_key', apiKeyRoutes);
+router.use('/document_numbering', documentNumberingRoutes);
+router.use('/audit', auditRoutes);
+router.use('/recycle_bin', recycleBinRoutes);
 
 export default router;
\ No newline at end of file
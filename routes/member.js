@@ -1,18 +1,21 @@
 import express from 'express';
 import { upload } from '../utils/fileUpload.js';
 import { insertMember, getMemberList, getMemberDetail, getMemberIDByHouseNo } from '../controllers/memberController.js';
-import { authenticateJWT, verifyCustomerAccess } from '../middleware/auth.js';
+import { authenticateJWTOrApiKey, verifyCustomerAccess } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permission.js';
+import { validate } from '../middleware/validate.js';
+import { insertMemberSchema, memberListSchema, memberByHouseNoSchema } from '../validators/member.js';
 
 const router = express.Router();
 
-// Apply authentication middleware to all routes
-router.use(authenticateJWT);
+// Apply authentication middleware to all routes (JWT or API key)
+router.use(authenticateJWTOrApiKey);
 router.use(verifyCustomerAccess);
 
 // Member routes
-router.post('/insert', upload.none(), insertMember);
-router.get('/list', getMemberList);
-router.get('/getMemberIDByHouseNo', getMemberIDByHouseNo);
-router.get('/:id', getMemberDetail);
+router.post('/insert', upload.none(), requirePermission('member.create'), validate(insertMemberSchema), insertMember);
+router.get('/list', requirePermission('member.view'), validate(memberListSchema), getMemberList);
+router.get('/getMemberIDByHouseNo', requirePermission('member.view'), validate(memberByHouseNoSchema), getMemberIDByHouseNo);
+router.get('/:id', requirePermission('member.view'), getMemberDetail);
 
 export default router;
@@ -0,0 +1,45 @@
+import express from 'express';
+import { upload } from '../utils/fileUpload.js';
+import {
+  insertMeter, updateMeter, deleteMeter, getMeterList, getMeterRateList, updateMeterRate,
+  getMeterReadingList, insertMeterReading, updateMeterReading, deleteMeterReading, confirmMeterReading, importMeterReading,
+  previewMeterBill, insertMeterBill
+} from '../controllers/meterController.js';
+import { authenticateJWT, verifyCustomerAccess } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permission.js';
+import { validate } from '../middleware/validate.js';
+import {
+  insertMeterSchema, updateMeterSchema, meterIdSchema, meterListSchema, meterRateListSchema, updateMeterRateSchema,
+  meterReadingListSchema, insertMeterReadingSchema, updateMeterReadingSchema, meterReadingIdSchema, confirmMeterReadingSchema,
+  importMeterReadingSchema, meterBillPreviewSchema, generateMeterBillSchema
+} from '../validators/meter.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticateJWT);
+router.use(verifyCustomerAccess);
+
+// Meter registry routes
+router.get('/list', requirePermission('meter.view'), validate(meterListSchema), getMeterList);
+router.post('/insert', upload.none(), requirePermission('meter.manage'), validate(insertMeterSchema), insertMeter);
+router.put('/update', upload.none(), requirePermission('meter.manage'), validate(updateMeterSchema), updateMeter);
+router.delete('/delete', upload.none(), requirePermission('meter.manage'), validate(meterIdSchema), deleteMeter);
+
+// Rate table routes
+router.get('/rate_list', requirePermission('meter.view'), validate(meterRateListSchema), getMeterRateList);
+router.put('/rate_update', upload.none(), requirePermission('meter.manage'), validate(updateMeterRateSchema), updateMeterRate);
+
+// Reading routes
+router.get('/reading_list', requirePermission('meter.view'), validate(meterReadingListSchema), getMeterReadingList);
+router.post('/reading_insert', upload.none(), requirePermission('meter.reading'), validate(insertMeterReadingSchema), insertMeterReading);
+router.put('/reading_update', upload.none(), requirePermission('meter.reading'), validate(updateMeterReadingSchema), updateMeterReading);
+router.delete('/reading_delete', upload.none(), requirePermission('meter.reading'), validate(meterReadingIdSchema), deleteMeterReading);
+router.put('/reading_confirm', upload.none(), requirePermission('meter.manage'), validate(confirmMeterReadingSchema), confirmMeterReading);
+router.post('/reading_import', upload.none(), requirePermission('meter.reading'), validate(importMeterReadingSchema), importMeterReading);
+
+// Utility bill routes
+router.get('/bill_preview', requirePermission('bill.view'), validate(meterBillPreviewSchema), previewMeterBill);
+router.post('/generate_bill', upload.none(), requirePermission('bill.create'), validate(generateMeterBillSchema), insertMeterBill);
+
+export default router;
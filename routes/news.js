@@ -2,6 +2,9 @@ import express from 'express';
 import { upload } from '../utils/fileUpload.js';
 import { insertNews, updateNews, deleteNews, getNewsList, getNewsById, insertCategory, updateCategory, deleteCategory, getCategoryList } from '../controllers/newsController.js';
 import { authenticateJWT, verifyCustomerAccess } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permission.js';
+import { validate } from '../middleware/validate.js';
+import { insertNewsSchema, updateNewsSchema, newsIdSchema, newsListSchema, insertCategorySchema, updateCategorySchema } from '../validators/news.js';
 
 const router = express.Router();
 
@@ -10,18 +13,18 @@ router.use(authenticateJWT);
 router.use(verifyCustomerAccess);
 
 // News routes
-router.post('/insert', upload.none(), insertNews);
-router.put('/update', upload.none(), updateNews);
-router.delete('/delete', upload.none(), deleteNews);
-router.get('/list', getNewsList);
+router.post('/insert', upload.none(), requirePermission('news.create'), validate(insertNewsSchema), insertNews);
+router.put('/update', upload.none(), requirePermission('news.update'), validate(updateNewsSchema), updateNews);
+router.delete('/delete', upload.none(), requirePermission('news.delete'), validate(newsIdSchema), deleteNews);
+router.get('/list', requirePermission('news.view'), validate(newsListSchema), getNewsList);
 
 // Category routes (must be before /:id route)
-router.post('/insert_category', upload.none(), insertCategory);
-router.put('/update_category', upload.none(), updateCategory);
-router.delete('/delete_category', upload.none(), deleteCategory);
-router.get('/list_category', getCategoryList);
+router.post('/insert_category', upload.none(), requirePermission('news.create'), validate(insertCategorySchema), insertCategory);
+router.put('/update_category', upload.none(), requirePermission('news.update'), validate(updateCategorySchema), updateCategory);
+router.delete('/delete_category', upload.none(), requirePermission('news.delete'), validate(newsIdSchema), deleteCategory);
+router.get('/list_category', requirePermission('news.view'), getCategoryList);
 
 // Dynamic route must be last
-router.get('/:id', getNewsById);
+router.get('/:id', requirePermission('news.view'), getNewsById);
 
 export default router;
\ No newline at end of file
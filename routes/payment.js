@@ -1,21 +1,25 @@
 import express from 'express';
 import { upload } from '../utils/fileUpload.js';
 import { insertPayment, updatePayment, getPaymentList, getPaymentSummaryStatus, getPaymentSummaryStatus2, getPaymentDetail, getPaymentSummaryData } from '../controllers/paymentController.js';
-import { authenticateJWT, verifyCustomerAccess } from '../middleware/auth.js';
+import { authenticateJWTOrApiKey, verifyCustomerAccess } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permission.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { validate } from '../middleware/validate.js';
+import { insertPaymentSchema, updatePaymentSchema, paymentListSchema, paymentSummarySchema } from '../validators/payment.js';
 
 const router = express.Router();
 
-// Apply authentication middleware to all routes
-router.use(authenticateJWT);
+// Apply authentication middleware to all routes (JWT or API key)
+router.use(authenticateJWTOrApiKey);
 router.use(verifyCustomerAccess);
 
 // Payment routes
-router.post('/insert', upload.none(), insertPayment);
-router.put('/update', upload.none(), updatePayment);
-router.get('/list', getPaymentList);
-router.get('/summary_status', getPaymentSummaryStatus);
-router.get('/summary_status2', getPaymentSummaryStatus2);
-router.get('/get_summary_data', getPaymentSummaryData);
-router.get('/:id', getPaymentDetail);
+router.post('/insert', upload.none(), requirePermission('payment.create'), idempotent(), validate(insertPaymentSchema), insertPayment);
+router.put('/update', upload.none(), requirePermission('payment.approve'), validate(updatePaymentSchema), updatePayment);
+router.get('/list', requirePermission('payment.view'), validate(paymentListSchema), getPaymentList);
+router.get('/summary_status', requirePermission('payment.view'), validate(paymentSummarySchema), getPaymentSummaryStatus);
+router.get('/summary_status2', requirePermission('payment.view'), validate(paymentSummarySchema), getPaymentSummaryStatus2);
+router.get('/get_summary_data', requirePermission('payment.view'), validate(paymentSummarySchema), getPaymentSummaryData);
+router.get('/:id', requirePermission('payment.view'), getPaymentDetail);
 
 export default router;
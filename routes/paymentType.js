@@ -1,6 +1,7 @@
 import express from 'express';
 import { getPaymentTypeList } from '../controllers/paymentTypeController.js';
 import { authenticateJWT, verifyCustomerAccess } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permission.js';
 
 const router = express.Router();
 
@@ -9,6 +10,6 @@ router.use(authenticateJWT);
 router.use(verifyCustomerAccess);
 
 // Payment Type routes
-router.get('/list', getPaymentTypeList);
+router.get('/list', requirePermission('payment.view'), getPaymentTypeList);
 
 export default router;
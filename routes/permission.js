@@ -0,0 +1,21 @@
+import express from 'express';
+import { upload } from '../utils/fileUpload.js';
+import { getPermissionList, getMyPermissions, updatePermissionOverride, deletePermissionOverride } from '../controllers/permissionController.js';
+import { authenticateJWT, verifyCustomerAccess } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permission.js';
+import { validate } from '../middleware/validate.js';
+import { updatePermissionOverrideSchema, deletePermissionOverrideSchema } from '../validators/permission.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticateJWT);
+router.use(verifyCustomerAccess);
+
+// Permission routes
+router.get('/me', getMyPermissions);
+router.get('/list', requirePermission('permission.manage'), getPermissionList);
+router.put('/update', upload.none(), requirePermission('permission.manage'), validate(updatePermissionOverrideSchema), updatePermissionOverride);
+router.delete('/delete', upload.none(), requirePermission('permission.manage'), validate(deletePermissionOverrideSchema), deletePermissionOverride);
+
+export default router;
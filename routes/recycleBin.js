@@ -0,0 +1,20 @@
+import express from 'express';
+import { upload } from '../utils/fileUpload.js';
+import { getRecycleBinList, restoreRecycleBinItems, purgeRecycleBinItems } from '../controllers/recycleBinController.js';
+import { authenticateJWT, verifyCustomerAccess } from '../middleware/auth.js';
+import { requireRecycleBinPermission } from '../middleware/permission.js';
+import { validate } from '../middleware/validate.js';
+import { recycleBinListSchema, recycleBinItemsSchema } from '../validators/recycleBin.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticateJWT);
+router.use(verifyCustomerAccess);
+
+// Recycle bin routes - :module = news, bill, bank, <menu>_attachment
+router.get('/:module/list', requireRecycleBinPermission('view'), validate(recycleBinListSchema), getRecycleBinList);
+router.put('/:module/restore', upload.none(), requireRecycleBinPermission('restore'), validate(recycleBinItemsSchema), restoreRecycleBinItems);
+router.delete('/:module/purge', upload.none(), requireRecycleBinPermission('purge'), validate(recycleBinItemsSchema), purgeRecycleBinItems);
+
+export default router;
@@ -1,18 +1,21 @@
 import express from 'express';
 import { upload } from '../utils/fileUpload.js';
 import { insertRoom, getRoomList, getSummaryData, syncFromFirebase } from '../controllers/roomController.js';
-import { authenticateJWT, verifyCustomerAccess } from '../middleware/auth.js';
+import { authenticateJWTOrApiKey, verifyCustomerAccess } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permission.js';
+import { validate } from '../middleware/validate.js';
+import { insertRoomSchema, syncFromFirebaseSchema, roomSummarySchema, roomListSchema } from '../validators/room.js';
 
 const router = express.Router();
 
-// Apply authentication middleware to all routes
-router.use(authenticateJWT);
+// Apply authentication middleware to all routes (JWT or API key)
+router.use(authenticateJWTOrApiKey);
 router.use(verifyCustomerAccess);
 
 // Room routes
-router.post('/insert', upload.none(), insertRoom);
-router.post('/sync_from_firebase', upload.none(), syncFromFirebase);
-router.get('/get_summary_data', getSummaryData);
-router.get('/list', getRoomList);
+router.post('/insert', upload.none(), requirePermission('room.create'), validate(insertRoomSchema), insertRoom);
+router.post('/sync_from_firebase', upload.none(), requirePermission('room.sync'), validate(syncFromFirebaseSchema), syncFromFirebase);
+router.get('/get_summary_data', requirePermission('room.view'), validate(roomSummarySchema), getSummaryData);
+router.get('/list', requirePermission('room.view'), validate(roomListSchema), getRoomList);
 
 export default router;
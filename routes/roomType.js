@@ -0,0 +1,34 @@
+import express from 'express';
+import { upload } from '../utils/fileUpload.js';
+import {
+  getRoomTypeList, insertRoomType, updateRoomType, deleteRoomType, assignRoomType,
+  getFeeRuleList, updateFeeRule, deleteFeeRule, previewFeeRuleBill
+} from '../controllers/roomTypeController.js';
+import { authenticateJWT, verifyCustomerAccess } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permission.js';
+import { validate } from '../middleware/validate.js';
+import {
+  roomTypeListSchema, insertRoomTypeSchema, updateRoomTypeSchema, roomTypeIdSchema, assignRoomTypeSchema,
+  feeRuleListSchema, updateFeeRuleSchema, feeRuleIdSchema, feeRuleBillPreviewSchema
+} from '../validators/roomType.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticateJWT);
+router.use(verifyCustomerAccess);
+
+// Room type routes
+router.get('/list', requirePermission('room_type.view'), validate(roomTypeListSchema), getRoomTypeList);
+router.post('/insert', upload.none(), requirePermission('room_type.manage'), validate(insertRoomTypeSchema), insertRoomType);
+router.put('/update', upload.none(), requirePermission('room_type.manage'), validate(updateRoomTypeSchema), updateRoomType);
+router.delete('/delete', upload.none(), requirePermission('room_type.manage'), validate(roomTypeIdSchema), deleteRoomType);
+router.put('/assign', upload.none(), requirePermission('room_type.manage'), validate(assignRoomTypeSchema), assignRoomType);
+
+// Fee rule routes
+router.get('/fee_rule_list', requirePermission('room_type.view'), validate(feeRuleListSchema), getFeeRuleList);
+router.put('/fee_rule_update', upload.none(), requirePermission('room_type.manage'), validate(updateFeeRuleSchema), updateFeeRule);
+router.delete('/fee_rule_delete', upload.none(), requirePermission('room_type.manage'), validate(feeRuleIdSchema), deleteFeeRule);
+router.get('/bill_preview', requirePermission('bill.view'), validate(feeRuleBillPreviewSchema), previewFeeRuleBill);
+
+export default router;
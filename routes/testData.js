@@ -1,29 +1,35 @@
 import express from 'express';
-import { insertTestData, getTestDataList, createNewsAttachment, createBillAttachment, createAppConfig, createRoomInformation, createMemberInformation, createBillInformation, createBillRoomInformation, createBillTypeInformation, createBillAudit, createPaymentInformation, createPaymentAttachment, createPaymentTypeInformation, createBillTransactionInformation, createBillTransactionTypeInformation, createNotificationAudit, createBankInformation, createBankAttachment, createAppCustomerConfig, clearTables } from '../controllers/testDataController.js';
+import logger from '../utils/logger.js';
+import { insertTestData, getTestDataList, createNewsAttachment, seedDemoData, clearTables } from '../controllers/testDataController.js';
 
 const router = express.Router();
 
+/**
+ * Test data router is enabled only with ENABLE_TEST_DATA=true
+ */
+function isTestDataEnabled() {
+  return process.env.ENABLE_TEST_DATA === 'true';
+}
+
+// Test data endpoints create / clear tables - disabled unless ENABLE_TEST_DATA=true (development only)
+router.use((req, res, next) => {
+  if (!isTestDataEnabled()) {
+    logger.warn(`Test data endpoint blocked (ENABLE_TEST_DATA is not set): ${req.method} ${req.originalUrl}`);
+    return res.status(404).json({
+      success: false,
+      error: 'Route not found',
+      path: req.originalUrl
+    });
+  }
+
+  next();
+});
+
 // router.post('/insert_data', insertTestData);
 router.get('/insert_data', insertTestData);
 router.get('/list_data', getTestDataList);
 router.get('/create_news_attachment', createNewsAttachment);
-router.get('/create_bill_attachment', createBillAttachment);
-router.get('/create_app_config', createAppConfig);
-router.get('/create_room_information', createRoomInformation);
-router.get('/create_member_information', createMemberInformation);
-router.get('/create_bill_information', createBillInformation);
-router.get('/create_bill_room_information', createBillRoomInformation);
-router.get('/create_bill_type_information', createBillTypeInformation);
-router.get('/create_bill_audit', createBillAudit);
-router.get('/create_payment_information', createPaymentInformation);
-router.get('/create_payment_attachment', createPaymentAttachment);
-router.get('/create_payment_type_information', createPaymentTypeInformation);
-router.get('/create_bill_transaction_information', createBillTransactionInformation);
-router.get('/create_bill_transaction_type_information', createBillTransactionTypeInformation);
-router.get('/create_notification_audit', createNotificationAudit);
-router.get('/create_bank_information', createBankInformation);
-router.get('/create_bank_attachment', createBankAttachment);
-router.get('/create_app_customer_config', createAppCustomerConfig);
+router.get('/seed_demo_tenant', seedDemoData);
 router.get('/clear_tables', clearTables);
 
 export default router;
\ No newline at end of file
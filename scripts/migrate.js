@@ -0,0 +1,74 @@
+/**
+ * Schema migrations CLI
+ *
+ * Usage:
+ *   npm run migrate                          apply all pending migrations
+ *   npm run migrate -- --to=0003             apply pending migrations up to version 0003
+ *   npm run migrate:rollback                 roll back the last batch
+ *   npm run migrate:rollback -- --steps=2    roll back the last 2 migrations
+ *   npm run migrate:status                   list applied / pending migrations
+ *
+ * New migration: add migrations/NNNN_description.js exporting async up(db) and down(db)
+ */
+import dotenv from 'dotenv';
+import { initDatabase, getDatabase } from '../config/database.js';
+import { migrate, rollback, getMigrationStatus } from '../utils/migrator.js';
+import logger from '../utils/logger.js';
+
+dotenv.config();
+
+function parseArgs(argv) {
+  const args = {};
+
+  for (const arg of argv) {
+    const match = /^--([a-z-]+)=(.*)$/.exec(arg);
+    if (match) {
+      args[match[1]] = match[2];
+    }
+  }
+
+  return args;
+}
+
+async function main() {
+  const command = process.argv[2] || 'up';
+  const args = parseArgs(process.argv.slice(3));
+
+  if (!['up', 'down', 'status'].includes(command)) {
+    logger.error(`Unknown command "${command}" (use up, down or status)`);
+    process.exit(1);
+  }
+
+  if (command === 'down' && process.env.NODE_ENV === 'production' && args.force !== 'true') {
+    logger.error('Refusing to roll back when NODE_ENV=production (use --force=true to override)');
+    process.exit(1);
+  }
+
+  await initDatabase();
+
+  try {
+    if (command === 'status') {
+      const status = await getMigrationStatus();
+      for (const migration of status) {
+        const state = migration.missing_file ? 'missing file' : migration.applied ? `applied (batch ${migration.batch}, ${migration.applied_date})` : 'pending';
+        console.log(`${migration.name.padEnd(50)} ${state}`);
+      }
+      console.log(`${status.filter(migration => !migration.applied).length} pending`);
+    } else if (command === 'down') {
+      const done = await rollback({ steps: args.steps || null });
+      console.log(done.length > 0 ? `Rolled back: ${done.join(', ')}` : 'Nothing to roll back');
+    } else {
+      const done = await migrate({ to: args.to || null });
+      console.log(done.length > 0 ? `Migrated: ${done.join(', ')}` : 'Nothing to migrate');
+    }
+  } finally {
+    await getDatabase().end();
+  }
+
+  process.exit(0);
+}
+
+main().catch(error => {
+  logger.error('Migration failed:', error);
+  process.exit(1);
+});
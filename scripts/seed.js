@@ -0,0 +1,63 @@
+/**
+ * Seed a deterministic demo tenant (QA environments)
+ *
+ * Usage:
+ *   npm run seed -- --seed=qa1 [--customer-id=demo-qa1] [--rooms=20] [--months=3] [--base-date=2025-01-01]
+ *
+ * Same arguments always produce the same data - existing rows of the demo customer are replaced
+ */
+import dotenv from 'dotenv';
+import { initDatabase, getDatabase } from '../config/database.js';
+import { seedDemoTenant } from '../controllers/testDataController.js';
+import { migrate } from '../utils/migrator.js';
+import logger from '../utils/logger.js';
+
+dotenv.config();
+
+function parseArgs(argv) {
+  const args = {};
+
+  for (const arg of argv) {
+    const match = /^--([a-z-]+)=(.*)$/.exec(arg);
+    if (match) {
+      args[match[1]] = match[2];
+    }
+  }
+
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (process.env.NODE_ENV === 'production' && args.force !== 'true') {
+    logger.error('Refusing to seed when NODE_ENV=production (use --force=true to override)');
+    process.exit(1);
+  }
+
+  await initDatabase();
+
+  try {
+    const migrated = await migrate();
+    logger.info(`Migrations applied: ${migrated.length}`);
+
+    const summary = await seedDemoTenant({
+      seed: args.seed || undefined,
+      customerId: args['customer-id'] || null,
+      rooms: args.rooms || undefined,
+      months: args.months || undefined,
+      baseDate: args['base-date'] || undefined
+    });
+
+    console.log(JSON.stringify(summary, null, 2));
+  } finally {
+    await getDatabase().end();
+  }
+
+  process.exit(0);
+}
+
+main().catch(error => {
+  logger.error('Seed failed:', error);
+  process.exit(1);
+});
@@ -5,6 +5,11 @@ import apiRoutes from './routes/index.js';
 import { globalErrorHandler, notFoundHandler } from './middleware/errorHandler.js';
 import { requestLogger, errorLogger } from './middleware/logger.js';
 import logger from './utils/logger.js';
+import { startIdempotencyCleanup } from './utils/idempotency.js';
+import { startRecycleBinCleanup } from './utils/recycleBin.js';
+import { startBillScheduler } from './utils/billScheduler.js';
+import { startPenaltyJob } from './utils/billPenalty.js';
+import { getPendingMigrations } from './utils/migrator.js';
 
 dotenv.config();
 
@@ -23,7 +28,7 @@ app.use('/uploads', express.static('uploads'));
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key, Idempotency-Key');
 
   if (req.method === 'OPTIONS') {
     res.sendStatus(200);
@@ -67,6 +72,20 @@ app.use(globalErrorHandler);
 async function startServer() {
   try {
     await initDatabase();
+    startIdempotencyCleanup();
+    startRecycleBinCleanup();
+    startBillScheduler();
+    startPenaltyJob();
+
+    // Schema ถูกสร้างด้วย npm run migrate เท่านั้น - แจ้งเตือนถ้ายังมี migration ค้าง
+    try {
+      const pending = await getPendingMigrations();
+      if (pending.length > 0) {
+        logger.warn(`${pending.length} pending migrations (run npm run migrate): ${pending.join(', ')}`);
+      }
+    } catch (error) {
+      logger.warn(`Could not check migration status: ${error.message}`);
+    }
 
     app.listen(PORT, '0.0.0.0', () => {
       const baseUrl = process.env.DOMAIN || `http://localhost:${PORT}`;
@@ -74,6 +93,10 @@ async function startServer() {
       logger.info(`Environment: ${process.env.NODE_ENV}`);
       logger.info(`Health check: ${baseUrl}/health`);
       logger.info(`API endpoint: ${baseUrl}/api/test`);
+
+      if (process.env.ENABLE_TEST_DATA === 'true') {
+        logger.warn('Test data endpoints (/api/test-data/*) are ENABLED - never set ENABLE_TEST_DATA on production');
+      }
     });
   } catch (error) {
     logger.error('Failed to start server:', error);
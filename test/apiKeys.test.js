@@ -0,0 +1,119 @@
+import { test, mock, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeDatabase, createResponse } from './helpers/fakeDatabase.js';
+
+const db = installFakeDatabase();
+const securityEvents = [];
+
+mock.module(new URL('../utils/securityLogger.js', import.meta.url).href, {
+  namedExports: {
+    logSecurityEvent: (event, req, details) => securityEvents.push({ event, details })
+  }
+});
+
+const { parseScopes, getScopePermissions, generateApiKey, hashApiKey, findActiveApiKey } = await import('../utils/apiKeys.js');
+const { authenticateApiKey } = await import('../middleware/auth.js');
+const { requirePermission } = await import('../middleware/permission.js');
+
+beforeEach(() => {
+  db.reset();
+  securityEvents.length = 0;
+});
+
+function keyRow(key, overrides = {}) {
+  return { id: 7, name: 'integration', customer_id: 'C1', key_hash: hashApiKey(key), scopes: '["bill:read"]', create_by: 42, ...overrides };
+}
+
+test('parseScopes accepts arrays, JSON and comma-separated strings', () => {
+  assert.deepEqual(parseScopes(['bill:read', ' bill:read ', '']), ['bill:read']);
+  assert.deepEqual(parseScopes('["bill:read","room:read"]'), ['bill:read', 'room:read']);
+  assert.deepEqual(parseScopes('bill:read, room:read'), ['bill:read', 'room:read']);
+  assert.deepEqual(parseScopes(''), []);
+  assert.deepEqual(parseScopes(null), []);
+});
+
+test('getScopePermissions maps known scopes only', () => {
+  assert.deepEqual(getScopePermissions(['bill:read', 'unknown:scope']), ['bill.view']);
+  assert.deepEqual(getScopePermissions([]), []);
+});
+
+test('generateApiKey returns a kc_ key whose hash is stored', () => {
+  const { key, prefix, hash } = generateApiKey();
+  assert.match(key, /^kc_[0-9a-f]{8}_[A-Za-z0-9_-]+$/);
+  assert.equal(key.split('_')[1], prefix);
+  assert.equal(hash, hashApiKey(key));
+});
+
+test('findActiveApiKey rejects malformed keys without querying', async () => {
+  assert.equal(await findActiveApiKey('not-a-key'), null);
+  assert.equal(await findActiveApiKey(''), null);
+  assert.equal(db.calls.length, 0);
+});
+
+test('findActiveApiKey rejects a key whose secret does not match the stored hash', async () => {
+  const { key, prefix } = generateApiKey();
+  db.on('FROM api_key_information', () => [keyRow(`kc_${prefix}_other-secret`)]);
+
+  assert.equal(await findActiveApiKey(key), null);
+  assert.equal(db.callsMatching('UPDATE api_key_information').length, 0);
+});
+
+test('findActiveApiKey returns the key with its scope permissions', async () => {
+  const { key, prefix } = generateApiKey();
+  db.on('FROM api_key_information', params => (params[0] === prefix ? [keyRow(key)] : []));
+
+  const apiKey = await findActiveApiKey(key, '10.0.0.1');
+  assert.equal(apiKey.id, 7);
+  assert.equal(apiKey.customer_id, 'C1');
+  assert.deepEqual(apiKey.permissions, ['bill.view']);
+
+  const [update] = db.callsMatching('UPDATE api_key_information');
+  assert.deepEqual(update.params, ['10.0.0.1', 7]);
+});
+
+test('authenticateApiKey answers 401 and logs invalid_api_key for an unknown key', async () => {
+  db.on('FROM api_key_information', () => []);
+  const { key } = generateApiKey();
+  const res = createResponse();
+  let nextCalled = false;
+
+  await authenticateApiKey({ headers: { 'x-api-key': key }, body: {}, query: {} }, res, () => {
+    nextCalled = true;
+  });
+
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.error, 'Invalid API key');
+  assert.equal(securityEvents[0].event, 'invalid_api_key');
+  assert.equal(securityEvents[0].details.key_prefix, key.substring(0, 11));
+});
+
+test('authenticateApiKey answers 401 without an X-API-Key header', async () => {
+  const res = createResponse();
+  await authenticateApiKey({ headers: {}, body: {}, query: {} }, res, () => {});
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.error, 'Missing API key');
+});
+
+test('an API key is limited to the permissions of its scopes', async () => {
+  const { key } = generateApiKey();
+  db.on('FROM api_key_information', () => [keyRow(key)]);
+
+  const req = { headers: { 'x-api-key': key }, body: {}, query: {}, method: 'POST', originalUrl: '/api/bill/create' };
+  await authenticateApiKey(req, createResponse(), () => {});
+  assert.equal(req.actor.type, 'api_key');
+
+  const res = createResponse();
+  let nextCalled = false;
+  await requirePermission('bill.create')(req, res, () => {
+    nextCalled = true;
+  });
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 403);
+  assert.deepEqual(res.body.required_permissions, ['bill.create']);
+
+  await requirePermission('bill.view')(req, createResponse(), () => {
+    nextCalled = true;
+  });
+  assert.equal(nextCalled, true);
+});
@@ -0,0 +1,91 @@
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import { installFakeDatabase, createResponse } from './helpers/fakeDatabase.js';
+
+const db = installFakeDatabase();
+const { authenticateJWT } = await import('../middleware/auth.js');
+
+const SECRET = 'portal-secret-for-tests';
+const VALUES = { userid: '42', userlevel: 'staff', username: 'staff42', userprimarykey: 'pk-42' };
+
+before(() => {
+  process.env.JWT_ALGORITHMS = 'HS256';
+  process.env.JWT_SECRET = SECRET;
+  delete process.env.JWT_JWKS_PATH;
+  delete process.env.BACKEND_JWT_SECRET;
+  delete process.env.ALLOW_PORTAL_TOKEN;
+});
+
+beforeEach(() => {
+  db.reset();
+});
+
+function portalToken(payload = { values: VALUES }, options = {}) {
+  return jwt.sign(payload, SECRET, { algorithm: 'HS256', expiresIn: 60, ...options });
+}
+
+async function authenticate(authorization) {
+  const req = { headers: authorization ? { authorization } : {}, body: {}, query: {} };
+  const res = createResponse();
+  let nextCalled = false;
+  await authenticateJWT(req, res, () => {
+    nextCalled = true;
+  });
+  return { req, res, nextCalled };
+}
+
+test('authenticateJWT attaches user and actor from a verified Portal token', async () => {
+  const { req, nextCalled } = await authenticate(`Bearer ${portalToken()}`);
+  assert.equal(nextCalled, true);
+  assert.equal(req.user.username, 'staff42');
+  assert.deepEqual(req.actor, { id: 42, username: 'staff42', userlevel: 'staff', type: 'portal_user' });
+});
+
+test('authenticateJWT requires a bearer token', async () => {
+  const { res, nextCalled } = await authenticate(null);
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 401);
+});
+
+test('authenticateJWT rejects a token with a forged signature', async () => {
+  const forged = jwt.sign({ values: VALUES }, 'attacker-secret', { algorithm: 'HS256' });
+  const { res, nextCalled } = await authenticate(`Bearer ${forged}`);
+  assert.equal(nextCalled, false);
+  assert.equal(res.body.error, 'Invalid token');
+});
+
+test('authenticateJWT rejects an unsigned token', async () => {
+  const unsigned = jwt.sign({ values: VALUES }, null, { algorithm: 'none' });
+  const { res } = await authenticate(`Bearer ${unsigned}`);
+  assert.equal(res.statusCode, 401);
+});
+
+test('authenticateJWT rejects a token with a kid that is not in the key set', async () => {
+  const { res } = await authenticate(`Bearer ${portalToken({ values: VALUES }, { keyid: 'rotated-out' })}`);
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.error, 'Invalid token');
+});
+
+test('authenticateJWT answers token expired for an expired token', async () => {
+  const expired = jwt.sign({ values: VALUES, exp: Math.floor(Date.now() / 1000) - 3600 }, SECRET, { algorithm: 'HS256' });
+  const { res } = await authenticate(`Bearer ${expired}`);
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.error, 'Token expired');
+});
+
+test('authenticateJWT rejects a token without the Portal values object', async () => {
+  const { res } = await authenticate(`Bearer ${portalToken({ sub: '42' })}`);
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.error, 'Invalid token');
+});
+
+test('authenticateJWT rejects Portal tokens when ALLOW_PORTAL_TOKEN is false', async () => {
+  process.env.ALLOW_PORTAL_TOKEN = 'false';
+  try {
+    const { res } = await authenticate(`Bearer ${portalToken()}`);
+    assert.equal(res.statusCode, 401);
+  } finally {
+    delete process.env.ALLOW_PORTAL_TOKEN;
+  }
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculatePenaltyCharges } from '../utils/billPenalty.js';
+import { BILL_PENALTY_STATUS } from '../utils/statusMachine.js';
+
+const TODAY = '2026-03-20';
+
+function rule(values = {}) {
+  return { grace_days: 5, fixed_fee: '0', monthly_rate: '0', daily_rate: '0', max_amount: null, ...values };
+}
+
+function state(values = {}) {
+  return { overdueDays: 10, outstanding: 1000, posted: [], today: TODAY, ...values };
+}
+
+test('calculatePenaltyCharges charges nothing within grace days', () => {
+  assert.deepEqual(calculatePenaltyCharges(rule({ fixed_fee: '100' }), state({ overdueDays: 5 })), []);
+});
+
+test('calculatePenaltyCharges posts the fixed fee once', () => {
+  const charges = calculatePenaltyCharges(rule({ fixed_fee: '100' }), state());
+  assert.deepEqual(charges, [{ penalty_type: 'fixed', period_key: 'fixed', overdue_days: 5, base_amount: 0, amount: 100 }]);
+
+  const posted = [{ penalty_type: 'fixed', period_key: 'fixed', overdue_days: 5, amount: '100.00', status: BILL_PENALTY_STATUS.CHARGED }];
+  assert.deepEqual(calculatePenaltyCharges(rule({ fixed_fee: '100' }), state({ posted })), []);
+});
+
+test('calculatePenaltyCharges posts monthly interest for every started 30 days', () => {
+  const charges = calculatePenaltyCharges(rule({ monthly_rate: '1.5' }), state({ overdueDays: 50 }));
+  assert.deepEqual(charges.map(charge => [charge.period_key, charge.overdue_days, charge.amount]), [['M1', 30, 15], ['M2', 45, 15]]);
+});
+
+test('calculatePenaltyCharges skips monthly interest without outstanding amount', () => {
+  assert.deepEqual(calculatePenaltyCharges(rule({ monthly_rate: '1.5' }), state({ outstanding: 0 })), []);
+});
+
+test('calculatePenaltyCharges posts daily interest for days since the last daily charge', () => {
+  const posted = [{ penalty_type: 'daily', period_key: '2026-03-17', overdue_days: 2, amount: '2.00', status: BILL_PENALTY_STATUS.WAIVED }];
+  const charges = calculatePenaltyCharges(rule({ daily_rate: '0.1' }), state({ posted }));
+  assert.deepEqual(charges, [{ penalty_type: 'daily', period_key: TODAY, overdue_days: 5, base_amount: 1000, amount: 3 }]);
+});
+
+test('calculatePenaltyCharges caps charges at max_amount less counted penalties', () => {
+  const posted = [{ penalty_type: 'monthly', period_key: 'M1', overdue_days: 30, amount: '80.00', status: BILL_PENALTY_STATUS.CHARGED }];
+  const charges = calculatePenaltyCharges(rule({ fixed_fee: '50', monthly_rate: '10', max_amount: '100' }), state({ overdueDays: 50, posted }));
+  assert.deepEqual(charges.map(charge => [charge.penalty_type, charge.amount]), [['fixed', 20]]);
+});
+
+test('calculatePenaltyCharges counts waived penalties toward max_amount', () => {
+  const posted = [{ penalty_type: 'fixed', period_key: 'fixed', overdue_days: 5, amount: '100.00', status: BILL_PENALTY_STATUS.WAIVED }];
+  assert.deepEqual(calculatePenaltyCharges(rule({ fixed_fee: '100', monthly_rate: '10', max_amount: '100' }), state({ posted })), []);
+});
+
+test('calculatePenaltyCharges does not count deleted penalties toward max_amount', () => {
+  const posted = [{ penalty_type: 'monthly', period_key: 'M9', overdue_days: 30, amount: '100.00', status: BILL_PENALTY_STATUS.DELETED }];
+  const charges = calculatePenaltyCharges(rule({ fixed_fee: '40', max_amount: '100' }), state({ posted }));
+  assert.deepEqual(charges.map(charge => charge.amount), [40]);
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { allocatePayment, sortItemsByPriority } from '../utils/billRoomItem.js';
+
+const items = [
+  { id: 1, item_no: 1, bill_type_id: 3, total_amount: '500.00' },
+  { id: 2, item_no: 2, bill_type_id: 1, total_amount: '300.00' },
+  { id: 3, item_no: 3, bill_type_id: null, total_amount: '200.00' },
+  { id: 4, item_no: 4, bill_type_id: 2, total_amount: '100.00' }
+];
+
+test('sortItemsByPriority puts listed bill types first, in priority order', () => {
+  const sorted = sortItemsByPriority(items, [2, 1]);
+  assert.deepEqual(sorted.map(item => item.id), [4, 2, 1, 3]);
+});
+
+test('sortItemsByPriority keeps item_no order without priority', () => {
+  const shuffled = [items[2], items[0], items[3], items[1]];
+  assert.deepEqual(sortItemsByPriority(shuffled, []).map(item => item.id), [1, 2, 3, 4]);
+});
+
+test('sortItemsByPriority does not change the input array', () => {
+  const input = [...items];
+  sortItemsByPriority(input, [2]);
+  assert.deepEqual(input.map(item => item.id), [1, 2, 3, 4]);
+});
+
+test('allocatePayment pays items fully in priority order, then partly', () => {
+  assert.deepEqual(allocatePayment(items, 450, [2, 1]), [
+    { id: 4, paid_amount: 100 },
+    { id: 2, paid_amount: 300 },
+    { id: 1, paid_amount: 50 },
+    { id: 3, paid_amount: 0 }
+  ]);
+});
+
+test('allocatePayment leaves amount above the items total unallocated (penalties)', () => {
+  const allocation = allocatePayment(items, 1250, []);
+  assert.deepEqual(allocation.map(item => item.paid_amount), [500, 300, 200, 100]);
+});
+
+test('allocatePayment allocates nothing without payments', () => {
+  assert.deepEqual(allocatePayment(items, 0, []).map(item => item.paid_amount), [0, 0, 0, 0]);
+});
+
+test('allocatePayment rounds to satang', () => {
+  const allocation = allocatePayment([
+    { id: 1, item_no: 1, bill_type_id: 1, total_amount: '100.10' },
+    { id: 2, item_no: 2, bill_type_id: 1, total_amount: '50.05' }
+  ], 120.3, []);
+  assert.deepEqual(allocation, [{ id: 1, paid_amount: 100.1 }, { id: 2, paid_amount: 20.2 }]);
+});
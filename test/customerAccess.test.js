@@ -0,0 +1,127 @@
+import { test, mock, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeDatabase, createResponse } from './helpers/fakeDatabase.js';
+
+const db = installFakeDatabase();
+const securityEvents = [];
+let allowedCustomers = [];
+
+mock.module(new URL('../utils/securityLogger.js', import.meta.url).href, {
+  namedExports: {
+    logSecurityEvent: (event, req, details) => securityEvents.push({ event, details })
+  }
+});
+mock.module(new URL('../utils/allowedSites.js', import.meta.url).href, {
+  namedExports: {
+    async getAllowedCustomers() {
+      if (allowedCustomers instanceof Error) {
+        throw allowedCustomers;
+      }
+      return allowedCustomers;
+    },
+    clearAllowedSitesCache: () => {}
+  }
+});
+
+const { verifyCustomerAccess } = await import('../middleware/auth.js');
+const { getBankDetail, updateBank, deleteBank } = await import('../controllers/bankController.js');
+
+beforeEach(() => {
+  db.reset();
+  securityEvents.length = 0;
+  allowedCustomers = [{ customer_id: 'site-a' }];
+});
+
+function request(values = {}) {
+  return {
+    user: { userid: 10, username: 'staff1', userlevel: 'staff' },
+    actor: { id: 10 },
+    query: {},
+    body: {},
+    params: {},
+    method: 'GET',
+    originalUrl: '/api/bank/list',
+    ...values
+  };
+}
+
+async function runMiddleware(req) {
+  const res = createResponse();
+  let nextCalled = false;
+  await verifyCustomerAccess(req, res, () => {
+    nextCalled = true;
+  });
+  return { res, nextCalled };
+}
+
+test('verifyCustomerAccess accepts an allowed site and sets req.customer_id', async () => {
+  const req = request({ query: { customer_id: 'site-a' } });
+  const { nextCalled } = await runMiddleware(req);
+  assert.equal(nextCalled, true);
+  assert.equal(req.customer_id, 'site-a');
+});
+
+test('verifyCustomerAccess rejects a site outside the allowed sites and logs it', async () => {
+  const { res, nextCalled } = await runMiddleware(request({ query: { customer_id: 'site-b' } }));
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 403);
+  assert.deepEqual(securityEvents.map(entry => entry.event), ['cross_tenant_access']);
+  assert.deepEqual(securityEvents[0].details.allowed_customer_ids, ['site-a']);
+});
+
+test('verifyCustomerAccess rejects different customer_id in query and body', async () => {
+  const { res, nextCalled } = await runMiddleware(request({ query: { customer_id: 'site-a' }, body: { customer_id: 'site-b' } }));
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 403);
+  assert.deepEqual(securityEvents.map(entry => entry.event), ['customer_id_mismatch']);
+});
+
+test('verifyCustomerAccess requires customer_id', async () => {
+  const { res, nextCalled } = await runMiddleware(request());
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 400);
+});
+
+test('verifyCustomerAccess answers 503 when allowed sites cannot be loaded', async () => {
+  allowedCustomers = new Error('Portal unavailable');
+  const { res, nextCalled } = await runMiddleware(request({ query: { customer_id: 'site-a' } }));
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 503);
+});
+
+test('verifyCustomerAccess keeps an API key on its own customer', async () => {
+  const apiKey = { id: 3, customer_id: 'site-a' };
+  assert.equal((await runMiddleware(request({ apiKey, query: { customer_id: 'site-a' } }))).nextCalled, true);
+
+  const { res } = await runMiddleware(request({ apiKey, query: { customer_id: 'site-b' } }));
+  assert.equal(res.statusCode, 403);
+  assert.deepEqual(securityEvents.map(entry => entry.event), ['cross_tenant_access']);
+});
+
+// bank_information ของ site-b (id 7) - ผู้ใช้ site-a ส่ง id มาเองไม่ได้
+function installBankRows() {
+  db.on(/FROM bank_information\s+WHERE id = \? AND customer_id = \?/, ([id, customerId]) =>
+    id === 7 && customerId === 'site-b' ? [{ id: 7, upload_key: 'key-b', customer_id: 'site-b' }] : []
+  );
+}
+
+test('getBankDetail does not return a bank of another customer', async () => {
+  installBankRows();
+  const res = createResponse();
+  await getBankDetail(request({ customer_id: 'site-a', params: { id: '7' } }), res);
+  assert.equal(res.statusCode, 404);
+});
+
+test('updateBank and deleteBank do not touch a bank of another customer', async () => {
+  installBankRows();
+
+  const updateRes = createResponse();
+  await updateBank(request({ customer_id: 'site-a', body: { id: 7, bank_account: 'x' } }), updateRes);
+  assert.equal(updateRes.statusCode, 404);
+
+  const deleteRes = createResponse();
+  await deleteBank(request({ customer_id: 'site-a', body: { id: 7 } }), deleteRes);
+  assert.equal(deleteRes.statusCode, 404);
+
+  assert.equal(db.callsMatching(/^\s*UPDATE bank_information/).length, 0);
+});
@@ -0,0 +1,76 @@
+import { test, mock, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeDatabase } from './helpers/fakeDatabase.js';
+
+const db = installFakeDatabase();
+const { generateDocumentNumbers, previewDocumentNumber, validateNumberingPattern } = await import('../utils/documentNumber.js');
+
+const DATE = new Date(2026, 9, 19);
+let counters;
+let settings;
+
+/**
+ * document_sequence / document_numbering_config in memory
+ */
+function installTables() {
+  db.on('FROM document_numbering_config', (params) => (settings[params[1]] ? [settings[params[1]]] : []));
+  db.on(/SELECT (id, period_key, )?last_number FROM document_sequence/, ([customerId, documentType, ...periodKeys]) =>
+    counters.filter(row => row.customer_id === customerId && row.document_type === documentType && periodKeys.includes(row.period_key))
+  );
+  db.on('INSERT IGNORE INTO document_sequence', ([customerId, documentType, periodKey, lastNumber]) => {
+    counters.push({ id: counters.length + 1, customer_id: customerId, document_type: documentType, period_key: periodKey, last_number: lastNumber });
+    return { affectedRows: 1 };
+  });
+  db.on('UPDATE document_sequence', ([lastNumber, id]) => {
+    counters.find(row => row.id === id).last_number = lastNumber;
+    return { affectedRows: 1 };
+  });
+}
+
+beforeEach(() => {
+  db.reset();
+  counters = [];
+  settings = {};
+  installTables();
+});
+
+test('generateDocumentNumbers continues the counter of the period', async () => {
+  assert.deepEqual(await generateDocumentNumbers('receipt', 'C1', { count: 2, date: DATE }), ['RC-202610-00001', 'RC-202610-00002']);
+  assert.deepEqual(await generateDocumentNumbers('receipt', 'C1', { date: DATE }), ['RC-202610-00003']);
+  assert.deepEqual(await generateDocumentNumbers('receipt', 'C2', { date: DATE }), ['RC-202610-00001']);
+});
+
+test('changing reset_policy monthly to yearly does not reissue numbers of the month', async () => {
+  await generateDocumentNumbers('receipt', 'C1', { count: 3, date: DATE });
+
+  settings.receipt = { pattern: 'RC-{YYYY}{MM}-{SEQ:5}', reset_policy: 'yearly' };
+  mock.timers.enable({ apis: ['Date'], now: DATE });
+  try {
+    assert.equal(await previewDocumentNumber('receipt', 'C1'), 'RC-202610-00004');
+  } finally {
+    mock.timers.reset();
+  }
+  assert.deepEqual(await generateDocumentNumbers('receipt', 'C1', { date: DATE }), ['RC-202610-00004']);
+  assert.deepEqual(counters.map(row => [row.period_key, row.last_number]), [['2026-10', 3], ['2026', 4]]);
+});
+
+test('changing reset_policy yearly to never and back does not reissue numbers', async () => {
+  await generateDocumentNumbers('credit_note', 'C1', { count: 5, date: DATE });
+
+  settings.credit_note = { pattern: 'CN-{YYYY}-{SEQ:5}', reset_policy: 'never' };
+  assert.deepEqual(await generateDocumentNumbers('credit_note', 'C1', { count: 2, date: DATE }), ['CN-2026-00006', 'CN-2026-00007']);
+
+  settings.credit_note = { pattern: 'CN-{YYYY}-{SEQ:5}', reset_policy: 'yearly' };
+  assert.deepEqual(await generateDocumentNumbers('credit_note', 'C1', { date: DATE }), ['CN-2026-00008']);
+});
+
+test('the first counter of a bill period continues from legacy bill numbers', async () => {
+  db.on('FROM bill_information', () => [{ document_no: 'BILL-2026-1019-041' }]);
+  assert.deepEqual(await generateDocumentNumbers('bill', 'C1', { date: DATE }), ['BILL-2026-1019-042']);
+});
+
+test('validateNumberingPattern requires the date tokens of the reset period', () => {
+  assert.equal(validateNumberingPattern('RC-{YYYY}{MM}-{SEQ:5}', 'monthly'), null);
+  assert.match(validateNumberingPattern('RC-{YYYY}-{SEQ:5}', 'monthly'), /pattern ต้องมีวันที่/);
+  assert.match(validateNumberingPattern('RC-{YYYY}{MM}', 'monthly'), /\{SEQ\}/);
+});
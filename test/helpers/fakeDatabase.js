@@ -0,0 +1,114 @@
+import { mock } from 'node:test';
+
+/**
+ * In-memory stand-in for config/database.js (tests run without MySQL)
+ * Queries are answered by the first handler whose pattern matches the SQL, every call is recorded
+ * handler - [RegExp | string, (params, sql) => rows | result | Error]
+ * Must be installed before the module under test is imported (dynamic import)
+ *
+ * Example:
+ * const db = installFakeDatabase();
+ * const { getRolePermissions } = await import('../utils/permissions.js');
+ * db.on(/FROM permission_override/, () => [{ role: 'clerk', permission: 'bill.create', is_allowed: 0 }]);
+ */
+export function installFakeDatabase() {
+  const db = {
+    handlers: [],
+    calls: [],
+    committed: 0,
+    rolledBack: 0,
+    on(pattern, handler) {
+      db.handlers.push([pattern, handler]);
+      return db;
+    },
+    reset() {
+      db.handlers = [];
+      db.calls = [];
+      db.committed = 0;
+      db.rolledBack = 0;
+    },
+    callsMatching(pattern) {
+      return db.calls.filter(call => matches(pattern, call.sql));
+    },
+    async execute(sql, params = []) {
+      db.calls.push({ sql, params });
+      const entry = db.handlers.find(([pattern]) => matches(pattern, sql));
+      const result = entry ? await entry[1](params, sql) : [];
+
+      if (result instanceof Error) {
+        throw result;
+      }
+
+      return [result, []];
+    },
+    query(sql, params = []) {
+      return db.execute(sql, params);
+    },
+    async getConnection() {
+      return connection;
+    }
+  };
+
+  const connection = {
+    execute: (...args) => db.execute(...args),
+    query: (...args) => db.query(...args),
+    async beginTransaction() {},
+    async commit() {
+      db.committed++;
+    },
+    async rollback() {
+      db.rolledBack++;
+    },
+    release() {}
+  };
+
+  mock.module(new URL('../../config/database.js', import.meta.url).href, {
+    namedExports: {
+      initDatabase: async () => db,
+      getDatabase: () => db,
+      async withTransaction(callback) {
+        try {
+          const result = await callback(connection);
+          await connection.commit();
+          return result;
+        } catch (error) {
+          await connection.rollback();
+          throw error;
+        }
+      }
+    }
+  });
+
+  return db;
+}
+
+/**
+ * Minimal Express response double
+ * @returns {Object} res with statusCode / body after the handler ran
+ */
+export function createResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    headers: {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    set(name, value) {
+      this.setHeader(name, value);
+      return this;
+    }
+  };
+}
+
+function matches(pattern, sql) {
+  return pattern instanceof RegExp ? pattern.test(sql) : sql.includes(pattern);
+}
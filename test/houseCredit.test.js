@@ -0,0 +1,102 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeDatabase, createResponse } from './helpers/fakeDatabase.js';
+
+const db = installFakeDatabase();
+const { reverseBillRoomCredit } = await import('../utils/houseCredit.js');
+const { deleteBill, cancelSendBill } = await import('../controllers/billController.js');
+const { BILL_STATUS, BILL_ROOM_STATUS } = await import('../utils/statusMachine.js');
+
+let billRoom;
+let netMovement;
+let paidAfterVoid;
+let creditUpdateError;
+
+beforeEach(() => {
+  db.reset();
+  billRoom = { id: 10, house_no: 'A1', customer_id: 'C1', total_price: '1000.00', status: BILL_ROOM_STATUS.PAID };
+  netMovement = '-600.00';
+  paidAfterVoid = '400.00';
+  creditUpdateError = null;
+
+  db.on('FROM bill_room_information WHERE id = ? FOR UPDATE', () => [billRoom]);
+  db.on(/SUM\(amount\), 0\) as net_amount FROM house_credit_movement/, () => [{ net_amount: netMovement }]);
+  db.on('UPDATE house_credit SET balance', () => creditUpdateError || { affectedRows: 1 });
+  db.on('SELECT id, balance FROM house_credit', () => [{ id: 3, balance: '50.00' }]);
+  db.on(/SELECT bt.id FROM bill_transaction_information bt\s+INNER JOIN house_credit_movement/, () => [{ id: 77 }]);
+  db.on('SUM(transaction_amount)', () => [{ total_paid: paidAfterVoid }]);
+  db.on('FROM bill_penalty', () => [{ total: 0 }]);
+  db.on('SELECT DISTINCT hm.bill_room_id', () => [{ bill_room_id: 10 }]);
+  db.on('FROM bill_information WHERE id = ? AND customer_id = ? AND status != 2', () => [{ status: BILL_STATUS.SENT, customer_id: 'C1' }]);
+  db.on('UPDATE bill_information', () => ({ affectedRows: 1 }));
+});
+
+function billRoomStatusUpdate() {
+  const update = db.callsMatching('UPDATE bill_room_information').at(-1);
+  return update?.params[0];
+}
+
+test('reverseBillRoomCredit gives back applied credit and voids the credit transactions', async () => {
+  const amount = await reverseBillRoomCredit(db, 10, { actorId: 42, reason: 'ลบบิล' });
+
+  assert.equal(amount, 600);
+  assert.deepEqual(db.callsMatching('UPDATE bill_transaction_information SET status = 2')[0].params, [42, 77]);
+  assert.deepEqual(db.callsMatching('UPDATE house_credit SET balance')[0].params, [650, 42, 3]);
+
+  const [movement] = db.callsMatching('INSERT INTO house_credit_movement');
+  assert.deepEqual(movement.params.slice(3, 6), ['reverse', 600, 650]);
+  assert.equal(billRoomStatusUpdate(), BILL_ROOM_STATUS.PARTIAL);
+});
+
+test('reverseBillRoomCredit returns a bill room paid only by credit to unpaid', async () => {
+  paidAfterVoid = '0.00';
+  await reverseBillRoomCredit(db, 10, { actorId: 42, reason: 'ลบบิล' });
+  assert.equal(billRoomStatusUpdate(), BILL_ROOM_STATUS.UNPAID);
+});
+
+test('reverseBillRoomCredit keeps a bill room awaiting review', async () => {
+  billRoom.status = BILL_ROOM_STATUS.AWAITING_REVIEW;
+  assert.equal(await reverseBillRoomCredit(db, 10, { actorId: 42, reason: 'ลบบิล' }), 600);
+  assert.equal(billRoomStatusUpdate(), undefined);
+});
+
+test('reverseBillRoomCredit does nothing when the credit was already given back', async () => {
+  netMovement = '0.00';
+  assert.equal(await reverseBillRoomCredit(db, 10, { actorId: 42, reason: 'ลบบิล' }), 0);
+  assert.equal(db.callsMatching('UPDATE house_credit').length, 0);
+  assert.equal(db.callsMatching('UPDATE bill_transaction_information').length, 0);
+});
+
+function request() {
+  return { body: { id: 5 }, customer_id: 'C1', actor: { id: 42 }, user: { userid: 42 }, headers: {} };
+}
+
+test('deleteBill gives back house credit in the same transaction', async () => {
+  const res = createResponse();
+  await deleteBill(request(), res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.data.credit_reversed, 600);
+  assert.equal(db.committed, 1);
+  assert.equal(db.callsMatching('INSERT INTO house_credit_movement').length, 1);
+});
+
+test('cancelSendBill gives back house credit in the same transaction', async () => {
+  const res = createResponse();
+  await cancelSendBill(request(), res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.data.credit_reversed, 600);
+  assert.equal(db.committed, 1);
+});
+
+test('deleteBill rolls back when the credit cannot be given back', async () => {
+  creditUpdateError = new Error('Lock wait timeout exceeded');
+
+  const res = createResponse();
+  await deleteBill(request(), res);
+
+  assert.equal(res.statusCode, 500);
+  assert.equal(db.rolledBack, 1);
+  assert.equal(db.committed, 0);
+});
@@ -0,0 +1,72 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import jwt from 'jsonwebtoken';
+import { verifyPortalToken } from '../utils/jwtVerifier.js';
+
+const SECRET = 'shared-secret-for-tests';
+const JWKS_SECRET = Buffer.from('jwks-secret-for-tests');
+let tmpDir;
+let jwksPath;
+
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwks-'));
+  jwksPath = path.join(tmpDir, 'jwks.json');
+  fs.writeFileSync(jwksPath, JSON.stringify({
+    keys: [{ kty: 'oct', kid: 'k1', alg: 'HS256', k: JWKS_SECRET.toString('base64url') }]
+  }));
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  process.env.JWT_ALGORITHMS = 'HS256';
+  process.env.JWT_SECRET = SECRET;
+  process.env.JWT_JWKS_PATH = jwksPath;
+  delete process.env.JWT_ISSUER;
+  delete process.env.JWT_AUDIENCE;
+});
+
+function sign(key, options = {}) {
+  return jwt.sign({ sid: 'session-1' }, key, { algorithm: 'HS256', expiresIn: 60, ...options });
+}
+
+test('verifyPortalToken accepts a token without kid signed with JWT_SECRET', () => {
+  assert.equal(verifyPortalToken(sign(SECRET)).sid, 'session-1');
+});
+
+test('verifyPortalToken accepts a token signed with the JWKS key of its kid', () => {
+  assert.equal(verifyPortalToken(sign(JWKS_SECRET, { keyid: 'k1' })).sid, 'session-1');
+});
+
+test('verifyPortalToken rejects an unknown kid instead of falling back to JWT_SECRET', () => {
+  assert.throws(() => verifyPortalToken(sign(SECRET, { keyid: 'revoked' })), /no verification key found for kid: revoked/);
+});
+
+test('verifyPortalToken does not try JWT_SECRET for a known kid', () => {
+  assert.throws(() => verifyPortalToken(sign(SECRET, { keyid: 'k1' })), /invalid signature/);
+});
+
+test('verifyPortalToken rejects algorithms that are not allowed', () => {
+  const token = jwt.sign({ sid: 'session-1' }, SECRET, { algorithm: 'HS512' });
+  assert.throws(() => verifyPortalToken(token), /jwt algorithm not allowed: HS512/);
+});
+
+test('verifyPortalToken rejects a token with a wrong signature', () => {
+  assert.throws(() => verifyPortalToken(sign('another-secret')), /invalid signature/);
+});
+
+test('verifyPortalToken rejects an expired token', () => {
+  const token = jwt.sign({ sid: 'session-1', exp: Math.floor(Date.now() / 1000) - 3600 }, SECRET, { algorithm: 'HS256' });
+  assert.throws(() => verifyPortalToken(token), jwt.TokenExpiredError);
+});
+
+test('verifyPortalToken checks the issuer when JWT_ISSUER is set', () => {
+  process.env.JWT_ISSUER = 'portal';
+  assert.throws(() => verifyPortalToken(sign(SECRET, { issuer: 'someone-else' })), /jwt issuer invalid/);
+  assert.equal(verifyPortalToken(sign(SECRET, { issuer: 'portal' })).sid, 'session-1');
+});
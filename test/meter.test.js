@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateConsumption } from '../utils/meter.js';
+
+test('calculateConsumption multiplies the difference of readings', () => {
+  assert.deepEqual(calculateConsumption({ multiplier: '2', max_reading: null }, 100, 130.5), { consumption: 61, anomaly: null });
+});
+
+test('calculateConsumption uses multiplier 1 when it is not set', () => {
+  assert.deepEqual(calculateConsumption({ multiplier: null, max_reading: null }, 10, 10), { consumption: 0, anomaly: null });
+});
+
+test('calculateConsumption rolls over past max_reading', () => {
+  assert.deepEqual(calculateConsumption({ multiplier: '1', max_reading: '9999' }, 9990, 5), { consumption: 15, anomaly: 'rollover' });
+});
+
+test('calculateConsumption flags negative consumption without rollover', () => {
+  assert.deepEqual(calculateConsumption({ multiplier: '1', max_reading: null }, 120, 100), { consumption: -20, anomaly: 'negative' });
+});
+
+test('calculateConsumption flags negative when previous reading is above max_reading', () => {
+  assert.equal(calculateConsumption({ multiplier: '1', max_reading: '999' }, 1200, 100).anomaly, 'negative');
+});
@@ -0,0 +1,57 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeDatabase } from './helpers/fakeDatabase.js';
+
+const db = installFakeDatabase();
+const { releaseBillReadings, getReleasedBillReadings, reclaimBillReadings } = await import('../utils/meter.js');
+const { METER_READING_STATUS } = await import('../utils/statusMachine.js');
+
+const BILL = { id: 5, customer_id: 'C1' };
+let releasedReadings;
+
+beforeEach(() => {
+  db.reset();
+  releasedReadings = [
+    { id: 11, status: METER_READING_STATUS.CONFIRMED, bill_id: 5 },
+    { id: 12, status: METER_READING_STATUS.CONFIRMED, bill_id: 5 }
+  ];
+  db.on('FROM meter_reading_release rr', () => releasedReadings);
+});
+
+test('releaseBillReadings records which bill released each reading', async () => {
+  db.on('FROM meter_reading WHERE bill_id = ? AND status = ?', () => [
+    { id: 11, status: METER_READING_STATUS.BILLED },
+    { id: 12, status: METER_READING_STATUS.BILLED }
+  ]);
+
+  assert.equal(await releaseBillReadings(db, 5, { actorId: 42, customerId: 'C1' }), 2);
+  assert.deepEqual(db.callsMatching('INSERT IGNORE INTO meter_reading_release').map(call => call.params), [[5, 11, 'C1', 42], [5, 12, 'C1', 42]]);
+});
+
+test('getReleasedBillReadings reads the release link, not the transition log text', async () => {
+  const { readings } = await getReleasedBillReadings(db, BILL);
+
+  assert.deepEqual(readings.map(reading => reading.id), [11, 12]);
+  assert.deepEqual(db.callsMatching('FROM meter_reading_release')[0].params, [5, 'C1']);
+  assert.equal(db.callsMatching('status_transition_log').length, 0);
+});
+
+test('getReleasedBillReadings refuses restore once a reading was billed again, corrected or removed', async () => {
+  for (const changed of [
+    { id: 12, status: METER_READING_STATUS.CONFIRMED, bill_id: 6 },
+    { id: 12, status: METER_READING_STATUS.PENDING_REVIEW, bill_id: null },
+    { id: 12, status: null, bill_id: null }
+  ]) {
+    releasedReadings[1] = changed;
+    const { error } = await getReleasedBillReadings(db, BILL);
+    assert.match(error, /ไม่สามารถกู้คืนได้/);
+  }
+});
+
+test('reclaimBillReadings bills the readings again and clears the release link', async () => {
+  const { claimed } = await reclaimBillReadings(db, BILL, { actorId: 42 });
+
+  assert.equal(claimed, 2);
+  assert.deepEqual(db.callsMatching('UPDATE meter_reading SET status').map(call => call.params[0]), [METER_READING_STATUS.BILLED, METER_READING_STATUS.BILLED]);
+  assert.deepEqual(db.callsMatching('DELETE FROM meter_reading_release')[0].params, [5]);
+});
@@ -0,0 +1,47 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeDatabase, createResponse } from './helpers/fakeDatabase.js';
+
+const db = installFakeDatabase();
+const { updatePayment } = await import('../controllers/paymentController.js');
+const { BILL_ROOM_STATUS, PAYMENT_STATUS } = await import('../utils/statusMachine.js');
+
+beforeEach(() => {
+  db.reset();
+  db.on(/FROM payment_information\s+WHERE id = \? AND customer_id = \?/, () => [
+    { id: 5, status: PAYMENT_STATUS.PENDING, payable_type: 'bill_room_information', payable_id: 10, payment_amount: '500.00', customer_id: 'C1' }
+  ]);
+  db.on('UPDATE payment_information', () => ({ affectedRows: 1 }));
+  db.on('SELECT id, status FROM bill_room_information', () => [{ id: 10, status: BILL_ROOM_STATUS.AWAITING_REVIEW }]);
+});
+
+async function reject() {
+  const req = { body: { ids: [5], status: PAYMENT_STATUS.REJECTED, remark: 'สลิปไม่ชัด' }, customer_id: 'C1', actor: { id: 42 }, user: { userid: 42 }, headers: {} };
+  const res = createResponse();
+  await updatePayment(req, res);
+  return res;
+}
+
+function billRoomStatusUpdate() {
+  const [update] = db.callsMatching('UPDATE bill_room_information');
+  return update.params[0];
+}
+
+test('rejecting the only payment of a bill room returns it to unpaid', async () => {
+  db.on('SUM(transaction_amount)', () => [{ total_paid: '0.00' }]);
+
+  const res = await reject();
+  assert.equal(res.body.data.success_count, 1);
+  assert.equal(billRoomStatusUpdate(), BILL_ROOM_STATUS.UNPAID);
+});
+
+test('rejecting a payment of a partly paid bill room returns it to partial', async () => {
+  db.on('SUM(transaction_amount)', () => [{ total_paid: '300.00' }]);
+
+  const res = await reject();
+  assert.equal(res.body.data.success_count, 1);
+  assert.equal(billRoomStatusUpdate(), BILL_ROOM_STATUS.PARTIAL);
+
+  const log = db.callsMatching('INSERT INTO status_transition_log').find(call => call.params[0] === 'bill_room');
+  assert.deepEqual(log.params.slice(0, 4), ['bill_room', 10, BILL_ROOM_STATUS.AWAITING_REVIEW, BILL_ROOM_STATUS.PARTIAL]);
+});
@@ -0,0 +1,99 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeDatabase, createResponse } from './helpers/fakeDatabase.js';
+
+const db = installFakeDatabase();
+const { getRolePermissions, getRoleByUserLevel, clearPermissionCache } = await import('../utils/permissions.js');
+const { requirePermission } = await import('../middleware/permission.js');
+
+const CUSTOMER_ID = 'site-a';
+
+beforeEach(() => {
+  db.reset();
+  clearPermissionCache(CUSTOMER_ID);
+  delete process.env.PORTAL_USERLEVEL_ROLES;
+});
+
+function request(values = {}) {
+  return {
+    user: { userid: 10, username: 'clerk1', userlevel: 'staff' },
+    actor: { id: 10 },
+    customer_id: CUSTOMER_ID,
+    query: {},
+    body: {},
+    method: 'POST',
+    originalUrl: '/api/bill/insert',
+    ...values
+  };
+}
+
+async function runGuard(guard, req) {
+  const res = createResponse();
+  let nextCalled = false;
+  await guard(req, res, () => {
+    nextCalled = true;
+  });
+  return { res, nextCalled };
+}
+
+test('getRoleByUserLevel maps Portal userlevels and falls back to viewer', () => {
+  assert.equal(getRoleByUserLevel('Admin'), 'admin');
+  assert.equal(getRoleByUserLevel('staff'), 'clerk');
+  assert.equal(getRoleByUserLevel('unknown-level'), 'viewer');
+  assert.equal(getRoleByUserLevel(null), 'viewer');
+});
+
+test('getRolePermissions applies per-customer overrides of the role', async () => {
+  db.on('permission_override_information', () => [
+    { role: 'clerk', permission: 'bill.create', is_allowed: 0 },
+    { role: 'clerk', permission: 'bill.send', is_allowed: 1 },
+    { role: 'manager', permission: 'bill.view', is_allowed: 0 }
+  ]);
+
+  const permissions = await getRolePermissions('clerk', CUSTOMER_ID);
+  assert.ok(!permissions.includes('bill.create'));
+  assert.ok(permissions.includes('bill.send'));
+  assert.ok(permissions.includes('bill.view'));
+});
+
+test('getRolePermissions ignores overrides for admin', async () => {
+  db.on('permission_override_information', () => [{ role: 'admin', permission: 'permission.manage', is_allowed: 0 }]);
+  assert.ok((await getRolePermissions('admin', CUSTOMER_ID)).includes('permission.manage'));
+});
+
+test('getRolePermissions fails closed when overrides cannot be read', async () => {
+  db.on('permission_override_information', () => new Error('connection lost'));
+  await assert.rejects(getRolePermissions('clerk', CUSTOMER_ID), /connection lost/);
+});
+
+test('requirePermission lets a role with the permission through', async () => {
+  const { res, nextCalled } = await runGuard(requirePermission('bill.create'), request());
+  assert.equal(nextCalled, true);
+  assert.equal(res.body, null);
+});
+
+test('requirePermission answers 403 with the missing permissions', async () => {
+  const { res, nextCalled } = await runGuard(requirePermission('bill.delete'), request());
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 403);
+  assert.deepEqual(res.body.required_permissions, ['bill.delete']);
+});
+
+test('requirePermission answers 503 when overrides cannot be read', async () => {
+  db.on('permission_override_information', () => new Error('connection lost'));
+  const { res, nextCalled } = await runGuard(requirePermission('bill.create'), request());
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 503);
+});
+
+test('requirePermission rejects a body customer_id other than the verified one', async () => {
+  const { res, nextCalled } = await runGuard(requirePermission('bill.create'), request({ body: { customer_id: 'site-b' } }));
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 403);
+});
+
+test('requirePermission uses the scopes of an API key instead of a role', async () => {
+  const req = request({ apiKey: { permissions: ['bill.view'] } });
+  assert.equal((await runGuard(requirePermission('bill.view'), req)).nextCalled, true);
+  assert.equal((await runGuard(requirePermission('bill.create'), req)).res.statusCode, 403);
+});
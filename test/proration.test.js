@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateProration } from '../utils/proration.js';
+
+const daily = { method: 'daily', include_move_in_day: 1 };
+const halfMonth = { method: 'half_month', include_move_in_day: 1 };
+
+test('calculateProration charges the full month when the move-in date is in another period', () => {
+  assert.equal(calculateProration('2026-03', '2026-02-20', daily), null);
+});
+
+test('calculateProration charges the full month when moved in on the 1st', () => {
+  assert.equal(calculateProration('2026-03', '2026-03-01 09:00:00', daily), null);
+});
+
+test('calculateProration daily counts days from the move-in date to the end of the month', () => {
+  const proration = calculateProration('2026-03', '2026-03-16', daily);
+  assert.equal(proration.days, 16);
+  assert.equal(proration.total_days, 31);
+  assert.equal(proration.ratio, 16 / 31);
+  assert.equal(proration.label, '16/31 วัน');
+});
+
+test('calculateProration daily without the move-in day starts the day after', () => {
+  const proration = calculateProration('2026-02', '2026-02-14', { method: 'daily', include_move_in_day: 0 });
+  assert.equal(proration.start_day, 15);
+  assert.equal(proration.days, 14);
+  assert.equal(proration.total_days, 28);
+});
+
+test('calculateProration daily without the move-in day on the last day charges nothing', () => {
+  const proration = calculateProration('2026-04', '2026-04-30', { method: 'daily', include_move_in_day: 0 });
+  assert.equal(proration.days, 0);
+  assert.equal(proration.ratio, 0);
+});
+
+test('calculateProration half_month charges the full month up to the 15th', () => {
+  assert.equal(calculateProration('2026-03', '2026-03-15', halfMonth), null);
+});
+
+test('calculateProration half_month charges half from the 16th', () => {
+  const proration = calculateProration('2026-03', '2026-03-16', halfMonth);
+  assert.equal(proration.ratio, 0.5);
+  assert.equal(proration.label, 'ครึ่งเดือน');
+});
@@ -0,0 +1,53 @@
+import { test, mock, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeDatabase } from './helpers/fakeDatabase.js';
+
+const db = installFakeDatabase();
+const deletedFiles = [];
+let paymentReferences = 0;
+
+mock.module(new URL('../utils/storageManager.js', import.meta.url).href, {
+  namedExports: {
+    async deleteFile(filePath) {
+      // ไฟล์ถูกลบหลัง commit เท่านั้น
+      deletedFiles.push({ filePath, committed: db.committed });
+      return true;
+    }
+  }
+});
+
+const { getRecycleBinModule, purgeDeletedRow } = await import('../utils/recycleBin.js');
+
+beforeEach(() => {
+  db.reset();
+  deletedFiles.length = 0;
+  paymentReferences = 0;
+  db.on('FROM bank_information WHERE id = ? AND status = 2', () => [{ id: 3, upload_key: 'UK3', customer_id: 'C1' }]);
+  db.on('delete_date <= DATE_SUB', () => [{ id: 3 }]);
+  db.on('FROM payment_information WHERE bank_id', () => [{ total: paymentReferences }]);
+  db.on('SELECT id, file_path FROM bank_attachment', () => [{ id: 1, file_path: 'uploads/a.png' }, { id: 2, file_path: 'uploads/b.png' }]);
+});
+
+test('purgeDeletedRow deletes storage files only after the transaction commits', async () => {
+  const outcome = await purgeDeletedRow(getRecycleBinModule('bank'), 3, 'C1', 30);
+
+  assert.equal(outcome.row.id, 3);
+  assert.deepEqual(deletedFiles, [{ filePath: 'uploads/a.png', committed: 1 }, { filePath: 'uploads/b.png', committed: 1 }]);
+});
+
+test('purgeDeletedRow keeps storage files when the transaction rolls back', async () => {
+  db.on('DELETE FROM bank_information', () => new Error('Lock wait timeout exceeded'));
+
+  await assert.rejects(purgeDeletedRow(getRecycleBinModule('bank'), 3, 'C1', 30), /Lock wait timeout/);
+  assert.equal(db.rolledBack, 1);
+  assert.deepEqual(deletedFiles, []);
+});
+
+test('purgeDeletedRow keeps the row and its files when it is still referenced', async () => {
+  paymentReferences = 1;
+
+  const outcome = await purgeDeletedRow(getRecycleBinModule('bank'), 3, 'C1', 30);
+  assert.match(outcome.reason, /ไม่สามารถลบถาวรได้/);
+  assert.equal(db.callsMatching('DELETE FROM').length, 0);
+  assert.deepEqual(deletedFiles, []);
+});
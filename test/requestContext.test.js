@@ -0,0 +1,67 @@
+import { test, mock, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeDatabase, createResponse } from './helpers/fakeDatabase.js';
+
+installFakeDatabase();
+const securityEvents = [];
+
+mock.module(new URL('../utils/securityLogger.js', import.meta.url).href, {
+  namedExports: {
+    logSecurityEvent: (event, req, details) => securityEvents.push({ event, details })
+  }
+});
+
+const { buildActor, findConflictingUid, getActorId } = await import('../utils/requestContext.js');
+const { verifyActor } = await import('../middleware/auth.js');
+
+beforeEach(() => {
+  securityEvents.length = 0;
+});
+
+test('buildActor takes the actor id from the verified user', () => {
+  assert.deepEqual(buildActor({ userid: '42', username: 'staff42', userlevel: 'staff' }), {
+    id: 42,
+    username: 'staff42',
+    userlevel: 'staff',
+    type: 'portal_user'
+  });
+  assert.equal(buildActor({ userid: null }), null);
+  assert.equal(buildActor({ userid: 'abc' }).id, null);
+});
+
+test('getActorId reads req.actor only', () => {
+  assert.equal(getActorId({ actor: { id: 42 }, body: { uid: 1 } }), 42);
+  assert.equal(getActorId({ body: { uid: 1 } }), null);
+});
+
+test('findConflictingUid accepts a missing or matching uid', () => {
+  assert.equal(findConflictingUid({ actor: { id: 42 }, body: {}, query: {} }), null);
+  assert.equal(findConflictingUid({ actor: { id: 42 }, body: { uid: '42' }, query: { uid: 42 } }), null);
+  assert.equal(findConflictingUid({ actor: { id: 42 }, body: { uid: '' }, query: {} }), null);
+});
+
+test('findConflictingUid reports a uid of another user in body or query', () => {
+  assert.equal(findConflictingUid({ actor: { id: 42 }, body: { uid: 1 }, query: {} }), '1');
+  assert.equal(findConflictingUid({ actor: { id: 42 }, body: {}, query: { uid: '7' } }), '7');
+  assert.equal(findConflictingUid({ body: { uid: 42 }, query: {} }), '42');
+});
+
+test('verifyActor rejects a uid that is not the token user and logs it', () => {
+  const res = createResponse();
+  let nextCalled = false;
+  verifyActor({ actor: { id: 42 }, body: { uid: 1 }, query: {} }, res, () => {
+    nextCalled = true;
+  });
+
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 403);
+  assert.deepEqual(securityEvents, [{ event: 'actor_mismatch', details: { actor_id: 42, sent_uid: '1' } }]);
+});
+
+test('verifyActor lets a request without uid through', () => {
+  let nextCalled = false;
+  verifyActor({ actor: { id: 42 }, body: {}, query: {} }, createResponse(), () => {
+    nextCalled = true;
+  });
+  assert.equal(nextCalled, true);
+});
@@ -0,0 +1,91 @@
+import { test, mock, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { installFakeDatabase, createResponse } from './helpers/fakeDatabase.js';
+
+const db = installFakeDatabase();
+const securityEvents = [];
+
+mock.module(new URL('../utils/securityLogger.js', import.meta.url).href, {
+  namedExports: {
+    logSecurityEvent: (event, req, details) => securityEvents.push({ event, details })
+  }
+});
+
+const { createLocalKeyVerifier, setResidentTokenVerifier } = await import('../utils/residentAuth.js');
+const { authenticateResident } = await import('../middleware/auth.js');
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const MEMBERS = {
+  'uid-1': [{ id: 11, full_name: 'สมชาย', house_no: '99/1', room_id: 5, customer_id: 'site-a', user_level: 'owner' }],
+  'uid-2': [
+    { id: 21, full_name: 'สมหญิง', house_no: '99/2', room_id: 6, customer_id: 'site-a', user_level: 'owner' },
+    { id: 22, full_name: 'สมหญิง', house_no: '10/1', room_id: 9, customer_id: 'site-b', user_level: 'tenant' }
+  ]
+};
+
+beforeEach(() => {
+  db.reset();
+  securityEvents.length = 0;
+  setResidentTokenVerifier(createLocalKeyVerifier(publicKey.export({ type: 'spki', format: 'pem' })));
+  db.on('FROM member_information', ([userRef]) => MEMBERS[userRef.replace('kconnect_users/', '')] || []);
+});
+
+function residentToken(uid) {
+  return jwt.sign({ user_id: uid }, privateKey, { algorithm: 'RS256', subject: uid, expiresIn: 60 });
+}
+
+async function authenticate(token, query = {}) {
+  const req = { headers: token ? { authorization: `Bearer ${token}` } : {}, query, body: {} };
+  const res = createResponse();
+  let nextCalled = false;
+  await authenticateResident(req, res, () => {
+    nextCalled = true;
+  });
+  return { req, res, nextCalled };
+}
+
+test('authenticateResident takes house and customer from the member row', async () => {
+  const { req, nextCalled } = await authenticate(residentToken('uid-1'));
+  assert.equal(nextCalled, true);
+  assert.equal(req.customer_id, 'site-a');
+  assert.equal(req.resident.house_no, '99/1');
+  assert.deepEqual(req.actor, { id: 11, username: 'สมชาย', userlevel: 'owner', type: 'resident' });
+});
+
+test('authenticateResident rejects a house of someone else and logs it', async () => {
+  const { res, nextCalled } = await authenticate(residentToken('uid-1'), { customer_id: 'site-a', house_no: '99-2' });
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 403);
+  assert.deepEqual(securityEvents.map(entry => entry.event), ['resident_house_mismatch']);
+});
+
+test('authenticateResident asks which house when the resident has several', async () => {
+  const { res } = await authenticate(residentToken('uid-2'));
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.houses.length, 2);
+
+  const { req, nextCalled } = await authenticate(residentToken('uid-2'), { customer_id: 'site-b' });
+  assert.equal(nextCalled, true);
+  assert.equal(req.resident.member_id, 22);
+});
+
+test('authenticateResident rejects a user that is not a member', async () => {
+  const { res } = await authenticate(residentToken('uid-unknown'));
+  assert.equal(res.statusCode, 403);
+  assert.deepEqual(securityEvents.map(entry => entry.event), ['resident_not_member']);
+});
+
+test('authenticateResident rejects a token signed by another key', async () => {
+  const other = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const forged = jwt.sign({ user_id: 'uid-1' }, other.privateKey, { algorithm: 'RS256' });
+  const { res, nextCalled } = await authenticate(forged);
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 401);
+});
+
+test('authenticateResident requires a bearer token', async () => {
+  const { res } = await authenticate(null);
+  assert.equal(res.statusCode, 401);
+});
@@ -0,0 +1,97 @@
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import { installFakeDatabase, createResponse } from './helpers/fakeDatabase.js';
+
+const db = installFakeDatabase();
+const { hashToken, isTokenRevoked, createSession, refreshSession } = await import('../utils/sessionStore.js');
+const { verifyBackendToken } = await import('../utils/jwtVerifier.js');
+const { authenticateJWT } = await import('../middleware/auth.js');
+
+const USER = { userid: '42', userlevel: 'staff', username: 'staff42', userprimarykey: 'pk-42' };
+
+before(() => {
+  process.env.BACKEND_JWT_SECRET = 'backend-secret-for-tests';
+  process.env.JWT_ALGORITHMS = 'HS256';
+  process.env.JWT_SECRET = 'portal-secret-for-tests';
+  delete process.env.JWT_JWKS_PATH;
+});
+
+beforeEach(() => {
+  db.reset();
+});
+
+test('isTokenRevoked finds a token revoked by jti', async () => {
+  db.on(/revoke_type = 'token'/, params => (params.includes('jti:abc') ? [{ id: 1 }] : []));
+  assert.equal(await isTokenRevoked('raw-token', { jti: 'abc' }, 42), true);
+  assert.equal(await isTokenRevoked('raw-token', { jti: 'other' }, 42), false);
+});
+
+test('isTokenRevoked rejects tokens issued before a revoke-all of the user', async () => {
+  db.on(/revoke_type = 'user'/, () => [{ revoked_before: '2026-10-19 12:00:00' }]);
+
+  // iat เป็นเวลา UTC - เทียบกับ create_date ที่เก็บเป็นเวลาไทย (+07:00)
+  const before = Date.UTC(2026, 9, 19, 4, 59, 0) / 1000;
+  const after = Date.UTC(2026, 9, 19, 5, 1, 0) / 1000;
+
+  assert.equal(await isTokenRevoked('t1', { iat: before }, 42), true);
+  assert.equal(await isTokenRevoked('t2', { iat: after }, 42), false);
+  assert.equal(await isTokenRevoked('t3', {}, 42), true);
+});
+
+test('createSession keeps the Portal token server side and issues a backend access token', async () => {
+  const result = await createSession(USER, 'portal-token', { exp: Math.floor(Date.now() / 1000) + 3600 }, { headers: {}, ip: '10.0.0.1' });
+
+  const [insert] = db.callsMatching('INSERT INTO auth_session');
+  assert.equal(insert.params[5], 'portal-token');
+  assert.equal(insert.params[6], hashToken(result.refresh_token));
+
+  const payload = verifyBackendToken(result.access_token);
+  assert.equal(payload.sid, result.session_id);
+  assert.equal(payload.values.userid, '42');
+});
+
+test('refreshSession rotates the refresh token', async () => {
+  db.on('SELECT * FROM auth_session', () => [{ id: 1, session_id: 'session-1', ...USER }]);
+  db.on('UPDATE auth_session', () => ({ affectedRows: 1 }));
+
+  const result = await refreshSession('old-refresh');
+  const [update] = db.callsMatching('UPDATE auth_session');
+
+  assert.notEqual(result.refresh_token, 'old-refresh');
+  assert.equal(update.params[0], hashToken(result.refresh_token));
+  assert.equal(update.params[2], hashToken('old-refresh'));
+  assert.equal(verifyBackendToken(result.access_token).sid, 'session-1');
+});
+
+test('refreshSession refuses an unknown or expired refresh token', async () => {
+  db.on('SELECT * FROM auth_session', () => []);
+  assert.equal(await refreshSession('unknown'), null);
+  assert.equal(db.callsMatching('UPDATE auth_session').length, 0);
+});
+
+test('refreshSession refuses a refresh token that was already used', async () => {
+  db.on('SELECT * FROM auth_session', () => [{ id: 1, session_id: 'session-1', ...USER }]);
+  db.on('UPDATE auth_session', () => ({ affectedRows: 0 }));
+  assert.equal(await refreshSession('old-refresh'), null);
+});
+
+test('authenticateJWT rejects an access token of a revoked session', async () => {
+  db.on('FROM auth_session WHERE session_id', () => []);
+  const { access_token: accessToken } = await createSession(USER, 'portal-token', {}, { headers: {} });
+
+  const res = createResponse();
+  await authenticateJWT({ headers: { authorization: `Bearer ${accessToken}` }, body: {}, query: {} }, res, () => {});
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.error, 'Token revoked');
+});
+
+test('authenticateJWT rejects a revoked Portal token', async () => {
+  db.on(/revoke_type = 'token'/, () => [{ id: 1 }]);
+  const token = jwt.sign({ values: USER }, 'portal-secret-for-tests', { algorithm: 'HS256', expiresIn: 60 });
+
+  const res = createResponse();
+  await authenticateJWT({ headers: { authorization: `Bearer ${token}` }, body: {}, query: {} }, res, () => {});
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.error, 'Token revoked');
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitTiers } from '../utils/tieredRate.js';
+
+const tiers = [{ up_to: 10, rate: 10 }, { up_to: 20, rate: 15 }, { up_to: null, rate: 20 }];
+
+test('splitTiers fills tiers from the lowest', () => {
+  assert.deepEqual(splitTiers(25, tiers), [
+    { from: 0, to: 10, quantity: 10, rate: 10 },
+    { from: 10, to: 20, quantity: 10, rate: 15 },
+    { from: 20, to: Infinity, quantity: 5, rate: 20 }
+  ]);
+});
+
+test('splitTiers stops at the tier that holds the quantity', () => {
+  assert.deepEqual(splitTiers(7.5, tiers), [{ from: 0, to: 10, quantity: 7.5, rate: 10 }]);
+});
+
+test('splitTiers on a tier boundary does not add an empty tier', () => {
+  assert.deepEqual(splitTiers(10, tiers), [{ from: 0, to: 10, quantity: 10, rate: 10 }]);
+});
+
+test('splitTiers returns nothing for zero quantity', () => {
+  assert.deepEqual(splitTiers(0, tiers), []);
+});
+
+test('splitTiers reads tiers stored as JSON', () => {
+  assert.deepEqual(splitTiers(3, JSON.stringify([{ up_to: null, rate: '12.5' }])), [{ from: 0, to: Infinity, quantity: 3, rate: 12.5 }]);
+});
+
+test('splitTiers rounds quantities of decimal tiers', () => {
+  const parts = splitTiers(0.3, [{ up_to: 0.1, rate: 1 }, { up_to: null, rate: 2 }]);
+  assert.deepEqual(parts.map(part => part.quantity), [0.1, 0.2]);
+});
@@ -0,0 +1,152 @@
+import logger from './logger.js';
+import { getFirestore } from '../config/firebase.js';
+
+// Cache allowed sites ต่อ user (key = userid:userlevel)
+const allowedSitesCache = new Map();
+
+/**
+ * Cache TTL in ms (env ALLOWED_SITES_CACHE_TTL in seconds, default 300)
+ */
+function getCacheTtl() {
+  const ttl = parseInt(process.env.ALLOWED_SITES_CACHE_TTL);
+  return (isNaN(ttl) ? 300 : ttl) * 1000;
+}
+
+function getCacheKey(user) {
+  return `${user.userid}:${user.userlevel}`;
+}
+
+/**
+ * Call Portal allow_sites API and map k_product_customer_name → customer_code via Firebase
+ * @param {Object} user - req.user
+ * @returns {Promise<Array>} customers (including null customer_id)
+ * @throws {Error} error.status = Portal HTTP status when Portal rejects the request
+ */
+export async function fetchAllowedSites(user) {
+  const portalApiUrl = process.env.PORTAL_API_URL || 'https://dev-portal.koder3.com';
+  const allowSitesEndpoint = `${portalApiUrl}/api/user/${user.userid}/${user.userlevel}/allow_sites`;
+
+  logger.debug(`Getting allowed sites for user ${user.username} (userid: ${user.userid}, userlevel: ${user.userlevel})`);
+
+  const allowSitesResponse = await fetch(allowSitesEndpoint, {
+    method: 'GET',
+    headers: {
+      'Authorization': `Bearer ${user.token}`,
+      'Content-Type': 'application/json'
+    }
+  });
+
+  if (!allowSitesResponse.ok) {
+    logger.error(`Portal API returned status ${allowSitesResponse.status}`);
+    const error = new Error(`Portal allow_sites returned status ${allowSitesResponse.status}`);
+    error.status = allowSitesResponse.status;
+    throw error;
+  }
+
+  const allowSitesData = await allowSitesResponse.json();
+
+  // Query Firebase to convert k_product_customer_name → customer_code
+  const customers = [];
+  const db = getFirestore();
+
+  if (allowSitesData.data && allowSitesData.data.sites && Array.isArray(allowSitesData.data.sites)) {
+    for (const site of allowSitesData.data.sites) {
+      if (site.k_product_customer_name) {
+        try {
+          // Query Firebase: customer WHERE name = k_product_customer_name
+          const customerSnapshot = await db.collection('customer')
+            .where('name', '==', site.k_product_customer_name)
+            .limit(1)
+            .get();
+
+          if (!customerSnapshot.empty) {
+            const customerData = customerSnapshot.docs[0].data();
+
+            customers.push({
+              customer_id: customerData.customer_code || null,
+              customer_name: site.k_product_customer_name,
+              site_name: site.site_name || null,
+              site_code: site.site_code || null
+            });
+
+            logger.debug(`Mapped customer "${site.k_product_customer_name}" to code "${customerData.customer_code}"`);
+          } else {
+            logger.warn(`No customer found in Firebase for name: ${site.k_product_customer_name}`);
+            // Still add to list but with null customer_id
+            customers.push({
+              customer_id: null,
+              customer_name: site.k_product_customer_name,
+              site_name: site.site_name || null,
+              site_code: site.site_code || null
+            });
+          }
+        } catch (firebaseError) {
+          logger.error(`Error querying Firebase for customer ${site.k_product_customer_name}:`, firebaseError);
+          // Still add to list but with null customer_id
+          customers.push({
+            customer_id: null,
+            customer_name: site.k_product_customer_name,
+            site_name: site.site_name || null,
+            site_code: site.site_code || null
+          });
+        }
+      }
+    }
+  }
+
+  return customers;
+}
+
+/**
+ * Get allowed customers for user (cached with TTL)
+ * @param {Object} user - req.user
+ * @param {Object} options
+ * @param {boolean} options.forceRefresh - Skip cache and call Portal again
+ * @returns {Promise<Array>} customers with valid customer_id only
+ */
+export async function getAllowedCustomers(user, { forceRefresh = false } = {}) {
+  const key = getCacheKey(user);
+  const cached = allowedSitesCache.get(key);
+
+  if (!forceRefresh && cached) {
+    // Request อื่นกำลังดึงข้อมูลอยู่ - รอผลเดียวกัน
+    if (cached.pending) {
+      return cached.pending;
+    }
+    if (cached.expiresAt > Date.now()) {
+      return cached.customers;
+    }
+  }
+
+  const pending = fetchAllowedSites(user)
+    .then((customers) => {
+      const validCustomers = customers.filter(customer => customer.customer_id !== null);
+
+      allowedSitesCache.set(key, {
+        customers: validCustomers,
+        expiresAt: Date.now() + getCacheTtl()
+      });
+
+      logger.info(`User ${user.username} has access to ${validCustomers.length} customers (${customers.length - validCustomers.length} filtered out due to missing customer_id)`);
+      return validCustomers;
+    })
+    .catch((error) => {
+      allowedSitesCache.delete(key);
+      throw error;
+    });
+
+  allowedSitesCache.set(key, { ...cached, pending });
+  return pending;
+}
+
+/**
+ * Clear cached allowed sites
+ * @param {Object|null} user - req.user, or null to clear all
+ */
+export function clearAllowedSitesCache(user = null) {
+  if (user) {
+    allowedSitesCache.delete(getCacheKey(user));
+  } else {
+    allowedSitesCache.clear();
+  }
+}
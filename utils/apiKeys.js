@@ -0,0 +1,151 @@
+import crypto from 'crypto';
+import { getDatabase } from '../config/database.js';
+import logger from './logger.js';
+import { PERMISSIONS } from './permissions.js';
+
+const TABLE_API_KEY = 'api_key_information';
+const KEY_PREFIX = 'kc';
+
+/**
+ * Named scopes for API keys → permissions checked by requirePermission
+ */
+export const API_KEY_SCOPES = {
+  'bill:read': ['bill.view'],
+  'bill:write': ['bill.create', 'bill.update', 'bill.send', 'bill.notify'],
+  'bill_transaction:read': ['bill_transaction.view'],
+  'bill_transaction:write': ['bill_transaction.create'],
+  'payment:read': ['payment.view'],
+  'payment:write': ['payment.create', 'payment.approve'],
+  'bank:read': ['bank.view'],
+  'room:read': ['room.view'],
+  'room:write': ['room.create'],
+  'member:read': ['member.view'],
+  'member:write': ['member.create'],
+  'dashboard:read': ['dashboard.view']
+};
+
+/**
+ * Parse scopes from body (array, JSON string or comma-separated)
+ * @param {Array|string} scopes
+ * @returns {Array<string>} Unique scope names (not validated)
+ */
+export function parseScopes(scopes) {
+  if (Array.isArray(scopes)) {
+    return [...new Set(scopes.map(scope => String(scope).trim()).filter(Boolean))];
+  }
+
+  if (typeof scopes !== 'string' || scopes.trim() === '') {
+    return [];
+  }
+
+  try {
+    const parsed = JSON.parse(scopes);
+    if (Array.isArray(parsed)) {
+      return parseScopes(parsed);
+    }
+  } catch (error) {
+    // ไม่ใช่ JSON - ใช้แบบคั่นด้วย comma
+  }
+
+  return parseScopes(scopes.split(','));
+}
+
+/**
+ * Convert scopes to permission names
+ * @param {Array<string>} scopes
+ * @returns {Array<string>} Permission names
+ */
+export function getScopePermissions(scopes) {
+  const permissions = new Set();
+
+  for (const scope of scopes) {
+    for (const permission of API_KEY_SCOPES[scope] || []) {
+      permissions.add(permission);
+    }
+  }
+
+  return Object.keys(PERMISSIONS).filter(permission => permissions.has(permission));
+}
+
+/**
+ * SHA-256 hash of API key (only the hash is stored)
+ * @param {string} key
+ * @returns {string} hex hash
+ */
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Generate new API key - kc_<prefix>_<secret>
+ * prefix is stored in plain text for lookup / display
+ * @returns {Object} { key, prefix, hash }
+ */
+export function generateApiKey() {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const key = `${KEY_PREFIX}_${prefix}_${secret}`;
+
+  return { key, prefix, hash: hashApiKey(key) };
+}
+
+/**
+ * Get raw API key from request (X-API-Key header)
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+export function getApiKeyFromRequest(req) {
+  const key = req.headers['x-api-key'];
+  return key ? String(key).trim() : null;
+}
+
+/**
+ * Find active (not revoked, not expired) API key
+ * Also records last used date / IP (not awaited)
+ * @param {string} key - Raw API key
+ * @param {string|null} ip - Caller IP
+ * @returns {Promise<Object|null>} { id, name, customer_id, scopes, permissions, create_by }
+ */
+export async function findActiveApiKey(key, ip = null) {
+  const match = /^kc_([0-9a-f]{8})_[A-Za-z0-9_-]+$/.exec(key || '');
+  if (!match) {
+    return null;
+  }
+
+  const db = getDatabase();
+  const [rows] = await db.execute(
+    `SELECT id, name, customer_id, key_hash, scopes, create_by
+     FROM ${TABLE_API_KEY}
+     WHERE key_prefix = ? AND status = 1 AND (expire_date IS NULL OR expire_date > NOW())
+     LIMIT 1`,
+    [match[1]]
+  );
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const row = rows[0];
+  const expected = Buffer.from(row.key_hash, 'hex');
+  const actual = Buffer.from(hashApiKey(key), 'hex');
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  db.execute(
+    `UPDATE ${TABLE_API_KEY} SET last_used_date = NOW(), last_used_ip = ? WHERE id = ?`,
+    [ip, row.id]
+  ).catch(error => logger.warn(`Could not update last used date of API key ${row.id}: ${error.message}`));
+
+  const scopes = parseScopes(row.scopes);
+
+  return {
+    id: row.id,
+    name: row.name,
+    customer_id: row.customer_id,
+    scopes,
+    permissions: getScopePermissions(scopes),
+    create_by: row.create_by
+  };
+}
@@ -0,0 +1,88 @@
+import { getConfig } from './config.js';
+
+/**
+ * Attachment-enabled modules for /api/upload_file and /api/delete_file
+ * menu from client is only used as a key into this registry - never as a table name
+ *
+ * table           - attachment table
+ * ownerTable      - main table (upload_key + customer_id) used to check tenant of legacy rows without customer_id
+ * allowedTypes    - file extensions
+ * maxFileSizeMB   - per file
+ * maxFileCount    - per upload_key
+ * permissions     - { upload, delete } checked by requireAttachmentPermission
+ */
+export const ATTACHMENT_MODULES = {
+  news: {
+    table: 'news_attachment',
+    ownerTable: null,
+    allowedTypes: ['jpg', 'jpeg', 'png', 'gif', 'pdf'],
+    maxFileSizeMB: 10,
+    maxFileCount: 10,
+    permissions: { upload: 'news.create', delete: 'news.update' }
+  },
+  bill: {
+    table: 'bill_attachment',
+    ownerTable: 'bill_information',
+    allowedTypes: ['jpg', 'jpeg', 'png', 'pdf', 'xls', 'xlsx'],
+    maxFileSizeMB: 10,
+    maxFileCount: 5,
+    permissions: { upload: 'bill.create', delete: 'bill.update' }
+  },
+  payment: {
+    table: 'payment_attachment',
+    ownerTable: 'payment_information',
+    allowedTypes: ['jpg', 'jpeg', 'png', 'pdf'],
+    maxFileSizeMB: 5,
+    maxFileCount: 3,
+    permissions: { upload: 'payment.create', delete: 'payment.create' }
+  },
+  bank: {
+    table: 'bank_attachment',
+    ownerTable: 'bank_information',
+    allowedTypes: ['jpg', 'jpeg', 'png'],
+    maxFileSizeMB: 5,
+    maxFileCount: 1,
+    permissions: { upload: 'bank.create', delete: 'bank.update' }
+  },
+  meter: {
+    table: 'meter_attachment',
+    ownerTable: null,
+    allowedTypes: ['xls', 'xlsx', 'csv'],
+    maxFileSizeMB: 10,
+    maxFileCount: 5,
+    permissions: { upload: 'meter.reading', delete: 'meter.reading' }
+  }
+};
+
+/**
+ * Get attachment module by menu
+ * @param {string} menu - Menu name from client
+ * @returns {Object|null} Module definition with menu, or null if not registered
+ */
+export function getAttachmentModule(menu) {
+  if (typeof menu !== 'string' || !Object.prototype.hasOwnProperty.call(ATTACHMENT_MODULES, menu)) {
+    return null;
+  }
+
+  return { menu, ...ATTACHMENT_MODULES[menu] };
+}
+
+/**
+ * Resolve effective upload rules of module
+ * Global app config (max_file_count, max_file_size, allowed_file_types) is still the upper bound
+ * @param {Object} module - From getAttachmentModule
+ * @returns {Promise<Object>} { allowedTypes, maxFileSizeMB, maxFileCount }
+ */
+export async function getAttachmentRules(module) {
+  const globalMaxCount = await getConfig('max_file_count');
+  const globalMaxSizeMB = await getConfig('max_file_size');
+  const globalTypes = await getConfig('allowed_file_types');
+
+  return {
+    allowedTypes: Array.isArray(globalTypes)
+      ? module.allowedTypes.filter(type => globalTypes.includes(type))
+      : module.allowedTypes,
+    maxFileSizeMB: globalMaxSizeMB ? Math.min(module.maxFileSizeMB, globalMaxSizeMB) : module.maxFileSizeMB,
+    maxFileCount: globalMaxCount ? Math.min(module.maxFileCount, globalMaxCount) : module.maxFileCount
+  };
+}
@@ -0,0 +1,163 @@
+import { getDatabase } from '../config/database.js';
+import logger from './logger.js';
+import { getActor, getClientIp } from './requestContext.js';
+
+const TABLE_AUDIT_LOG = 'audit_log';
+
+/**
+ * Audited entities (entity -> label)
+ */
+export const AUDIT_ENTITIES = {
+  bill: 'บิล',
+  bill_room: 'รายการบิล',
+  bill_transaction: 'รายการรับชำระ',
+  payment: 'การแจ้งชำระ',
+  bank: 'บัญชีธนาคาร',
+  member: 'ลูกบ้าน',
+  room: 'ห้อง',
+  news: 'ข่าวสาร',
+  news_category: 'หมวดหมู่ข่าวสาร',
+  app_customer_config: 'การตั้งค่าโครงการ',
+  permission_override: 'สิทธิ์การใช้งาน',
+  api_key: 'API key',
+  document_numbering: 'รูปแบบเลขที่เอกสาร',
+  attachment: 'ไฟล์แนบ',
+  bill_schedule: 'รอบบิลอัตโนมัติ',
+  bill_penalty: 'ค่าปรับ',
+  bill_penalty_rule: 'เงื่อนไขค่าปรับ',
+  bill_proration_rule: 'เงื่อนไขคิดค่าบริการตามวันเข้าอยู่',
+  house_credit: 'เครดิตคงเหลือ',
+  meter: 'มิเตอร์',
+  meter_rate: 'อัตราค่าน้ำ / ค่าไฟ',
+  meter_reading: 'ค่ามิเตอร์',
+  room_type: 'ประเภทห้อง',
+  room_fee_rule: 'เงื่อนไขค่าบริการ'
+};
+
+export const AUDIT_ACTIONS = {
+  create: 'สร้าง',
+  update: 'แก้ไข',
+  delete: 'ลบ',
+  approve: 'อนุมัติ',
+  reject: 'ปฏิเสธ',
+  send: 'ส่ง',
+  cancel_send: 'ยกเลิกการส่ง',
+  sync: 'Sync',
+  restore: 'กู้คืน',
+  purge: 'ลบถาวร',
+  request_waive: 'ขอยกเว้น'
+};
+
+// ไม่เก็บค่าจริงของ field ที่เป็นความลับ
+const REDACTED_FIELDS = ['key_hash', 'password', 'token', 'refresh_token'];
+
+// field ที่เปลี่ยนทุกครั้ง - ไม่นับเป็น diff
+const IGNORED_DIFF_FIELDS = ['update_date', 'update_by'];
+
+function normalizeValue(value) {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Buffer.isBuffer(value)) {
+    return value.toString();
+  }
+  return value === undefined ? null : value;
+}
+
+/**
+ * Copy of row safe to store (redacted, JSON friendly)
+ * @param {Object|null} data
+ * @returns {Object|null}
+ */
+function toAuditData(data) {
+  if (!data) {
+    return null;
+  }
+
+  const result = {};
+  for (const [key, value] of Object.entries(data)) {
+    result[key] = REDACTED_FIELDS.includes(key) ? '[REDACTED]' : normalizeValue(value);
+  }
+  return result;
+}
+
+/**
+ * Field-level diff between before / after
+ * Only fields present in after are compared when both exist (partial updates)
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @returns {Object} { field: { from, to } }
+ */
+export function diffAuditData(before, after) {
+  const from = toAuditData(before) || {};
+  const to = toAuditData(after) || {};
+  const fields = before && after ? Object.keys(to) : [...new Set([...Object.keys(from), ...Object.keys(to)])];
+  const changes = {};
+
+  for (const field of fields) {
+    if (IGNORED_DIFF_FIELDS.includes(field)) continue;
+
+    const oldValue = from[field] ?? null;
+    const newValue = to[field] ?? null;
+
+    // เทียบแบบ string - DB คืน DECIMAL เป็น string แต่ request อาจเป็น number
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue) && String(oldValue) !== String(newValue)) {
+      changes[field] = { from: oldValue, to: newValue };
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Current row of a table, for before / after snapshots
+ * @param {Object} executor - Pool or transaction connection
+ * @param {string} table
+ * @param {number|string} id
+ * @returns {Promise<Object|null>}
+ */
+export async function getAuditSnapshot(executor, table, id) {
+  const [rows] = await executor.execute(`SELECT * FROM ${table} WHERE id = ?`, [id]);
+  return rows[0] || null;
+}
+
+/**
+ * Write audit log entry - never throws (audit failure must not fail the request)
+ * Pass the transaction connection when the change runs in a transaction so the entry rolls back with it
+ * @param {Object|null} executor - Pool or transaction connection (default: pool)
+ * @param {Object|null} req - Express request (actor / IP), null for background jobs (actor_type = system)
+ * @param {Object} entry - { entity, entityId, action, before, after, customerId }
+ * @returns {Promise<number|null>} audit_log id
+ */
+export async function writeAuditLog(executor, req, { entity, entityId = null, action, before = null, after = null, customerId = null }) {
+  try {
+    const actor = req ? getActor(req) : { id: null, username: null, type: 'system' };
+    const changes = diffAuditData(before, after);
+    const db = executor || getDatabase();
+
+    const [result] = await db.execute(
+      `INSERT INTO ${TABLE_AUDIT_LOG}
+       (entity, entity_id, action, actor_id, actor_name, actor_type, ip_address, user_agent, before_data, after_data, changes, customer_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        entity,
+        entityId === null || entityId === undefined ? null : String(entityId),
+        action,
+        actor?.id ?? null,
+        actor?.username || null,
+        actor?.type || null,
+        req ? getClientIp(req) : null,
+        (req?.headers?.['user-agent'] || '').substring(0, 500) || null,
+        before ? JSON.stringify(toAuditData(before)) : null,
+        after ? JSON.stringify(toAuditData(after)) : null,
+        Object.keys(changes).length > 0 ? JSON.stringify(changes) : null,
+        customerId || req?.customer_id || before?.customer_id || after?.customer_id || null
+      ]
+    );
+
+    return result.insertId;
+  } catch (error) {
+    logger.error(`Write audit log error (${entity} id=${entityId} ${action}):`, error);
+    return null;
+  }
+}
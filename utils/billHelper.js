@@ -0,0 +1,142 @@
+import { getDatabase, withTransaction } from '../config/database.js';
+import logger from './logger.js';
+import { insertNotificationAuditForBill } from './notificationHelper.js';
+import { BILL_STATUS, transitionStatus } from './statusMachine.js';
+import { getAuditSnapshot, writeAuditLog } from './auditLog.js';
+import { autoApplyHouseCredit } from './houseCredit.js';
+
+/**
+ * Bill helpers shared by bill controller and bill scheduler
+ */
+
+const TABLE_INFORMATION = 'bill_information';
+const TABLE_AUDIT = 'bill_audit_information';
+
+/**
+ * Helper function to format expire_date to end of day (23:59:59)
+ * @param {string|Date} dateInput - Date input (can be string or Date object)
+ * @returns {string} Formatted date string in YYYY-MM-DD HH:mm:ss format
+ */
+export function formatExpireDate(dateInput) {
+  const d = new Date(dateInput);
+
+  // Set to end of day (23:59:59)
+  d.setHours(23, 59, 59, 0);
+
+  // Format to MySQL datetime format: YYYY-MM-DD HH:mm:ss
+  const year = d.getFullYear();
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  const hours = String(d.getHours()).padStart(2, '0');
+  const minutes = String(d.getMinutes()).padStart(2, '0');
+  const seconds = String(d.getSeconds()).padStart(2, '0');
+
+  return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
+}
+
+/**
+ * Helper function to insert bill audit log
+ * @param {Object} db - Database connection
+ * @param {number} billId - Bill ID
+ * @param {number} status - Status value
+ * @param {number} userId - User ID who made the change
+ */
+export async function insertBillAudit(db, billId, status, userId) {
+  const insertLogQuery = `
+    INSERT INTO ${TABLE_AUDIT} (bill_id, status, create_by)
+    VALUES (?, ?, ?)
+  `;
+
+  await db.execute(insertLogQuery, [billId, status, userId]);
+  logger.debug(`Bill audit log inserted: bill_id=${billId}, status=${status}, user=${userId}`);
+}
+
+/**
+ * Send bill (draft / cancelled -> sent) and notify its rooms
+ * Same path for POST /api/bill/send and scheduled auto-send
+ * @param {number} billId - Bill ID
+ * @param {Object} options - { actorId, req (null for background jobs), reason, customerId (verified customer of the request - other customers' bills are not found) }
+ * @returns {Promise<{bill?: Object, error?: 'not_found'|'already_sent'|'conflict'}>}
+ * @throws {StatusTransitionError} when the current status cannot move to sent
+ */
+export async function sendBillRecord(billId, { actorId, req = null, reason = 'ส่งบิล', customerId = null }) {
+  const db = getDatabase();
+  const id = parseInt(billId);
+
+  // Check if bill exists and get current status, customer_id, title, detail, expire_date
+  const checkQuery = `SELECT status, customer_id, title, detail, expire_date FROM ${TABLE_INFORMATION} WHERE id = ? AND status != 2`;
+  const [currentRows] = await db.execute(checkQuery, [id]);
+
+  if (currentRows.length === 0 || (customerId !== null && String(currentRows[0].customer_id) !== String(customerId))) {
+    return { error: 'not_found' };
+  }
+
+  const bill = currentRows[0];
+  const currentStatus = bill.status;
+
+  if (currentStatus === BILL_STATUS.SENT) {
+    return { error: 'already_sent' };
+  }
+
+  // Update status from 0 or 3 to 1 and set send_date (status machine ตรวจสอบ + บันทึก transition)
+  const sent = await withTransaction(async (connection) => {
+    const before = await getAuditSnapshot(connection, TABLE_INFORMATION, id);
+
+    const updateQuery = `
+      UPDATE ${TABLE_INFORMATION}
+      SET status = ?, send_date = NOW(), update_date = NOW(), update_by = ?
+      WHERE id = ? AND status = ?
+    `;
+
+    const [result] = await connection.execute(updateQuery, [BILL_STATUS.SENT, actorId, id, currentStatus]);
+
+    if (result.affectedRows === 0) {
+      return false;
+    }
+
+    await transitionStatus(connection, {
+      entity: 'bill',
+      id,
+      from: currentStatus,
+      to: BILL_STATUS.SENT,
+      actorId,
+      reason,
+      customerId: bill.customer_id
+    });
+
+    // Insert bill audit log
+    await insertBillAudit(connection, id, BILL_STATUS.SENT, actorId);
+    await writeAuditLog(connection, req, {
+      entity: 'bill',
+      entityId: id,
+      action: 'send',
+      before,
+      after: await getAuditSnapshot(connection, TABLE_INFORMATION, id),
+      customerId: bill.customer_id
+    });
+    return true;
+  });
+
+  if (!sent) {
+    return { error: 'conflict' };
+  }
+
+  // หักชำระจากเครดิตคงเหลือของห้อง (ก่อนแจ้งเตือน ยอดที่แจ้งจะได้เป็นยอดหลังหักแล้ว)
+  try {
+    await autoApplyHouseCredit(id, { actorId, req });
+  } catch (creditError) {
+    logger.error('Failed to apply house credit:', creditError);
+  }
+
+  // Insert notification audit for all bill_rooms
+  // เมื่อส่งบิล (status → 1) ต้องบันทึกการแจ้งเตือน
+  try {
+    await insertNotificationAuditForBill(db, id, bill.customer_id, actorId, bill.title, bill.detail, bill.expire_date, reason);
+    logger.info(`Bill ${id} sent, notification audit created`);
+  } catch (notifError) {
+    // Log error but don't fail the send operation
+    logger.error('Failed to insert notification audit:', notifError);
+  }
+
+  return { bill: { ...bill, id, status: BILL_STATUS.SENT } };
+}
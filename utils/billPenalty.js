@@ -0,0 +1,353 @@
+import { getDatabase, withTransaction } from '../config/database.js';
+import logger from './logger.js';
+import { BILL_ROOM_STATUS, BILL_PENALTY_STATUS, transitionStatus } from './statusMachine.js';
+
+/**
+ * Late fees / penalty interest - posted by a daily job on bill rooms past bill expire_date + grace_days
+ * fixed_fee    - once per bill room
+ * monthly_rate - % of outstanding amount for every started 30 days (M1, M2, ...)
+ * daily_rate   - % of outstanding amount per day, posted as one charge per run for the days since the last one
+ * max_amount   - cap of posted penalties per bill room, waived ones included (waiving does not make room for new charges)
+ * Outstanding amount = total_price - paid (payments settle the bill amount first)
+ * BILL_PENALTY_INTERVAL_MINUTES (env) - how often penalties are posted (default 1440)
+ */
+
+const TABLE_PENALTY = 'bill_penalty';
+const TABLE_PENALTY_RULE = 'bill_penalty_rule';
+
+// create_by / update_by ของงานที่ระบบทำเอง
+const SYSTEM_ACTOR_ID = -1;
+
+const DAYS_PER_MONTH = 30;
+
+export const PENALTY_TYPES = {
+  fixed: 'ค่าปรับคงที่',
+  monthly: 'ดอกเบี้ยรายเดือน',
+  daily: 'ดอกเบี้ยรายวัน'
+};
+
+// สถานะค่าปรับที่นับเป็นยอดที่ต้องชำระ
+export const COUNTED_PENALTY_STATUSES = [BILL_PENALTY_STATUS.CHARGED, BILL_PENALTY_STATUS.WAIVE_REQUESTED];
+
+// สถานะค่าปรับที่นับรวมในเพดาน max_amount - ยกเว้นแล้วก็นับ ไม่งั้นยกเว้นแล้วระบบคิดใหม่จนเต็มเพดานอีกรอบ
+const CAPPED_PENALTY_STATUSES = [...COUNTED_PENALTY_STATUSES, BILL_PENALTY_STATUS.WAIVED];
+
+// bill_room ที่ยังค้างชำระ (คิดค่าปรับได้)
+const OPEN_BILL_ROOM_STATUSES = [BILL_ROOM_STATUS.UNPAID, BILL_ROOM_STATUS.PARTIAL, BILL_ROOM_STATUS.AWAITING_REVIEW];
+
+function getIntEnv(key, defaultValue) {
+  const value = parseInt(process.env[key]);
+  return isNaN(value) ? defaultValue : value;
+}
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function formatToday() {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Counted penalty amount of bill room
+ * @param {Object} executor - Pool or transaction connection
+ * @param {number} billRoomId
+ * @returns {Promise<number>}
+ */
+export async function getPenaltyTotal(executor, billRoomId) {
+  const [rows] = await executor.execute(
+    `SELECT COALESCE(SUM(amount), 0) as total FROM ${TABLE_PENALTY} WHERE bill_room_id = ? AND status IN (${COUNTED_PENALTY_STATUSES.join(', ')})`,
+    [billRoomId]
+  );
+
+  return parseFloat(rows[0].total);
+}
+
+/**
+ * Counted penalty amount per bill room (for lists)
+ * @param {Object} executor - Pool or transaction connection
+ * @param {Array<number>} billRoomIds
+ * @returns {Promise<Map<number, number>>} bill_room_id -> amount
+ */
+export async function getPenaltyTotals(executor, billRoomIds) {
+  const totals = new Map();
+
+  if (billRoomIds.length === 0) {
+    return totals;
+  }
+
+  const [rows] = await executor.query(
+    `SELECT bill_room_id, COALESCE(SUM(amount), 0) as total
+     FROM ${TABLE_PENALTY}
+     WHERE bill_room_id IN (?) AND status IN (${COUNTED_PENALTY_STATUSES.join(', ')})
+     GROUP BY bill_room_id`,
+    [billRoomIds]
+  );
+
+  for (const row of rows) {
+    totals.set(row.bill_room_id, parseFloat(row.total));
+  }
+
+  return totals;
+}
+
+/**
+ * Charges still to post for a bill room (pure - no database access)
+ * @param {Object} rule - bill_penalty_rule row
+ * @param {Object} state - { overdueDays, outstanding, posted: bill_penalty rows of the bill room (not deleted), today: YYYY-MM-DD }
+ * @returns {Array<Object>} [{ penalty_type, period_key, overdue_days, base_amount, amount }]
+ */
+export function calculatePenaltyCharges(rule, { overdueDays, outstanding, posted, today }) {
+  const chargeDays = overdueDays - parseInt(rule.grace_days);
+
+  if (chargeDays <= 0) {
+    return [];
+  }
+
+  const postedKeys = new Set(posted.map(penalty => `${penalty.penalty_type}:${penalty.period_key}`));
+  const charges = [];
+
+  const fixedFee = parseFloat(rule.fixed_fee);
+  if (fixedFee > 0 && !postedKeys.has('fixed:fixed')) {
+    charges.push({ penalty_type: 'fixed', period_key: 'fixed', overdue_days: chargeDays, base_amount: 0, amount: fixedFee });
+  }
+
+  const monthlyRate = parseFloat(rule.monthly_rate);
+  if (monthlyRate > 0 && outstanding > 0) {
+    const months = Math.ceil(chargeDays / DAYS_PER_MONTH);
+
+    for (let month = 1; month <= months; month++) {
+      if (!postedKeys.has(`monthly:M${month}`)) {
+        charges.push({
+          penalty_type: 'monthly',
+          period_key: `M${month}`,
+          overdue_days: Math.min(month * DAYS_PER_MONTH, chargeDays),
+          base_amount: outstanding,
+          amount: outstanding * monthlyRate / 100
+        });
+      }
+    }
+  }
+
+  const dailyRate = parseFloat(rule.daily_rate);
+  if (dailyRate > 0 && outstanding > 0 && !postedKeys.has(`daily:${today}`)) {
+    // วันที่คิดไปแล้ว (รวมรายการที่ยกเว้นแล้ว - ไม่คิดซ้ำ)
+    const coveredDays = posted
+      .filter(penalty => penalty.penalty_type === 'daily')
+      .reduce((max, penalty) => Math.max(max, parseInt(penalty.overdue_days)), 0);
+    const days = chargeDays - coveredDays;
+
+    if (days > 0) {
+      charges.push({
+        penalty_type: 'daily',
+        period_key: today,
+        overdue_days: chargeDays,
+        base_amount: outstanding,
+        amount: outstanding * dailyRate / 100 * days
+      });
+    }
+  }
+
+  // ไม่เกินเพดานค่าปรับต่อรายการบิล (รวมรายการที่ยกเว้นแล้ว)
+  const maxAmount = rule.max_amount !== null && rule.max_amount !== undefined ? parseFloat(rule.max_amount) : null;
+  let capLeft = maxAmount === null
+    ? Infinity
+    : maxAmount - posted
+      .filter(penalty => CAPPED_PENALTY_STATUSES.includes(parseInt(penalty.status)))
+      .reduce((sum, penalty) => sum + parseFloat(penalty.amount), 0);
+
+  const capped = [];
+  for (const charge of charges) {
+    const amount = roundAmount(Math.min(charge.amount, capLeft));
+    if (amount <= 0) {
+      break;
+    }
+
+    capLeft -= amount;
+    capped.push({ ...charge, base_amount: roundAmount(charge.base_amount), amount });
+  }
+
+  return capped;
+}
+
+/**
+ * Post due charges of one bill room (locks the bill room - safe against payments and parallel runs)
+ * @returns {Promise<number>} Number of charges posted
+ */
+async function postBillRoomPenalties(rule, billRoomId, today) {
+  return withTransaction(async (connection) => {
+    const [billRoomRows] = await connection.execute(
+      `SELECT br.id, br.bill_id, br.total_price, br.status, br.customer_id,
+              DATEDIFF(?, DATE(b.expire_date)) as overdue_days
+       FROM bill_room_information br
+       INNER JOIN bill_information b ON br.bill_id = b.id
+       WHERE br.id = ?
+       FOR UPDATE`,
+      [today, billRoomId]
+    );
+
+    const billRoom = billRoomRows[0];
+    if (!billRoom || !OPEN_BILL_ROOM_STATUSES.includes(parseInt(billRoom.status))) {
+      return 0;
+    }
+
+    const [paidRows] = await connection.execute(
+      'SELECT COALESCE(SUM(transaction_amount), 0) as total_paid FROM bill_transaction_information WHERE bill_room_id = ? AND status != 2',
+      [billRoomId]
+    );
+
+    const [posted] = await connection.execute(
+      `SELECT penalty_type, period_key, overdue_days, amount, status FROM ${TABLE_PENALTY} WHERE bill_room_id = ? AND status != ?`,
+      [billRoomId, BILL_PENALTY_STATUS.DELETED]
+    );
+
+    const charges = calculatePenaltyCharges(rule, {
+      overdueDays: parseInt(billRoom.overdue_days),
+      outstanding: Math.max(parseFloat(billRoom.total_price) - parseFloat(paidRows[0].total_paid), 0),
+      posted,
+      today
+    });
+
+    for (const charge of charges) {
+      await connection.execute(
+        `INSERT IGNORE INTO ${TABLE_PENALTY}
+         (bill_room_id, bill_id, rule_id, penalty_type, period_key, overdue_days, base_amount, amount, customer_id, status, create_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          billRoomId,
+          billRoom.bill_id,
+          rule.id,
+          charge.penalty_type,
+          charge.period_key,
+          charge.overdue_days,
+          charge.base_amount,
+          charge.amount,
+          billRoom.customer_id,
+          BILL_PENALTY_STATUS.CHARGED,
+          SYSTEM_ACTOR_ID
+        ]
+      );
+    }
+
+    return charges.length;
+  });
+}
+
+/**
+ * Post penalties of every active rule (optionally one customer)
+ * @param {Object} options - { customerId }
+ * @returns {Promise<Object>} { bill_rooms, charges }
+ */
+export async function postOverduePenalties({ customerId = null } = {}) {
+  const db = getDatabase();
+  const today = formatToday();
+
+  let ruleQuery = `SELECT * FROM ${TABLE_PENALTY_RULE} WHERE status = 1`;
+  const ruleParams = [];
+
+  if (customerId) {
+    ruleQuery += ' AND customer_id = ?';
+    ruleParams.push(customerId);
+  }
+
+  const [rules] = await db.execute(ruleQuery, ruleParams);
+
+  let billRoomCount = 0;
+  let chargeCount = 0;
+
+  for (const rule of rules) {
+    const [billRooms] = await db.execute(
+      `SELECT br.id
+       FROM bill_room_information br
+       INNER JOIN bill_information b ON br.bill_id = b.id
+       WHERE b.customer_id = ? AND b.bill_type_id = ? AND b.status = 1
+         AND br.status IN (${OPEN_BILL_ROOM_STATUSES.join(', ')})
+         AND DATEDIFF(?, DATE(b.expire_date)) > ?`,
+      [rule.customer_id, rule.bill_type_id, today, rule.grace_days]
+    );
+
+    for (const billRoom of billRooms) {
+      try {
+        const posted = await postBillRoomPenalties(rule, billRoom.id, today);
+        if (posted > 0) {
+          billRoomCount++;
+          chargeCount += posted;
+        }
+      } catch (error) {
+        logger.error(`Post penalty bill_room_id=${billRoom.id} failed, rolled back:`, error);
+      }
+    }
+  }
+
+  return { bill_rooms: billRoomCount, charges: chargeCount };
+}
+
+/**
+ * After a waiver the paid amount may already cover the rest - mark bill room as paid
+ * Call inside the transaction of the waiver
+ * @returns {Promise<boolean>} true if bill room became paid
+ */
+export async function settleBillRoomAfterWaive(connection, billRoomId, { actorId, customerId }) {
+  const [billRoomRows] = await connection.execute(
+    'SELECT id, total_price, status FROM bill_room_information WHERE id = ? FOR UPDATE',
+    [billRoomId]
+  );
+
+  const billRoom = billRoomRows[0];
+  if (!billRoom || ![BILL_ROOM_STATUS.UNPAID, BILL_ROOM_STATUS.PARTIAL].includes(parseInt(billRoom.status))) {
+    return false;
+  }
+
+  const [paidRows] = await connection.execute(
+    'SELECT COALESCE(SUM(transaction_amount), 0) as total_paid FROM bill_transaction_information WHERE bill_room_id = ? AND status != 2',
+    [billRoomId]
+  );
+
+  const totalPaid = parseFloat(paidRows[0].total_paid);
+  const totalDue = parseFloat(billRoom.total_price) + await getPenaltyTotal(connection, billRoomId);
+
+  if (totalPaid <= 0 || totalPaid < totalDue) {
+    return false;
+  }
+
+  await transitionStatus(connection, {
+    entity: 'bill_room',
+    id: billRoomId,
+    from: billRoom.status,
+    to: BILL_ROOM_STATUS.PAID,
+    actorId,
+    reason: 'ยกเว้นค่าปรับ - ยอดชำระครบแล้ว',
+    customerId
+  });
+
+  await connection.execute(
+    'UPDATE bill_room_information SET status = ?, update_date = NOW(), update_by = ? WHERE id = ?',
+    [BILL_ROOM_STATUS.PAID, actorId, billRoomId]
+  );
+
+  return true;
+}
+
+/**
+ * Start background penalty posting
+ * Runs once at startup as well - a restart would otherwise push the first run a full interval away
+ * (posting is idempotent per day, so an extra run posts nothing twice)
+ */
+export function startPenaltyJob() {
+  const intervalMs = getIntEnv('BILL_PENALTY_INTERVAL_MINUTES', 1440) * 60 * 1000;
+
+  const run = async () => {
+    try {
+      const { bill_rooms, charges } = await postOverduePenalties();
+      if (charges > 0) {
+        logger.info(`Penalty job: ${charges} charges posted on ${bill_rooms} bill rooms`);
+      }
+    } catch (error) {
+      logger.error('Penalty job error:', error);
+    }
+  };
+
+  run();
+  setInterval(run, intervalMs).unref();
+}
@@ -0,0 +1,331 @@
+import { getConfig } from './config.js';
+import { validateObject } from './validation.js';
+
+/**
+ * Line items of bill room (bill_room_item)
+ * amount = quantity x unit_price, vat_amount added on top when vat_flag is set (app_config bill_item_vat_rate)
+ * bill_room_information.total_price = sum of total_amount
+ * paid_amount of items is re-allocated from all transactions of the bill room after every payment,
+ * in the bill_type_id order of app_config bill_item_payment_priority (other items follow in item order)
+ */
+
+const TABLE_ITEM = 'bill_room_item';
+
+const DEFAULT_VAT_RATE = 7;
+const VAT_SUFFIX = /\s*\((vat|VAT|Vat)\)\s*$/;
+
+// Excel columns ที่ไม่ใช่รายการ
+const EXCEL_BASE_COLUMNS = ['เลขห้อง', 'ชื่อลูกบ้าน', 'ยอดเงิน', 'หมายเหตุ'];
+
+export const ITEM_RULES = {
+  description: { type: 'string', required: true, maxLength: 255 },
+  bill_type_id: { type: 'integer', min: 1 },
+  quantity: { type: 'number', min: 0.001, default: 1 },
+  unit_price: { type: 'number', required: true, min: 0 },
+  vat_flag: { type: 'boolean', default: false }
+};
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * VAT rate (%) of items with vat_flag
+ * @returns {Promise<number>}
+ */
+export async function getItemVatRate() {
+  const rate = await getConfig('bill_item_vat_rate');
+  return rate === null || isNaN(rate) ? DEFAULT_VAT_RATE : rate;
+}
+
+/**
+ * Validate items and calculate amounts (pure)
+ * @param {Array<Object>} rawItems - [{ description, bill_type_id, quantity, unit_price, vat_flag }]
+ * @param {number} vatRate - VAT rate (%)
+ * @returns {Object} { items, total_price, errors } errors use validation format with field items[i].field
+ */
+export function buildBillRoomItems(rawItems, vatRate) {
+  const items = [];
+  const errors = [];
+
+  rawItems.forEach((rawItem, i) => {
+    const { values, errors: itemErrors } = validateObject(rawItem, ITEM_RULES, 'body');
+
+    if (itemErrors.length > 0) {
+      errors.push(...itemErrors.map(error => ({
+        ...error,
+        field: `items[${i}].${error.field}`,
+        message: `items[${i}].${error.message}`,
+        message_en: `items[${i}].${error.message_en}`
+      })));
+      return;
+    }
+
+    const amount = roundAmount(values.quantity * values.unit_price);
+    const vatAmount = values.vat_flag ? roundAmount(amount * vatRate / 100) : 0;
+
+    items.push({
+      item_no: i + 1,
+      description: values.description,
+      bill_type_id: values.bill_type_id ?? null,
+      quantity: values.quantity,
+      unit_price: values.unit_price,
+      amount,
+      vat_flag: values.vat_flag ? 1 : 0,
+      vat_rate: values.vat_flag ? vatRate : 0,
+      vat_amount: vatAmount,
+      total_amount: roundAmount(amount + vatAmount)
+    });
+  });
+
+  return {
+    items,
+    total_price: roundAmount(items.reduce((sum, item) => sum + item.total_amount, 0)),
+    errors
+  };
+}
+
+/**
+ * One item for bill rooms created with only total_price
+ * @param {number} totalPrice
+ * @param {Object} options - { description, billTypeId }
+ * @returns {Array<Object>}
+ */
+export function buildSingleItem(totalPrice, { description, billTypeId = null }) {
+  return [{
+    item_no: 1,
+    description: description || 'รายการบิล',
+    bill_type_id: billTypeId,
+    quantity: 1,
+    unit_price: totalPrice,
+    amount: totalPrice,
+    vat_flag: 0,
+    vat_rate: 0,
+    vat_amount: 0,
+    total_amount: totalPrice
+  }];
+}
+
+/**
+ * Map extra Excel columns to item types by bill type title ("ค่าน้ำ" or "ค่าน้ำ (VAT)")
+ * @param {Array<string>} columns - Header row
+ * @param {Array<Object>} billTypes - [{ id, title }]
+ * @returns {Object} { itemColumns: [{ column, bill_type_id, description, vat_flag }], ignoredColumns }
+ */
+export function matchItemColumns(columns, billTypes) {
+  const itemColumns = [];
+  const ignoredColumns = [];
+
+  for (const column of columns) {
+    if (EXCEL_BASE_COLUMNS.includes(column)) {
+      continue;
+    }
+
+    const vatFlag = VAT_SUFFIX.test(column);
+    const title = column.replace(VAT_SUFFIX, '').trim();
+    const billType = billTypes.find(type => type.title.trim() === title);
+
+    if (billType) {
+      itemColumns.push({ column, bill_type_id: billType.id, description: title, vat_flag: vatFlag });
+    } else {
+      ignoredColumns.push(column);
+    }
+  }
+
+  return { itemColumns, ignoredColumns };
+}
+
+/**
+ * Read amount of Excel row - item columns when the row has them, otherwise ยอดเงิน as one item
+ * ยอดเงิน (if filled) must equal the sum of the items
+ * @param {Object} row - Row from sheet_to_json
+ * @param {Array<Object>} itemColumns - From matchItemColumns
+ * @param {Object} options - { vatRate, description, billTypeId } description / billTypeId of the single item
+ * @returns {Object} { items, total_price } or { error }
+ */
+export function readExcelRowItems(row, itemColumns, { vatRate, description = null, billTypeId = null }) {
+  const totalPriceText = row['ยอดเงิน']?.toString().trim();
+  const rawItems = [];
+
+  for (const itemColumn of itemColumns) {
+    const text = row[itemColumn.column]?.toString().trim();
+    if (!text) {
+      continue;
+    }
+
+    const unitPrice = parseFloat(text);
+    if (isNaN(unitPrice)) {
+      return { error: `${itemColumn.column} ไม่ใช่ตัวเลข` };
+    }
+
+    rawItems.push({
+      description: itemColumn.description,
+      bill_type_id: itemColumn.bill_type_id,
+      quantity: 1,
+      unit_price: unitPrice,
+      vat_flag: itemColumn.vat_flag
+    });
+  }
+
+  if (rawItems.length === 0) {
+    if (!totalPriceText) {
+      return { error: 'ขาดข้อมูลจำเป็น (เลขห้อง, ชื่อลูกบ้าน, หรือยอดเงิน)' };
+    }
+
+    const totalPrice = parseFloat(totalPriceText);
+    if (isNaN(totalPrice)) {
+      return { error: 'ยอดเงินไม่ใช่ตัวเลข' };
+    }
+
+    return { items: buildSingleItem(totalPrice, { description, billTypeId }), total_price: totalPrice };
+  }
+
+  const built = buildBillRoomItems(rawItems, vatRate);
+  if (built.errors.length > 0) {
+    return { error: 'ยอดเงินของรายการต้องไม่ติดลบ' };
+  }
+
+  if (totalPriceText && Math.abs(parseFloat(totalPriceText) - built.total_price) >= 0.01) {
+    return { error: `ยอดเงินไม่ตรงกับผลรวมรายการ (${built.total_price})` };
+  }
+
+  return { items: built.items, total_price: built.total_price };
+}
+
+/**
+ * Insert items of bill rooms (call inside the transaction that inserted the bill rooms)
+ * @param {Object} connection - Transaction connection
+ * @param {Array<Object>} billRooms - [{ billRoomId, billId, customerId, items }]
+ * @param {number} actorId
+ */
+export async function insertBillRoomItems(connection, billRooms, actorId) {
+  const values = [];
+  const params = [];
+
+  for (const { billRoomId, billId, customerId, items } of billRooms) {
+    for (const item of items) {
+      values.push('(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)');
+      params.push(
+        billRoomId, billId, item.item_no, item.description, item.bill_type_id, item.quantity, item.unit_price,
+        item.amount, item.vat_flag, item.vat_rate, item.vat_amount, item.total_amount, customerId, actorId
+      );
+    }
+  }
+
+  if (values.length === 0) {
+    return;
+  }
+
+  // ใช้ query() แทน execute() เพราะ dynamic values
+  await connection.query(
+    `INSERT INTO ${TABLE_ITEM}
+     (bill_room_id, bill_id, item_no, description, bill_type_id, quantity, unit_price, amount, vat_flag, vat_rate, vat_amount, total_amount, customer_id, create_by)
+     VALUES ${values.join(', ')}`,
+    params
+  );
+}
+
+/**
+ * Sort items in payment order (pure)
+ * @param {Array<Object>} items - [{ bill_type_id, item_no }]
+ * @param {Array<number>} priority - bill_type_id order
+ * @returns {Array<Object>}
+ */
+export function sortItemsByPriority(items, priority) {
+  const rank = item => {
+    const index = priority.indexOf(item.bill_type_id === null ? null : parseInt(item.bill_type_id));
+    return index === -1 ? priority.length : index;
+  };
+
+  return [...items].sort((a, b) => rank(a) - rank(b) || a.item_no - b.item_no);
+}
+
+/**
+ * Split paid amount over items in payment order (pure)
+ * Amount paid above the items total is left unallocated (belongs to penalties)
+ * @param {Array<Object>} items - [{ id, bill_type_id, item_no, total_amount }]
+ * @param {number} paidAmount
+ * @param {Array<number>} priority - bill_type_id order
+ * @returns {Array<Object>} [{ id, paid_amount }] in payment order
+ */
+export function allocatePayment(items, paidAmount, priority) {
+  let remaining = paidAmount;
+
+  return sortItemsByPriority(items, priority).map(item => {
+    const allocated = roundAmount(Math.min(parseFloat(item.total_amount), Math.max(remaining, 0)));
+    remaining = roundAmount(remaining - allocated);
+    return { id: item.id, paid_amount: allocated };
+  });
+}
+
+/**
+ * Re-allocate paid amount of bill room to its items (call inside the transaction that changed the payments)
+ * Amount paid above the items total belongs to penalties
+ * @param {Object} connection - Transaction connection
+ * @param {number} billRoomId
+ * @returns {Promise<Array<Object>>} [{ id, paid_amount }]
+ */
+export async function allocateBillRoomPayment(connection, billRoomId) {
+  const [items] = await connection.execute(
+    `SELECT id, item_no, bill_type_id, total_amount, paid_amount FROM ${TABLE_ITEM} WHERE bill_room_id = ? ORDER BY item_no ASC FOR UPDATE`,
+    [billRoomId]
+  );
+
+  if (items.length === 0) {
+    return [];
+  }
+
+  const [paidRows] = await connection.execute(
+    'SELECT COALESCE(SUM(transaction_amount), 0) as total_paid FROM bill_transaction_information WHERE bill_room_id = ? AND status != 2',
+    [billRoomId]
+  );
+
+  const priority = await getConfig('bill_item_payment_priority');
+  const allocation = allocatePayment(items, parseFloat(paidRows[0].total_paid), Array.isArray(priority) ? priority.map(Number) : []);
+  const currentPaid = new Map(items.map(item => [item.id, parseFloat(item.paid_amount)]));
+
+  for (const { id, paid_amount: paidAmount } of allocation) {
+    if (paidAmount !== currentPaid.get(id)) {
+      await connection.execute(
+        `UPDATE ${TABLE_ITEM} SET paid_amount = ?, update_date = NOW() WHERE id = ?`,
+        [paidAmount, id]
+      );
+    }
+  }
+
+  return allocation;
+}
+
+/**
+ * Items of bill rooms
+ * @param {Object} executor - Pool or transaction connection
+ * @param {Array<number>} billRoomIds
+ * @returns {Promise<Map<number, Array<Object>>>} bill_room_id -> items (with bill_type title)
+ */
+export async function getBillRoomItems(executor, billRoomIds) {
+  const itemsByBillRoom = new Map();
+
+  if (billRoomIds.length === 0) {
+    return itemsByBillRoom;
+  }
+
+  const placeholders = billRoomIds.map(() => '?').join(',');
+  const [rows] = await executor.execute(
+    `SELECT i.id, i.bill_room_id, i.item_no, i.description, i.bill_type_id, bt.title as bill_type,
+            i.quantity, i.unit_price, i.amount, i.vat_flag, i.vat_rate, i.vat_amount, i.total_amount, i.paid_amount
+     FROM ${TABLE_ITEM} i
+     LEFT JOIN bill_type_information bt ON i.bill_type_id = bt.id
+     WHERE i.bill_room_id IN (${placeholders})
+     ORDER BY i.bill_room_id ASC, i.item_no ASC`,
+    billRoomIds
+  );
+
+  for (const row of rows) {
+    if (!itemsByBillRoom.has(row.bill_room_id)) {
+      itemsByBillRoom.set(row.bill_room_id, []);
+    }
+    itemsByBillRoom.get(row.bill_room_id).push(row);
+  }
+
+  return itemsByBillRoom;
+}
@@ -0,0 +1,462 @@
+import { getDatabase, withTransaction } from '../config/database.js';
+import logger from './logger.js';
+import { generateUploadKey } from './keyGenerator.js';
+import { generateDocumentNumber, generateDocumentNumbers } from './documentNumber.js';
+import { BILL_STATUS, BILL_ROOM_STATUS } from './statusMachine.js';
+import { getAuditSnapshot, writeAuditLog } from './auditLog.js';
+import { formatExpireDate, insertBillAudit, sendBillRecord } from './billHelper.js';
+import { buildSingleItem, insertBillRoomItems } from './billRoomItem.js';
+import { buildFeeRulePlan } from './roomFee.js';
+import { prorateRooms } from './proration.js';
+
+/**
+ * Recurring bill schedules - one bill per schedule per month, rooms of the customer as bill_room rows
+ * amount_rule: fixed     - same amount for every room
+ *              room_type - room_type_amounts[room.type_id], falls back to amount
+ *              previous  - room amount of the previous bill, falls back to amount
+ *              fee_rule  - room fee rules of the bill type (utils/roomFee.js), items per rule
+ * Rooms that moved in during the period are prorated by the proration rule of the bill type (utils/proration.js)
+ * BILL_SCHEDULE_INTERVAL_MINUTES (env) - how often due schedules are checked (default 60)
+ */
+
+const TABLE_SCHEDULE = 'bill_schedule';
+const TABLE_SCHEDULE_RUN = 'bill_schedule_run';
+const TABLE_BILL = 'bill_information';
+const TABLE_BILL_ROOM = 'bill_room_information';
+
+// create_by / update_by ของงานที่ระบบทำเอง
+const SYSTEM_ACTOR_ID = -1;
+
+export const AMOUNT_RULES = ['fixed', 'room_type', 'previous', 'fee_rule'];
+
+const THAI_MONTHS = [
+  'มกราคม', 'กุมภาพันธ์', 'มีนาคม', 'เมษายน', 'พฤษภาคม', 'มิถุนายน',
+  'กรกฎาคม', 'สิงหาคม', 'กันยายน', 'ตุลาคม', 'พฤศจิกายน', 'ธันวาคม'
+];
+
+function getIntEnv(key, defaultValue) {
+  const value = parseInt(process.env[key]);
+  return isNaN(value) ? defaultValue : value;
+}
+
+function formatDate(year, month, day) {
+  const d = new Date(year, month - 1, day);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Period (YYYY-MM) that a date belongs to
+ * @param {string|Date} date - YYYY-MM-DD or Date (default: today)
+ * @returns {string}
+ */
+export function getPeriodOf(date = new Date()) {
+  if (typeof date === 'string') {
+    return date.substring(0, 7);
+  }
+
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Issue date of schedule in period
+ * @param {string} period - YYYY-MM
+ * @param {number} issueDay - 1-28
+ * @returns {string} YYYY-MM-DD
+ */
+export function getIssueDate(period, issueDay) {
+  const [year, month] = period.split('-').map(Number);
+  return formatDate(year, month, issueDay);
+}
+
+/**
+ * First run date for a new schedule - this month if issue day has not passed yet, otherwise next month
+ * @param {number} issueDay - 1-28
+ * @returns {string} YYYY-MM-DD
+ */
+export function getFirstRunDate(issueDay) {
+  const today = new Date();
+  return formatDate(today.getFullYear(), today.getMonth() + 1 + (today.getDate() > issueDay ? 1 : 0), issueDay);
+}
+
+function getNextRunDate(period, issueDay) {
+  const [year, month] = period.split('-').map(Number);
+  return formatDate(year, month + 1, issueDay);
+}
+
+/**
+ * Replace period placeholders in title / detail
+ * {MM} = 01-12, {YYYY} = 2025, {MONTH_TH} = มกราคม, {YYYY_TH} = 2568
+ */
+export function renderTemplate(template, period) {
+  const [year, month] = period.split('-').map(Number);
+
+  return (template || '')
+    .replace(/\{MM\}/g, String(month).padStart(2, '0'))
+    .replace(/\{YYYY_TH\}/g, String(year + 543))
+    .replace(/\{YYYY\}/g, String(year))
+    .replace(/\{MONTH_TH\}/g, THAI_MONTHS[month - 1]);
+}
+
+function parseRoomTypeAmounts(value) {
+  if (!value) {
+    return {};
+  }
+
+  if (typeof value === 'object') {
+    return value;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Room amounts of the bill before this period (amount before proration)
+ * Previous run of the schedule first, otherwise the latest bill of the same type
+ */
+async function getPreviousAmounts(executor, schedule, period) {
+  const [runRows] = await executor.execute(
+    `SELECT bill_id FROM ${TABLE_SCHEDULE_RUN} WHERE schedule_id = ? AND period < ? ORDER BY period DESC LIMIT 1`,
+    [schedule.id, period]
+  );
+
+  let billId = runRows[0]?.bill_id;
+
+  if (!billId) {
+    const [billRows] = await executor.execute(
+      `SELECT id FROM ${TABLE_BILL} WHERE customer_id = ? AND bill_type_id = ? AND status != 2 ORDER BY create_date DESC, id DESC LIMIT 1`,
+      [schedule.customer_id, schedule.bill_type_id]
+    );
+    billId = billRows[0]?.id;
+  }
+
+  const amounts = new Map();
+
+  if (!billId) {
+    return { billId: null, amounts };
+  }
+
+  const [roomRows] = await executor.execute(
+    `SELECT house_no, COALESCE(full_price, total_price) as total_price FROM ${TABLE_BILL_ROOM} WHERE bill_id = ? AND status != 2`,
+    [billId]
+  );
+
+  // ห้องที่คิดตามวันเข้าอยู่ในรอบก่อนใช้ยอดเต็มเดือน
+  for (const row of roomRows) {
+    amounts.set(row.house_no, parseFloat(row.total_price));
+  }
+
+  return { billId, amounts };
+}
+
+/**
+ * Build what the schedule would generate for period (used by preview and by generation)
+ * Rooms without owner or without amount are skipped and reported
+ * @param {Object} executor - Pool or transaction connection
+ * @param {Object} schedule - bill_schedule row
+ * @param {string} period - YYYY-MM
+ * @returns {Promise<Object>} { period, title, detail, issue_date, expire_date, items, skipped, total_amount, previous_bill_id }
+ */
+export async function buildSchedulePlan(executor, schedule, period) {
+  const issueDate = getIssueDate(period, schedule.issue_day);
+  const [year, month, day] = issueDate.split('-').map(Number);
+  const expireDate = formatDate(year, month, day + parseInt(schedule.due_days));
+
+  if (schedule.amount_rule === 'fee_rule') {
+    const feePlan = await buildFeeRulePlan(executor, { customerId: schedule.customer_id, billTypeId: schedule.bill_type_id, period });
+
+    return {
+      period,
+      title: renderTemplate(schedule.title_template, period),
+      detail: renderTemplate(schedule.detail_template, period),
+      issue_date: issueDate,
+      expire_date: expireDate,
+      items: feePlan.rooms.map(room => ({
+        room_id: room.room_id,
+        house_no: room.house_no,
+        member_name: room.member_name,
+        type_id: room.type_id,
+        total_price: room.total_price,
+        items: room.items,
+        remark: room.remark,
+        proration: room.proration
+      })),
+      skipped: feePlan.skipped,
+      total_amount: feePlan.total_amount,
+      previous_bill_id: null
+    };
+  }
+
+  const [rooms] = await executor.execute(
+    `SELECT r.id, r.title as house_no, r.type_id,
+            CONCAT(m.prefix_name, m.full_name) as member_name
+     FROM room_information r
+     LEFT JOIN member_information m ON r.owner_id = m.id AND m.status != 2
+     WHERE r.customer_id = ? AND r.status != 2
+     ORDER BY r.title ASC`,
+    [schedule.customer_id]
+  );
+
+  const fallbackAmount = schedule.amount !== null && schedule.amount !== undefined ? parseFloat(schedule.amount) : null;
+  const roomTypeAmounts = parseRoomTypeAmounts(schedule.room_type_amounts);
+  const previous = schedule.amount_rule === 'previous'
+    ? await getPreviousAmounts(executor, schedule, period)
+    : { billId: null, amounts: new Map() };
+
+  const items = [];
+  const skipped = [];
+
+  for (const room of rooms) {
+    let amount = fallbackAmount;
+
+    if (schedule.amount_rule === 'room_type' && room.type_id !== null && roomTypeAmounts[room.type_id] !== undefined) {
+      amount = parseFloat(roomTypeAmounts[room.type_id]);
+    } else if (schedule.amount_rule === 'previous' && previous.amounts.has(room.house_no)) {
+      amount = previous.amounts.get(room.house_no);
+    }
+
+    if (!room.member_name) {
+      skipped.push({ room_id: room.id, house_no: room.house_no, reason: 'ห้องนี้ยังไม่มีเจ้าของ' });
+      continue;
+    }
+
+    if (amount === null || isNaN(amount) || amount <= 0) {
+      skipped.push({ room_id: room.id, house_no: room.house_no, reason: 'ไม่พบยอดเงินของห้องนี้' });
+      continue;
+    }
+
+    items.push({
+      room_id: room.id,
+      house_no: room.house_no,
+      member_name: room.member_name,
+      type_id: room.type_id,
+      total_price: roundAmount(amount)
+    });
+  }
+
+  const prorated = await prorateRooms(executor, {
+    customerId: schedule.customer_id,
+    billTypeId: schedule.bill_type_id,
+    period,
+    rooms: items
+  });
+
+  return {
+    period,
+    title: renderTemplate(schedule.title_template, period),
+    detail: renderTemplate(schedule.detail_template, period),
+    issue_date: issueDate,
+    expire_date: expireDate,
+    items: prorated.rooms,
+    skipped: [...skipped, ...prorated.skipped],
+    total_amount: roundAmount(prorated.rooms.reduce((sum, item) => sum + item.total_price, 0)),
+    previous_bill_id: previous.billId
+  };
+}
+
+/**
+ * Generate bill of schedule for period, then send it when auto_send is on
+ * Bill, bill rooms, run row and next_run_date are written in one transaction
+ * @param {number} scheduleId - bill_schedule id
+ * @param {string} period - YYYY-MM
+ * @param {Object} options - { actorId, req (null for background jobs) }
+ * @returns {Promise<Object>} { error?: 'not_found'|'already_generated'|'no_rooms', bill_id, bill_no, plan, sent }
+ */
+export async function generateScheduledBill(scheduleId, period, { actorId, req = null }) {
+  const outcome = await withTransaction(async (connection) => {
+    // lock schedule - scheduler และการสั่ง run เองจะไม่สร้างบิลซ้ำ
+    const [scheduleRows] = await connection.execute(
+      `SELECT * FROM ${TABLE_SCHEDULE} WHERE id = ? AND status != 2 FOR UPDATE`,
+      [scheduleId]
+    );
+
+    if (scheduleRows.length === 0) {
+      return { error: 'not_found' };
+    }
+
+    const schedule = scheduleRows[0];
+
+    const [runRows] = await connection.execute(
+      `SELECT bill_id FROM ${TABLE_SCHEDULE_RUN} WHERE schedule_id = ? AND period = ?`,
+      [scheduleId, period]
+    );
+
+    if (runRows.length > 0) {
+      return { error: 'already_generated', bill_id: runRows[0].bill_id };
+    }
+
+    const plan = await buildSchedulePlan(connection, schedule, period);
+
+    if (plan.items.length === 0) {
+      return { error: 'no_rooms', plan };
+    }
+
+    const billNo = await generateDocumentNumber('bill', schedule.customer_id, { connection });
+
+    const [billResult] = await connection.execute(
+      `INSERT INTO ${TABLE_BILL} (upload_key, bill_no, title, bill_type_id, detail, expire_date, send_date, remark, customer_id, status, create_by)
+       VALUES (?, ?, ?, ?, ?, ?, NULL, ?, ?, ?, ?)`,
+      [
+        generateUploadKey(),
+        billNo,
+        plan.title,
+        schedule.bill_type_id,
+        plan.detail,
+        formatExpireDate(plan.expire_date),
+        `สร้างจากรอบบิลอัตโนมัติ #${schedule.id} (${period})`,
+        schedule.customer_id,
+        BILL_STATUS.DRAFT,
+        actorId
+      ]
+    );
+
+    const billId = billResult.insertId;
+
+    await insertBillAudit(connection, billId, BILL_STATUS.DRAFT, actorId);
+    await writeAuditLog(connection, req, {
+      entity: 'bill',
+      entityId: billId,
+      action: 'create',
+      after: await getAuditSnapshot(connection, TABLE_BILL, billId),
+      customerId: schedule.customer_id
+    });
+
+    const invoiceNumbers = await generateDocumentNumbers('invoice', schedule.customer_id, { count: plan.items.length, connection });
+
+    const billRoomValues = [];
+    const billRoomParams = [];
+
+    plan.items.forEach((item, i) => {
+      billRoomValues.push('(?, ?, ?, ?, ?, ?, ?, ?, ?, ?)');
+      billRoomParams.push(billId, invoiceNumbers[i], item.house_no, item.member_name, item.total_price, item.proration?.full_price ?? null, item.remark || null, schedule.customer_id, BILL_ROOM_STATUS.UNPAID, actorId);
+    });
+
+    // ใช้ query() แทน execute() เพราะ dynamic values
+    await connection.query(
+      `INSERT INTO ${TABLE_BILL_ROOM} (bill_id, bill_no, house_no, member_name, total_price, full_price, remark, customer_id, status, create_by)
+       VALUES ${billRoomValues.join(', ')}`,
+      billRoomParams
+    );
+
+    // line items of fee rule / proration, otherwise one item per bill room (bill type of schedule) - map bill_room id by bill_no
+    const [billTypeRows] = await connection.execute('SELECT title FROM bill_type_information WHERE id = ?', [schedule.bill_type_id]);
+    const [insertedBillRooms] = await connection.execute(`SELECT id, bill_no FROM ${TABLE_BILL_ROOM} WHERE bill_id = ?`, [billId]);
+    const billRoomIdByNo = new Map(insertedBillRooms.map(billRoom => [billRoom.bill_no, billRoom.id]));
+
+    await insertBillRoomItems(connection, plan.items.map((item, i) => ({
+      billRoomId: billRoomIdByNo.get(invoiceNumbers[i]),
+      billId,
+      customerId: schedule.customer_id,
+      items: item.items || buildSingleItem(item.total_price, { description: billTypeRows[0]?.title || plan.title, billTypeId: schedule.bill_type_id })
+    })), actorId);
+
+    await connection.execute(
+      `INSERT INTO ${TABLE_SCHEDULE_RUN} (schedule_id, period, bill_id, room_count, skipped_count, total_amount, customer_id, create_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [scheduleId, period, billId, plan.items.length, plan.skipped.length, plan.total_amount, schedule.customer_id, actorId]
+    );
+
+    // เลื่อนรอบถัดไปเฉพาะเมื่อสร้างรอบปัจจุบันหรือรอบที่เลยมาแล้ว (preview / run ล่วงหน้าไม่กระทบ)
+    const nextRunDate = getNextRunDate(period, schedule.issue_day);
+    await connection.execute(
+      `UPDATE ${TABLE_SCHEDULE}
+       SET last_run_date = CURDATE(), last_bill_id = ?,
+           next_run_date = GREATEST(next_run_date, ?), update_date = NOW(), update_by = ?
+       WHERE id = ?`,
+      [billId, nextRunDate, actorId, scheduleId]
+    );
+
+    return { schedule, bill_id: billId, bill_no: billNo, plan };
+  });
+
+  if (outcome.error) {
+    return outcome;
+  }
+
+  let sent = false;
+
+  if (parseInt(outcome.schedule.auto_send) === 1) {
+    try {
+      const result = await sendBillRecord(outcome.bill_id, { actorId, req, reason: 'ส่งบิลอัตโนมัติ' });
+      sent = !result.error;
+    } catch (error) {
+      // บิลถูกสร้างแล้ว - ส่งเองภายหลังได้จากหน้าบิล
+      logger.error(`Auto send scheduled bill ${outcome.bill_id} failed:`, error);
+    }
+  }
+
+  logger.info(`Bill schedule ${scheduleId} generated bill ${outcome.bill_id} (${outcome.bill_no}) for ${period}: ${outcome.plan.items.length} rooms${sent ? ', sent' : ''}`);
+
+  return {
+    bill_id: outcome.bill_id,
+    bill_no: outcome.bill_no,
+    plan: outcome.plan,
+    sent
+  };
+}
+
+/**
+ * Generate bills of every active schedule whose next_run_date has come
+ * A schedule that missed several months catches up one period per run
+ * @returns {Promise<number>} Number of bills generated
+ */
+export async function runDueBillSchedules() {
+  const db = getDatabase();
+
+  const [schedules] = await db.execute(
+    `SELECT id, issue_day, next_run_date FROM ${TABLE_SCHEDULE} WHERE status = 1 AND next_run_date <= CURDATE() ORDER BY next_run_date ASC, id ASC`
+  );
+
+  let generated = 0;
+
+  for (const schedule of schedules) {
+    const period = getPeriodOf(schedule.next_run_date);
+
+    try {
+      const result = await generateScheduledBill(schedule.id, period, { actorId: SYSTEM_ACTOR_ID });
+
+      if (!result.error) {
+        generated++;
+        continue;
+      }
+
+      if (result.error !== 'not_found') {
+        // ไม่มีห้องให้เรียกเก็บ / สร้างไปแล้ว - ข้ามไปรอบถัดไป จะได้ไม่ติดอยู่ที่รอบเดิม
+        await db.execute(
+          `UPDATE ${TABLE_SCHEDULE} SET next_run_date = ?, update_date = NOW(), update_by = ? WHERE id = ? AND next_run_date = ?`,
+          [getNextRunDate(period, schedule.issue_day), SYSTEM_ACTOR_ID, schedule.id, schedule.next_run_date]
+        );
+        logger.warn(`Bill schedule ${schedule.id} skipped ${period}: ${result.error}`);
+      }
+    } catch (error) {
+      logger.error(`Bill schedule ${schedule.id} failed for ${period}:`, error);
+    }
+  }
+
+  return generated;
+}
+
+/**
+ * Start background bill scheduler
+ */
+export function startBillScheduler() {
+  const intervalMs = getIntEnv('BILL_SCHEDULE_INTERVAL_MINUTES', 60) * 60 * 1000;
+
+  setInterval(async () => {
+    try {
+      const generated = await runDueBillSchedules();
+      if (generated > 0) {
+        logger.info(`Bill scheduler: ${generated} bills generated`);
+      }
+    } catch (error) {
+      logger.error('Bill scheduler error:', error);
+    }
+  }, intervalMs).unref();
+}
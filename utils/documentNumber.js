@@ -0,0 +1,302 @@
+import { getDatabase, withTransaction } from '../config/database.js';
+import logger from './logger.js';
+
+const TABLE_SEQUENCE = 'document_sequence';
+const TABLE_NUMBERING_CONFIG = 'document_numbering_config';
+
+/**
+ * Document types with default numbering
+ * pattern tokens: {YYYY} {YY} {MM} {DD} {SEQ} {SEQ:n} (n = minimum digits, never wraps)
+ * resetPolicy   - never | yearly | monthly | daily
+ * legacy        - table/column numbered before document_sequence existed (first counter of a period continues from it)
+ */
+export const DOCUMENT_TYPES = {
+  bill: {
+    title: 'เลขที่บิล',
+    pattern: 'BILL-{YYYY}-{MM}{DD}-{SEQ:3}',
+    resetPolicy: 'daily',
+    legacy: { table: 'bill_information', column: 'bill_no' }
+  },
+  invoice: {
+    title: 'เลขที่ใบแจ้งหนี้',
+    pattern: 'INV-{YYYY}-{MM}{DD}-{SEQ:3}',
+    resetPolicy: 'daily',
+    legacy: { table: 'bill_room_information', column: 'bill_no' }
+  },
+  receipt: {
+    title: 'เลขที่ใบเสร็จรับเงิน',
+    pattern: 'RC-{YYYY}{MM}-{SEQ:5}',
+    resetPolicy: 'monthly',
+    legacy: null
+  },
+  credit_note: {
+    title: 'เลขที่ใบลดหนี้',
+    pattern: 'CN-{YYYY}-{SEQ:5}',
+    resetPolicy: 'yearly',
+    legacy: null
+  }
+};
+
+export const RESET_POLICIES = ['never', 'yearly', 'monthly', 'daily'];
+
+const MAX_PATTERN_LENGTH = 50;
+
+function getDateParts(date) {
+  return {
+    YYYY: String(date.getFullYear()),
+    YY: String(date.getFullYear()).slice(-2),
+    MM: String(date.getMonth() + 1).padStart(2, '0'),
+    DD: String(date.getDate()).padStart(2, '0')
+  };
+}
+
+/**
+ * Period key of counter for reset policy
+ */
+function getPeriodKey(resetPolicy, date) {
+  const { YYYY, MM, DD } = getDateParts(date);
+
+  switch (resetPolicy) {
+    case 'yearly':
+      return YYYY;
+    case 'monthly':
+      return `${YYYY}-${MM}`;
+    case 'daily':
+      return `${YYYY}-${MM}-${DD}`;
+    default:
+      return 'all';
+  }
+}
+
+/**
+ * Period keys of date under every reset policy
+ * After reset_policy is changed (e.g. monthly → yearly) the counter of the old policy has already issued
+ * numbers with the same rendered prefix - the new counter must continue above it
+ * @param {Date} date
+ * @returns {Array<string>}
+ */
+function getOverlappingPeriodKeys(date) {
+  return RESET_POLICIES.map(resetPolicy => getPeriodKey(resetPolicy, date));
+}
+
+/**
+ * Highest number issued by counters (0 if none)
+ */
+function getLastNumber(rows) {
+  return rows.reduce((max, row) => Math.max(max, row.last_number), 0);
+}
+
+/**
+ * Render pattern with running number
+ * @param {string} pattern
+ * @param {Date} date
+ * @param {number} runNumber
+ * @returns {string}
+ */
+export function formatDocumentNumber(pattern, date, runNumber) {
+  const parts = getDateParts(date);
+
+  return pattern
+    .replace(/\{(YYYY|YY|MM|DD)\}/g, (match, token) => parts[token])
+    .replace(/\{SEQ(?::(\d+))?\}/g, (match, digits) => String(runNumber).padStart(parseInt(digits || '1'), '0'));
+}
+
+/**
+ * Validate pattern against reset policy
+ * Pattern must contain {SEQ} once, and the date tokens of its period - otherwise numbers would repeat after reset
+ * @param {string} pattern
+ * @param {string} resetPolicy
+ * @returns {string|null} Error message (Thai) or null if valid
+ */
+export function validateNumberingPattern(pattern, resetPolicy) {
+  if (!RESET_POLICIES.includes(resetPolicy)) {
+    return `reset_policy ต้องเป็น ${RESET_POLICIES.join(', ')}`;
+  }
+
+  if (typeof pattern !== 'string' || pattern.trim() === '' || pattern.length > MAX_PATTERN_LENGTH) {
+    return `pattern ต้องไม่ว่างและยาวไม่เกิน ${MAX_PATTERN_LENGTH} ตัวอักษร`;
+  }
+
+  if ((pattern.match(/\{SEQ(?::\d+)?\}/g) || []).length !== 1) {
+    return 'pattern ต้องมี {SEQ} หรือ {SEQ:n} 1 ตำแหน่ง';
+  }
+
+  const unknownTokens = (pattern.match(/\{[^}]*\}/g) || []).filter(token => !/^\{(YYYY|YY|MM|DD|SEQ(:\d+)?)\}$/.test(token));
+  if (unknownTokens.length > 0) {
+    return `ไม่รู้จัก token: ${unknownTokens.join(', ')}`;
+  }
+
+  const hasYear = /\{(YYYY|YY)\}/.test(pattern);
+  const hasMonth = pattern.includes('{MM}');
+  const hasDay = pattern.includes('{DD}');
+
+  if ((resetPolicy === 'yearly' && !hasYear) ||
+      (resetPolicy === 'monthly' && !(hasYear && hasMonth)) ||
+      (resetPolicy === 'daily' && !(hasYear && hasMonth && hasDay))) {
+    return 'pattern ต้องมีวันที่ตามรอบการเริ่มนับใหม่ (yearly: {YYYY}, monthly: {YYYY}{MM}, daily: {YYYY}{MM}{DD})';
+  }
+
+  return null;
+}
+
+/**
+ * Get numbering settings of customer (falls back to DOCUMENT_TYPES default)
+ * @param {Object} executor - pool or transaction connection
+ * @param {string} documentType
+ * @param {string} customerId
+ * @returns {Promise<Object>} { pattern, resetPolicy, customized }
+ */
+export async function getNumberingSettings(executor, documentType, customerId) {
+  const definition = DOCUMENT_TYPES[documentType];
+
+  const [rows] = await executor.execute(
+    `SELECT pattern, reset_policy FROM ${TABLE_NUMBERING_CONFIG} WHERE customer_id = ? AND document_type = ? LIMIT 1`,
+    [customerId, documentType]
+  );
+
+  if (rows.length === 0) {
+    return { pattern: definition.pattern, resetPolicy: definition.resetPolicy, customized: false };
+  }
+
+  return { pattern: rows[0].pattern, resetPolicy: rows[0].reset_policy, customized: true };
+}
+
+/**
+ * Last running number already used in legacy table for this prefix (0 if none)
+ * Only when {SEQ} is the last token - otherwise the number cannot be parsed back
+ */
+async function findLegacyRunNumber(connection, definition, pattern, date, customerId) {
+  if (!definition.legacy || !/\{SEQ(?::\d+)?\}$/.test(pattern)) {
+    return 0;
+  }
+
+  const prefix = formatDocumentNumber(pattern.replace(/\{SEQ(?::\d+)?\}$/, ''), date, 0);
+  const likePrefix = prefix.replace(/[\\%_]/g, match => `\\${match}`);
+  const { table, column } = definition.legacy;
+
+  const [rows] = await connection.execute(
+    `SELECT ${column} as document_no FROM ${table}
+     WHERE ${column} LIKE ? AND customer_id = ?
+     ORDER BY LENGTH(${column}) DESC, ${column} DESC
+     LIMIT 1`,
+    [`${likePrefix}%`, customerId]
+  );
+
+  if (rows.length === 0) {
+    return 0;
+  }
+
+  const suffix = rows[0].document_no.slice(prefix.length);
+  return /^\d+$/.test(suffix) ? parseInt(suffix) : 0;
+}
+
+async function reserveNumbers(connection, documentType, customerId, count, date) {
+  const definition = DOCUMENT_TYPES[documentType];
+  const { pattern, resetPolicy } = await getNumberingSettings(connection, documentType, customerId);
+  const periodKey = getPeriodKey(resetPolicy, date);
+  const periodKeys = getOverlappingPeriodKeys(date);
+
+  // lock counter ของทุก reset policy ที่ครอบวันนี้ (counter ก่อนเปลี่ยน reset_policy ออกเลข prefix เดียวกันไปแล้ว)
+  const selectQuery = `
+    SELECT id, period_key, last_number FROM ${TABLE_SEQUENCE}
+    WHERE customer_id = ? AND document_type = ? AND period_key IN (${periodKeys.map(() => '?').join(', ')})
+    ORDER BY id
+    FOR UPDATE
+  `;
+
+  let [rows] = await connection.execute(selectQuery, [customerId, documentType, ...periodKeys]);
+
+  if (!rows.some(row => row.period_key === periodKey)) {
+    // counter แรกของรอบ - ต่อจากเลขที่มีอยู่แล้ว (ข้อมูลก่อนมี document_sequence)
+    const startNumber = await findLegacyRunNumber(connection, definition, pattern, date, customerId);
+
+    await connection.execute(
+      `INSERT IGNORE INTO ${TABLE_SEQUENCE} (customer_id, document_type, period_key, last_number)
+       VALUES (?, ?, ?, ?)`,
+      [customerId, documentType, periodKey, startNumber]
+    );
+
+    [rows] = await connection.execute(selectQuery, [customerId, documentType, ...periodKeys]);
+  }
+
+  const counter = rows.find(row => row.period_key === periodKey);
+  const firstNumber = getLastNumber(rows) + 1;
+
+  await connection.execute(
+    `UPDATE ${TABLE_SEQUENCE} SET last_number = ?, update_date = NOW() WHERE id = ?`,
+    [firstNumber + count - 1, counter.id]
+  );
+
+  const numbers = [];
+  for (let i = 0; i < count; i++) {
+    numbers.push(formatDocumentNumber(pattern, date, firstNumber + i));
+  }
+
+  logger.debug(`Document numbers reserved: ${documentType} ${customerId} ${periodKey} ${numbers[0]}..${numbers[numbers.length - 1]}`);
+  return numbers;
+}
+
+/**
+ * Reserve running document numbers
+ * Counter row is locked (FOR UPDATE) until the transaction ends - pass the transaction connection
+ * so numbers are released on rollback; without connection a separate transaction is used
+ * @param {string} documentType - Key of DOCUMENT_TYPES
+ * @param {string} customerId
+ * @param {Object} options - { count = 1, date = now, connection }
+ * @returns {Promise<Array<string>>} Document numbers in order
+ *
+ * Example:
+ * const [billNo] = await generateDocumentNumbers('bill', customerId, { connection });
+ */
+export async function generateDocumentNumbers(documentType, customerId, { count = 1, date = new Date(), connection = null } = {}) {
+  if (!DOCUMENT_TYPES[documentType]) {
+    throw new Error(`Unknown document type: ${documentType}`);
+  }
+
+  if (!customerId) {
+    throw new Error('customer_id is required for document numbering');
+  }
+
+  if (count < 1) {
+    return [];
+  }
+
+  if (connection) {
+    return reserveNumbers(connection, documentType, customerId, count, date);
+  }
+
+  return withTransaction(transaction => reserveNumbers(transaction, documentType, customerId, count, date));
+}
+
+/**
+ * Reserve one running document number
+ * @param {string} documentType
+ * @param {string} customerId
+ * @param {Object} options - { date, connection }
+ * @returns {Promise<string>}
+ */
+export async function generateDocumentNumber(documentType, customerId, options = {}) {
+  const [documentNo] = await generateDocumentNumbers(documentType, customerId, { ...options, count: 1 });
+  return documentNo;
+}
+
+/**
+ * Preview next number without reserving it
+ * @param {string} documentType
+ * @param {string} customerId
+ * @returns {Promise<string>}
+ */
+export async function previewDocumentNumber(documentType, customerId) {
+  const db = getDatabase();
+  const date = new Date();
+  const { pattern } = await getNumberingSettings(db, documentType, customerId);
+  const periodKeys = getOverlappingPeriodKeys(date);
+
+  const [rows] = await db.execute(
+    `SELECT last_number FROM ${TABLE_SEQUENCE}
+     WHERE customer_id = ? AND document_type = ? AND period_key IN (${periodKeys.map(() => '?').join(', ')})`,
+    [customerId, documentType, ...periodKeys]
+  );
+
+  return formatDocumentNumber(pattern, date, getLastNumber(rows) + 1);
+}
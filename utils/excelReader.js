@@ -0,0 +1,61 @@
+import fs from 'fs';
+import https from 'https';
+import http from 'http';
+import xlsx from 'xlsx';
+import { getUploadType } from './storageManager.js';
+
+/**
+ * Read uploaded Excel / CSV file from Firebase URL or local path
+ * @param {string} filePath - Firebase URL or local file path
+ * @param {string} fileExt - File extension (xlsx, xls, csv)
+ * @returns {Promise<Object>} xlsx workbook object
+ */
+export async function readExcelFile(filePath, fileExt) {
+  const uploadType = getUploadType();
+
+  if (uploadType === 'firebase' || filePath.startsWith('http://') || filePath.startsWith('https://')) {
+    // Firebase mode: fetch file from URL
+    return new Promise((resolve, reject) => {
+      const protocol = filePath.startsWith('https://') ? https : http;
+
+      protocol.get(filePath, (response) => {
+        if (response.statusCode !== 200) {
+          return reject(new Error(`Failed to fetch file: HTTP ${response.statusCode}`));
+        }
+
+        const chunks = [];
+        response.on('data', (chunk) => chunks.push(chunk));
+        response.on('end', () => {
+          try {
+            const buffer = Buffer.concat(chunks);
+
+            let workbook;
+            if (fileExt === 'csv') {
+              const fileContent = buffer.toString('utf8');
+              workbook = xlsx.read(fileContent, { type: 'string', codepage: 65001 });
+            } else {
+              workbook = xlsx.read(buffer, { type: 'buffer' });
+            }
+
+            resolve(workbook);
+          } catch (error) {
+            reject(error);
+          }
+        });
+        response.on('error', reject);
+      }).on('error', reject);
+    });
+  } else {
+    // Project mode: read from local file
+    if (!fs.existsSync(filePath)) {
+      throw new Error('File not found on server');
+    }
+
+    if (fileExt === 'csv') {
+      const fileContent = fs.readFileSync(filePath, 'utf8');
+      return xlsx.read(fileContent, { type: 'string', codepage: 65001 });
+    } else {
+      return xlsx.readFile(filePath);
+    }
+  }
+}
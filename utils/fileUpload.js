@@ -1,6 +1,5 @@
 import multer from 'multer';
 import path from 'path';
-import { getDatabase } from '../config/database.js';
 import { getConfig } from './config.js';
 
 // Use memory storage for Firebase upload
@@ -52,23 +51,3 @@ export async function saveFileAttachments(files, uploadKey, userId, tableName, m
   // Use storage manager which handles both Firebase and Project uploads
   return saveFiles(files, uploadKey, userId, tableName, menu);
 }
-
-export async function createCategoryTable(tableName) {
-  const db = getDatabase();
-
-  const createCategoryTableQuery = `
-    CREATE TABLE IF NOT EXISTS ${tableName} (
-      id INT AUTO_INCREMENT PRIMARY KEY,
-      title VARCHAR(255) NOT NULL,
-      status INT NOT NULL DEFAULT 1,
-      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      create_by INT NOT NULL,
-      update_date TIMESTAMP NULL,
-      update_by INT NULL,
-      delete_date TIMESTAMP NULL,
-      delete_by INT NULL
-    )
-  `;
-
-  await db.execute(createCategoryTableQuery);
-}
\ No newline at end of file
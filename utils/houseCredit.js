@@ -0,0 +1,439 @@
+import { getDatabase, withTransaction } from '../config/database.js';
+import logger from './logger.js';
+import { getConfig } from './config.js';
+import { BILL_STATUS, BILL_ROOM_STATUS, transitionStatus } from './statusMachine.js';
+import { getAuditSnapshot, writeAuditLog } from './auditLog.js';
+import { getPenaltyTotal } from './billPenalty.js';
+import { allocateBillRoomPayment } from './billRoomItem.js';
+
+/**
+ * Credit wallet per house (customer_id + house_no)
+ * overpayment - part of a payment above the amount due of the bill room
+ * deposit     - advance payment recorded by staff
+ * apply       - credit used to pay a bill room (bill_transaction with type code CREDIT_TRANSACTION_TYPE_CODE)
+ * reverse     - apply given back when the bill is deleted or its send is cancelled
+ * app_config house_credit_auto_apply - use credit when a bill is sent (default true)
+ * Lock order: bill_room first, then house_credit
+ */
+
+const TABLE_CREDIT = 'house_credit';
+const TABLE_MOVEMENT = 'house_credit_movement';
+
+// bill_transaction_type_information.code - หักจากเครดิตคงเหลือ (seeded by migration 0013)
+export const CREDIT_TRANSACTION_TYPE_CODE = 'house_credit';
+
+export const CREDIT_MOVEMENT_TYPES = {
+  overpayment: 'ชำระเกินยอด',
+  deposit: 'ชำระล่วงหน้า',
+  apply: 'หักชำระบิล',
+  reverse: 'คืนเครดิตจากบิลที่ยกเลิก'
+};
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Id of the credit transaction type
+ * @throws {Error} when the type is missing (migration not run)
+ */
+async function getCreditTransactionTypeId(executor) {
+  const [rows] = await executor.execute(
+    'SELECT id FROM bill_transaction_type_information WHERE code = ?',
+    [CREDIT_TRANSACTION_TYPE_CODE]
+  );
+
+  if (rows.length === 0) {
+    throw new Error(`Bill transaction type ${CREDIT_TRANSACTION_TYPE_CODE} not found`);
+  }
+
+  return rows[0].id;
+}
+
+/**
+ * Lock wallet of house (created with balance 0 if missing)
+ */
+async function lockCredit(connection, customerId, houseNo) {
+  await connection.execute(
+    `INSERT IGNORE INTO ${TABLE_CREDIT} (customer_id, house_no, balance) VALUES (?, ?, 0)`,
+    [customerId, houseNo]
+  );
+
+  const [rows] = await connection.execute(
+    `SELECT id, balance FROM ${TABLE_CREDIT} WHERE customer_id = ? AND house_no = ? FOR UPDATE`,
+    [customerId, houseNo]
+  );
+
+  return rows[0];
+}
+
+async function insertMovement(connection, credit, { customerId, houseNo, movementType, amount, balanceAfter, billRoomId, transactionId, paymentId, remark, actorId }) {
+  const [result] = await connection.execute(
+    `INSERT INTO ${TABLE_MOVEMENT}
+     (credit_id, customer_id, house_no, movement_type, amount, balance_after, bill_room_id, bill_transaction_id, payment_id, remark, create_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [credit.id, customerId, houseNo, movementType, amount, balanceAfter, billRoomId, transactionId, paymentId, remark, actorId]
+  );
+
+  return result.insertId;
+}
+
+/**
+ * Amount still due on bill room (total_price + counted penalties - paid)
+ * @param {Object} executor - Pool or transaction connection
+ * @param {Object} billRoom - bill_room row (id, total_price)
+ * @returns {Promise<number>}
+ */
+export async function getBillRoomRemaining(executor, billRoom) {
+  const [paidRows] = await executor.execute(
+    'SELECT COALESCE(SUM(transaction_amount), 0) as total_paid FROM bill_transaction_information WHERE bill_room_id = ? AND status != 2',
+    [billRoom.id]
+  );
+
+  const totalDue = parseFloat(billRoom.total_price) + await getPenaltyTotal(executor, billRoom.id);
+  return roundAmount(totalDue - parseFloat(paidRows[0].total_paid));
+}
+
+/**
+ * Credit wallet of house - call inside the transaction of the payment
+ * @param {Object} connection - Transaction connection
+ * @param {Object} entry - { customerId, houseNo, amount (> 0), movementType, billRoomId, paymentId, remark, actorId }
+ * @returns {Promise<Object>} { credit_id, movement_id, balance }
+ */
+export async function addHouseCredit(connection, { customerId, houseNo, amount, movementType, billRoomId = null, paymentId = null, remark = null, actorId }) {
+  const credit = await lockCredit(connection, customerId, houseNo);
+  const balance = roundAmount(parseFloat(credit.balance) + amount);
+
+  await connection.execute(
+    `UPDATE ${TABLE_CREDIT} SET balance = ?, update_date = NOW(), update_by = ? WHERE id = ?`,
+    [balance, actorId, credit.id]
+  );
+
+  const movementId = await insertMovement(connection, credit, {
+    customerId,
+    houseNo,
+    movementType,
+    amount: roundAmount(amount),
+    balanceAfter: balance,
+    billRoomId,
+    transactionId: null,
+    paymentId,
+    remark,
+    actorId
+  });
+
+  logger.info(`House credit ${movementType}: ${customerId}/${houseNo} +${amount} (balance ${balance})`);
+
+  return { credit_id: credit.id, movement_id: movementId, balance };
+}
+
+/**
+ * Balance of house (0 if no wallet yet)
+ * @returns {Promise<number>}
+ */
+export async function getHouseCreditBalance(executor, customerId, houseNo) {
+  const [rows] = await executor.execute(
+    `SELECT balance FROM ${TABLE_CREDIT} WHERE customer_id = ? AND house_no = ?`,
+    [customerId, houseNo]
+  );
+
+  return rows.length > 0 ? parseFloat(rows[0].balance) : 0;
+}
+
+/**
+ * Pay bill room from the house credit - call inside a transaction
+ * Only unpaid / partial bill rooms (awaiting review has a payment being checked)
+ * @param {Object} connection - Transaction connection
+ * @param {number} billRoomId
+ * @param {Object} options - { actorId, req (null for background jobs) }
+ * @returns {Promise<number>} Amount applied
+ * @throws {StatusTransitionError}
+ */
+export async function applyCreditToBillRoom(connection, billRoomId, { actorId, req = null }) {
+  const [billRoomRows] = await connection.execute(
+    'SELECT id, house_no, customer_id, total_price, status FROM bill_room_information WHERE id = ? FOR UPDATE',
+    [billRoomId]
+  );
+
+  const billRoom = billRoomRows[0];
+  if (!billRoom || ![BILL_ROOM_STATUS.UNPAID, BILL_ROOM_STATUS.PARTIAL].includes(parseInt(billRoom.status))) {
+    return 0;
+  }
+
+  const [creditRows] = await connection.execute(
+    `SELECT id, balance FROM ${TABLE_CREDIT} WHERE customer_id = ? AND house_no = ? FOR UPDATE`,
+    [billRoom.customer_id, billRoom.house_no]
+  );
+
+  const credit = creditRows[0];
+  if (!credit || parseFloat(credit.balance) <= 0) {
+    return 0;
+  }
+
+  const remaining = await getBillRoomRemaining(connection, billRoom);
+  const applied = roundAmount(Math.min(parseFloat(credit.balance), remaining));
+
+  if (applied <= 0) {
+    return 0;
+  }
+
+  const transactionTypeId = await getCreditTransactionTypeId(connection);
+  const isFull = applied >= remaining;
+  const newBillRoomStatus = isFull ? BILL_ROOM_STATUS.PAID : BILL_ROOM_STATUS.PARTIAL;
+
+  await transitionStatus(connection, {
+    entity: 'bill_room',
+    id: billRoomId,
+    from: billRoom.status,
+    to: newBillRoomStatus,
+    actorId,
+    reason: 'หักชำระจากเครดิตคงเหลือ',
+    customerId: billRoom.customer_id
+  });
+
+  const [transactionResult] = await connection.execute(
+    `INSERT INTO bill_transaction_information
+     (bill_room_id, payment_id, transaction_amount, bill_transaction_type_id, transaction_type_json, pay_date, transaction_type, remark, customer_id, status, create_by)
+     VALUES (?, NULL, ?, ?, NULL, NOW(), ?, ?, ?, 1, ?)`,
+    [billRoomId, applied, transactionTypeId, isFull ? 'full' : 'partial', 'หักชำระจากเครดิตคงเหลือ', billRoom.customer_id, actorId]
+  );
+
+  await connection.execute(
+    'UPDATE bill_room_information SET status = ?, update_date = NOW(), update_by = ? WHERE id = ?',
+    [newBillRoomStatus, actorId, billRoomId]
+  );
+
+  await allocateBillRoomPayment(connection, billRoomId);
+
+  const balance = roundAmount(parseFloat(credit.balance) - applied);
+  await connection.execute(
+    `UPDATE ${TABLE_CREDIT} SET balance = ?, update_date = NOW(), update_by = ? WHERE id = ?`,
+    [balance, actorId, credit.id]
+  );
+
+  await insertMovement(connection, credit, {
+    customerId: billRoom.customer_id,
+    houseNo: billRoom.house_no,
+    movementType: 'apply',
+    amount: -applied,
+    balanceAfter: balance,
+    billRoomId,
+    transactionId: transactionResult.insertId,
+    paymentId: null,
+    remark: null,
+    actorId
+  });
+
+  await writeAuditLog(connection, req, {
+    entity: 'bill_transaction',
+    entityId: transactionResult.insertId,
+    action: 'create',
+    after: await getAuditSnapshot(connection, 'bill_transaction_information', transactionResult.insertId),
+    customerId: billRoom.customer_id
+  });
+
+  return applied;
+}
+
+/**
+ * Use house credit for bill rooms of a sent bill (each bill room in its own transaction)
+ * Does nothing when app_config house_credit_auto_apply is off or the bill is not sent
+ * @param {number} billId
+ * @param {Object} options - { actorId, req, billRoomIds (default: every bill room of the bill) }
+ * @returns {Promise<Object>} { bill_rooms, amount }
+ */
+export async function autoApplyHouseCredit(billId, { actorId, req = null, billRoomIds = null }) {
+  const result = { bill_rooms: 0, amount: 0 };
+
+  if (await getConfig('house_credit_auto_apply') === false) {
+    return result;
+  }
+
+  const db = getDatabase();
+
+  const [billRows] = await db.execute('SELECT status FROM bill_information WHERE id = ?', [billId]);
+  if (billRows.length === 0 || parseInt(billRows[0].status) !== BILL_STATUS.SENT) {
+    return result;
+  }
+
+  // เฉพาะห้องที่มีเครดิตคงเหลือ
+  const [billRooms] = await db.execute(
+    `SELECT br.id
+     FROM bill_room_information br
+     INNER JOIN ${TABLE_CREDIT} c ON c.customer_id = br.customer_id AND c.house_no = br.house_no
+     WHERE br.bill_id = ? AND br.status IN (?, ?) AND c.balance > 0`,
+    [billId, BILL_ROOM_STATUS.UNPAID, BILL_ROOM_STATUS.PARTIAL]
+  );
+
+  for (const billRoom of billRooms) {
+    if (billRoomIds && !billRoomIds.includes(billRoom.id)) {
+      continue;
+    }
+
+    try {
+      const applied = await withTransaction(connection => applyCreditToBillRoom(connection, billRoom.id, { actorId, req }));
+      if (applied > 0) {
+        result.bill_rooms++;
+        result.amount = roundAmount(result.amount + applied);
+      }
+    } catch (error) {
+      logger.error(`Apply house credit bill_room_id=${billRoom.id} failed, rolled back:`, error);
+    }
+  }
+
+  if (result.bill_rooms > 0) {
+    logger.info(`House credit applied on bill ${billId}: ${result.amount} on ${result.bill_rooms} bill rooms`);
+  }
+
+  return result;
+}
+
+/**
+ * Give back credit used by a bill room - call inside a transaction
+ * Credit transactions are voided and the bill room status follows the amount still paid
+ * (awaiting review keeps its status - a payment is being checked)
+ * @param {Object} connection - Transaction connection
+ * @param {number} billRoomId
+ * @param {Object} options - { actorId, reason, req (null for background jobs) }
+ * @returns {Promise<number>} Amount given back
+ * @throws {StatusTransitionError}
+ */
+export async function reverseBillRoomCredit(connection, billRoomId, { actorId, reason, req = null }) {
+  const [billRoomRows] = await connection.execute(
+    'SELECT id, house_no, customer_id, total_price, status FROM bill_room_information WHERE id = ? FOR UPDATE',
+    [billRoomId]
+  );
+
+  const billRoom = billRoomRows[0];
+  if (!billRoom) {
+    return 0;
+  }
+
+  // apply ติดลบ, reverse เป็นบวก - ยกเลิก / ส่งบิลใหม่หลายรอบ คืนเฉพาะส่วนที่ยังไม่ได้คืน
+  const [netRows] = await connection.execute(
+    `SELECT COALESCE(SUM(amount), 0) as net_amount FROM ${TABLE_MOVEMENT}
+     WHERE bill_room_id = ? AND movement_type IN ('apply', 'reverse')`,
+    [billRoomId]
+  );
+
+  const amount = roundAmount(-parseFloat(netRows[0].net_amount));
+  if (amount <= 0) {
+    return 0;
+  }
+
+  const credit = await lockCredit(connection, billRoom.customer_id, billRoom.house_no);
+
+  const [transactions] = await connection.execute(
+    `SELECT bt.id FROM bill_transaction_information bt
+     INNER JOIN ${TABLE_MOVEMENT} hm ON hm.bill_transaction_id = bt.id AND hm.movement_type = 'apply'
+     WHERE hm.bill_room_id = ? AND bt.status != 2`,
+    [billRoomId]
+  );
+
+  for (const transaction of transactions) {
+    const before = await getAuditSnapshot(connection, 'bill_transaction_information', transaction.id);
+
+    await connection.execute(
+      'UPDATE bill_transaction_information SET status = 2, delete_date = NOW(), delete_by = ? WHERE id = ?',
+      [actorId, transaction.id]
+    );
+
+    await writeAuditLog(connection, req, {
+      entity: 'bill_transaction',
+      entityId: transaction.id,
+      action: 'delete',
+      before,
+      after: await getAuditSnapshot(connection, 'bill_transaction_information', transaction.id),
+      customerId: billRoom.customer_id
+    });
+  }
+
+  if ([BILL_ROOM_STATUS.PAID, BILL_ROOM_STATUS.PARTIAL].includes(parseInt(billRoom.status))) {
+    const [paidRows] = await connection.execute(
+      'SELECT COALESCE(SUM(transaction_amount), 0) as total_paid FROM bill_transaction_information WHERE bill_room_id = ? AND status != 2',
+      [billRoomId]
+    );
+
+    let newBillRoomStatus = BILL_ROOM_STATUS.UNPAID;
+    if (await getBillRoomRemaining(connection, billRoom) <= 0) {
+      newBillRoomStatus = BILL_ROOM_STATUS.PAID;
+    } else if (parseFloat(paidRows[0].total_paid) > 0) {
+      newBillRoomStatus = BILL_ROOM_STATUS.PARTIAL;
+    }
+
+    if (await transitionStatus(connection, {
+      entity: 'bill_room',
+      id: billRoomId,
+      from: billRoom.status,
+      to: newBillRoomStatus,
+      actorId,
+      reason,
+      customerId: billRoom.customer_id
+    })) {
+      await connection.execute(
+        'UPDATE bill_room_information SET status = ?, update_date = NOW(), update_by = ? WHERE id = ?',
+        [newBillRoomStatus, actorId, billRoomId]
+      );
+    }
+  }
+
+  await allocateBillRoomPayment(connection, billRoomId);
+
+  const balance = roundAmount(parseFloat(credit.balance) + amount);
+  await connection.execute(
+    `UPDATE ${TABLE_CREDIT} SET balance = ?, update_date = NOW(), update_by = ? WHERE id = ?`,
+    [balance, actorId, credit.id]
+  );
+
+  await insertMovement(connection, credit, {
+    customerId: billRoom.customer_id,
+    houseNo: billRoom.house_no,
+    movementType: 'reverse',
+    amount,
+    balanceAfter: balance,
+    billRoomId,
+    transactionId: null,
+    paymentId: null,
+    remark: reason,
+    actorId
+  });
+
+  logger.info(`House credit reversed: ${billRoom.customer_id}/${billRoom.house_no} +${amount} from bill_room_id=${billRoomId} (balance ${balance})`);
+
+  return amount;
+}
+
+/**
+ * Give back credit used by bill rooms of a bill - call inside the transaction that deletes / cancels the bill
+ * @param {Object} connection - Transaction connection
+ * @param {number} billId
+ * @param {Object} options - { actorId, reason, req }
+ * @returns {Promise<Object>} { bill_rooms, amount }
+ * @throws {StatusTransitionError}
+ */
+export async function reverseBillCredit(connection, billId, { actorId, reason, req = null }) {
+  const result = { bill_rooms: 0, amount: 0 };
+
+  const [billRooms] = await connection.execute(
+    `SELECT DISTINCT hm.bill_room_id
+     FROM ${TABLE_MOVEMENT} hm
+     INNER JOIN bill_room_information br ON hm.bill_room_id = br.id
+     WHERE br.bill_id = ? AND hm.movement_type = 'apply'
+     ORDER BY hm.bill_room_id`,
+    [billId]
+  );
+
+  for (const billRoom of billRooms) {
+    const amount = await reverseBillRoomCredit(connection, billRoom.bill_room_id, { actorId, reason, req });
+    if (amount > 0) {
+      result.bill_rooms++;
+      result.amount = roundAmount(result.amount + amount);
+    }
+  }
+
+  if (result.bill_rooms > 0) {
+    logger.info(`House credit reversed on bill ${billId}: ${result.amount} on ${result.bill_rooms} bill rooms`);
+  }
+
+  return result;
+}
@@ -0,0 +1,168 @@
+import crypto from 'crypto';
+import { getDatabase } from '../config/database.js';
+import logger from './logger.js';
+
+/**
+ * Idempotency key store (Idempotency-Key header)
+ * IDEMPOTENCY_KEY_TTL_HOURS          - how long a key replays its response (default 24)
+ * IDEMPOTENCY_CLEANUP_INTERVAL_MINUTES - background purge of expired keys (default 60)
+ */
+
+const TABLE_IDEMPOTENCY = 'idempotency_key';
+const MAX_KEY_LENGTH = 255;
+
+function getIntEnv(key, defaultValue) {
+  const value = parseInt(process.env[key]);
+  return isNaN(value) ? defaultValue : value;
+}
+
+/**
+ * Sort object keys recursively so the same body always hashes the same
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((result, key) => {
+      result[key] = canonicalize(value[key]);
+      return result;
+    }, {});
+  }
+
+  return value;
+}
+
+/**
+ * Get Idempotency-Key header
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+export function getIdempotencyKeyFromRequest(req) {
+  const key = req.headers['idempotency-key'];
+  return key ? String(key).trim() : null;
+}
+
+/**
+ * Check key format (printable ASCII, max 255 chars)
+ * @param {string} key
+ * @returns {boolean}
+ */
+export function isValidIdempotencyKey(key) {
+  return typeof key === 'string' && key.length > 0 && key.length <= MAX_KEY_LENGTH && /^[\x21-\x7E]+$/.test(key);
+}
+
+/**
+ * Fingerprint of request (method + path + body)
+ * @param {Object} req - Express request
+ * @returns {string} sha256 hex
+ */
+export function getRequestFingerprint(req) {
+  const payload = JSON.stringify({
+    method: req.method,
+    path: `${req.baseUrl}${req.path}`,
+    body: canonicalize(req.body || {})
+  });
+
+  return crypto.createHash('sha256').update(payload).digest('hex');
+}
+
+/**
+ * Reserve key for this request
+ * Expired keys are treated as free (replaced)
+ * @param {Object} params - { scope, key, fingerprint }
+ * @returns {Promise<Object>} { reserved: true } or { reserved: false, record }
+ */
+export async function reserveIdempotencyKey({ scope, key, fingerprint }) {
+  const db = getDatabase();
+  const ttlHours = getIntEnv('IDEMPOTENCY_KEY_TTL_HOURS', 24);
+
+  // key ที่หมดอายุแล้วใช้ซ้ำได้
+  await db.execute(
+    `DELETE FROM ${TABLE_IDEMPOTENCY} WHERE scope = ? AND idempotency_key = ? AND expire_date <= NOW()`,
+    [scope, key]
+  );
+
+  try {
+    await db.execute(
+      `INSERT INTO ${TABLE_IDEMPOTENCY} (scope, idempotency_key, request_hash, status, expire_date)
+       VALUES (?, ?, ?, 'processing', DATE_ADD(NOW(), INTERVAL ? HOUR))`,
+      [scope, key, fingerprint, ttlHours]
+    );
+    return { reserved: true };
+  } catch (error) {
+    if (error.code !== 'ER_DUP_ENTRY') {
+      throw error;
+    }
+  }
+
+  const [rows] = await db.execute(
+    `SELECT request_hash, status, response_status, response_body FROM ${TABLE_IDEMPOTENCY}
+     WHERE scope = ? AND idempotency_key = ?
+     LIMIT 1`,
+    [scope, key]
+  );
+
+  if (rows.length === 0) {
+    // ถูกลบระหว่างตรวจสอบ (request แรก error) - ให้ลองใหม่
+    return reserveIdempotencyKey({ scope, key, fingerprint });
+  }
+
+  return { reserved: false, record: rows[0] };
+}
+
+/**
+ * Store final response of reserved key
+ * @param {Object} params - { scope, key, statusCode, body }
+ */
+export async function completeIdempotencyKey({ scope, key, statusCode, body }) {
+  const db = getDatabase();
+  await db.execute(
+    `UPDATE ${TABLE_IDEMPOTENCY}
+     SET status = 'completed', response_status = ?, response_body = ?, update_date = NOW()
+     WHERE scope = ? AND idempotency_key = ?`,
+    [statusCode, JSON.stringify(body ?? null), scope, key]
+  );
+}
+
+/**
+ * Release reserved key (request failed - client may retry with same key)
+ * @param {Object} params - { scope, key }
+ */
+export async function releaseIdempotencyKey({ scope, key }) {
+  const db = getDatabase();
+  await db.execute(
+    `DELETE FROM ${TABLE_IDEMPOTENCY} WHERE scope = ? AND idempotency_key = ? AND status = 'processing'`,
+    [scope, key]
+  );
+}
+
+/**
+ * Delete expired keys
+ * @returns {Promise<number>} Number of deleted keys
+ */
+export async function purgeExpiredIdempotencyKeys() {
+  const db = getDatabase();
+  const [result] = await db.execute(`DELETE FROM ${TABLE_IDEMPOTENCY} WHERE expire_date <= NOW()`);
+  return result.affectedRows;
+}
+
+/**
+ * Start background job that purges expired keys
+ * Call once after initDatabase()
+ */
+export function startIdempotencyCleanup() {
+  const intervalMs = getIntEnv('IDEMPOTENCY_CLEANUP_INTERVAL_MINUTES', 60) * 60 * 1000;
+
+  setInterval(async () => {
+    try {
+      const deleted = await purgeExpiredIdempotencyKeys();
+      if (deleted > 0) {
+        logger.info(`Idempotency cleanup: ${deleted} expired keys deleted`);
+      }
+    } catch (error) {
+      logger.error('Idempotency cleanup error:', error);
+    }
+  }, intervalMs).unref();
+}
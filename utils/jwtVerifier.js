@@ -0,0 +1,258 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import logger from './logger.js';
+
+const HMAC_ALGORITHMS = ['HS256', 'HS384', 'HS512'];
+const ASYMMETRIC_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// Cache ของ JWKS file - โหลดใหม่อัตโนมัติเมื่อไฟล์ถูกแก้ไข (รองรับ key rotation โดยไม่ต้อง restart)
+let jwksCache = {
+  path: null,
+  mtimeMs: 0,
+  keys: []
+};
+
+/**
+ * Read verifier settings from environment
+ * JWT_ALGORITHMS       - comma separated list (default: HS256)
+ * JWT_SECRET           - shared secret for HS* algorithms
+ * JWT_JWKS_PATH        - local JWKS file (public keys and/or oct secrets with kid)
+ * JWT_ISSUER           - expected iss (optional)
+ * JWT_AUDIENCE         - expected aud, comma separated (optional)
+ * JWT_CLOCK_TOLERANCE  - allowed clock skew in seconds (default: 30)
+ * @returns {Object} Verifier options
+ */
+export function getJwtVerifierOptions() {
+  const algorithms = (process.env.JWT_ALGORITHMS || 'HS256')
+    .split(',')
+    .map(alg => alg.trim().toUpperCase())
+    .filter(alg => HMAC_ALGORITHMS.includes(alg) || ASYMMETRIC_ALGORITHMS.includes(alg));
+
+  const audience = process.env.JWT_AUDIENCE
+    ? process.env.JWT_AUDIENCE.split(',').map(aud => aud.trim()).filter(Boolean)
+    : null;
+
+  const clockTolerance = parseInt(process.env.JWT_CLOCK_TOLERANCE);
+
+  return {
+    algorithms,
+    secret: process.env.JWT_SECRET || null,
+    jwksPath: process.env.JWT_JWKS_PATH || null,
+    issuer: process.env.JWT_ISSUER || null,
+    audience: audience && audience.length > 0 ? audience : null,
+    clockTolerance: isNaN(clockTolerance) ? 30 : clockTolerance
+  };
+}
+
+/**
+ * Load keys from local JWKS file, reloading when the file changes
+ * @param {string} jwksPath - Path to JWKS file
+ * @param {boolean} force - Reload even if mtime is unchanged
+ * @returns {Array} List of { kid, alg, kty, key }
+ */
+function loadJwks(jwksPath, force = false) {
+  if (!jwksPath) {
+    return [];
+  }
+
+  const stat = fs.statSync(jwksPath);
+
+  if (!force && jwksCache.path === jwksPath && jwksCache.mtimeMs === stat.mtimeMs) {
+    return jwksCache.keys;
+  }
+
+  const jwks = JSON.parse(fs.readFileSync(jwksPath, 'utf8'));
+  const keys = [];
+
+  for (const jwk of jwks.keys || []) {
+    try {
+      const key = jwk.kty === 'oct'
+        ? Buffer.from(jwk.k, 'base64url')
+        : crypto.createPublicKey({ key: jwk, format: 'jwk' });
+
+      keys.push({
+        kid: jwk.kid || null,
+        alg: jwk.alg || null,
+        kty: jwk.kty,
+        key
+      });
+    } catch (error) {
+      logger.warn(`Skipping invalid JWK (kid: ${jwk.kid || '-'}): ${error.message}`);
+    }
+  }
+
+  jwksCache = { path: jwksPath, mtimeMs: stat.mtimeMs, keys };
+  logger.info(`Loaded ${keys.length} JWT verification keys from ${jwksPath}`);
+
+  return keys;
+}
+
+/**
+ * Find candidate keys for a token header
+ * @param {Object} header - Decoded JWT header
+ * @param {Object} options - Verifier options
+ * @returns {Array} Keys to try (Buffer | string | KeyObject)
+ */
+function resolveKeys(header, options) {
+  const isHmac = HMAC_ALGORITHMS.includes(header.alg);
+
+  const matchKey = (jwk) => {
+    if (isHmac !== (jwk.kty === 'oct')) return false;
+    if (jwk.alg && jwk.alg !== header.alg) return false;
+    return true;
+  };
+
+  let keys = loadJwks(options.jwksPath).filter(matchKey);
+
+  if (header.kid) {
+    let matched = keys.filter(jwk => jwk.kid === header.kid);
+
+    // kid ไม่เจอ อาจเพิ่ง rotate key - ลองโหลดไฟล์ใหม่อีกครั้ง
+    if (matched.length === 0 && options.jwksPath) {
+      matched = loadJwks(options.jwksPath, true).filter(jwk => matchKey(jwk) && jwk.kid === header.kid);
+    }
+
+    keys = matched;
+  }
+
+  const result = keys.map(jwk => jwk.key);
+
+  // Shared secret ใช้ได้เฉพาะ HS* ที่ไม่ได้ระบุ kid - kid ที่ไม่อยู่ใน JWKS ถูกปฏิเสธ (key ที่ rotate / revoke ออกไปแล้ว)
+  if (isHmac && options.secret && !header.kid) {
+    result.push(options.secret);
+  }
+
+  return result;
+}
+
+/**
+ * Verify Portal JWT signature and claims
+ * @param {string} token - JWT string
+ * @returns {Object} Verified payload
+ * @throws {jwt.JsonWebTokenError|jwt.TokenExpiredError|jwt.NotBeforeError}
+ */
+export function verifyPortalToken(token) {
+  const options = getJwtVerifierOptions();
+
+  if (options.algorithms.length === 0 || (!options.secret && !options.jwksPath)) {
+    throw new Error('JWT verifier is not configured (JWT_ALGORITHMS, JWT_SECRET or JWT_JWKS_PATH)');
+  }
+
+  const complete = jwt.decode(token, { complete: true });
+
+  if (!complete || !complete.header) {
+    throw new jwt.JsonWebTokenError('jwt malformed');
+  }
+
+  const { header } = complete;
+
+  if (!options.algorithms.includes(header.alg)) {
+    throw new jwt.JsonWebTokenError(`jwt algorithm not allowed: ${header.alg}`);
+  }
+
+  const keys = resolveKeys(header, options);
+
+  if (keys.length === 0) {
+    throw new jwt.JsonWebTokenError(`no verification key found${header.kid ? ` for kid: ${header.kid}` : ''}`);
+  }
+
+  const verifyOptions = {
+    algorithms: [header.alg],
+    clockTolerance: options.clockTolerance
+  };
+  if (options.issuer) verifyOptions.issuer = options.issuer;
+  if (options.audience) verifyOptions.audience = options.audience;
+
+  let lastError = null;
+
+  for (const key of keys) {
+    try {
+      return jwt.verify(token, key, verifyOptions);
+    } catch (error) {
+      // Signature ผิด ลอง key ถัดไป, error อื่น (expired, iss, aud) ไม่ต้องลองต่อ
+      if (error.message !== 'invalid signature') {
+        throw error;
+      }
+      lastError = error;
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Backend-issued access token settings
+ * BACKEND_JWT_SECRET      - HS256 secret (feature disabled when empty)
+ * BACKEND_JWT_ISSUER      - iss claim (default: kconnect-backend)
+ * ACCESS_TOKEN_TTL        - access token lifetime in seconds (default: 900)
+ * @returns {Object}
+ */
+export function getBackendTokenOptions() {
+  const ttl = parseInt(process.env.ACCESS_TOKEN_TTL);
+
+  return {
+    secret: process.env.BACKEND_JWT_SECRET || null,
+    issuer: process.env.BACKEND_JWT_ISSUER || 'kconnect-backend',
+    ttl: isNaN(ttl) ? 900 : ttl
+  };
+}
+
+/**
+ * Check if token was issued by this backend (by iss, unverified)
+ * @param {string} token - JWT string
+ * @returns {boolean}
+ */
+export function isBackendToken(token) {
+  const { secret, issuer } = getBackendTokenOptions();
+  if (!secret) return false;
+
+  const payload = jwt.decode(token);
+  return !!payload && payload.iss === issuer;
+}
+
+/**
+ * Sign short-lived backend access token
+ * @param {Object} payload - { sid, values }
+ * @returns {Object} { token, jti, expires_in }
+ */
+export function signBackendToken(payload) {
+  const { secret, issuer, ttl } = getBackendTokenOptions();
+
+  if (!secret) {
+    throw new Error('BACKEND_JWT_SECRET is not configured');
+  }
+
+  const jti = crypto.randomUUID();
+  const token = jwt.sign({ ...payload, typ: 'access' }, secret, {
+    algorithm: 'HS256',
+    issuer,
+    expiresIn: ttl,
+    jwtid: jti
+  });
+
+  return { token, jti, expires_in: ttl };
+}
+
+/**
+ * Verify backend access token
+ * @param {string} token - JWT string
+ * @returns {Object} Verified payload
+ * @throws {jwt.JsonWebTokenError|jwt.TokenExpiredError}
+ */
+export function verifyBackendToken(token) {
+  const { secret, issuer } = getBackendTokenOptions();
+  const { clockTolerance } = getJwtVerifierOptions();
+
+  const payload = jwt.verify(token, secret, {
+    algorithms: ['HS256'],
+    issuer,
+    clockTolerance
+  });
+
+  if (payload.typ !== 'access') {
+    throw new jwt.JsonWebTokenError('jwt is not an access token');
+  }
+
+  return payload;
+}
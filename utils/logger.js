@@ -15,7 +15,26 @@ const getLogFileName = () => {
   return `log_${day}_${month}_${year}.log`;
 };
 
+// Mask JWT / bearer tokens and passwords before anything is written to log
+const TOKEN_PATTERN = /eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g;
+const SECRET_FIELD_PATTERN = /("?(?:password|passwd|securitycode|token|access_token|refresh_token|JWT)"?\s*[:=]\s*)("[^"]*"|[^\s,&}]+)/gi;
+
+export const redactSecrets = (text) => {
+  if (typeof text !== 'string') {
+    return text;
+  }
+  return text
+    .replace(TOKEN_PATTERN, '[REDACTED_TOKEN]')
+    .replace(SECRET_FIELD_PATTERN, (match, key, value) => `${key}${value.startsWith('"') ? '"[REDACTED]"' : '[REDACTED]'}`);
+};
+
+const redactFormat = winston.format((info) => {
+  info.message = redactSecrets(info.message);
+  return info;
+});
+
 const customFormat = winston.format.combine(
+  redactFormat(),
   winston.format.timestamp({
     format: 'YYYY-MM-DD HH:mm:ss'
   }),
@@ -52,6 +71,6 @@ const updateLogFile = () => {
   }
 };
 
-setInterval(updateLogFile, 60000);
+setInterval(updateLogFile, 60000).unref();
 
 export default logger;
\ No newline at end of file
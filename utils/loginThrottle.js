@@ -0,0 +1,129 @@
+import logger from './logger.js';
+
+/**
+ * In-memory login throttling (sliding window) and temporary lockout
+ * LOGIN_WINDOW_MINUTES          - sliding window size (default 15)
+ * LOGIN_MAX_ATTEMPTS_PER_IP     - attempts per IP within window (default 20)
+ * LOGIN_MAX_FAILURES_PER_USER   - failures per username before lockout (default 5)
+ * LOGIN_LOCKOUT_MINUTES         - lockout duration (default 15)
+ */
+
+const ipAttempts = new Map();
+const userFailures = new Map();
+const userLockouts = new Map();
+
+function getIntEnv(key, defaultValue) {
+  const value = parseInt(process.env[key]);
+  return isNaN(value) ? defaultValue : value;
+}
+
+function getSettings() {
+  return {
+    windowMs: getIntEnv('LOGIN_WINDOW_MINUTES', 15) * 60 * 1000,
+    maxAttemptsPerIp: getIntEnv('LOGIN_MAX_ATTEMPTS_PER_IP', 20),
+    maxFailuresPerUser: getIntEnv('LOGIN_MAX_FAILURES_PER_USER', 5),
+    lockoutMs: getIntEnv('LOGIN_LOCKOUT_MINUTES', 15) * 60 * 1000
+  };
+}
+
+function normalizeUsername(username) {
+  return String(username || '').trim().toLowerCase();
+}
+
+/**
+ * Remove timestamps outside the window
+ */
+function prune(map, key, windowMs) {
+  const now = Date.now();
+  const timestamps = (map.get(key) || []).filter(time => now - time < windowMs);
+
+  if (timestamps.length === 0) {
+    map.delete(key);
+  } else {
+    map.set(key, timestamps);
+  }
+
+  return timestamps;
+}
+
+/**
+ * Check if login attempt is allowed
+ * @param {string} username
+ * @param {string} ip
+ * @returns {Object} { allowed, reason: 'locked'|'ip_throttled'|null, retry_after (seconds) }
+ */
+export function checkLoginAllowed(username, ip) {
+  const settings = getSettings();
+  const user = normalizeUsername(username);
+  const now = Date.now();
+
+  const lockedUntil = userLockouts.get(user);
+  if (lockedUntil && lockedUntil > now) {
+    return { allowed: false, reason: 'locked', retry_after: Math.ceil((lockedUntil - now) / 1000) };
+  }
+  if (lockedUntil) {
+    userLockouts.delete(user);
+  }
+
+  const attempts = prune(ipAttempts, ip, settings.windowMs);
+  if (attempts.length >= settings.maxAttemptsPerIp) {
+    return { allowed: false, reason: 'ip_throttled', retry_after: Math.ceil((attempts[0] + settings.windowMs - now) / 1000) };
+  }
+
+  return { allowed: true, reason: null, retry_after: 0 };
+}
+
+/**
+ * Record attempt (every attempt counts toward IP limit)
+ * @param {string} ip
+ */
+export function recordLoginAttempt(ip) {
+  const attempts = ipAttempts.get(ip) || [];
+  attempts.push(Date.now());
+  ipAttempts.set(ip, attempts);
+}
+
+/**
+ * Record failed login - lock username after too many failures
+ * @param {string} username
+ * @returns {boolean} true if username is now locked
+ */
+export function recordLoginFailure(username) {
+  const settings = getSettings();
+  const user = normalizeUsername(username);
+
+  const failures = prune(userFailures, user, settings.windowMs);
+  failures.push(Date.now());
+  userFailures.set(user, failures);
+
+  if (failures.length >= settings.maxFailuresPerUser) {
+    userLockouts.set(user, Date.now() + settings.lockoutMs);
+    userFailures.delete(user);
+    logger.warn(`Username "${user}" locked for ${settings.lockoutMs / 60000} minutes after ${failures.length} failed logins`);
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Reset failures after successful login
+ * @param {string} username
+ */
+export function recordLoginSuccess(username) {
+  const user = normalizeUsername(username);
+  userFailures.delete(user);
+  userLockouts.delete(user);
+}
+
+// ล้าง key ที่หมดอายุเป็นระยะ ป้องกัน memory โตเรื่อยๆ
+setInterval(() => {
+  const { windowMs } = getSettings();
+  const now = Date.now();
+
+  for (const key of [...ipAttempts.keys()]) prune(ipAttempts, key, windowMs);
+  for (const key of [...userFailures.keys()]) prune(userFailures, key, windowMs);
+  for (const [key, lockedUntil] of [...userLockouts.entries()]) {
+    if (lockedUntil <= now) userLockouts.delete(key);
+  }
+}, 5 * 60 * 1000).unref();
@@ -0,0 +1,610 @@
+import { withTransaction } from '../config/database.js';
+import logger from './logger.js';
+import { generateUploadKey } from './keyGenerator.js';
+import { generateDocumentNumber, generateDocumentNumbers } from './documentNumber.js';
+import { BILL_STATUS, BILL_ROOM_STATUS, METER_READING_STATUS, transitionStatus } from './statusMachine.js';
+import { getAuditSnapshot, writeAuditLog } from './auditLog.js';
+import { formatExpireDate, insertBillAudit, sendBillRecord } from './billHelper.js';
+import { buildBillRoomItems, getItemVatRate, insertBillRoomItems } from './billRoomItem.js';
+import { renderTemplate } from './billScheduler.js';
+import { splitTiers } from './tieredRate.js';
+
+/**
+ * Water / electricity meters of rooms
+ * One reading per meter per period (YYYY-MM) - previous reading is the reading of the latest earlier period
+ * (or initial_reading of the meter), so readings are entered in period order and only the latest one can change
+ * consumption = (current - previous) x multiplier, past max_reading the dial rolls over to 0
+ * Anomalies: negative - current below previous on a meter without rollover (must be corrected)
+ *            rollover - dial rolled over (needs confirmation)
+ *            high     - above average of the last 3 periods x high_usage_ratio of the rate (needs confirmation)
+ * Utility bill of a period bills every confirmed reading of the meter type with the tiered rate of the customer
+ */
+
+const TABLE_RATE = 'meter_rate';
+const TABLE_METER = 'meter';
+const TABLE_READING = 'meter_reading';
+const TABLE_RELEASE = 'meter_reading_release';
+const TABLE_BILL = 'bill_information';
+const TABLE_BILL_ROOM = 'bill_room_information';
+
+export const METER_TYPES = {
+  water: 'น้ำประปา',
+  electric: 'ไฟฟ้า'
+};
+
+// bill_type_information - ค่าน้ำ / ค่าไฟ (default ของอัตราใหม่)
+export const DEFAULT_METER_BILL_TYPES = {
+  water: 2,
+  electric: 3
+};
+
+export const METER_ANOMALIES = {
+  negative: 'ค่าที่อ่านได้น้อยกว่าครั้งก่อน',
+  rollover: 'มิเตอร์วนรอบ',
+  high: 'ใช้มากผิดปกติ'
+};
+
+// จำนวนรอบย้อนหลังที่ใช้หาค่าเฉลี่ย
+const HIGH_USAGE_HISTORY = 3;
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function roundUnits(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Consumption between two readings (pure)
+ * @param {Object} meter - { multiplier, max_reading }
+ * @param {number} previousReading
+ * @param {number} currentReading
+ * @returns {Object} { consumption, anomaly: 'negative'|'rollover'|null }
+ */
+export function calculateConsumption(meter, previousReading, currentReading) {
+  const multiplier = parseFloat(meter.multiplier) || 1;
+  const maxReading = meter.max_reading === null || meter.max_reading === undefined ? null : parseFloat(meter.max_reading);
+
+  if (currentReading >= previousReading) {
+    return { consumption: roundUnits((currentReading - previousReading) * multiplier), anomaly: null };
+  }
+
+  if (maxReading !== null && previousReading <= maxReading) {
+    // หน้าปัดวนกลับไปเริ่มที่ 0
+    return { consumption: roundUnits((maxReading + 1 - previousReading + currentReading) * multiplier), anomaly: 'rollover' };
+  }
+
+  return { consumption: roundUnits((currentReading - previousReading) * multiplier), anomaly: 'negative' };
+}
+
+/**
+ * Flag consumption above average of earlier periods x ratio (pure)
+ * @param {number} consumption
+ * @param {Array<number>} history - Consumption of earlier confirmed periods
+ * @param {number} ratio - high_usage_ratio of rate
+ * @returns {string|null} anomaly_detail or null
+ */
+export function checkHighUsage(consumption, history, ratio) {
+  if (history.length === 0 || !(ratio > 0)) {
+    return null;
+  }
+
+  const average = history.reduce((sum, value) => sum + value, 0) / history.length;
+
+  if (average <= 0 || consumption <= average * ratio) {
+    return null;
+  }
+
+  return `ใช้ ${consumption} หน่วย สูงกว่าค่าเฉลี่ย ${history.length} รอบก่อน (${roundUnits(average)} หน่วย) เกิน ${ratio} เท่า`;
+}
+
+/**
+ * Items of one meter reading with tiered rate (pure - amounts by buildBillRoomItems)
+ * @param {number} consumption
+ * @param {Object} rate - meter_rate row
+ * @param {string} label - Description prefix e.g. "ค่าน้ำประปา"
+ * @returns {Array<Object>} Raw items [{ description, bill_type_id, quantity, unit_price, vat_flag }]
+ */
+export function buildMeterChargeItems(consumption, rate, label) {
+  const vatFlag = parseInt(rate.vat_flag) === 1;
+  const billTypeId = rate.bill_type_id;
+  const items = [];
+
+  let usageCharge = 0;
+
+  for (const part of splitTiers(consumption, rate.tiers)) {
+    const range = part.to === Infinity ? `${part.from + 1} ขึ้นไป` : `${part.from + 1}-${part.to}`;
+
+    items.push({ description: `${label} หน่วยที่ ${range}`, bill_type_id: billTypeId, quantity: part.quantity, unit_price: part.rate, vat_flag: vatFlag });
+    usageCharge += part.quantity * part.rate;
+  }
+
+  const minimumCharge = parseFloat(rate.minimum_charge) || 0;
+  if (roundAmount(usageCharge) < minimumCharge) {
+    items.push({
+      description: `${label} ส่วนต่างค่าบริการขั้นต่ำ`,
+      bill_type_id: billTypeId,
+      quantity: 1,
+      unit_price: roundAmount(minimumCharge - usageCharge),
+      vat_flag: vatFlag
+    });
+  }
+
+  const serviceFee = parseFloat(rate.service_fee) || 0;
+  if (serviceFee > 0) {
+    items.push({ description: `${label} ค่าบริการรายเดือน`, bill_type_id: billTypeId, quantity: 1, unit_price: serviceFee, vat_flag: vatFlag });
+  }
+
+  return items;
+}
+
+/**
+ * Active rate of meter type
+ * @param {Object} executor - Pool or transaction connection
+ * @returns {Promise<Object|null>} meter_rate row
+ */
+export async function getMeterRate(executor, customerId, meterType) {
+  const [rows] = await executor.execute(
+    `SELECT * FROM ${TABLE_RATE} WHERE customer_id = ? AND meter_type = ? AND status = 1 ORDER BY id DESC LIMIT 1`,
+    [customerId, meterType]
+  );
+
+  return rows[0] || null;
+}
+
+/**
+ * Insert or correct reading of meter for period - call inside a transaction
+ * Status is CONFIRMED without anomaly, otherwise PENDING_REVIEW
+ * @param {Object} connection - Transaction connection
+ * @param {Object} meter - meter row
+ * @param {Object} entry - { period, readingDate, currentReading, remark, actorId, req, readingId (update) }
+ * @returns {Promise<Object>} { reading } or { error }
+ * @throws {StatusTransitionError}
+ */
+export async function saveMeterReading(connection, meter, { period, readingDate, currentReading, remark = null, actorId, req = null, readingId = null }) {
+  // lock readings ของมิเตอร์ - ค่าก่อนหน้า / รอบถัดไปไม่เปลี่ยนระหว่างบันทึก
+  const [readings] = await connection.execute(
+    `SELECT id, period, current_reading, consumption, status FROM ${TABLE_READING} WHERE meter_id = ? AND status != 2 ORDER BY period ASC FOR UPDATE`,
+    [meter.id]
+  );
+
+  const existing = readings.find(reading => reading.period === period);
+
+  if (readingId && (!existing || existing.id !== readingId)) {
+    return { error: 'ไม่พบค่ามิเตอร์ของรอบนี้' };
+  }
+
+  if (!readingId && existing) {
+    return { error: `มีค่ามิเตอร์ ${meter.meter_no} ของรอบ ${period} แล้ว` };
+  }
+
+  if (existing && parseInt(existing.status) === METER_READING_STATUS.BILLED) {
+    return { error: 'ค่ามิเตอร์นี้ออกบิลแล้ว ไม่สามารถแก้ไขได้' };
+  }
+
+  if (readings.some(reading => reading.period > period)) {
+    return { error: `มีค่ามิเตอร์ ${meter.meter_no} ของรอบหลังจาก ${period} แล้ว` };
+  }
+
+  const earlier = readings.filter(reading => reading.period < period);
+  const previousReading = earlier.length > 0
+    ? parseFloat(earlier[earlier.length - 1].current_reading)
+    : parseFloat(meter.initial_reading);
+
+  const { consumption, anomaly: readingAnomaly } = calculateConsumption(meter, previousReading, currentReading);
+  let anomaly = readingAnomaly;
+  let anomalyDetail = anomaly ? `${METER_ANOMALIES[anomaly]} (${previousReading} -> ${currentReading})` : null;
+
+  if (!anomaly) {
+    const rate = await getMeterRate(connection, meter.customer_id, meter.meter_type);
+    const history = earlier
+      .filter(reading => [METER_READING_STATUS.CONFIRMED, METER_READING_STATUS.BILLED].includes(parseInt(reading.status)))
+      .slice(-HIGH_USAGE_HISTORY)
+      .map(reading => parseFloat(reading.consumption));
+
+    anomalyDetail = checkHighUsage(consumption, history, rate ? parseFloat(rate.high_usage_ratio) : 0);
+    anomaly = anomalyDetail ? 'high' : null;
+  }
+
+  const status = anomaly ? METER_READING_STATUS.PENDING_REVIEW : METER_READING_STATUS.CONFIRMED;
+  const values = [readingDate, previousReading, currentReading, consumption, anomaly, anomalyDetail, remark, status];
+  let id = readingId;
+  let before = null;
+
+  if (existing) {
+    before = await getAuditSnapshot(connection, TABLE_READING, id);
+
+    await transitionStatus(connection, {
+      entity: 'meter_reading',
+      id,
+      from: existing.status,
+      to: status,
+      actorId,
+      reason: anomaly ? anomalyDetail : 'แก้ไขค่าที่อ่านได้',
+      customerId: meter.customer_id
+    });
+
+    await connection.execute(
+      `UPDATE ${TABLE_READING}
+       SET reading_date = ?, previous_reading = ?, current_reading = ?, consumption = ?, anomaly = ?, anomaly_detail = ?, remark = ?, status = ?,
+           bill_id = NULL, bill_room_id = NULL, amount = NULL, update_date = NOW(), update_by = ?
+       WHERE id = ?`,
+      [...values, actorId, id]
+    );
+  } else {
+    const [result] = await connection.execute(
+      `INSERT INTO ${TABLE_READING}
+       (meter_id, room_id, customer_id, meter_type, period, reading_date, previous_reading, current_reading, consumption, anomaly, anomaly_detail, remark, status, create_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [meter.id, meter.room_id, meter.customer_id, meter.meter_type, period, ...values, actorId]
+    );
+    id = result.insertId;
+  }
+
+  const after = await getAuditSnapshot(connection, TABLE_READING, id);
+  await writeAuditLog(connection, req, {
+    entity: 'meter_reading',
+    entityId: id,
+    action: before ? 'update' : 'create',
+    before,
+    after,
+    customerId: meter.customer_id
+  });
+
+  return { reading: after };
+}
+
+/**
+ * Build utility bill of meter type for period (used by preview and by generation)
+ * Confirmed readings are billed per room (readings of a deleted bill are confirmed again by releaseBillReadings)
+ * Rooms with readings pending review, without owner or without amount are skipped and reported
+ * @param {Object} executor - Pool or transaction connection
+ * @param {Object} options - { customerId, meterType, period, lock (FOR UPDATE on readings) }
+ * @returns {Promise<Object>} { error?: 'no_rate', period, meter_type, rate, rooms, skipped, total_amount, billed_count }
+ */
+export async function buildMeterBillPlan(executor, { customerId, meterType, period, lock = false }) {
+  const rate = await getMeterRate(executor, customerId, meterType);
+
+  if (!rate) {
+    return { error: 'no_rate', period, meter_type: meterType };
+  }
+
+  const [readings] = await executor.execute(
+    `SELECT mr.id, mr.meter_id, m.meter_no, mr.room_id, r.title as house_no,
+            CONCAT(mb.prefix_name, mb.full_name) as member_name,
+            mr.previous_reading, mr.current_reading, mr.consumption, mr.anomaly, mr.status
+     FROM ${TABLE_READING} mr
+     INNER JOIN ${TABLE_METER} m ON mr.meter_id = m.id
+     INNER JOIN room_information r ON mr.room_id = r.id
+     LEFT JOIN member_information mb ON r.owner_id = mb.id AND mb.status != 2
+     WHERE mr.customer_id = ? AND mr.meter_type = ? AND mr.period = ? AND mr.status != 2
+     ORDER BY r.title ASC, m.meter_no ASC
+     ${lock ? 'FOR UPDATE' : ''}`,
+    [customerId, meterType, period]
+  );
+
+  const label = METER_TYPES[meterType];
+  const vatRate = await getItemVatRate();
+  const roomMap = new Map();
+  const skipped = [];
+  let billedCount = 0;
+
+  for (const reading of readings) {
+    const status = parseInt(reading.status);
+
+    if (status === METER_READING_STATUS.BILLED) {
+      billedCount++;
+      continue;
+    }
+
+    if (!roomMap.has(reading.room_id)) {
+      roomMap.set(reading.room_id, { room_id: reading.room_id, house_no: reading.house_no, member_name: reading.member_name, readings: [], pending: false });
+    }
+
+    const room = roomMap.get(reading.room_id);
+    room.readings.push(reading);
+    room.pending = room.pending || status === METER_READING_STATUS.PENDING_REVIEW;
+  }
+
+  const rooms = [];
+
+  for (const room of roomMap.values()) {
+    if (room.pending) {
+      skipped.push({ room_id: room.room_id, house_no: room.house_no, reason: 'มีค่ามิเตอร์รอตรวจสอบ' });
+      continue;
+    }
+
+    if (!room.member_name) {
+      skipped.push({ room_id: room.room_id, house_no: room.house_no, reason: 'ห้องนี้ยังไม่มีเจ้าของ' });
+      continue;
+    }
+
+    const rawItems = [];
+    const roomReadings = [];
+
+    for (const reading of room.readings) {
+      const meterLabel = room.readings.length > 1 ? `${label} (${reading.meter_no})` : label;
+      const readingItems = buildMeterChargeItems(parseFloat(reading.consumption), rate, meterLabel);
+      const built = buildBillRoomItems(readingItems, vatRate);
+
+      rawItems.push(...readingItems);
+      roomReadings.push({
+        reading_id: reading.id,
+        meter_id: reading.meter_id,
+        meter_no: reading.meter_no,
+        previous_reading: parseFloat(reading.previous_reading),
+        current_reading: parseFloat(reading.current_reading),
+        consumption: parseFloat(reading.consumption),
+        anomaly: reading.anomaly,
+        status: parseInt(reading.status),
+        amount: built.total_price
+      });
+    }
+
+    const built = buildBillRoomItems(rawItems, vatRate);
+
+    if (built.total_price <= 0) {
+      skipped.push({ room_id: room.room_id, house_no: room.house_no, reason: 'ไม่มียอดที่ต้องเรียกเก็บ' });
+      continue;
+    }
+
+    rooms.push({
+      room_id: room.room_id,
+      house_no: room.house_no,
+      member_name: room.member_name,
+      readings: roomReadings,
+      items: built.items,
+      total_price: built.total_price
+    });
+  }
+
+  return {
+    period,
+    meter_type: meterType,
+    meter_type_title: label,
+    rate,
+    rooms,
+    skipped,
+    total_amount: roundAmount(rooms.reduce((sum, room) => sum + room.total_price, 0)),
+    billed_count: billedCount
+  };
+}
+
+/**
+ * Generate utility bill of meter type for period, then send it when send is on
+ * Bill, bill rooms, items and billed readings are written in one transaction
+ * @param {Object} options - { customerId, meterType, period, title, detail, expireDate, send, actorId, req }
+ * @returns {Promise<Object>} { error?: 'no_rate'|'no_rooms', bill_id, bill_no, plan, sent }
+ * @throws {StatusTransitionError}
+ */
+export async function generateMeterBill({ customerId, meterType, period, title = null, detail = null, expireDate, send = false, actorId, req = null }) {
+  const outcome = await withTransaction(async (connection) => {
+    // lock readings ของรอบ - สั่งออกบิลพร้อมกันจะไม่เรียกเก็บซ้ำ
+    const plan = await buildMeterBillPlan(connection, { customerId, meterType, period, lock: true });
+
+    if (plan.error) {
+      return plan;
+    }
+
+    if (plan.rooms.length === 0) {
+      return { error: 'no_rooms', plan };
+    }
+
+    const [billTypeRows] = await connection.execute('SELECT title FROM bill_type_information WHERE id = ?', [plan.rate.bill_type_id]);
+    const billTitle = renderTemplate(title || `${billTypeRows[0]?.title || plan.meter_type_title} {MONTH_TH} {YYYY_TH}`, period);
+    const billNo = await generateDocumentNumber('bill', customerId, { connection });
+
+    const [billResult] = await connection.execute(
+      `INSERT INTO ${TABLE_BILL} (upload_key, bill_no, title, bill_type_id, detail, expire_date, send_date, remark, customer_id, status, create_by)
+       VALUES (?, ?, ?, ?, ?, ?, NULL, ?, ?, ?, ?)`,
+      [
+        generateUploadKey(),
+        billNo,
+        billTitle,
+        plan.rate.bill_type_id,
+        renderTemplate(detail || `ค่า${plan.meter_type_title}ตามมิเตอร์ รอบ {MONTH_TH} {YYYY_TH}`, period),
+        formatExpireDate(expireDate),
+        `สร้างจากค่ามิเตอร์${plan.meter_type_title} (${period})`,
+        customerId,
+        BILL_STATUS.DRAFT,
+        actorId
+      ]
+    );
+
+    const billId = billResult.insertId;
+
+    await insertBillAudit(connection, billId, BILL_STATUS.DRAFT, actorId);
+    await writeAuditLog(connection, req, {
+      entity: 'bill',
+      entityId: billId,
+      action: 'create',
+      after: await getAuditSnapshot(connection, TABLE_BILL, billId),
+      customerId
+    });
+
+    const invoiceNumbers = await generateDocumentNumbers('invoice', customerId, { count: plan.rooms.length, connection });
+
+    const billRoomValues = [];
+    const billRoomParams = [];
+
+    plan.rooms.forEach((room, i) => {
+      billRoomValues.push('(?, ?, ?, ?, ?, ?, ?, ?, ?)');
+      billRoomParams.push(billId, invoiceNumbers[i], room.house_no, room.member_name, room.total_price, null, customerId, BILL_ROOM_STATUS.UNPAID, actorId);
+    });
+
+    // ใช้ query() แทน execute() เพราะ dynamic values
+    await connection.query(
+      `INSERT INTO ${TABLE_BILL_ROOM} (bill_id, bill_no, house_no, member_name, total_price, remark, customer_id, status, create_by)
+       VALUES ${billRoomValues.join(', ')}`,
+      billRoomParams
+    );
+
+    // map bill_room id by bill_no
+    const [insertedBillRooms] = await connection.execute(`SELECT id, bill_no FROM ${TABLE_BILL_ROOM} WHERE bill_id = ?`, [billId]);
+    const billRoomIdByNo = new Map(insertedBillRooms.map(billRoom => [billRoom.bill_no, billRoom.id]));
+
+    await insertBillRoomItems(connection, plan.rooms.map((room, i) => ({
+      billRoomId: billRoomIdByNo.get(invoiceNumbers[i]),
+      billId,
+      customerId,
+      items: room.items
+    })), actorId);
+
+    for (const [i, room] of plan.rooms.entries()) {
+      const billRoomId = billRoomIdByNo.get(invoiceNumbers[i]);
+
+      for (const reading of room.readings) {
+        await transitionStatus(connection, {
+          entity: 'meter_reading',
+          id: reading.reading_id,
+          from: reading.status,
+          to: METER_READING_STATUS.BILLED,
+          actorId,
+          reason: `ออกบิล ${billNo}`,
+          customerId
+        });
+
+        await connection.execute(
+          `UPDATE ${TABLE_READING} SET status = ?, bill_id = ?, bill_room_id = ?, amount = ?, update_date = NOW(), update_by = ? WHERE id = ?`,
+          [METER_READING_STATUS.BILLED, billId, billRoomId, reading.amount, actorId, reading.reading_id]
+        );
+      }
+    }
+
+    return { bill_id: billId, bill_no: billNo, plan };
+  });
+
+  if (outcome.error) {
+    return outcome;
+  }
+
+  let sent = false;
+
+  if (send) {
+    try {
+      const result = await sendBillRecord(outcome.bill_id, { actorId, req, reason: 'ส่งบิลค่ามิเตอร์' });
+      sent = !result.error;
+    } catch (error) {
+      // บิลถูกสร้างแล้ว - ส่งเองภายหลังได้จากหน้าบิล
+      logger.error(`Send meter bill ${outcome.bill_id} failed:`, error);
+    }
+  }
+
+  logger.info(`Meter bill ${outcome.bill_id} (${outcome.bill_no}) generated for ${customerId} ${meterType} ${period}: ${outcome.plan.rooms.length} rooms${sent ? ', sent' : ''}`);
+
+  return {
+    bill_id: outcome.bill_id,
+    bill_no: outcome.bill_no,
+    plan: outcome.plan,
+    sent
+  };
+}
+
+/**
+ * Readings of a deleted bill go back to CONFIRMED so the period can be billed again - call inside the transaction that deletes the bill
+ * bill_id is kept until the reading is corrected or billed again, the release is recorded in meter_reading_release
+ * so restore of the bill claims the readings back
+ * @param {Object} connection - Transaction connection
+ * @param {number} billId
+ * @param {Object} options - { actorId, customerId }
+ * @returns {Promise<number>} Released readings
+ * @throws {StatusTransitionError}
+ */
+export async function releaseBillReadings(connection, billId, { actorId, customerId }) {
+  const [readings] = await connection.execute(
+    `SELECT id, status FROM ${TABLE_READING} WHERE bill_id = ? AND status = ? FOR UPDATE`,
+    [billId, METER_READING_STATUS.BILLED]
+  );
+
+  for (const reading of readings) {
+    await transitionStatus(connection, {
+      entity: 'meter_reading',
+      id: reading.id,
+      from: reading.status,
+      to: METER_READING_STATUS.CONFIRMED,
+      actorId,
+      reason: `ลบบิล bill_id=${billId}`,
+      customerId
+    });
+
+    await connection.execute(
+      `UPDATE ${TABLE_READING} SET status = ?, update_date = NOW(), update_by = ? WHERE id = ?`,
+      [METER_READING_STATUS.CONFIRMED, actorId, reading.id]
+    );
+
+    await connection.execute(
+      `INSERT IGNORE INTO ${TABLE_RELEASE} (bill_id, meter_reading_id, customer_id, create_by) VALUES (?, ?, ?, ?)`,
+      [billId, reading.id, customerId, actorId]
+    );
+  }
+
+  return readings.length;
+}
+
+/**
+ * Readings released by deleting the bill (meter_reading_release)
+ * Restore is refused once one of them was corrected, deleted or billed again
+ * @param {Object} executor - Pool or transaction connection
+ * @param {Object} bill - { id, customer_id }
+ * @param {Object} options - { lock (FOR UPDATE on readings) }
+ * @returns {Promise<Object>} { readings } or { error }
+ */
+export async function getReleasedBillReadings(executor, bill, { lock = false } = {}) {
+  const [readings] = await executor.execute(
+    `SELECT rr.meter_reading_id as id, mr.status, mr.bill_id
+     FROM ${TABLE_RELEASE} rr
+     LEFT JOIN ${TABLE_READING} mr ON mr.id = rr.meter_reading_id
+     WHERE rr.bill_id = ? AND rr.customer_id = ?
+     ORDER BY rr.meter_reading_id
+     ${lock ? 'FOR UPDATE' : ''}`,
+    [bill.id, bill.customer_id]
+  );
+
+  const claimable = readings.filter(reading =>
+    parseInt(reading.status) === METER_READING_STATUS.CONFIRMED && parseInt(reading.bill_id) === parseInt(bill.id)
+  );
+
+  if (claimable.length !== readings.length) {
+    return { error: 'ค่ามิเตอร์ของบิลนี้ถูกแก้ไข ลบ หรือออกบิลใหม่แล้ว ไม่สามารถกู้คืนได้' };
+  }
+
+  return { readings: claimable };
+}
+
+/**
+ * Readings released by deleting the bill go back to BILLED - call inside the transaction that restores the bill
+ * @param {Object} connection - Transaction connection
+ * @param {Object} bill - { id, customer_id }
+ * @param {Object} options - { actorId }
+ * @returns {Promise<Object>} { claimed } or { error }
+ * @throws {StatusTransitionError}
+ */
+export async function reclaimBillReadings(connection, bill, { actorId }) {
+  const { readings, error } = await getReleasedBillReadings(connection, bill, { lock: true });
+
+  if (error) {
+    return { error };
+  }
+
+  for (const reading of readings) {
+    await transitionStatus(connection, {
+      entity: 'meter_reading',
+      id: reading.id,
+      from: reading.status,
+      to: METER_READING_STATUS.BILLED,
+      actorId,
+      reason: `กู้คืนบิล bill_id=${bill.id}`,
+      customerId: bill.customer_id
+    });
+
+    await connection.execute(
+      `UPDATE ${TABLE_READING} SET status = ?, update_date = NOW(), update_by = ? WHERE id = ?`,
+      [METER_READING_STATUS.BILLED, actorId, reading.id]
+    );
+  }
+
+  await connection.execute(`DELETE FROM ${TABLE_RELEASE} WHERE bill_id = ?`, [bill.id]);
+
+  return { claimed: readings.length };
+}
@@ -0,0 +1,218 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { getDatabase } from '../config/database.js';
+import logger from './logger.js';
+
+/**
+ * Versioned schema migrations
+ * Files: migrations/NNNN_description.js exporting async up(db) / down(db) (db = dedicated connection)
+ * Applied versions are recorded in schema_migrations, grouped by batch (one batch per migrate run)
+ * MySQL DDL commits implicitly - a failed migration is not recorded and must be fixed / re-run
+ */
+
+const TABLE_MIGRATIONS = 'schema_migrations';
+const LOCK_NAME = 'kconnect_schema_migrations';
+const LOCK_TIMEOUT_SECONDS = 30;
+const MIGRATIONS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../migrations');
+const FILE_PATTERN = /^(\d{4})_[a-z0-9_]+\.js$/;
+
+/**
+ * List migration files in version order
+ * @returns {Array<Object>} { version, name, file }
+ */
+export function loadMigrations() {
+  if (!fs.existsSync(MIGRATIONS_DIR)) {
+    return [];
+  }
+
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => FILE_PATTERN.test(file))
+    .sort()
+    .map(file => ({
+      version: FILE_PATTERN.exec(file)[1],
+      name: file.replace(/\.js$/, ''),
+      file: path.join(MIGRATIONS_DIR, file)
+    }));
+
+  const seen = new Set();
+  for (const migration of migrations) {
+    if (seen.has(migration.version)) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+    seen.add(migration.version);
+  }
+
+  return migrations;
+}
+
+async function ensureMigrationTable(connection) {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS ${TABLE_MIGRATIONS} (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      version VARCHAR(20) NOT NULL UNIQUE,
+      name VARCHAR(255) NOT NULL,
+      batch INT NOT NULL,
+      applied_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+}
+
+async function getAppliedMigrations(connection) {
+  const [rows] = await connection.query(
+    `SELECT version, name, batch, applied_date FROM ${TABLE_MIGRATIONS} ORDER BY version ASC`
+  );
+  return rows;
+}
+
+/**
+ * Run callback on one connection holding the migration lock (no two migrate runs at once)
+ */
+async function withMigrationLock(callback) {
+  const connection = await getDatabase().getConnection();
+
+  try {
+    const [lockRows] = await connection.query('SELECT GET_LOCK(?, ?) as acquired', [LOCK_NAME, LOCK_TIMEOUT_SECONDS]);
+    if (lockRows[0].acquired !== 1) {
+      throw new Error('Another migration is running (lock timeout)');
+    }
+
+    try {
+      await ensureMigrationTable(connection);
+      return await callback(connection);
+    } finally {
+      await connection.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+    }
+  } finally {
+    connection.release();
+  }
+}
+
+async function importMigration(migration) {
+  const module = await import(pathToFileURL(migration.file).href);
+
+  if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+    throw new Error(`Migration ${migration.name} must export up() and down()`);
+  }
+
+  return module;
+}
+
+/**
+ * Status of every migration file (+ applied versions whose file is missing)
+ * @returns {Promise<Array<Object>>} { version, name, applied, batch, applied_date, missing_file }
+ */
+export async function getMigrationStatus() {
+  return withMigrationLock(async (connection) => {
+    const applied = await getAppliedMigrations(connection);
+    const appliedMap = new Map(applied.map(row => [row.version, row]));
+    const migrations = loadMigrations();
+    const fileVersions = new Set(migrations.map(migration => migration.version));
+
+    const status = migrations.map(migration => {
+      const row = appliedMap.get(migration.version);
+      return {
+        version: migration.version,
+        name: migration.name,
+        applied: Boolean(row),
+        batch: row?.batch ?? null,
+        applied_date: row?.applied_date ?? null,
+        missing_file: false
+      };
+    });
+
+    for (const row of applied) {
+      if (!fileVersions.has(row.version)) {
+        status.push({ version: row.version, name: row.name, applied: true, batch: row.batch, applied_date: row.applied_date, missing_file: true });
+      }
+    }
+
+    return status.sort((a, b) => a.version.localeCompare(b.version));
+  });
+}
+
+/**
+ * Versions not yet applied
+ * @returns {Promise<Array<string>>}
+ */
+export async function getPendingMigrations() {
+  const status = await getMigrationStatus();
+  return status.filter(migration => !migration.applied).map(migration => migration.name);
+}
+
+/**
+ * Apply pending migrations in version order (as one batch)
+ * @param {Object} options - { to } apply up to and including this version
+ * @returns {Promise<Array<string>>} Names of applied migrations
+ */
+export async function migrate({ to = null } = {}) {
+  return withMigrationLock(async (connection) => {
+    const applied = await getAppliedMigrations(connection);
+    const appliedVersions = new Set(applied.map(row => row.version));
+    const batch = applied.reduce((max, row) => Math.max(max, row.batch), 0) + 1;
+
+    const pending = loadMigrations()
+      .filter(migration => !appliedVersions.has(migration.version))
+      .filter(migration => !to || migration.version <= String(to).padStart(4, '0'));
+
+    const done = [];
+
+    for (const migration of pending) {
+      const module = await importMigration(migration);
+
+      logger.info(`Migrating: ${migration.name}`);
+      await module.up(connection);
+
+      await connection.execute(
+        `INSERT INTO ${TABLE_MIGRATIONS} (version, name, batch) VALUES (?, ?, ?)`,
+        [migration.version, migration.name, batch]
+      );
+
+      logger.info(`Migrated: ${migration.name} (batch ${batch})`);
+      done.push(migration.name);
+    }
+
+    return done;
+  });
+}
+
+/**
+ * Roll back applied migrations (newest first)
+ * @param {Object} options - { steps } number of migrations; default = whole last batch
+ * @returns {Promise<Array<string>>} Names of rolled back migrations
+ */
+export async function rollback({ steps = null } = {}) {
+  return withMigrationLock(async (connection) => {
+    const applied = (await getAppliedMigrations(connection)).reverse();
+
+    if (applied.length === 0) {
+      return [];
+    }
+
+    const targets = steps
+      ? applied.slice(0, parseInt(steps))
+      : applied.filter(row => row.batch === applied[0].batch);
+
+    const migrations = new Map(loadMigrations().map(migration => [migration.version, migration]));
+    const done = [];
+
+    for (const row of targets) {
+      const migration = migrations.get(row.version);
+      if (!migration) {
+        throw new Error(`Migration file for ${row.name} not found - cannot roll back`);
+      }
+
+      const module = await importMigration(migration);
+
+      logger.info(`Rolling back: ${migration.name}`);
+      await module.down(connection);
+
+      await connection.execute(`DELETE FROM ${TABLE_MIGRATIONS} WHERE version = ?`, [row.version]);
+
+      logger.info(`Rolled back: ${migration.name}`);
+      done.push(migration.name);
+    }
+
+    return done;
+  });
+}
@@ -0,0 +1,200 @@
+import { getDatabase } from '../config/database.js';
+import logger from './logger.js';
+
+const TABLE_PERMISSION_OVERRIDE = 'permission_override_information';
+
+// Cache override ต่อ customer (ms)
+const OVERRIDE_CACHE_TTL = 60 * 1000;
+
+/**
+ * All named permissions used by route guards
+ */
+export const PERMISSIONS = {
+  'bill.view': 'ดูรายการบิล',
+  'bill.create': 'สร้างบิล / นำเข้าบิลจาก Excel',
+  'bill.update': 'แก้ไขบิล',
+  'bill.delete': 'ลบบิล',
+  'bill.send': 'ส่งบิล / ยกเลิกการส่งบิล',
+  'bill.notify': 'ส่งแจ้งเตือนบิลรายห้อง',
+  'bill_schedule.manage': 'จัดการรอบบิลอัตโนมัติ',
+  'bill_penalty.manage': 'ตั้งค่าค่าปรับ / ดอกเบี้ยผิดนัด',
+  'bill_penalty.waive': 'ขอยกเว้นค่าปรับ',
+  'bill_penalty.approve': 'อนุมัติ / ปฏิเสธการยกเว้นค่าปรับ',
+  'bill_proration.manage': 'ตั้งค่าการคิดค่าบริการตามวันเข้าอยู่',
+  'bill_transaction.view': 'ดูรายการรับชำระ',
+  'bill_transaction.create': 'บันทึกรับชำระเงิน',
+  'house_credit.view': 'ดูเครดิตคงเหลือของห้อง',
+  'house_credit.deposit': 'บันทึกชำระล่วงหน้า / หักชำระบิลจากเครดิต',
+  'meter.view': 'ดูข้อมูลมิเตอร์และค่ามิเตอร์',
+  'meter.manage': 'จัดการมิเตอร์ / อัตราค่าน้ำค่าไฟ / ยืนยันค่ามิเตอร์ที่ผิดปกติ',
+  'meter.reading': 'บันทึก / นำเข้าค่ามิเตอร์',
+  'payment.view': 'ดูรายการแจ้งชำระ',
+  'payment.create': 'แจ้งชำระเงิน',
+  'payment.approve': 'อนุมัติ / ปฏิเสธการชำระเงิน',
+  'bank.view': 'ดูบัญชีธนาคาร',
+  'bank.create': 'เพิ่มบัญชีธนาคาร',
+  'bank.update': 'แก้ไขบัญชีธนาคาร',
+  'bank.delete': 'ลบบัญชีธนาคาร',
+  'member.view': 'ดูข้อมูลลูกบ้าน',
+  'member.create': 'เพิ่มข้อมูลลูกบ้าน',
+  'room.view': 'ดูข้อมูลห้อง',
+  'room.create': 'เพิ่มข้อมูลห้อง',
+  'room.sync': 'Sync ข้อมูลห้องจาก Firebase',
+  'room_type.view': 'ดูประเภทห้องและเงื่อนไขค่าบริการ',
+  'room_type.manage': 'จัดการประเภทห้อง / เงื่อนไขค่าบริการตามพื้นที่',
+  'news.view': 'ดูข่าวสาร',
+  'news.create': 'เพิ่มข่าวสาร',
+  'news.update': 'แก้ไขข่าวสาร',
+  'news.delete': 'ลบข่าวสาร',
+  'dashboard.view': 'ดู Dashboard',
+  'config.view': 'ดูการตั้งค่า',
+  'config.update': 'แก้ไขการตั้งค่า',
+  'permission.manage': 'จัดการสิทธิ์การใช้งาน',
+  'login_audit.view': 'ดูประวัติการเข้าสู่ระบบที่ล้มเหลว',
+  'audit.view': 'ดูประวัติการแก้ไขข้อมูล',
+  'session.revoke': 'ยกเลิก Session ของผู้ใช้งาน',
+  'api_key.manage': 'จัดการ API key สำหรับระบบเชื่อมต่อ',
+  'recycle_bin.purge': 'ลบข้อมูลถาวรจากถังขยะ'
+};
+
+const VIEW_PERMISSIONS = Object.keys(PERMISSIONS).filter(permission => permission.endsWith('.view'));
+
+/**
+ * Default permissions per role ('*' = all permissions)
+ */
+export const ROLE_PERMISSIONS = {
+  admin: ['*'],
+  manager: Object.keys(PERMISSIONS).filter(permission => permission !== 'permission.manage'),
+  clerk: [
+    ...VIEW_PERMISSIONS,
+    'bill.create',
+    'bill.update',
+    'bill.notify',
+    'bill_penalty.waive',
+    'bill_transaction.create',
+    'house_credit.deposit',
+    'meter.reading',
+    'payment.create',
+    'member.create',
+    'room.create',
+    'news.create',
+    'news.update'
+  ],
+  viewer: [...VIEW_PERMISSIONS]
+};
+
+// Default mapping Portal userlevel → role (override ได้ด้วย env PORTAL_USERLEVEL_ROLES เป็น JSON)
+const DEFAULT_USERLEVEL_ROLES = {
+  superadmin: 'admin',
+  admin: 'admin',
+  manager: 'manager',
+  juristic: 'manager',
+  staff: 'clerk',
+  clerk: 'clerk',
+  user: 'viewer'
+};
+
+const overrideCache = new Map();
+
+/**
+ * Map Portal userlevel to role
+ * @param {string|number} userlevel - userlevel from JWT values
+ * @returns {string} Role name
+ */
+export function getRoleByUserLevel(userlevel) {
+  let mapping = DEFAULT_USERLEVEL_ROLES;
+
+  if (process.env.PORTAL_USERLEVEL_ROLES) {
+    try {
+      mapping = { ...DEFAULT_USERLEVEL_ROLES, ...JSON.parse(process.env.PORTAL_USERLEVEL_ROLES) };
+    } catch (error) {
+      logger.error('Invalid PORTAL_USERLEVEL_ROLES (must be JSON):', error);
+    }
+  }
+
+  const key = userlevel === null || userlevel === undefined ? '' : String(userlevel).toLowerCase();
+  const role = mapping[key] || process.env.DEFAULT_USER_ROLE || 'viewer';
+
+  return ROLE_PERMISSIONS[role] ? role : 'viewer';
+}
+
+/**
+ * Get per-customer overrides for a role (cached)
+ * @param {string} customerId - Customer ID
+ * @returns {Promise<Array>} Rows of { role, permission, is_allowed }
+ */
+async function getCustomerOverrides(customerId) {
+  const cached = overrideCache.get(customerId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.rows;
+  }
+
+  const db = getDatabase();
+  const [rows] = await db.execute(
+    `SELECT role, permission, is_allowed FROM ${TABLE_PERMISSION_OVERRIDE} WHERE customer_id = ? AND status = 1`,
+    [customerId]
+  );
+
+  overrideCache.set(customerId, { rows, expiresAt: Date.now() + OVERRIDE_CACHE_TTL });
+  return rows;
+}
+
+/**
+ * Clear cached overrides after update
+ * @param {string} customerId - Customer ID
+ */
+export function clearPermissionCache(customerId) {
+  overrideCache.delete(customerId);
+}
+
+/**
+ * Resolve effective permissions of a role for a customer
+ * admin ไม่ถูก override เพื่อป้องกันการล็อกตัวเองออกจากระบบ
+ * @param {string} role - Role name
+ * @param {string|null} customerId - Customer ID
+ * @returns {Promise<Array<string>>} Permission names
+ * @throws {Error} when overrides cannot be read
+ */
+export async function getRolePermissions(role, customerId = null) {
+  const defaults = ROLE_PERMISSIONS[role] || [];
+
+  if (defaults.includes('*')) {
+    return Object.keys(PERMISSIONS);
+  }
+
+  const permissions = new Set(defaults);
+
+  if (customerId) {
+    try {
+      const overrides = await getCustomerOverrides(customerId);
+      for (const override of overrides) {
+        if (override.role !== role || !PERMISSIONS[override.permission]) continue;
+
+        if (parseInt(override.is_allowed) === 1) {
+          permissions.add(override.permission);
+        } else {
+          permissions.delete(override.permission);
+        }
+      }
+    } catch (error) {
+      // override อาจถอนสิทธิ์ไว้ - อ่านไม่ได้ต้องไม่คืนสิทธิ์ default (fail closed)
+      logger.error(`Failed to load permission overrides for customer ${customerId}:`, error);
+      throw error;
+    }
+  }
+
+  return Object.keys(PERMISSIONS).filter(permission => permissions.has(permission));
+}
+
+/**
+ * Check if user has permission
+ * @param {Object} user - req.user
+ * @param {string} permission - Permission name
+ * @param {string|null} customerId - Customer ID
+ * @returns {Promise<boolean>}
+ */
+export async function hasPermission(user, permission, customerId = null) {
+  const role = getRoleByUserLevel(user?.userlevel);
+  const permissions = await getRolePermissions(role, customerId);
+  return permissions.includes(permission);
+}
@@ -0,0 +1,186 @@
+import { buildBillRoomItems, buildSingleItem, getItemVatRate } from './billRoomItem.js';
+
+/**
+ * Move-in proration - rooms whose owner / tenant (member_information.enter_date) moved in during the bill period
+ * pay part of the month, by the bill_proration_rule of the bill type
+ * daily      - days from the move-in date to the end of the month / days of the month
+ * half_month - moved in on the 1st-15th pays the full month, from the 16th pays half
+ * include_move_in_day off - charging starts the day after the move-in date
+ * Items of the room are replaced by prorated items ("... 16/31 วัน") and bill_room remark tells how it was computed
+ * Used by bill schedules and fee rule bills - meter bills already follow usage
+ */
+
+const TABLE_RULE = 'bill_proration_rule';
+
+// ระดับลูกบ้านที่นับเป็นการย้ายเข้า (ไม่รวมผู้อยู่อาศัยที่เพิ่มเข้ามาในห้องเดิม)
+const MOVE_IN_LEVELS = ['owner', 'tenant'];
+
+const HALF_MONTH_DAY = 15;
+
+export const PRORATION_METHODS = {
+  daily: 'คิดตามจำนวนวัน',
+  half_month: 'คิดครึ่งเดือน'
+};
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function formatDisplayDate(date) {
+  const [year, month, day] = date.split('-');
+  return `${day}/${month}/${year}`;
+}
+
+/**
+ * Part of the period to charge for a move-in date (pure)
+ * @param {string} period - YYYY-MM
+ * @param {string} enterDate - YYYY-MM-DD (time part is ignored)
+ * @param {Object} rule - { method, include_move_in_day }
+ * @returns {Object|null} { ratio, enter_date, start_day, days, total_days, label, remark } or null when the full month is charged
+ */
+export function calculateProration(period, enterDate, rule) {
+  const date = String(enterDate).substring(0, 10);
+
+  if (date.substring(0, 7) !== period) {
+    return null;
+  }
+
+  const [year, month, day] = date.split('-').map(Number);
+  const totalDays = new Date(year, month, 0).getDate();
+  const includeMoveInDay = parseInt(rule.include_move_in_day) === 1;
+  const startDay = includeMoveInDay ? day : day + 1;
+
+  if (startDay <= 1) {
+    return null;
+  }
+
+  const days = Math.max(totalDays - startDay + 1, 0);
+  const moveIn = `เข้าอยู่ ${formatDisplayDate(date)}${includeMoveInDay ? '' : ' (ไม่นับวันเข้าอยู่)'}`;
+
+  if (rule.method === 'half_month') {
+    if (startDay <= HALF_MONTH_DAY) {
+      return null;
+    }
+
+    const ratio = days > 0 ? 0.5 : 0;
+
+    return {
+      ratio,
+      enter_date: date,
+      start_day: startDay,
+      days,
+      total_days: totalDays,
+      label: 'ครึ่งเดือน',
+      remark: `${moveIn} คิดค่าบริการครึ่งเดือน`
+    };
+  }
+
+  return {
+    ratio: days / totalDays,
+    enter_date: date,
+    start_day: startDay,
+    days,
+    total_days: totalDays,
+    label: `${days}/${totalDays} วัน`,
+    remark: `${moveIn} คิดค่าบริการ ${days} จาก ${totalDays} วัน`
+  };
+}
+
+/**
+ * Prorated items of room (pure) - one item per original item with the prorated amount before VAT
+ * @param {Array<Object>} items - Built items (buildBillRoomItems / buildSingleItem)
+ * @param {Object} proration - calculateProration result
+ * @param {number} vatRate - VAT rate (%)
+ * @returns {Object} { items, total_price, errors }
+ */
+export function prorateItems(items, proration, vatRate) {
+  return buildBillRoomItems(items.map(item => ({
+    description: `${item.description} (${proration.label})`.substring(0, 255),
+    bill_type_id: item.bill_type_id ?? undefined,
+    quantity: 1,
+    unit_price: roundAmount(parseFloat(item.amount) * proration.ratio),
+    vat_flag: parseInt(item.vat_flag) === 1
+  })), vatRate);
+}
+
+/**
+ * Active proration rule of bill type
+ * @param {Object} executor - Pool or transaction connection
+ * @param {string} customerId
+ * @param {number} billTypeId
+ * @returns {Promise<Object|null>}
+ */
+export async function getProrationRule(executor, customerId, billTypeId) {
+  const [rows] = await executor.execute(
+    `SELECT * FROM ${TABLE_RULE} WHERE customer_id = ? AND bill_type_id = ? AND status = 1 LIMIT 1`,
+    [customerId, billTypeId]
+  );
+
+  return rows[0] || null;
+}
+
+/**
+ * Prorate planned rooms that moved in during period (rooms without rule of the bill type are left as they are)
+ * Rooms whose move-in leaves no day to charge are moved to skipped
+ * @param {Object} executor - Pool or transaction connection
+ * @param {Object} options - { customerId, billTypeId, period, rooms: [{ room_id, house_no, total_price, items? }] }
+ * @returns {Promise<Object>} { rooms (with items, remark and proration when prorated), skipped }
+ */
+export async function prorateRooms(executor, { customerId, billTypeId, period, rooms }) {
+  const rule = rooms.length > 0 ? await getProrationRule(executor, customerId, billTypeId) : null;
+
+  if (!rule) {
+    return { rooms, skipped: [] };
+  }
+
+  const placeholders = MOVE_IN_LEVELS.map(() => '?').join(', ');
+  const [moveIns] = await executor.execute(
+    `SELECT room_id, DATE_FORMAT(MAX(enter_date), '%Y-%m-%d') as enter_date
+     FROM member_information
+     WHERE customer_id = ? AND status != 2 AND user_level IN (${placeholders})
+     GROUP BY room_id`,
+    [customerId, ...MOVE_IN_LEVELS]
+  );
+
+  const enterDateByRoom = new Map(moveIns.map(row => [row.room_id, row.enter_date]));
+
+  // item ของห้องที่มีแต่ยอดรวม (รอบบิลแบบ fixed / room_type / previous)
+  const [billTypeRows] = await executor.execute('SELECT title FROM bill_type_information WHERE id = ?', [billTypeId]);
+  const description = billTypeRows[0]?.title;
+  const vatRate = await getItemVatRate();
+  const proratedRooms = [];
+  const skipped = [];
+
+  for (const room of rooms) {
+    const enterDate = enterDateByRoom.get(room.room_id);
+    const proration = enterDate ? calculateProration(period, enterDate, rule) : null;
+
+    if (!proration) {
+      proratedRooms.push(room);
+      continue;
+    }
+
+    const items = room.items || buildSingleItem(room.total_price, { description, billTypeId });
+    const built = prorateItems(items, proration, vatRate);
+
+    if (built.errors.length > 0 || built.total_price <= 0) {
+      skipped.push({ room_id: room.room_id, house_no: room.house_no, reason: `${proration.remark} - ไม่มียอดที่ต้องชำระในรอบนี้` });
+      continue;
+    }
+
+    proratedRooms.push({
+      ...room,
+      items: built.items,
+      total_price: built.total_price,
+      remark: proration.remark,
+      proration: {
+        rule_id: rule.id,
+        method: rule.method,
+        full_price: room.total_price,
+        ...proration
+      }
+    });
+  }
+
+  return { rooms: proratedRooms, skipped };
+}
@@ -0,0 +1,395 @@
+import { getDatabase, withTransaction } from '../config/database.js';
+import logger from './logger.js';
+import { getConfig } from './config.js';
+import { deleteFile } from './storageManager.js';
+import { ATTACHMENT_MODULES } from './attachmentRegistry.js';
+import { BILL_STATUS, transitionStatus } from './statusMachine.js';
+import { getReleasedBillReadings, reclaimBillReadings } from './meter.js';
+
+/**
+ * Recycle bin - soft-deleted rows (status = 2) can be restored, and are purged for good after retention
+ * app_config recycle_bin_retention_days       - days a deleted row stays restorable (default 30)
+ * RECYCLE_BIN_CLEANUP_INTERVAL_MINUTES (env)  - background purge of expired rows (default 1440)
+ */
+
+const DELETED_STATUS = 2;
+const DEFAULT_RETENTION_DAYS = 30;
+
+function getIntEnv(key, defaultValue) {
+  const value = parseInt(process.env[key]);
+  return isNaN(value) ? defaultValue : value;
+}
+
+/**
+ * Delete attachment rows of upload_key
+ * @returns {Promise<Array<string>>} Storage paths of the files - removed only after commit (deleteStorageFiles)
+ */
+async function purgeAttachmentRows(executor, table, uploadKey) {
+  const [files] = await executor.execute(`SELECT id, file_path FROM ${table} WHERE upload_key = ?`, [uploadKey]);
+
+  await executor.execute(`DELETE FROM ${table} WHERE upload_key = ?`, [uploadKey]);
+  return files.map(file => file.file_path);
+}
+
+/**
+ * Remove files of purged rows from storage
+ * Rows are already gone - a failure only leaves an orphan file, it is logged and never thrown
+ */
+async function deleteStorageFiles(filePaths) {
+  for (const filePath of filePaths) {
+    try {
+      await deleteFile(filePath);
+    } catch (error) {
+      logger.error(`Recycle bin: could not delete storage file ${filePath} of purged row:`, error);
+    }
+  }
+}
+
+/**
+ * Attachment module -> recycle bin module
+ * parentTable: row that owns the upload_key - restoring a file of a deleted parent is not allowed
+ */
+function buildAttachmentModule(menu, { table, maxFileCount, permissions }) {
+  return {
+    entity: 'attachment',
+    table,
+    titleField: 'file_name',
+    tenantScoped: true,
+    restoreStatus: 1,
+    permissions: { view: permissions.delete, restore: permissions.delete },
+    async validateRestore(executor, row) {
+      const parentTable = `${menu}_information`;
+      const [parentRows] = await executor.execute(
+        `SELECT id, status FROM ${parentTable} WHERE upload_key = ? LIMIT 1`,
+        [row.upload_key]
+      );
+
+      if (parentRows.length > 0 && parseInt(parentRows[0].status) === DELETED_STATUS) {
+        return 'ข้อมูลหลักของไฟล์นี้ถูกลบแล้ว กรุณากู้คืนข้อมูลหลักก่อน';
+      }
+
+      const [countRows] = await executor.execute(
+        `SELECT COUNT(*) as total FROM ${table} WHERE upload_key = ? AND status != ${DELETED_STATUS}`,
+        [row.upload_key]
+      );
+
+      if (countRows[0].total >= maxFileCount) {
+        return `จำนวนไฟล์เกินกำหนด (สูงสุด ${maxFileCount} ไฟล์)`;
+      }
+
+      return null;
+    },
+    async purge(executor, row) {
+      await executor.execute(`DELETE FROM ${table} WHERE id = ?`, [row.id]);
+      return [row.file_path];
+    }
+  };
+}
+
+/**
+ * Modules with a recycle bin
+ * table           - main table (soft delete with status = 2, delete_date, delete_by)
+ * titleField      - shown in list
+ * tenantScoped    - table has customer_id (news is shared by every customer)
+ * restoreStatus   - status after restore
+ * permissions     - { view, restore } checked by requireRecycleBinPermission (purge = recycle_bin.purge)
+ * validateRestore - (executor, row) => error message | null (uniqueness / parent state)
+ * checkPurge      - (executor, row) => reason the row must be kept | null
+ * purge           - (executor, row) => delete row and everything that belongs only to it,
+ *                   returns storage paths of its files (removed after commit)
+ */
+export const RECYCLE_BIN_MODULES = {
+  news: {
+    entity: 'news',
+    table: 'news_information',
+    titleField: 'title',
+    tenantScoped: false,
+    restoreStatus: 1,
+    permissions: { view: 'news.view', restore: 'news.delete' },
+    async validateRestore(executor, row) {
+      if (!row.cid) {
+        return null;
+      }
+
+      const [categoryRows] = await executor.execute(
+        `SELECT id FROM news_category WHERE id = ? AND status != ${DELETED_STATUS}`,
+        [row.cid]
+      );
+
+      return categoryRows.length === 0 ? 'หมวดหมู่ของข่าวนี้ถูกลบแล้ว กรุณาเลือกหมวดหมู่ใหม่หรือกู้คืนหมวดหมู่ก่อน' : null;
+    },
+    async purge(executor, row) {
+      const filePaths = await purgeAttachmentRows(executor, 'news_attachment', row.upload_key);
+      await executor.execute('DELETE FROM news_information WHERE id = ?', [row.id]);
+      return filePaths;
+    }
+  },
+  bill: {
+    entity: 'bill',
+    table: 'bill_information',
+    titleField: 'title',
+    tenantScoped: true,
+    // บิลที่กู้คืนกลับเป็นฉบับร่างเสมอ - ต้องส่งใหม่ผ่าน status machine
+    restoreStatus: BILL_STATUS.DRAFT,
+    permissions: { view: 'bill.view', restore: 'bill.delete' },
+    async validateRestore(executor, row) {
+      const [typeRows] = await executor.execute(
+        `SELECT id FROM bill_type_information WHERE id = ? AND status != ${DELETED_STATUS}`,
+        [row.bill_type_id]
+      );
+
+      if (typeRows.length === 0) {
+        return 'ประเภทบิลนี้ถูกลบแล้ว';
+      }
+
+      if (row.bill_no) {
+        const [duplicateRows] = await executor.execute(
+          `SELECT id FROM bill_information WHERE bill_no = ? AND customer_id = ? AND id != ? AND status != ${DELETED_STATUS} LIMIT 1`,
+          [row.bill_no, row.customer_id, row.id]
+        );
+
+        if (duplicateRows.length > 0) {
+          return `เลขที่บิล ${row.bill_no} ถูกใช้งานโดยบิลอื่นแล้ว`;
+        }
+      }
+
+      // บิลค่ามิเตอร์ - ค่ามิเตอร์ที่ถูกปล่อยตอนลบบิลต้องยังไม่ถูกแก้ไข / ออกบิลใหม่
+      const { error } = await getReleasedBillReadings(executor, row, { lock: true });
+      return error || null;
+    },
+    async onRestore(executor, row, actorId) {
+      await transitionStatus(executor, {
+        entity: 'bill',
+        id: row.id,
+        from: row.status,
+        to: BILL_STATUS.DRAFT,
+        actorId,
+        reason: 'กู้คืนจากถังขยะ',
+        customerId: row.customer_id
+      });
+      await reclaimBillReadings(executor, row, { actorId });
+    },
+    async checkPurge(executor, row) {
+      // ประวัติการเงินต้องเก็บไว้ - บิลที่มีการแจ้งชำระ / รับชำระ / ใช้เครดิตคงเหลือแล้วลบถาวรไม่ได้
+      const [paymentRows] = await executor.execute(
+        `SELECT
+           (SELECT COUNT(*) FROM bill_transaction_information bt INNER JOIN bill_room_information br ON bt.bill_room_id = br.id WHERE br.bill_id = ?) as transactions,
+           (SELECT COUNT(*) FROM payment_information p INNER JOIN bill_room_information br ON p.payable_type = 'bill_room_information' AND p.payable_id = br.id WHERE br.bill_id = ?) as payments,
+           (SELECT COUNT(*) FROM house_credit_movement hm INNER JOIN bill_room_information br ON hm.bill_room_id = br.id WHERE br.bill_id = ?) as credit_movements`,
+        [row.id, row.id, row.id]
+      );
+
+      return paymentRows[0].transactions > 0 || paymentRows[0].payments > 0 || paymentRows[0].credit_movements > 0
+        ? 'บิลนี้มีรายการชำระเงินแล้ว ไม่สามารถลบถาวรได้'
+        : null;
+    },
+    async purge(executor, row) {
+      const filePaths = await purgeAttachmentRows(executor, 'bill_attachment', row.upload_key);
+      await executor.execute('DELETE FROM bill_penalty WHERE bill_id = ?', [row.id]);
+      await executor.execute('UPDATE meter_reading SET bill_id = NULL, bill_room_id = NULL, amount = NULL WHERE bill_id = ?', [row.id]);
+      await executor.execute('DELETE FROM meter_reading_release WHERE bill_id = ?', [row.id]);
+      await executor.execute('DELETE FROM bill_room_item WHERE bill_id = ?', [row.id]);
+      await executor.execute('DELETE FROM bill_room_information WHERE bill_id = ?', [row.id]);
+      await executor.execute('DELETE FROM bill_audit_information WHERE bill_id = ?', [row.id]);
+      await executor.execute('DELETE FROM bill_information WHERE id = ?', [row.id]);
+      return filePaths;
+    }
+  },
+  bank: {
+    entity: 'bank',
+    table: 'bank_information',
+    titleField: 'bank_account',
+    tenantScoped: true,
+    restoreStatus: 1,
+    permissions: { view: 'bank.view', restore: 'bank.delete' },
+    async validateRestore(executor, row) {
+      if (!row.bank_no) {
+        return null;
+      }
+
+      const [duplicateRows] = await executor.execute(
+        `SELECT id FROM bank_information WHERE bank_no = ? AND customer_id = ? AND id != ? AND status != ${DELETED_STATUS} LIMIT 1`,
+        [row.bank_no, row.customer_id, row.id]
+      );
+
+      return duplicateRows.length > 0 ? `เลขบัญชี ${row.bank_no} มีอยู่ในระบบแล้ว` : null;
+    },
+    async checkPurge(executor, row) {
+      const [paymentRows] = await executor.execute(
+        'SELECT COUNT(*) as total FROM payment_information WHERE bank_id = ?',
+        [row.id]
+      );
+
+      return paymentRows[0].total > 0 ? 'บัญชีนี้ถูกอ้างอิงในการแจ้งชำระเงิน ไม่สามารถลบถาวรได้' : null;
+    },
+    async purge(executor, row) {
+      const filePaths = await purgeAttachmentRows(executor, 'bank_attachment', row.upload_key);
+      await executor.execute('DELETE FROM bank_information WHERE id = ?', [row.id]);
+      return filePaths;
+    }
+  },
+  ...Object.fromEntries(
+    Object.entries(ATTACHMENT_MODULES).map(([menu, module]) => [`${menu}_attachment`, buildAttachmentModule(menu, module)])
+  )
+};
+
+/**
+ * Get recycle bin module by name
+ * @param {string} name - Module name from client (news, bill, bank, <menu>_attachment)
+ * @returns {Object|null} Module definition with name, or null if not registered
+ */
+export function getRecycleBinModule(name) {
+  if (typeof name !== 'string' || !Object.prototype.hasOwnProperty.call(RECYCLE_BIN_MODULES, name)) {
+    return null;
+  }
+
+  return { name, ...RECYCLE_BIN_MODULES[name] };
+}
+
+/**
+ * @returns {Promise<number>} Days a deleted row stays restorable
+ */
+export async function getRetentionDays() {
+  const days = await getConfig('recycle_bin_retention_days');
+  return Number.isInteger(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * Get deleted row of module (locked when executor is a transaction connection)
+ * @returns {Promise<Object|null>}
+ */
+export async function getDeletedRow(executor, module, id, customerId, { lock = false } = {}) {
+  let query = `SELECT * FROM ${module.table} WHERE id = ? AND status = ${DELETED_STATUS}`;
+  const params = [id];
+
+  if (module.tenantScoped) {
+    query += ' AND customer_id = ?';
+    params.push(customerId);
+  }
+
+  const [rows] = await executor.execute(lock ? `${query} FOR UPDATE` : query, params);
+  return rows[0] || null;
+}
+
+/**
+ * Restore deleted row (call inside withTransaction)
+ * @returns {Promise<Object>} { row } or { reason } when restore is not allowed
+ */
+export async function restoreDeletedRow(connection, module, id, customerId, actorId) {
+  const row = await getDeletedRow(connection, module, id, customerId, { lock: true });
+
+  if (!row) {
+    return { reason: 'ไม่พบข้อมูลในถังขยะ' };
+  }
+
+  const reason = await module.validateRestore(connection, row);
+  if (reason) {
+    return { reason };
+  }
+
+  if (module.onRestore) {
+    await module.onRestore(connection, row, actorId);
+  }
+
+  await connection.execute(
+    `UPDATE ${module.table}
+     SET status = ?, delete_date = NULL, delete_by = NULL, update_date = NOW(), update_by = ?
+     WHERE id = ?`,
+    [module.restoreStatus, actorId, row.id]
+  );
+
+  return { row };
+}
+
+/**
+ * Permanently delete row that has been in the recycle bin longer than retention
+ * Storage files are removed through storageManager.deleteFile after commit - a rollback never loses files
+ * @returns {Promise<Object>} { row } or { reason } when the row must be kept
+ */
+export async function purgeDeletedRow(module, id, customerId, retentionDays) {
+  const outcome = await withTransaction(async (connection) => {
+    const row = await getDeletedRow(connection, module, id, customerId, { lock: true });
+
+    if (!row) {
+      return { reason: 'ไม่พบข้อมูลในถังขยะ' };
+    }
+
+    const [expiredRows] = await connection.execute(
+      `SELECT id FROM ${module.table} WHERE id = ? AND delete_date <= DATE_SUB(NOW(), INTERVAL ? DAY)`,
+      [row.id, retentionDays]
+    );
+
+    if (expiredRows.length === 0) {
+      return { reason: `ลบถาวรได้เมื่อครบ ${retentionDays} วันหลังจากลบ` };
+    }
+
+    const reason = module.checkPurge ? await module.checkPurge(connection, row) : null;
+    if (reason) {
+      return { reason };
+    }
+
+    const filePaths = await module.purge(connection, row);
+    return { row, filePaths };
+  });
+
+  if (outcome.reason) {
+    return outcome;
+  }
+
+  await deleteStorageFiles(outcome.filePaths);
+  return { row: outcome.row };
+}
+
+/**
+ * Purge every expired row of every module (all customers)
+ * @returns {Promise<number>} Number of purged rows
+ */
+export async function purgeExpiredRecycleBin() {
+  const db = getDatabase();
+  const retentionDays = await getRetentionDays();
+  let purged = 0;
+
+  for (const name of Object.keys(RECYCLE_BIN_MODULES)) {
+    const module = getRecycleBinModule(name);
+    const [rows] = await db.execute(
+      `SELECT id, ${module.tenantScoped ? 'customer_id' : 'NULL as customer_id'} FROM ${module.table}
+       WHERE status = ${DELETED_STATUS} AND delete_date <= DATE_SUB(NOW(), INTERVAL ? DAY)`,
+      [retentionDays]
+    );
+
+    for (const row of rows) {
+      try {
+        const result = await purgeDeletedRow(module, row.id, row.customer_id, retentionDays);
+        if (result.row) {
+          purged++;
+        }
+      } catch (error) {
+        logger.error(`Recycle bin purge ${name} id=${row.id} failed:`, error);
+      }
+    }
+  }
+
+  return purged;
+}
+
+/**
+ * Start background job that purges expired rows
+ * Call once after initDatabase() - runs at startup too, so restarts do not keep postponing the purge
+ */
+export function startRecycleBinCleanup() {
+  const intervalMs = getIntEnv('RECYCLE_BIN_CLEANUP_INTERVAL_MINUTES', 1440) * 60 * 1000;
+
+  const run = async () => {
+    try {
+      const purged = await purgeExpiredRecycleBin();
+      if (purged > 0) {
+        logger.info(`Recycle bin cleanup: ${purged} expired rows purged`);
+      }
+    } catch (error) {
+      logger.error('Recycle bin cleanup error:', error);
+    }
+  };
+
+  run();
+  setInterval(run, intervalMs).unref();
+}
@@ -0,0 +1,71 @@
+/**
+ * Request context helpers - who is acting on this request
+ * Actor is resolved from the verified token (req.user) by authenticateJWT,
+ * never from uid sent in body/query
+ */
+
+/**
+ * Build actor from verified user
+ * @param {Object} user - req.user
+ * @returns {Object|null} { id, username, userlevel, type }
+ */
+export function buildActor(user) {
+  if (!user || user.userid === null || user.userid === undefined) {
+    return null;
+  }
+
+  const id = parseInt(user.userid);
+
+  return {
+    id: isNaN(id) ? null : id,
+    username: user.username || null,
+    userlevel: user.userlevel || null,
+    type: 'portal_user'
+  };
+}
+
+/**
+ * Get actor of current request
+ * @param {Object} req - Express request
+ * @returns {Object|null}
+ */
+export function getActor(req) {
+  return req.actor || null;
+}
+
+/**
+ * Get actor id for create_by / update_by / delete_by
+ * @param {Object} req - Express request
+ * @returns {number|null}
+ */
+export function getActorId(req) {
+  return req.actor?.id ?? null;
+}
+
+/**
+ * Find uid sent by client that conflicts with actor (legacy clients still send uid)
+ * @param {Object} req - Express request
+ * @returns {string|null} Conflicting uid, or null if none / same as actor
+ */
+export function findConflictingUid(req) {
+  const actorId = getActorId(req);
+  const candidates = [req.body?.uid, req.query?.uid];
+
+  for (const uid of candidates) {
+    if (uid === undefined || uid === null || uid === '') continue;
+    if (actorId === null || parseInt(uid) !== actorId) {
+      return String(uid);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get client IP of request
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+export function getClientIp(req) {
+  return req.ip || req.connection?.remoteAddress || null;
+}
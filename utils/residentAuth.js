@@ -0,0 +1,111 @@
+import fs from 'fs';
+import jwt from 'jsonwebtoken';
+import { getDatabase } from '../config/database.js';
+import { getFirebaseAuth } from '../config/firebase.js';
+import logger from './logger.js';
+
+const TABLE_MEMBER = 'member_information';
+const USER_REF_COLLECTION = 'kconnect_users';
+
+/**
+ * Default verifier - Firebase ID token from KConnect app
+ * @param {string} token - Firebase ID token
+ * @returns {Promise<Object>} { uid, claims }
+ */
+export async function firebaseIdTokenVerifier(token) {
+  const checkRevoked = process.env.RESIDENT_CHECK_REVOKED === 'true';
+  const decoded = await getFirebaseAuth().verifyIdToken(token, checkRevoked);
+
+  return {
+    uid: decoded.uid,
+    claims: decoded
+  };
+}
+
+/**
+ * Create verifier from a local key pair (RS256) - stands in for Firebase in tests/local dev
+ * Token payload uses Firebase claim names (sub / user_id)
+ * @param {string|Buffer} publicKey - PEM public key
+ * @param {Object} options - { issuer, audience }
+ * @returns {Function} async (token) => { uid, claims }
+ */
+export function createLocalKeyVerifier(publicKey, options = {}) {
+  const verifyOptions = { algorithms: ['RS256'] };
+  if (options.issuer) verifyOptions.issuer = options.issuer;
+  if (options.audience) verifyOptions.audience = options.audience;
+
+  return async (token) => {
+    const decoded = jwt.verify(token, publicKey, verifyOptions);
+
+    return {
+      uid: decoded.user_id || decoded.sub,
+      claims: decoded
+    };
+  };
+}
+
+/**
+ * Build verifier from environment
+ * RESIDENT_TOKEN_VERIFIER = firebase (default) | local
+ * RESIDENT_PUBLIC_KEY_PATH = PEM public key (local mode)
+ */
+function createVerifierFromEnv() {
+  if (process.env.RESIDENT_TOKEN_VERIFIER === 'local') {
+    const publicKey = fs.readFileSync(process.env.RESIDENT_PUBLIC_KEY_PATH);
+    logger.warn('Resident auth is using local key verifier (not Firebase)');
+    return createLocalKeyVerifier(publicKey, {
+      issuer: process.env.RESIDENT_TOKEN_ISSUER || null,
+      audience: process.env.RESIDENT_TOKEN_AUDIENCE || null
+    });
+  }
+
+  return firebaseIdTokenVerifier;
+}
+
+let residentTokenVerifier = null;
+
+/**
+ * Replace resident token verifier (tests / alternative identity provider)
+ * @param {Function|null} verifier - async (token) => { uid, claims }, null = back to env default
+ */
+export function setResidentTokenVerifier(verifier) {
+  residentTokenVerifier = verifier;
+}
+
+/**
+ * Verify resident token with the current verifier
+ * @param {string} token - ID token
+ * @returns {Promise<Object>} { uid, claims }
+ */
+export async function verifyResidentToken(token) {
+  if (!residentTokenVerifier) {
+    residentTokenVerifier = createVerifierFromEnv();
+  }
+
+  const result = await residentTokenVerifier(token);
+
+  if (!result || !result.uid) {
+    throw new Error('Resident token has no uid');
+  }
+
+  return result;
+}
+
+/**
+ * Find member rows of a Firebase user (member_information.user_ref = 'kconnect_users/<uid>')
+ * @param {string} uid - Firebase uid
+ * @returns {Promise<Array>} Active member rows
+ */
+export async function findMembersByUid(uid) {
+  const db = getDatabase();
+
+  const [rows] = await db.execute(
+    `SELECT id, full_name, house_no, room_id, customer_id, user_level, user_type, user_ref
+     FROM ${TABLE_MEMBER}
+     WHERE user_ref IN (?, ?) AND status != 2
+     ORDER BY id ASC`,
+    [`${USER_REF_COLLECTION}/${uid}`, uid]
+  );
+
+  return rows;
+}
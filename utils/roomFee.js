@@ -0,0 +1,296 @@
+import { withTransaction } from '../config/database.js';
+import logger from './logger.js';
+import { generateUploadKey } from './keyGenerator.js';
+import { generateDocumentNumber, generateDocumentNumbers } from './documentNumber.js';
+import { BILL_STATUS, BILL_ROOM_STATUS } from './statusMachine.js';
+import { getAuditSnapshot, writeAuditLog } from './auditLog.js';
+import { formatExpireDate, insertBillAudit, sendBillRecord } from './billHelper.js';
+import { buildBillRoomItems, getItemVatRate, insertBillRoomItems } from './billRoomItem.js';
+import { splitTiers, validateTiers } from './tieredRate.js';
+import { prorateRooms } from './proration.js';
+
+/**
+ * Fee rules - amount of each room for a bill type from its room type (room_information.type_id -> room_type)
+ * per_area  - rate x area (บาท / ตร.ม.)
+ * fixed     - rate per room
+ * tiered    - area in tiers [{ up_to, rate }] (บาท / ตร.ม. of each tier)
+ * ownership - rate (amount shared by the building) x ownership_ratio / 100
+ * A rule of the room type wins over the default rule of the bill type (room_type_id NULL)
+ * minimum_amount raises the room amount with an extra item
+ */
+
+const TABLE_ROOM_TYPE = 'room_type';
+const TABLE_FEE_RULE = 'room_fee_rule';
+const TABLE_BILL = 'bill_information';
+const TABLE_BILL_ROOM = 'bill_room_information';
+
+export const FEE_METHODS = {
+  per_area: 'ตามพื้นที่ (บาท / ตร.ม.)',
+  fixed: 'คงที่ต่อห้อง',
+  tiered: 'ขั้นบันไดตามพื้นที่',
+  ownership: 'ตามอัตราส่วนกรรมสิทธิ์'
+};
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Check rate / tiers of rule against its method
+ * @param {Object} rule - { method, rate, tiers }
+ * @returns {string|null} Error message (Thai) or null
+ */
+export function validateFeeRule({ method, rate, tiers }) {
+  if (method === 'tiered') {
+    return validateTiers(tiers);
+  }
+
+  if (rate === undefined || rate === null) {
+    return `เงื่อนไขแบบ${FEE_METHODS[method]}ต้องระบุ rate`;
+  }
+
+  return null;
+}
+
+/**
+ * Items of room from fee rule (pure - amounts by buildBillRoomItems)
+ * @param {Object} roomType - room_type row (null when the room has no type)
+ * @param {Object} rule - room_fee_rule row
+ * @param {string} label - Description of the bill type e.g. "ค่าส่วนกลาง"
+ * @returns {Object} { items: [{ description, bill_type_id, quantity, unit_price, vat_flag }] } or { error }
+ */
+export function buildRoomFeeItems(roomType, rule, label) {
+  const vatFlag = parseInt(rule.vat_flag) === 1;
+  const billTypeId = rule.bill_type_id;
+  const rate = rule.rate === null || rule.rate === undefined ? 0 : parseFloat(rule.rate);
+  const area = roomType ? parseFloat(roomType.area) : 0;
+  const items = [];
+
+  if (rule.method !== 'fixed' && !roomType) {
+    return { error: 'ห้องนี้ยังไม่ได้ระบุประเภทห้อง' };
+  }
+
+  if (['per_area', 'tiered'].includes(rule.method) && !(area > 0)) {
+    return { error: `ประเภทห้อง ${roomType.title} ยังไม่ได้ระบุพื้นที่` };
+  }
+
+  if (rule.method === 'per_area') {
+    items.push({ description: `${label} ${area} ตร.ม.`, bill_type_id: billTypeId, quantity: area, unit_price: rate, vat_flag: vatFlag });
+  } else if (rule.method === 'fixed') {
+    items.push({ description: label, bill_type_id: billTypeId, quantity: 1, unit_price: rate, vat_flag: vatFlag });
+  } else if (rule.method === 'tiered') {
+    for (const part of splitTiers(area, rule.tiers)) {
+      const range = part.to === Infinity ? `ส่วนที่เกิน ${part.from}` : `${part.from}-${part.to}`;
+      items.push({ description: `${label} พื้นที่ ${range} ตร.ม.`, bill_type_id: billTypeId, quantity: part.quantity, unit_price: part.rate, vat_flag: vatFlag });
+    }
+  } else if (rule.method === 'ownership') {
+    const ratio = roomType.ownership_ratio === null ? null : parseFloat(roomType.ownership_ratio);
+
+    if (!(ratio > 0)) {
+      return { error: `ประเภทห้อง ${roomType.title} ยังไม่ได้ระบุอัตราส่วนกรรมสิทธิ์` };
+    }
+
+    items.push({ description: `${label} (กรรมสิทธิ์ ${ratio}%)`, bill_type_id: billTypeId, quantity: 1, unit_price: roundAmount(rate * ratio / 100), vat_flag: vatFlag });
+  } else {
+    return { error: `ไม่รู้จักเงื่อนไขแบบ ${rule.method}` };
+  }
+
+  const amount = items.reduce((sum, item) => sum + item.quantity * item.unit_price, 0);
+  const minimumAmount = parseFloat(rule.minimum_amount) || 0;
+
+  if (roundAmount(amount) < minimumAmount) {
+    items.push({ description: `${label} ส่วนต่างขั้นต่ำ`, bill_type_id: billTypeId, quantity: 1, unit_price: roundAmount(minimumAmount - amount), vat_flag: vatFlag });
+  }
+
+  return { items };
+}
+
+/**
+ * Amount of every room of customer for bill type (used by preview, bill creation and bill schedules)
+ * Rooms without owner, without rule or without amount are skipped and reported
+ * With period, rooms that moved in during the period are prorated (utils/proration.js)
+ * @param {Object} executor - Pool or transaction connection
+ * @param {Object} options - { customerId, billTypeId, excludedRoomIds, period (YYYY-MM) }
+ * @returns {Promise<Object>} { bill_type_id, bill_type_title, period, rooms, skipped, excluded, total_amount }
+ */
+export async function buildFeeRulePlan(executor, { customerId, billTypeId, excludedRoomIds = [], period = null }) {
+  const [billTypeRows] = await executor.execute('SELECT title FROM bill_type_information WHERE id = ?', [billTypeId]);
+  const label = billTypeRows[0]?.title || 'ค่าบริการ';
+
+  const [rules] = await executor.execute(
+    `SELECT * FROM ${TABLE_FEE_RULE} WHERE customer_id = ? AND bill_type_id = ? AND status = 1`,
+    [customerId, billTypeId]
+  );
+
+  const defaultRule = rules.find(rule => rule.room_type_id === null) || null;
+  const ruleByType = new Map(rules.filter(rule => rule.room_type_id !== null).map(rule => [rule.room_type_id, rule]));
+
+  const [rooms] = await executor.execute(
+    `SELECT r.id, r.title as house_no, r.type_id,
+            CONCAT(m.prefix_name, m.full_name) as member_name,
+            rt.id as room_type_id, rt.title as room_type_title, rt.area, rt.ownership_ratio
+     FROM room_information r
+     LEFT JOIN member_information m ON r.owner_id = m.id AND m.status != 2
+     LEFT JOIN ${TABLE_ROOM_TYPE} rt ON r.type_id = rt.id AND rt.customer_id = r.customer_id AND rt.status = 1
+     WHERE r.customer_id = ? AND r.status != 2
+     ORDER BY r.title ASC`,
+    [customerId]
+  );
+
+  const vatRate = await getItemVatRate();
+  const planRooms = [];
+  const skipped = [];
+  const excluded = [];
+
+  for (const room of rooms) {
+    if (excludedRoomIds.includes(room.id)) {
+      excluded.push({ room_id: room.id, house_no: room.house_no });
+      continue;
+    }
+
+    if (!room.member_name) {
+      skipped.push({ room_id: room.id, house_no: room.house_no, reason: 'ห้องนี้ยังไม่มีเจ้าของ' });
+      continue;
+    }
+
+    const rule = (room.room_type_id !== null && ruleByType.get(room.room_type_id)) || defaultRule;
+    if (!rule) {
+      skipped.push({ room_id: room.id, house_no: room.house_no, reason: 'ไม่พบเงื่อนไขค่าบริการของประเภทห้องนี้' });
+      continue;
+    }
+
+    const roomType = room.room_type_id === null
+      ? null
+      : { id: room.room_type_id, title: room.room_type_title, area: room.area, ownership_ratio: room.ownership_ratio };
+
+    const result = buildRoomFeeItems(roomType, rule, label);
+    if (result.error) {
+      skipped.push({ room_id: room.id, house_no: room.house_no, reason: result.error });
+      continue;
+    }
+
+    const built = buildBillRoomItems(result.items, vatRate);
+    if (built.errors.length > 0 || built.total_price <= 0) {
+      skipped.push({ room_id: room.id, house_no: room.house_no, reason: 'ไม่พบยอดเงินของห้องนี้' });
+      continue;
+    }
+
+    planRooms.push({
+      room_id: room.id,
+      house_no: room.house_no,
+      member_name: room.member_name,
+      type_id: room.type_id,
+      room_type: roomType ? roomType.title : null,
+      area: roomType ? parseFloat(roomType.area) : null,
+      ownership_ratio: roomType && roomType.ownership_ratio !== null ? parseFloat(roomType.ownership_ratio) : null,
+      rule_id: rule.id,
+      method: rule.method,
+      items: built.items,
+      total_price: built.total_price
+    });
+  }
+
+  const prorated = period
+    ? await prorateRooms(executor, { customerId, billTypeId, period, rooms: planRooms })
+    : { rooms: planRooms, skipped: [] };
+
+  return {
+    bill_type_id: billTypeId,
+    bill_type_title: label,
+    period,
+    rooms: prorated.rooms,
+    skipped: [...skipped, ...prorated.skipped],
+    excluded,
+    total_amount: roundAmount(prorated.rooms.reduce((sum, room) => sum + room.total_price, 0))
+  };
+}
+
+/**
+ * Create bill for every room of customer from fee rules (no spreadsheet), then send it when send is on
+ * Bill, bill rooms and items are written in one transaction
+ * @param {Object} options - { customerId, billTypeId, period, title, detail, expireDate, send, excludedRoomIds, actorId, req }
+ * @returns {Promise<Object>} { error?: 'no_rooms', bill_id, bill_no, plan, sent }
+ */
+export async function generateFeeRuleBill({ customerId, billTypeId, period = null, title, detail, expireDate, send = false, excludedRoomIds = [], actorId, req = null }) {
+  const outcome = await withTransaction(async (connection) => {
+    const plan = await buildFeeRulePlan(connection, { customerId, billTypeId, excludedRoomIds, period });
+
+    if (plan.rooms.length === 0) {
+      return { error: 'no_rooms', plan };
+    }
+
+    const billNo = await generateDocumentNumber('bill', customerId, { connection });
+
+    const [billResult] = await connection.execute(
+      `INSERT INTO ${TABLE_BILL} (upload_key, bill_no, title, bill_type_id, detail, expire_date, send_date, remark, customer_id, status, create_by)
+       VALUES (?, ?, ?, ?, ?, ?, NULL, ?, ?, ?, ?)`,
+      [generateUploadKey(), billNo, title, billTypeId, detail, formatExpireDate(expireDate), `สร้างจากเงื่อนไขค่าบริการตามประเภทห้อง${period ? ` (${period})` : ''}`, customerId, BILL_STATUS.DRAFT, actorId]
+    );
+
+    const billId = billResult.insertId;
+
+    await insertBillAudit(connection, billId, BILL_STATUS.DRAFT, actorId);
+    await writeAuditLog(connection, req, {
+      entity: 'bill',
+      entityId: billId,
+      action: 'create',
+      after: await getAuditSnapshot(connection, TABLE_BILL, billId),
+      customerId
+    });
+
+    const invoiceNumbers = await generateDocumentNumbers('invoice', customerId, { count: plan.rooms.length, connection });
+
+    const billRoomValues = [];
+    const billRoomParams = [];
+
+    plan.rooms.forEach((room, i) => {
+      billRoomValues.push('(?, ?, ?, ?, ?, ?, ?, ?, ?, ?)');
+      billRoomParams.push(billId, invoiceNumbers[i], room.house_no, room.member_name, room.total_price, room.proration?.full_price ?? null, room.remark || null, customerId, BILL_ROOM_STATUS.UNPAID, actorId);
+    });
+
+    // ใช้ query() แทน execute() เพราะ dynamic values
+    await connection.query(
+      `INSERT INTO ${TABLE_BILL_ROOM} (bill_id, bill_no, house_no, member_name, total_price, full_price, remark, customer_id, status, create_by)
+       VALUES ${billRoomValues.join(', ')}`,
+      billRoomParams
+    );
+
+    // map bill_room id by bill_no
+    const [insertedBillRooms] = await connection.execute(`SELECT id, bill_no FROM ${TABLE_BILL_ROOM} WHERE bill_id = ?`, [billId]);
+    const billRoomIdByNo = new Map(insertedBillRooms.map(billRoom => [billRoom.bill_no, billRoom.id]));
+
+    await insertBillRoomItems(connection, plan.rooms.map((room, i) => ({
+      billRoomId: billRoomIdByNo.get(invoiceNumbers[i]),
+      billId,
+      customerId,
+      items: room.items
+    })), actorId);
+
+    return { bill_id: billId, bill_no: billNo, plan };
+  });
+
+  if (outcome.error) {
+    return outcome;
+  }
+
+  let sent = false;
+
+  if (send) {
+    try {
+      const result = await sendBillRecord(outcome.bill_id, { actorId, req, reason: 'สร้างและส่งบิล' });
+      sent = !result.error;
+    } catch (error) {
+      // บิลถูกสร้างแล้ว - ส่งเองภายหลังได้จากหน้าบิล
+      logger.error(`Send fee rule bill ${outcome.bill_id} failed:`, error);
+    }
+  }
+
+  logger.info(`Fee rule bill ${outcome.bill_id} (${outcome.bill_no}) generated for ${customerId} bill_type_id=${billTypeId}: ${outcome.plan.rooms.length} rooms${sent ? ', sent' : ''}`);
+
+  return {
+    bill_id: outcome.bill_id,
+    bill_no: outcome.bill_no,
+    plan: outcome.plan,
+    sent
+  };
+}
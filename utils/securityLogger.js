@@ -0,0 +1,46 @@
+import winston from 'winston';
+import path from 'path';
+import fs from 'fs';
+import logger from './logger.js';
+
+const logDir = 'logs';
+if (!fs.existsSync(logDir)) {
+  fs.mkdirSync(logDir);
+}
+
+// Security events เขียนแยกไฟล์ เพื่อให้ตรวจสอบย้อนหลังได้ง่าย (ไม่ปนกับ request log)
+const securityFileLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp({
+      format: 'YYYY-MM-DD HH:mm:ss'
+    }),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({
+      filename: path.join(logDir, 'security.log')
+    })
+  ]
+});
+
+/**
+ * Log security event (cross-tenant access, permission denied, etc.)
+ * @param {string} event - Event name e.g. 'cross_tenant_access'
+ * @param {Object} req - Express request (optional, for user/ip/url)
+ * @param {Object} details - Additional details
+ */
+export function logSecurityEvent(event, req = null, details = {}) {
+  const entry = {
+    event,
+    userid: req?.user?.userid ?? null,
+    username: req?.user?.username ?? null,
+    ip: req ? (req.ip || req.connection?.remoteAddress || null) : null,
+    method: req?.method ?? null,
+    url: req?.originalUrl ?? null,
+    ...details
+  };
+
+  securityFileLogger.warn(entry);
+  logger.warn(`[SECURITY] ${event}: ${JSON.stringify(entry)}`);
+}
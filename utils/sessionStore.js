@@ -0,0 +1,256 @@
+import crypto from 'crypto';
+import { getDatabase } from '../config/database.js';
+import logger from './logger.js';
+import { signBackendToken } from './jwtVerifier.js';
+
+const TABLE_REVOCATION = 'token_revocation';
+const TABLE_SESSION = 'auth_session';
+
+/**
+ * Refresh token lifetime in seconds (env REFRESH_TOKEN_TTL, default 7 days)
+ */
+function getRefreshTtl() {
+  const ttl = parseInt(process.env.REFRESH_TOKEN_TTL);
+  return isNaN(ttl) ? 7 * 24 * 60 * 60 : ttl;
+}
+
+/**
+ * SHA-256 hash of token (never store raw tokens in revocation list)
+ * @param {string} token
+ * @returns {string} hex hash
+ */
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Convert JWT exp (seconds) to MySQL datetime string
+ */
+function expToDateTime(exp) {
+  if (!exp) return null;
+  return toDateTime(new Date(exp * 1000));
+}
+
+function toDateTime(date) {
+  // dateStrings + timezone +07:00 - เก็บเป็นเวลาไทยให้ตรงกับ NOW()
+  const local = new Date(date.getTime() + 7 * 60 * 60 * 1000);
+  return local.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Check if token (by jti/hash) or all tokens of user (issued before revoke date) are revoked
+ * @param {string} token - Raw token
+ * @param {Object} payload - Verified payload (jti, iat)
+ * @param {string|number} userid - User ID from token
+ * @returns {Promise<boolean>}
+ */
+export async function isTokenRevoked(token, payload, userid) {
+  const db = getDatabase();
+
+  const keys = [hashToken(token)];
+  if (payload.jti) keys.push(`jti:${payload.jti}`);
+
+  const [tokenRows] = await db.execute(
+    `SELECT id FROM ${TABLE_REVOCATION}
+     WHERE revoke_type = 'token' AND token_hash IN (${keys.map(() => '?').join(',')})
+     LIMIT 1`,
+    keys
+  );
+
+  if (tokenRows.length > 0) {
+    return true;
+  }
+
+  if (userid === null || userid === undefined) {
+    return false;
+  }
+
+  // Revoke all: token ที่ออกก่อนเวลาที่สั่ง revoke ใช้ไม่ได้ (token ที่ไม่มี iat ถือว่าถูก revoke)
+  const [userRows] = await db.execute(
+    `SELECT MAX(create_date) as revoked_before FROM ${TABLE_REVOCATION}
+     WHERE revoke_type = 'user' AND userid = ?`,
+    [parseInt(userid)]
+  );
+
+  const revokedBefore = userRows[0]?.revoked_before;
+  if (!revokedBefore) {
+    return false;
+  }
+
+  if (!payload.iat) {
+    return true;
+  }
+
+  return expToDateTime(payload.iat) <= revokedBefore;
+}
+
+/**
+ * Revoke a single token (logout)
+ * @param {string} token - Raw token
+ * @param {Object} payload - Verified payload
+ * @param {number|null} actorId - Who revoked
+ * @param {string} reason
+ */
+export async function revokeToken(token, payload, actorId, reason = 'logout') {
+  const db = getDatabase();
+  const tokenKey = payload.jti ? `jti:${payload.jti}` : hashToken(token);
+
+  await db.execute(
+    `INSERT INTO ${TABLE_REVOCATION} (revoke_type, token_hash, userid, expire_date, reason, create_by)
+     VALUES ('token', ?, ?, ?, ?, ?)`,
+    [tokenKey, payload.values?.userid ? parseInt(payload.values.userid) : null, expToDateTime(payload.exp), reason, actorId]
+  );
+}
+
+/**
+ * Revoke all sessions and tokens of a user
+ * @param {number} userid - Target user
+ * @param {number|null} actorId - Who revoked
+ * @param {string} reason
+ * @returns {Promise<number>} Number of backend sessions revoked
+ */
+export async function revokeAllForUser(userid, actorId, reason = 'revoke_all') {
+  const db = getDatabase();
+
+  await db.execute(
+    `INSERT INTO ${TABLE_REVOCATION} (revoke_type, token_hash, userid, expire_date, reason, create_by)
+     VALUES ('user', NULL, ?, NULL, ?, ?)`,
+    [parseInt(userid), reason, actorId]
+  );
+
+  const [result] = await db.execute(
+    `UPDATE ${TABLE_SESSION} SET status = 2, revoke_date = NOW(), revoke_by = ?
+     WHERE userid = ? AND status = 1`,
+    [actorId, parseInt(userid)]
+  );
+
+  logger.info(`All sessions revoked for user ${userid} by user ${actorId} (${result.affectedRows} backend sessions)`);
+  return result.affectedRows;
+}
+
+/**
+ * Create backend session wrapping the Portal token
+ * @param {Object} user - { userid, userlevel, username, userprimarykey }
+ * @param {string} portalToken - Verified Portal token (kept server side)
+ * @param {Object} portalPayload - Verified Portal payload (exp)
+ * @param {Object} req - Express request (ip, user-agent)
+ * @returns {Promise<Object>} { access_token, refresh_token, expires_in, session_id }
+ */
+export async function createSession(user, portalToken, portalPayload, req) {
+  const db = getDatabase();
+  const sessionId = crypto.randomUUID();
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+  // refresh token หมดอายุไม่เกิน Portal token
+  let refreshExpire = new Date(Date.now() + getRefreshTtl() * 1000);
+  if (portalPayload.exp && portalPayload.exp * 1000 < refreshExpire.getTime()) {
+    refreshExpire = new Date(portalPayload.exp * 1000);
+  }
+
+  await db.execute(
+    `INSERT INTO ${TABLE_SESSION}
+     (session_id, userid, username, userlevel, userprimarykey, portal_token, refresh_token_hash, refresh_expire_date, status, ip_address, user_agent)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1, ?, ?)`,
+    [
+      sessionId,
+      parseInt(user.userid),
+      user.username || null,
+      user.userlevel !== undefined && user.userlevel !== null ? String(user.userlevel) : null,
+      user.userprimarykey || null,
+      portalToken,
+      hashToken(refreshToken),
+      toDateTime(refreshExpire),
+      req.ip || req.connection?.remoteAddress || null,
+      (req.headers['user-agent'] || '').substring(0, 500) || null
+    ]
+  );
+
+  const access = signBackendToken({ sid: sessionId, values: pickValues(user) });
+
+  return {
+    access_token: access.token,
+    refresh_token: refreshToken,
+    expires_in: access.expires_in,
+    session_id: sessionId
+  };
+}
+
+function pickValues(user) {
+  return {
+    userid: user.userid,
+    userlevel: user.userlevel,
+    username: user.username,
+    userprimarykey: user.userprimarykey
+  };
+}
+
+/**
+ * Get active session by id
+ * @param {string} sessionId
+ * @returns {Promise<Object|null>}
+ */
+export async function getActiveSession(sessionId) {
+  const db = getDatabase();
+  const [rows] = await db.execute(
+    `SELECT * FROM ${TABLE_SESSION} WHERE session_id = ? AND status = 1 LIMIT 1`,
+    [sessionId]
+  );
+  return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Rotate refresh token and issue new access token
+ * @param {string} refreshToken
+ * @returns {Promise<Object|null>} { access_token, refresh_token, expires_in, session_id } or null if invalid
+ */
+export async function refreshSession(refreshToken) {
+  const db = getDatabase();
+
+  const [rows] = await db.execute(
+    `SELECT * FROM ${TABLE_SESSION}
+     WHERE refresh_token_hash = ? AND status = 1 AND refresh_expire_date > NOW()
+     LIMIT 1`,
+    [hashToken(refreshToken)]
+  );
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const session = rows[0];
+  const newRefreshToken = crypto.randomBytes(48).toString('base64url');
+
+  // Rotate - refresh token เดิมใช้ซ้ำไม่ได้ (เงื่อนไข hash เดิม ป้องกัน refresh พร้อมกัน 2 ครั้ง)
+  const [result] = await db.execute(
+    `UPDATE ${TABLE_SESSION}
+     SET refresh_token_hash = ?, last_refresh_date = NOW(), update_date = NOW()
+     WHERE id = ? AND refresh_token_hash = ? AND status = 1`,
+    [hashToken(newRefreshToken), session.id, hashToken(refreshToken)]
+  );
+
+  if (result.affectedRows === 0) {
+    return null;
+  }
+
+  const access = signBackendToken({ sid: session.session_id, values: pickValues(session) });
+
+  return {
+    access_token: access.token,
+    refresh_token: newRefreshToken,
+    expires_in: access.expires_in,
+    session_id: session.session_id
+  };
+}
+
+/**
+ * Revoke backend session (logout)
+ * @param {string} sessionId
+ * @param {number|null} actorId
+ */
+export async function revokeSession(sessionId, actorId) {
+  const db = getDatabase();
+  await db.execute(
+    `UPDATE ${TABLE_SESSION} SET status = 2, revoke_date = NOW(), revoke_by = ? WHERE session_id = ? AND status = 1`,
+    [actorId, sessionId]
+  );
+}
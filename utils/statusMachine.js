@@ -0,0 +1,256 @@
+import logger from './logger.js';
+
+const TABLE_TRANSITION_LOG = 'status_transition_log';
+
+export const BILL_STATUS = {
+  DRAFT: 0,
+  SENT: 1,
+  DELETED: 2,
+  CANCELLED: 3
+};
+
+/**
+ * OVERDUE (3) is never stored - it is UNPAID / AWAITING_REVIEW past bill_information.expire_date (computed at read time)
+ */
+export const BILL_ROOM_STATUS = {
+  UNPAID: 0,
+  PAID: 1,
+  DELETED: 2,
+  OVERDUE: 3,
+  PARTIAL: 4,
+  AWAITING_REVIEW: 5
+};
+
+export const PAYMENT_STATUS = {
+  PENDING: 0,
+  APPROVED: 1,
+  DELETED: 2,
+  REJECTED: 3
+};
+
+/**
+ * CHARGED and WAIVE_REQUESTED count toward the amount due of the bill room
+ */
+export const BILL_PENALTY_STATUS = {
+  CHARGED: 1,
+  DELETED: 2,
+  WAIVED: 3,
+  WAIVE_REQUESTED: 4
+};
+
+/**
+ * Readings with an anomaly stay PENDING_REVIEW until confirmed (negative consumption must be corrected instead)
+ */
+export const METER_READING_STATUS = {
+  PENDING_REVIEW: 0,
+  CONFIRMED: 1,
+  DELETED: 2,
+  BILLED: 3
+};
+
+/**
+ * Status registry - label and colors per entity / status id
+ */
+export const STATUS_REGISTRY = {
+  bill: {
+    [BILL_STATUS.DRAFT]: { text: 'ฉบับร่าง', text_color: '#5D6D7E', background_color: '#EAECEE' },
+    [BILL_STATUS.SENT]: { text: 'ส่งแล้ว', text_color: '#0F7D3E', background_color: '#D5F5E3' },
+    [BILL_STATUS.DELETED]: { text: 'ลบแล้ว', text_color: '#7B7D7D', background_color: '#F2F3F4' },
+    [BILL_STATUS.CANCELLED]: { text: 'ยกเลิกการส่ง', text_color: '#C0392B', background_color: '#FADBD8' }
+  },
+  bill_room: {
+    [BILL_ROOM_STATUS.UNPAID]: { text: 'รอชำระ', text_color: '#D27500', background_color: '#FFECD5' },
+    [BILL_ROOM_STATUS.PAID]: { text: 'ชำระแล้ว', text_color: '#0F7D3E', background_color: '#D5F5E3' },
+    [BILL_ROOM_STATUS.DELETED]: { text: 'ลบแล้ว', text_color: '#7B7D7D', background_color: '#F2F3F4' },
+    [BILL_ROOM_STATUS.OVERDUE]: { text: 'เกินกำหนด', text_color: '#C0392B', background_color: '#FADBD8' },
+    [BILL_ROOM_STATUS.PARTIAL]: { text: 'ชำระบางส่วน', text_color: '#8E44AD', background_color: '#EBDEF0' },
+    [BILL_ROOM_STATUS.AWAITING_REVIEW]: { text: 'รอตรวจสอบ', text_color: '#0075FF', background_color: '#DAEBFF' }
+  },
+  payment: {
+    [PAYMENT_STATUS.PENDING]: { text: 'รอตรวจสอบ', text_color: '#0075FF', background_color: '#DAEBFF' },
+    [PAYMENT_STATUS.APPROVED]: { text: 'อนุมัติแล้ว', text_color: '#0F7D3E', background_color: '#D5F5E3' },
+    [PAYMENT_STATUS.DELETED]: { text: 'ลบแล้ว', text_color: '#7B7D7D', background_color: '#F2F3F4' },
+    [PAYMENT_STATUS.REJECTED]: { text: 'ปฏิเสธ', text_color: '#C0392B', background_color: '#FADBD8' }
+  },
+  bill_penalty: {
+    [BILL_PENALTY_STATUS.CHARGED]: { text: 'เรียกเก็บ', text_color: '#C0392B', background_color: '#FADBD8' },
+    [BILL_PENALTY_STATUS.DELETED]: { text: 'ลบแล้ว', text_color: '#7B7D7D', background_color: '#F2F3F4' },
+    [BILL_PENALTY_STATUS.WAIVED]: { text: 'ยกเว้นแล้ว', text_color: '#0F7D3E', background_color: '#D5F5E3' },
+    [BILL_PENALTY_STATUS.WAIVE_REQUESTED]: { text: 'รออนุมัติยกเว้น', text_color: '#0075FF', background_color: '#DAEBFF' }
+  },
+  meter_reading: {
+    [METER_READING_STATUS.PENDING_REVIEW]: { text: 'รอตรวจสอบ', text_color: '#D27500', background_color: '#FFECD5' },
+    [METER_READING_STATUS.CONFIRMED]: { text: 'ยืนยันแล้ว', text_color: '#0075FF', background_color: '#DAEBFF' },
+    [METER_READING_STATUS.DELETED]: { text: 'ลบแล้ว', text_color: '#7B7D7D', background_color: '#F2F3F4' },
+    [METER_READING_STATUS.BILLED]: { text: 'ออกบิลแล้ว', text_color: '#0F7D3E', background_color: '#D5F5E3' }
+  }
+};
+
+/**
+ * Allowed moves: entity -> from -> [to]
+ * Staying in the same status is always allowed (except deleted) and is not logged
+ */
+export const STATUS_TRANSITIONS = {
+  bill: {
+    [BILL_STATUS.DRAFT]: [BILL_STATUS.SENT, BILL_STATUS.DELETED],
+    [BILL_STATUS.SENT]: [BILL_STATUS.CANCELLED, BILL_STATUS.DELETED],
+    [BILL_STATUS.CANCELLED]: [BILL_STATUS.DRAFT, BILL_STATUS.SENT, BILL_STATUS.DELETED],
+    // กู้คืนจากถังขยะ (utils/recycleBin.js) - กลับเป็นฉบับร่างเท่านั้น
+    [BILL_STATUS.DELETED]: [BILL_STATUS.DRAFT]
+  },
+  bill_room: {
+    [BILL_ROOM_STATUS.UNPAID]: [BILL_ROOM_STATUS.PAID, BILL_ROOM_STATUS.PARTIAL, BILL_ROOM_STATUS.AWAITING_REVIEW, BILL_ROOM_STATUS.DELETED],
+    // คืนเครดิตที่หักชำระเมื่อลบ / ยกเลิกการส่งบิล (utils/houseCredit.js) -> ยอดชำระลดลง
+    [BILL_ROOM_STATUS.PARTIAL]: [BILL_ROOM_STATUS.UNPAID, BILL_ROOM_STATUS.PAID, BILL_ROOM_STATUS.AWAITING_REVIEW, BILL_ROOM_STATUS.DELETED],
+    [BILL_ROOM_STATUS.AWAITING_REVIEW]: [BILL_ROOM_STATUS.UNPAID, BILL_ROOM_STATUS.PAID, BILL_ROOM_STATUS.PARTIAL, BILL_ROOM_STATUS.DELETED],
+    [BILL_ROOM_STATUS.PAID]: [BILL_ROOM_STATUS.UNPAID, BILL_ROOM_STATUS.PARTIAL],
+    [BILL_ROOM_STATUS.DELETED]: []
+  },
+  payment: {
+    [PAYMENT_STATUS.PENDING]: [PAYMENT_STATUS.APPROVED, PAYMENT_STATUS.REJECTED, PAYMENT_STATUS.DELETED],
+    [PAYMENT_STATUS.APPROVED]: [],
+    [PAYMENT_STATUS.REJECTED]: [],
+    [PAYMENT_STATUS.DELETED]: []
+  },
+  bill_penalty: {
+    [BILL_PENALTY_STATUS.CHARGED]: [BILL_PENALTY_STATUS.WAIVE_REQUESTED, BILL_PENALTY_STATUS.DELETED],
+    // ปฏิเสธคำขอยกเว้น -> กลับเป็นเรียกเก็บ
+    [BILL_PENALTY_STATUS.WAIVE_REQUESTED]: [BILL_PENALTY_STATUS.WAIVED, BILL_PENALTY_STATUS.CHARGED],
+    [BILL_PENALTY_STATUS.WAIVED]: [],
+    [BILL_PENALTY_STATUS.DELETED]: []
+  },
+  meter_reading: {
+    [METER_READING_STATUS.PENDING_REVIEW]: [METER_READING_STATUS.CONFIRMED, METER_READING_STATUS.DELETED],
+    // แก้ค่าที่อ่านแล้วพบความผิดปกติ -> กลับไปรอตรวจสอบ
+    [METER_READING_STATUS.CONFIRMED]: [METER_READING_STATUS.PENDING_REVIEW, METER_READING_STATUS.BILLED, METER_READING_STATUS.DELETED],
+    // ลบบิล -> กลับเป็นยืนยันแล้ว (ออกบิลใหม่ได้)
+    [METER_READING_STATUS.BILLED]: [METER_READING_STATUS.CONFIRMED],
+    [METER_READING_STATUS.DELETED]: []
+  }
+};
+
+const DELETED_STATUS = 2;
+
+const ENTITY_LABELS = {
+  bill: 'บิล',
+  bill_room: 'รายการบิล',
+  payment: 'การแจ้งชำระ',
+  bill_penalty: 'ค่าปรับ',
+  meter_reading: 'ค่ามิเตอร์'
+};
+
+/**
+ * Illegal status move (thrown inside withTransaction so the whole change rolls back)
+ */
+export class StatusTransitionError extends Error {
+  constructor(entity, from, to) {
+    super(`ไม่สามารถเปลี่ยนสถานะ${ENTITY_LABELS[entity] || entity} จาก "${getStatusLabel(entity, from)}" เป็น "${getStatusLabel(entity, to)}" ได้`);
+    this.name = 'StatusTransitionError';
+    this.entity = entity;
+    this.from = from;
+    this.to = to;
+  }
+
+  /**
+   * Response body (409)
+   */
+  toResponse() {
+    return {
+      success: false,
+      error: 'Invalid status transition',
+      message: this.message,
+      entity: this.entity,
+      from_status: getStatusObject(this.entity, this.from),
+      to_status: getStatusObject(this.entity, this.to),
+      allowed: STATUS_TRANSITIONS[this.entity]?.[this.from] || []
+    };
+  }
+}
+
+/**
+ * @param {string} entity - bill | bill_room | payment | bill_penalty | meter_reading
+ * @param {number} statusId
+ * @returns {string}
+ */
+export function getStatusLabel(entity, statusId) {
+  return STATUS_REGISTRY[entity]?.[statusId]?.text || 'ไม่ทราบสถานะ';
+}
+
+/**
+ * Status object for API responses
+ * @param {string} entity - bill | bill_room | payment | bill_penalty | meter_reading
+ * @param {number} statusId - Stored status
+ * @param {Object} options - { isOverdue } bill_room UNPAID / AWAITING_REVIEW past expire_date shows as OVERDUE
+ * @returns {Object} { id, text, text_color, background_color }
+ */
+export function getStatusObject(entity, statusId, { isOverdue = false } = {}) {
+  let id = statusId === null || statusId === undefined ? statusId : parseInt(statusId);
+
+  if (entity === 'bill_room' && isOverdue && [BILL_ROOM_STATUS.UNPAID, BILL_ROOM_STATUS.AWAITING_REVIEW].includes(id)) {
+    id = BILL_ROOM_STATUS.OVERDUE;
+  }
+
+  const status = STATUS_REGISTRY[entity]?.[id];
+
+  return status
+    ? { id, ...status }
+    : { id, text: 'ไม่ทราบสถานะ', text_color: '#000000', background_color: '#FFFFFF' };
+}
+
+/**
+ * Status list of entity (for filters / dropdowns)
+ * @param {string} entity
+ * @param {Array<number>} ids - Limit and order (default: every registered status)
+ * @returns {Array<Object>}
+ */
+export function getStatusList(entity, ids = null) {
+  const statusIds = ids || Object.keys(STATUS_REGISTRY[entity] || {}).map(Number);
+  return statusIds.map(id => getStatusObject(entity, id));
+}
+
+/**
+ * @returns {boolean}
+ */
+export function canTransition(entity, from, to) {
+  const fromStatus = parseInt(from);
+  const toStatus = parseInt(to);
+
+  if (fromStatus === toStatus) {
+    return fromStatus !== DELETED_STATUS;
+  }
+
+  return (STATUS_TRANSITIONS[entity]?.[fromStatus] || []).includes(toStatus);
+}
+
+/**
+ * @throws {StatusTransitionError}
+ */
+export function assertTransition(entity, from, to) {
+  if (!canTransition(entity, from, to)) {
+    throw new StatusTransitionError(entity, parseInt(from), parseInt(to));
+  }
+}
+
+/**
+ * Check and log a status change - call before (or together with) the UPDATE of the row, on the same connection
+ * @param {Object} executor - Pool or transaction connection
+ * @param {Object} transition - { entity, id, from, to, actorId, reason, customerId }
+ * @returns {Promise<boolean>} false if status stays the same (nothing logged)
+ * @throws {StatusTransitionError}
+ */
+export async function transitionStatus(executor, { entity, id, from, to, actorId = null, reason = null, customerId = null }) {
+  assertTransition(entity, from, to);
+
+  if (parseInt(from) === parseInt(to)) {
+    return false;
+  }
+
+  await executor.execute(
+    `INSERT INTO ${TABLE_TRANSITION_LOG} (entity, entity_id, from_status, to_status, reason, customer_id, create_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [entity, parseInt(id), parseInt(from), parseInt(to), reason ? String(reason).substring(0, 500) : null, customerId, actorId]
+  );
+
+  logger.debug(`Status transition: ${entity} id=${id} ${from} -> ${to} by user ${actorId}${reason ? ` (${reason})` : ''}`);
+  return true;
+}
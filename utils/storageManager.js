@@ -148,27 +148,6 @@ export async function saveFileAttachments(files, uploadKey, userId, tableName, m
 
   const db = getDatabase();
 
-  // Create attachment table if not exists
-  const createAttachmentTableQuery = `
-    CREATE TABLE IF NOT EXISTS ${tableName} (
-      id INT AUTO_INCREMENT PRIMARY KEY,
-      upload_key CHAR(32) NOT NULL,
-      file_name VARCHAR(255) NOT NULL,
-      file_size INT NOT NULL,
-      file_ext VARCHAR(10) NOT NULL,
-      file_path VARCHAR(500) NOT NULL,
-      status INT NOT NULL DEFAULT 1,
-      create_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      create_by INT NOT NULL,
-      update_date TIMESTAMP NULL,
-      update_by INT NULL,
-      delete_date TIMESTAMP NULL,
-      delete_by INT NULL
-    )
-  `;
-
-  await db.execute(createAttachmentTableQuery);
-
   const attachmentResults = [];
 
   // Upload files and save to database
@@ -0,0 +1,89 @@
+/**
+ * Tiered rates [{ up_to, rate }] - up_to ascending, up_to of the last tier null (no upper bound)
+ * Used by meter rates (units) and room fee rules (area)
+ */
+
+function roundQuantity(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Parse tiers stored as JSON
+ * @returns {Array<Object>}
+ */
+export function parseTiers(value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+
+  try {
+    return JSON.parse(value) || [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Check tiers
+ * @param {*} tiers
+ * @returns {string|null} Error message (Thai) or null
+ */
+export function validateTiers(tiers) {
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    return 'กรุณาระบุอัตราอย่างน้อย 1 ขั้น เช่น [{"up_to": 10, "rate": 10}, {"up_to": null, "rate": 15}]';
+  }
+
+  let lastUpTo = 0;
+
+  for (let i = 0; i < tiers.length; i++) {
+    const tier = tiers[i];
+    const isLast = i === tiers.length - 1;
+
+    if (!tier || typeof tier !== 'object' || !Number.isFinite(Number(tier.rate)) || Number(tier.rate) < 0) {
+      return `tiers[${i}].rate ต้องเป็นตัวเลขที่ไม่ติดลบ`;
+    }
+
+    if (isLast) {
+      if (tier.up_to !== null && tier.up_to !== undefined) {
+        return 'ขั้นสุดท้ายต้องไม่ระบุ up_to (ไม่มีเพดาน)';
+      }
+      continue;
+    }
+
+    if (!Number.isFinite(Number(tier.up_to)) || Number(tier.up_to) <= lastUpTo) {
+      return `tiers[${i}].up_to ต้องมากกว่าขั้นก่อนหน้า`;
+    }
+
+    lastUpTo = Number(tier.up_to);
+  }
+
+  return null;
+}
+
+/**
+ * Split quantity over tiers (pure)
+ * @param {number} quantity
+ * @param {Array<Object>|string} tiers
+ * @returns {Array<Object>} [{ from, to (Infinity for the last tier), quantity, rate }] - tiers with quantity only
+ */
+export function splitTiers(quantity, tiers) {
+  const parts = [];
+  let lowerBound = 0;
+
+  for (const tier of parseTiers(tiers)) {
+    const upperBound = tier.up_to === null || tier.up_to === undefined ? Infinity : Number(tier.up_to);
+    const tierQuantity = roundQuantity(Math.min(quantity, upperBound) - lowerBound);
+
+    if (tierQuantity > 0) {
+      parts.push({ from: lowerBound, to: upperBound, quantity: tierQuantity, rate: Number(tier.rate) });
+    }
+
+    if (quantity <= upperBound) {
+      break;
+    }
+
+    lowerBound = upperBound;
+  }
+
+  return parts;
+}
@@ -0,0 +1,220 @@
+/**
+ * Schema-based request validation
+ * Field rule: {
+ *   type: 'string' | 'integer' | 'number' | 'boolean' | 'date' | 'datetime' | 'array' | 'json' | 'any',
+ *   required: boolean,
+ *   enum: [...allowed values],
+ *   min / max: number value (integer, number) or item count (array),
+ *   minLength / maxLength: string length,
+ *   items: rule for array items (default integer),
+ *   default: value used when field is missing,
+ *   allowEmpty: empty string counts as a value (only undefined / null are missing)
+ * }
+ * form-data sends everything as string - values are coerced to the rule type
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}([ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const TYPE_MESSAGES = {
+  string: ['ต้องเป็นข้อความ', 'must be a string'],
+  integer: ['ต้องเป็นตัวเลขจำนวนเต็ม', 'must be an integer'],
+  number: ['ต้องเป็นตัวเลข', 'must be a number'],
+  boolean: ['ต้องเป็น true หรือ false', 'must be true or false'],
+  date: ['ต้องเป็นวันที่รูปแบบ YYYY-MM-DD', 'must be a date (YYYY-MM-DD)'],
+  datetime: ['ต้องเป็นวันที่/เวลาที่ถูกต้อง', 'must be a valid date/time'],
+  array: ['ต้องเป็นรายการ (array)', 'must be an array'],
+  json: ['ต้องเป็น JSON ที่ถูกต้อง', 'must be valid JSON']
+};
+
+/**
+ * Missing = undefined, null or empty string
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isMissing(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Parse list from array, JSON string "[1,2]" or comma string "1,2"
+ * @param {*} value
+ * @returns {Array|null} null if value cannot be read as a list
+ */
+export function parseList(value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+
+  if (typeof value === 'number') {
+    return [value];
+  }
+
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const text = value.trim();
+  if (text === '') {
+    return [];
+  }
+
+  try {
+    const parsed = JSON.parse(text);
+    if (Array.isArray(parsed)) {
+      return parsed;
+    }
+  } catch {
+    // ไม่ใช่ JSON - ใช้แบบคั่นด้วย comma
+  }
+
+  return text.replace(/^\[|\]$/g, '').split(',').map(item => item.trim()).filter(item => item !== '');
+}
+
+/**
+ * Coerce value to rule type
+ * @returns {Object} { ok, value }
+ */
+function coerce(value, rule) {
+  switch (rule.type) {
+    case 'integer': {
+      const text = String(value).trim();
+      return /^-?\d+$/.test(text) ? { ok: true, value: parseInt(text) } : { ok: false };
+    }
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(String(value).trim());
+      return Number.isFinite(number) ? { ok: true, value: number } : { ok: false };
+    }
+    case 'boolean': {
+      if (typeof value === 'boolean') return { ok: true, value };
+      const text = String(value).trim().toLowerCase();
+      if (['true', '1'].includes(text)) return { ok: true, value: true };
+      if (['false', '0'].includes(text)) return { ok: true, value: false };
+      return { ok: false };
+    }
+    case 'date': {
+      const text = String(value).trim();
+      return DATE_PATTERN.test(text) && !isNaN(Date.parse(text)) ? { ok: true, value: text } : { ok: false };
+    }
+    case 'datetime': {
+      const text = String(value).trim();
+      return DATETIME_PATTERN.test(text) && !isNaN(Date.parse(text.replace(' ', 'T'))) ? { ok: true, value: text } : { ok: false };
+    }
+    case 'array': {
+      const list = parseList(value);
+      return list ? { ok: true, value: list } : { ok: false };
+    }
+    case 'any':
+      return { ok: true, value };
+    case 'json': {
+      if (typeof value === 'object') return { ok: true, value };
+      try {
+        return { ok: true, value: JSON.parse(value) };
+      } catch {
+        return { ok: false };
+      }
+    }
+    default:
+      return typeof value === 'string' || typeof value === 'number'
+        ? { ok: true, value: String(value).trim() }
+        : { ok: false };
+  }
+}
+
+function fieldError(field, location, rule, message, messageEn) {
+  return { field, location, rule, message: `${field} ${message}`, message_en: `${field} ${messageEn}` };
+}
+
+/**
+ * Validate one field
+ * @returns {Object} { value, errors }
+ */
+function validateField(field, location, value, rule) {
+  const { ok, value: coerced } = coerce(value, rule);
+
+  if (!ok) {
+    const [message, messageEn] = TYPE_MESSAGES[rule.type || 'string'];
+    return { errors: [fieldError(field, location, 'type', message, messageEn)] };
+  }
+
+  const errors = [];
+
+  if (rule.enum && !rule.enum.includes(coerced)) {
+    errors.push(fieldError(field, location, 'enum', `ต้องเป็น ${rule.enum.join(', ')}`, `must be one of ${rule.enum.join(', ')}`));
+  }
+
+  if (['integer', 'number'].includes(rule.type)) {
+    if (rule.min !== undefined && coerced < rule.min) {
+      errors.push(fieldError(field, location, 'min', `ต้องไม่น้อยกว่า ${rule.min}`, `must be at least ${rule.min}`));
+    }
+    if (rule.max !== undefined && coerced > rule.max) {
+      errors.push(fieldError(field, location, 'max', `ต้องไม่เกิน ${rule.max}`, `must be at most ${rule.max}`));
+    }
+  }
+
+  if (rule.type === 'array') {
+    if (rule.min !== undefined && coerced.length < rule.min) {
+      errors.push(fieldError(field, location, 'min', `ต้องมีอย่างน้อย ${rule.min} รายการ`, `must contain at least ${rule.min} items`));
+    }
+    if (rule.max !== undefined && coerced.length > rule.max) {
+      errors.push(fieldError(field, location, 'max', `ต้องมีไม่เกิน ${rule.max} รายการ`, `must contain at most ${rule.max} items`));
+    }
+
+    const itemRule = rule.items || { type: 'integer' };
+    const items = [];
+    for (let i = 0; i < coerced.length; i++) {
+      const result = validateField(`${field}[${i}]`, location, coerced[i], itemRule);
+      errors.push(...result.errors);
+      items.push(result.value);
+    }
+
+    return { value: items, errors };
+  }
+
+  if (!rule.type || rule.type === 'string') {
+    if (rule.minLength !== undefined && coerced.length < rule.minLength) {
+      errors.push(fieldError(field, location, 'minLength', `ต้องยาวอย่างน้อย ${rule.minLength} ตัวอักษร`, `must be at least ${rule.minLength} characters`));
+    }
+    if (rule.maxLength !== undefined && coerced.length > rule.maxLength) {
+      errors.push(fieldError(field, location, 'maxLength', `ต้องยาวไม่เกิน ${rule.maxLength} ตัวอักษร`, `must be at most ${rule.maxLength} characters`));
+    }
+  }
+
+  return { value: coerced, errors };
+}
+
+/**
+ * Validate and coerce an object (body / query / params) against field rules
+ * @param {Object} source - Raw values
+ * @param {Object} rules - { field: rule }
+ * @param {string} location - body | query | params
+ * @returns {Object} { values, errors, missing } values = coerced fields only
+ */
+export function validateObject(source, rules, location) {
+  const values = {};
+  const errors = [];
+  const missing = [];
+
+  for (const [field, rule] of Object.entries(rules)) {
+    const raw = source?.[field];
+
+    if (rule.allowEmpty ? raw === undefined || raw === null : isMissing(raw)) {
+      if (rule.required) {
+        missing.push(field);
+        errors.push(fieldError(field, location, 'required', 'จำเป็นต้องระบุ', 'is required'));
+      } else if (rule.default !== undefined) {
+        values[field] = rule.default;
+      }
+      continue;
+    }
+
+    const result = validateField(field, location, raw, rule);
+    errors.push(...result.errors);
+
+    if (result.errors.length === 0) {
+      values[field] = result.value;
+    }
+  }
+
+  return { values, errors, missing };
+}
@@ -0,0 +1,23 @@
+import { id, customerId } from './common.js';
+
+// scopes: array / JSON / comma-separated - ตรวจสอบกับ permission ของผู้สร้างใน controller
+export const insertApiKeySchema = {
+  body: {
+    name: { type: 'string', required: true, maxLength: 255 },
+    scopes: { type: 'array', required: true, min: 1, items: { type: 'string' } },
+    customer_id: customerId
+  }
+};
+
+export const updateApiKeySchema = {
+  body: {
+    id,
+    name: { type: 'string', maxLength: 255 },
+    scopes: { type: 'array', items: { type: 'string' } },
+    customer_id: customerId
+  }
+};
+
+export const deleteApiKeySchema = {
+  body: { id, customer_id: customerId }
+};
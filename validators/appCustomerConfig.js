@@ -0,0 +1,13 @@
+import { id, customerId } from './common.js';
+
+export const initAppCustomerConfigSchema = {
+  body: { customer_id: customerId }
+};
+
+// config_value ตรวจตาม data_type ของ config ใน controller
+export const updateAppCustomerConfigSchema = {
+  body: {
+    id,
+    config_value: { type: 'any', required: true, allowEmpty: true }
+  }
+};
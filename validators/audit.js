@@ -0,0 +1,16 @@
+import { customerId, pagination } from './common.js';
+import { AUDIT_ACTIONS, AUDIT_ENTITIES } from '../utils/auditLog.js';
+
+export const auditListSchema = {
+  query: {
+    ...pagination,
+    customer_id: customerId,
+    entity: { type: 'string', enum: Object.keys(AUDIT_ENTITIES) },
+    entity_id: { type: 'string' },
+    action: { type: 'string', enum: Object.keys(AUDIT_ACTIONS) },
+    actor_id: { type: 'integer', min: 1 },
+    date_from: { type: 'date' },
+    date_to: { type: 'date' },
+    type: { type: 'string', enum: ['excel'] }
+  }
+};
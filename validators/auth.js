@@ -0,0 +1,11 @@
+export const refreshTokenSchema = {
+  body: {
+    refresh_token: { type: 'string', required: true }
+  }
+};
+
+export const revokeUserSessionsSchema = {
+  body: {
+    userid: { type: 'integer', required: true, min: 1 }
+  }
+};
@@ -0,0 +1,19 @@
+import { id, customerId, uploadKey, pagination, idBodySchema } from './common.js';
+
+export const insertBankSchema = {
+  body: {
+    upload_key: uploadKey,
+    status: { type: 'integer', required: true },
+    customer_id: customerId
+  }
+};
+
+export const updateBankSchema = {
+  body: { id }
+};
+
+export const deleteBankSchema = idBodySchema;
+
+export const bankListSchema = {
+  query: { ...pagination, customer_id: customerId }
+};
@@ -0,0 +1,69 @@
+import { customerId, id, uploadKey, pagination, customerQuerySchema, idBodySchema } from './common.js';
+
+const billFields = {
+  title: { type: 'string', required: true },
+  bill_type_id: { type: 'integer', required: true, min: 1 },
+  detail: { type: 'string', required: true },
+  expire_date: { type: 'datetime', required: true },
+  status: { type: 'integer', required: true }
+};
+
+export const insertBillSchema = {
+  body: {
+    upload_key: uploadKey,
+    ...billFields,
+    customer_id: customerId
+  }
+};
+
+export const insertBillWithExcelSchema = {
+  body: {
+    ...insertBillSchema.body,
+    excluded_rows: { type: 'array', items: { type: 'integer', min: 1 }, default: [] }
+  }
+};
+
+export const insertBillWithFeeRuleSchema = {
+  body: {
+    ...billFields,
+    customer_id: customerId,
+    period: { type: 'string' },
+    excluded_room_ids: { type: 'array', items: { type: 'integer', min: 1 }, default: [] }
+  }
+};
+
+export const updateBillSchema = {
+  body: {
+    id,
+    ...billFields,
+    delete_rows: { type: 'array', items: { type: 'integer', min: 1 }, default: [] }
+  }
+};
+
+export const billIdSchema = idBodySchema;
+
+export const sendNotificationEachSchema = {
+  body: {
+    customer_id: customerId,
+    table_name: { type: 'string', required: true },
+    id
+  }
+};
+
+export const billListSchema = {
+  query: { ...pagination, customer_id: customerId }
+};
+
+export const billRoomListSchema = {
+  query: { ...pagination, bill_id: { type: 'integer', required: true, min: 1 } }
+};
+
+export const billRoomEachListSchema = {
+  query: { ...pagination, house_no: { type: 'string', required: true }, customer_id: customerId }
+};
+
+export const billExcelListSchema = {
+  query: { upload_key: uploadKey }
+};
+
+export const billSummarySchema = customerQuerySchema;
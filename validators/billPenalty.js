@@ -0,0 +1,52 @@
+import { customerId, id, pagination, customerQuerySchema } from './common.js';
+
+const ids = { type: 'array', required: true, min: 1, items: { type: 'integer', min: 1 } };
+
+export const penaltyRuleListSchema = customerQuerySchema;
+
+export const updatePenaltyRuleSchema = {
+  body: {
+    customer_id: customerId,
+    bill_type_id: { type: 'integer', required: true, min: 1 },
+    fixed_fee: { type: 'number', min: 0, default: 0 },
+    monthly_rate: { type: 'number', min: 0, max: 100, default: 0 },
+    daily_rate: { type: 'number', min: 0, max: 100, default: 0 },
+    grace_days: { type: 'integer', min: 0, max: 365, default: 0 },
+    max_amount: { type: 'number', min: 0 },
+    status: { type: 'integer', enum: [0, 1], default: 1 }
+  }
+};
+
+export const deletePenaltyRuleSchema = {
+  body: { id, customer_id: customerId }
+};
+
+export const penaltyListSchema = {
+  query: {
+    ...pagination,
+    customer_id: customerId,
+    bill_room_id: { type: 'integer', min: 1 },
+    status: { type: 'integer', enum: [1, 3, 4] }
+  }
+};
+
+export const penaltyWaiveRequestSchema = {
+  body: {
+    ids,
+    reason: { type: 'string', required: true, maxLength: 500 },
+    customer_id: customerId
+  }
+};
+
+export const penaltyWaiveApproveSchema = {
+  body: {
+    ids,
+    status: { type: 'integer', required: true, enum: [1, 3] },
+    remark: { type: 'string' },
+    customer_id: customerId
+  }
+};
+
+export const runPenaltySchema = {
+  body: { customer_id: customerId }
+};
@@ -0,0 +1,18 @@
+import { customerId, id, customerQuerySchema } from './common.js';
+import { PRORATION_METHODS } from '../utils/proration.js';
+
+export const prorationRuleListSchema = customerQuerySchema;
+
+export const updateProrationRuleSchema = {
+  body: {
+    customer_id: customerId,
+    bill_type_id: { type: 'integer', required: true, min: 1 },
+    method: { type: 'string', required: true, enum: Object.keys(PRORATION_METHODS) },
+    include_move_in_day: { type: 'boolean', default: true },
+    status: { type: 'integer', enum: [0, 1], default: 1 }
+  }
+};
+
+export const deleteProrationRuleSchema = {
+  body: { id, customer_id: customerId }
+};
@@ -0,0 +1,17 @@
+import { customerId, pagination } from './common.js';
+
+export const insertBillRoomSchema = {
+  body: {
+    bill_id: { type: 'integer', required: true, min: 1 },
+    house_no: { type: 'string', required: true },
+    member_name: { type: 'string', required: true },
+    total_price: { type: 'number', min: 0 },
+    items: { type: 'array', max: 50, default: [], items: { type: 'json' } },
+    customer_id: customerId,
+    status: { type: 'integer', required: true }
+  }
+};
+
+export const billRoomListSchema = {
+  query: { ...pagination, customer_id: customerId }
+};
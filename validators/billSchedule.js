@@ -0,0 +1,63 @@
+import { customerId, id, pagination } from './common.js';
+import { AMOUNT_RULES } from '../utils/billScheduler.js';
+
+const billScheduleFields = {
+  bill_type_id: { type: 'integer', required: true, min: 1 },
+  title_template: { type: 'string', required: true, maxLength: 255 },
+  detail_template: { type: 'string', required: true },
+  amount_rule: { type: 'string', required: true, enum: AMOUNT_RULES },
+  amount: { type: 'number', min: 0 },
+  room_type_amounts: { type: 'json' },
+  issue_day: { type: 'integer', required: true, min: 1, max: 28 },
+  due_days: { type: 'integer', required: true, min: 0, max: 365 },
+  auto_send: { type: 'boolean', default: false },
+  status: { type: 'integer', enum: [0, 1], default: 1 }
+};
+
+export const insertBillScheduleSchema = {
+  body: {
+    ...billScheduleFields,
+    customer_id: customerId
+  }
+};
+
+export const updateBillScheduleSchema = {
+  body: {
+    id,
+    ...billScheduleFields,
+    customer_id: customerId
+  }
+};
+
+export const billScheduleIdSchema = {
+  body: { id, customer_id: customerId }
+};
+
+export const billScheduleListSchema = {
+  query: {
+    ...pagination,
+    status: { type: 'integer', enum: [0, 1] },
+    customer_id: customerId
+  }
+};
+
+export const billScheduleDetailSchema = {
+  params: { id },
+  query: { customer_id: customerId }
+};
+
+export const billSchedulePreviewSchema = {
+  query: {
+    id,
+    customer_id: customerId,
+    period: { type: 'string' }
+  }
+};
+
+export const runBillScheduleSchema = {
+  body: {
+    id,
+    customer_id: customerId,
+    period: { type: 'string' }
+  }
+};
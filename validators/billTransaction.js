@@ -0,0 +1,12 @@
+import { customerId } from './common.js';
+
+export const insertBillTransactionSchema = {
+  body: {
+    bill_room_id: { type: 'integer', required: true, min: 1 },
+    member_id: { type: 'integer', required: true, min: 1 },
+    bill_transaction_type_id: { type: 'integer', required: true, min: 1 },
+    transaction_amount: { type: 'number', required: true, min: 0.01 },
+    pay_date: { type: 'datetime', required: true },
+    customer_id: customerId
+  }
+};
@@ -0,0 +1,22 @@
+/**
+ * Shared field rules for request schemas (see utils/validation.js)
+ */
+
+export const customerId = { type: 'string', required: true };
+
+export const id = { type: 'integer', required: true, min: 1 };
+
+export const uploadKey = { type: 'string', required: true };
+
+export const pagination = {
+  page: { type: 'integer', min: 1, default: 1 },
+  limit: { type: 'integer', min: 1, default: 10 }
+};
+
+export const customerQuerySchema = {
+  query: { customer_id: customerId }
+};
+
+export const idBodySchema = {
+  body: { id }
+};
@@ -0,0 +1,10 @@
+import { customerId, customerQuerySchema } from './common.js';
+
+export const dashboardSchema = customerQuerySchema;
+
+export const billingRevenueSchema = {
+  query: {
+    customer_id: customerId,
+    month_duration: { type: 'integer', enum: [3, 6, 12], default: 6 }
+  }
+};
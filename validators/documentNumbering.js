@@ -0,0 +1,13 @@
+import { DOCUMENT_TYPES, RESET_POLICIES } from '../utils/documentNumber.js';
+import { customerId, customerQuerySchema } from './common.js';
+
+export const documentNumberingListSchema = customerQuerySchema;
+
+export const updateDocumentNumberingSchema = {
+  body: {
+    document_type: { type: 'string', required: true, enum: Object.keys(DOCUMENT_TYPES) },
+    pattern: { type: 'string', required: true, maxLength: 50 },
+    reset_policy: { type: 'string', required: true, enum: RESET_POLICIES },
+    customer_id: customerId
+  }
+};
@@ -0,0 +1,36 @@
+import { customerId, pagination } from './common.js';
+
+const houseNo = { type: 'string', required: true, maxLength: 50 };
+
+export const houseCreditListSchema = {
+  query: {
+    ...pagination,
+    customer_id: customerId,
+    keyword: { type: 'string' },
+    has_balance: { type: 'boolean', default: false }
+  }
+};
+
+export const houseCreditDetailSchema = {
+  query: {
+    ...pagination,
+    customer_id: customerId,
+    house_no: houseNo
+  }
+};
+
+export const houseCreditDepositSchema = {
+  body: {
+    customer_id: customerId,
+    house_no: houseNo,
+    amount: { type: 'number', required: true, min: 0.01 },
+    remark: { type: 'string', maxLength: 500 }
+  }
+};
+
+export const houseCreditApplySchema = {
+  body: {
+    bill_room_id: { type: 'integer', required: true, min: 1 },
+    customer_id: customerId
+  }
+};
@@ -0,0 +1,30 @@
+import { customerId, uploadKey, pagination } from './common.js';
+
+const text = { type: 'string', required: true };
+
+export const insertMemberSchema = {
+  body: {
+    upload_key: uploadKey,
+    prefix_name: text,
+    full_name: text,
+    phone_number: text,
+    email: text,
+    enter_date: { type: 'datetime', required: true },
+    room_id: { type: 'integer', required: true, min: 1 },
+    house_no: text,
+    user_level: text,
+    user_type: text,
+    user_ref: text,
+    member_ref: text,
+    customer_id: customerId,
+    status: { type: 'integer', required: true }
+  }
+};
+
+export const memberListSchema = {
+  query: { ...pagination, customer_id: customerId }
+};
+
+export const memberByHouseNoSchema = {
+  query: { customer_id: customerId, house_no: text, full_name: text }
+};
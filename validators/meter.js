@@ -0,0 +1,140 @@
+import { customerId, id, pagination, customerQuerySchema, uploadKey } from './common.js';
+import { METER_ANOMALIES, METER_TYPES } from '../utils/meter.js';
+
+const meterType = { type: 'string', required: true, enum: Object.keys(METER_TYPES) };
+
+const period = { type: 'string', required: true };
+
+const meterFields = {
+  room_id: { type: 'integer', required: true, min: 1 },
+  meter_type: meterType,
+  meter_no: { type: 'string', required: true, maxLength: 100 },
+  multiplier: { type: 'number', min: 0.001, default: 1 },
+  max_reading: { type: 'number', min: 1 },
+  initial_reading: { type: 'number', min: 0, default: 0 },
+  install_date: { type: 'date' },
+  remark: { type: 'string' },
+  status: { type: 'integer', enum: [0, 1], default: 1 }
+};
+
+export const insertMeterSchema = {
+  body: {
+    ...meterFields,
+    customer_id: customerId
+  }
+};
+
+export const updateMeterSchema = {
+  body: {
+    id,
+    ...meterFields,
+    customer_id: customerId
+  }
+};
+
+export const meterIdSchema = {
+  body: { id, customer_id: customerId }
+};
+
+export const meterListSchema = {
+  query: {
+    ...pagination,
+    customer_id: customerId,
+    meter_type: { type: 'string', enum: Object.keys(METER_TYPES) },
+    room_id: { type: 'integer', min: 1 },
+    keyword: { type: 'string' },
+    status: { type: 'integer', enum: [0, 1] }
+  }
+};
+
+export const meterRateListSchema = customerQuerySchema;
+
+export const updateMeterRateSchema = {
+  body: {
+    customer_id: customerId,
+    meter_type: meterType,
+    bill_type_id: { type: 'integer', min: 1 },
+    tiers: { type: 'json', required: true },
+    minimum_charge: { type: 'number', min: 0, default: 0 },
+    service_fee: { type: 'number', min: 0, default: 0 },
+    vat_flag: { type: 'boolean', default: false },
+    high_usage_ratio: { type: 'number', min: 0, max: 100, default: 3 },
+    status: { type: 'integer', enum: [0, 1], default: 1 }
+  }
+};
+
+export const meterReadingListSchema = {
+  query: {
+    ...pagination,
+    customer_id: customerId,
+    meter_type: { type: 'string', enum: Object.keys(METER_TYPES) },
+    period: { type: 'string' },
+    room_id: { type: 'integer', min: 1 },
+    meter_id: { type: 'integer', min: 1 },
+    status: { type: 'integer', enum: [0, 1, 3] },
+    anomaly: { type: 'string', enum: Object.keys(METER_ANOMALIES) }
+  }
+};
+
+export const insertMeterReadingSchema = {
+  body: {
+    meter_id: { type: 'integer', required: true, min: 1 },
+    period,
+    reading_date: { type: 'date' },
+    current_reading: { type: 'number', required: true, min: 0 },
+    remark: { type: 'string' },
+    customer_id: customerId
+  }
+};
+
+export const updateMeterReadingSchema = {
+  body: {
+    id,
+    reading_date: { type: 'date' },
+    current_reading: { type: 'number', required: true, min: 0 },
+    remark: { type: 'string' },
+    customer_id: customerId
+  }
+};
+
+export const meterReadingIdSchema = {
+  body: { id, customer_id: customerId }
+};
+
+export const confirmMeterReadingSchema = {
+  body: {
+    ids: { type: 'array', required: true, min: 1, items: { type: 'integer', min: 1 } },
+    remark: { type: 'string', maxLength: 500 },
+    customer_id: customerId
+  }
+};
+
+export const importMeterReadingSchema = {
+  body: {
+    upload_key: uploadKey,
+    meter_type: meterType,
+    period,
+    reading_date: { type: 'date' },
+    customer_id: customerId
+  }
+};
+
+export const meterBillPreviewSchema = {
+  query: {
+    meter_type: meterType,
+    period,
+    customer_id: customerId
+  }
+};
+
+export const generateMeterBillSchema = {
+  body: {
+    meter_type: meterType,
+    period,
+    title: { type: 'string', maxLength: 255 },
+    detail: { type: 'string' },
+    expire_date: { type: 'date', required: true },
+    send: { type: 'boolean', default: false },
+    customer_id: customerId
+  }
+};
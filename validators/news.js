@@ -0,0 +1,27 @@
+import { id, uploadKey, pagination, idBodySchema } from './common.js';
+
+const title = { type: 'string', required: true };
+const detail = { type: 'string', required: true };
+const status = { type: 'integer', required: true };
+
+export const insertNewsSchema = {
+  body: { title, detail, upload_key: uploadKey, status }
+};
+
+export const updateNewsSchema = {
+  body: { id, title, detail, status }
+};
+
+export const newsListSchema = {
+  query: pagination
+};
+
+export const insertCategorySchema = {
+  body: { title, status }
+};
+
+export const updateCategorySchema = {
+  body: { id, title, status }
+};
+
+export const newsIdSchema = idBodySchema;
@@ -0,0 +1,30 @@
+import { customerId, uploadKey, pagination, customerQuerySchema } from './common.js';
+
+export const insertPaymentSchema = {
+  body: {
+    upload_key: uploadKey,
+    payable_type: { type: 'string', required: true },
+    payable_id: { type: 'integer', required: true, min: 1 },
+    payment_amount: { type: 'number', required: true, min: 0.01 },
+    payment_type_id: { type: 'integer', required: true, min: 1 },
+    customer_id: customerId,
+    member_id: { type: 'integer', required: true, min: 1 },
+    payment_date: { type: 'datetime' },
+    bank_id: { type: 'integer', min: 1 }
+  }
+};
+
+// status: 1 = อนุมัติ, 3 = ปฏิเสธ
+export const updatePaymentSchema = {
+  body: {
+    ids: { type: 'array', required: true, min: 1, items: { type: 'integer', min: 1 } },
+    status: { type: 'integer', required: true, enum: [1, 3] },
+    customer_id: customerId
+  }
+};
+
+export const paymentListSchema = {
+  query: { ...pagination, customer_id: customerId }
+};
+
+export const paymentSummarySchema = customerQuerySchema;
@@ -0,0 +1,17 @@
+import { customerId } from './common.js';
+
+const role = { type: 'string', required: true };
+const permission = { type: 'string', required: true };
+
+export const updatePermissionOverrideSchema = {
+  body: {
+    role,
+    permission,
+    is_allowed: { type: 'integer', required: true, enum: [0, 1] },
+    customer_id: customerId
+  }
+};
+
+export const deletePermissionOverrideSchema = {
+  body: { role, permission, customer_id: customerId }
+};
@@ -0,0 +1,12 @@
+import { customerId, pagination } from './common.js';
+
+export const recycleBinListSchema = {
+  query: { ...pagination, customer_id: customerId }
+};
+
+export const recycleBinItemsSchema = {
+  body: {
+    ids: { type: 'array', required: true, min: 1, items: { type: 'integer', min: 1 } },
+    customer_id: customerId
+  }
+};
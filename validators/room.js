@@ -0,0 +1,22 @@
+import { customerId, uploadKey, pagination, customerQuerySchema } from './common.js';
+
+export const insertRoomSchema = {
+  body: {
+    title: { type: 'string', required: true },
+    upload_key: uploadKey,
+    type_id: { type: 'integer', min: 1 },
+    customer_id: customerId,
+    owner_id: { type: 'integer', required: true, min: 1 },
+    status: { type: 'integer', required: true }
+  }
+};
+
+export const syncFromFirebaseSchema = {
+  body: { customer_id: customerId }
+};
+
+export const roomListSchema = {
+  query: { ...pagination, customer_id: customerId }
+};
+
+export const roomSummarySchema = customerQuerySchema;
@@ -0,0 +1,80 @@
+import { customerId, id, customerQuerySchema } from './common.js';
+import { FEE_METHODS } from '../utils/roomFee.js';
+
+const roomIds = { type: 'array', items: { type: 'integer', min: 1 } };
+
+const roomTypeFields = {
+  title: { type: 'string', required: true, maxLength: 255 },
+  area: { type: 'number', required: true, min: 0 },
+  ownership_ratio: { type: 'number', min: 0, max: 100 },
+  remark: { type: 'string' },
+  status: { type: 'integer', enum: [0, 1], default: 1 }
+};
+
+export const roomTypeListSchema = {
+  query: {
+    customer_id: customerId,
+    status: { type: 'integer', enum: [0, 1] }
+  }
+};
+
+export const insertRoomTypeSchema = {
+  body: {
+    ...roomTypeFields,
+    customer_id: customerId
+  }
+};
+
+export const updateRoomTypeSchema = {
+  body: {
+    id,
+    ...roomTypeFields,
+    customer_id: customerId
+  }
+};
+
+export const roomTypeIdSchema = {
+  body: { id, customer_id: customerId }
+};
+
+export const assignRoomTypeSchema = {
+  body: {
+    room_type_id: { type: 'integer', required: true, min: 1 },
+    room_ids: { ...roomIds, required: true, min: 1 },
+    customer_id: customerId
+  }
+};
+
+export const feeRuleListSchema = {
+  query: {
+    ...customerQuerySchema.query,
+    bill_type_id: { type: 'integer', min: 1 }
+  }
+};
+
+export const updateFeeRuleSchema = {
+  body: {
+    customer_id: customerId,
+    bill_type_id: { type: 'integer', required: true, min: 1 },
+    room_type_id: { type: 'integer', min: 1 },
+    method: { type: 'string', required: true, enum: Object.keys(FEE_METHODS) },
+    rate: { type: 'number', min: 0 },
+    tiers: { type: 'json' },
+    minimum_amount: { type: 'number', min: 0, default: 0 },
+    vat_flag: { type: 'boolean', default: false },
+    status: { type: 'integer', enum: [0, 1], default: 1 }
+  }
+};
+
+export const feeRuleIdSchema = {
+  body: { id, customer_id: customerId }
+};
+
+export const feeRuleBillPreviewSchema = {
+  query: {
+    customer_id: customerId,
+    bill_type_id: { type: 'integer', required: true, min: 1 },
+    period: { type: 'string' },
+    excluded_room_ids: roomIds
+  }
+};